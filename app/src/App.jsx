@@ -17,7 +17,7 @@ import {
   X, CheckCircle, AlertCircle, Info, AlertTriangle,
   ChevronLeft, ChevronRight,
 } from 'lucide-react';
-import { useUIStore, useBOQStore } from './store';
+import { useUIStore, useBOQStore, useHistoryStore } from './store';
 
 // Core Components
 import Header from './components/layout/Header';
@@ -226,6 +226,7 @@ export default function App() {
     if (boqState.selectedItems?.length > 0) {
       console.log('[App] Clearing persisted BOQ items for fresh session start');
       boqState.clearScene();
+      useHistoryStore.getState().clear();
     }
 
     loadBOQLibrary();
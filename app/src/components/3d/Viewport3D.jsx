@@ -3,7 +3,7 @@
  * Three.js viewport with Solar Path simulation, Isometric view, and MEP overlays
  */
 
-import React, { useRef, useMemo, useEffect, Suspense } from 'react';
+import React, { useRef, useMemo, useEffect, useState, Suspense } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import {
     OrbitControls,
@@ -14,9 +14,14 @@ import {
     Sky,
     PerspectiveCamera,
     TransformControls,
-    PivotControls
+    PivotControls,
+    Line
 } from '@react-three/drei';
-import { useBOQStore, useUIStore, useProjectStore, useLightingStore, useRenderStore } from '../../store';
+import { Shape, Path, Vector2, BackSide } from 'three';
+import { Undo2, Redo2, History } from 'lucide-react';
+import { useBOQStore, useUIStore, useProjectStore, useLightingStore, useRenderStore, useHistoryStore, useSurveyorStore } from '../../store';
+import { polygonCentroid } from '../../utils/geometry';
+import { finishMaterial } from '../../services/finishSchedule';
 
 // ============================================================================
 // Room Type Colors
@@ -77,7 +82,9 @@ function Floor({ bounds }) {
 // Wall Component
 // ============================================================================
 
-function Wall({ wall }) {
+const NO_FINISHES = [];
+
+function Wall({ wall, finishes = NO_FINISHES }) {
     const { position, dimensions } = wall;
     const showWireframe = useUIStore(s => s.showWireframe);
 
@@ -85,29 +92,150 @@ function Wall({ wall }) {
     const selectedObject = useUIStore(s => s.selectedObject);
     const isSelected = selectedObject?.id === wall.id;
 
+    const thickness = wall.thickness || dimensions.depth || 0.15;
+    const pieces = useMemo(
+        () => getWallPieces(dimensions.width, dimensions.height, wall.openings),
+        [dimensions.width, dimensions.height, wall.openings]
+    );
+
+    const material = (
+        <meshStandardMaterial
+            color="#475569" // Darker slate for high contrast
+            roughness={0.3}
+            metalness={0.2}
+            wireframe={showWireframe}
+        />
+    );
+
+    // Scheduled finishes: a skin over each finished face piece, up to its finish height
+    const skins = useMemo(() => {
+        if (!wall.start || !wall.end) return [];
+        return finishes.flatMap(finish => {
+            const side = finish.face === 'left' ? 1 : -1;
+            return clipPieces(getWallPieces(dimensions.width, finish.height, wall.openings).solids, dimensions.width, finish.from, finish.to)
+                .map(piece => ({ ...piece, z: side * (thickness / 2 + 0.006), material: finish.material }));
+        });
+    }, [finishes, wall.start, wall.end, wall.openings, dimensions.width, thickness]);
+
     return (
-        <mesh
+        <group
             name={wall.id}
             position={[position.x, position.y, position.z]}
             rotation={[0, wall.rotation || 0, 0]}
-            castShadow
-            receiveShadow
             onClick={(e) => {
                 e.stopPropagation();
                 setSelectedObject(wall);
             }}
         >
-            <boxGeometry args={[dimensions.width, dimensions.height, Math.max(0.3, dimensions.depth)]} />
-            <meshStandardMaterial
-                color="#475569" // Darker slate for high contrast
-                roughness={0.3}
-                metalness={0.2}
-                wireframe={showWireframe}
-            />
-        </mesh>
+            {/* Solid wall pieces around the openings, in wall-local space */}
+            {pieces.solids.map((piece, i) => (
+                <mesh
+                    key={`solid-${i}`}
+                    position={[piece.x, piece.y - dimensions.height / 2, 0]}
+                    castShadow
+                    receiveShadow
+                >
+                    <boxGeometry args={[piece.width, piece.height, thickness]} />
+                    {material}
+                </mesh>
+            ))}
+
+            {skins.map((skin, i) => (
+                <mesh key={`finish-${i}`} position={[skin.x, skin.y - dimensions.height / 2, skin.z]} receiveShadow>
+                    <boxGeometry args={[skin.width, skin.height, 0.01]} />
+                    <meshStandardMaterial
+                        color={skin.material.color}
+                        roughness={skin.material.roughness ?? 0.5}
+                        metalness={skin.material.metalness ?? 0}
+                        transparent={skin.material.opacity !== undefined}
+                        opacity={skin.material.opacity ?? 1}
+                        wireframe={showWireframe}
+                    />
+                </mesh>
+            ))}
+
+            {/* Glazing in window openings */}
+            {pieces.glazing.map((pane, i) => (
+                <mesh key={`glass-${i}`} position={[pane.x, pane.y - dimensions.height / 2, 0]}>
+                    <boxGeometry args={[pane.width, pane.height, 0.02]} />
+                    <meshStandardMaterial color="#88ccff" transparent opacity={0.35} roughness={0.05} />
+                </mesh>
+            ))}
+        </group>
     );
 }
 
+/**
+ * Split a wall face into solid boxes around its openings.
+ * Offsets run from the wall start, which sits at local x = -length / 2.
+ */
+function getWallPieces(length, height, openings = []) {
+    const solids = [];
+    const glazing = [];
+    const box = (x0, x1, y0, y1) => ({
+        x: (x0 + x1) / 2 - length / 2,
+        y: (y0 + y1) / 2,
+        width: x1 - x0,
+        height: y1 - y0,
+    });
+
+    let cursor = 0;
+    [...openings]
+        .sort((a, b) => a.offset - b.offset)
+        .forEach(opening => {
+            const x0 = Math.max(cursor, opening.offset);
+            const x1 = Math.min(length, opening.offset + opening.width);
+            if (x1 <= x0) return;
+
+            const sill = Math.max(0, opening.sill || 0);
+            const head = Math.min(height, sill + opening.height);
+
+            if (x0 > cursor) solids.push(box(cursor, x0, 0, height));
+            if (sill > 0) solids.push(box(x0, x1, 0, sill));
+            if (head < height) solids.push(box(x0, x1, head, height));
+            if (opening.kind === 'window') glazing.push(box(x0, x1, sill, head));
+            cursor = x1;
+        });
+    if (cursor < length) solids.push(box(cursor, length, 0, height));
+
+    return { solids, glazing };
+}
+
+/**
+ * Wall pieces cut to the stretch [from, to] of the wall, in offsets from its start
+ */
+function clipPieces(pieces, length, from, to) {
+    const x0 = from - length / 2;
+    const x1 = to - length / 2;
+    return pieces.flatMap(piece => {
+        const a = Math.max(x0, piece.x - piece.width / 2);
+        const b = Math.min(x1, piece.x + piece.width / 2);
+        return b - a > 0.001 ? [{ ...piece, x: (a + b) / 2, width: b - a }] : [];
+    });
+}
+
+/**
+ * Render materials of the scheduled finishes in a takeoff, from the library's
+ * material_textures: room floors and ceilings by `level:room:element`, wall
+ * face pieces by `level:wall`
+ */
+function finishLooks(lines, materials, activeLevelId) {
+    const rooms = new Map();
+    const walls = new Map();
+    lines.forEach(line => {
+        const material = finishMaterial(materials, line.code);
+        if (!material) return;
+        const level = line.levelId ?? activeLevelId;
+        if (line.element === 'floor' || line.element === 'ceiling') {
+            rooms.set(`${level}:${line.roomId}:${line.element}`, material);
+        } else if (line.element === 'wall-face' && line.wallId) {
+            const key = `${level}:${line.wallId}`;
+            walls.set(key, [...(walls.get(key) || []), { face: line.face, from: line.from, to: line.to, height: line.height, material }]);
+        }
+    });
+    return { rooms, walls };
+}
+
 // ============================================================================
 // Nano Panana Pro Wall Component (archisketch-3d style)
 // ============================================================================
@@ -321,43 +449,92 @@ function NanoPananaFloor({ floorColor, bounds }) {
 // Room Floor Overlay
 // ============================================================================
 
-function RoomFloor({ room, showLabel = true }) {
+function RoomFloor({ room, showLabel = true, floorFinish = null, ceilingFinish = null }) {
     const color = ROOM_COLORS[room.type] || '#6B7280';
 
+    // Scheduled floor and ceiling finishes show in their material colour
+    const floorLook = floorFinish
+        ? { color: floorFinish.color, opacity: floorFinish.opacity ?? 0.9, roughness: floorFinish.roughness ?? 0.7, metalness: floorFinish.metalness ?? 0 }
+        : { color, opacity: 0.6, roughness: 0.7, metalness: 0.2 };
+    const ceilingLook = ceilingFinish
+        ? { color: ceilingFinish.color, opacity: 0.5 }
+        : { color, opacity: 0.15 };
+
+    // Polygon rooms floor and ceil their own outline (plan y runs along z);
+    // rooms known only by their extent fall back to the box
+    const outline = useMemo(() => {
+        if (!room.vertices) return null;
+        const toShape = (points) => points.map(p => new Vector2(p.x, -p.y));
+        const shape = new Shape(toShape(room.vertices));
+        (room.holes || []).forEach(hole => shape.holes.push(new Path(toShape(hole))));
+        const center = polygonCentroid(room.vertices);
+        return {
+            shape,
+            border: [...room.vertices, room.vertices[0]].map(p => [p.x, 0.051, p.y]),
+            center: { x: center.x, z: center.y },
+        };
+    }, [room.vertices, room.holes]);
+
+    const labelAt = outline?.center || room.position;
+    const area = room.area ?? room.dimensions.width * room.dimensions.depth;
+
     return (
         <group>
-            <mesh
-                rotation={[-Math.PI / 2, 0, 0]}
-                position={[room.position.x, 0.05, room.position.z]}
-            >
-                <planeGeometry args={[Math.max(0.1, room.dimensions.width - 0.2), Math.max(0.1, room.dimensions.depth - 0.2)]} />
-                <meshStandardMaterial
-                    color={color}
-                    opacity={0.6}
-                    transparent
-                    roughness={0.7}
-                    metalness={0.2}
-                />
-            </mesh>
-            {/* Room Border for visibility */}
-            <mesh
-                rotation={[-Math.PI / 2, 0, 0]}
-                position={[room.position.x, 0.051, room.position.z]}
-            >
-                <planeGeometry args={[Math.max(0.11, room.dimensions.width), Math.max(0.11, room.dimensions.depth)]} />
-                <meshStandardMaterial color={color} wireframe />
-            </mesh>
+            {outline ? (
+                <>
+                    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.05, 0]}>
+                        <shapeGeometry args={[outline.shape]} />
+                        <meshStandardMaterial
+                            color={floorLook.color}
+                            opacity={floorLook.opacity}
+                            transparent
+                            roughness={floorLook.roughness}
+                            metalness={floorLook.metalness}
+                        />
+                    </mesh>
+                    <Line points={outline.border} color={color} lineWidth={1} />
+                    {/* Ceiling: faces down, so only seen from inside the room */}
+                    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, room.dimensions.height, 0]}>
+                        <shapeGeometry args={[outline.shape]} />
+                        <meshStandardMaterial color={ceilingLook.color} opacity={ceilingLook.opacity} transparent side={BackSide} depthWrite={false} />
+                    </mesh>
+                </>
+            ) : (
+                <>
+                    <mesh
+                        rotation={[-Math.PI / 2, 0, 0]}
+                        position={[room.position.x, 0.05, room.position.z]}
+                    >
+                        <planeGeometry args={[Math.max(0.1, room.dimensions.width - 0.2), Math.max(0.1, room.dimensions.depth - 0.2)]} />
+                        <meshStandardMaterial
+                            color={floorLook.color}
+                            opacity={floorLook.opacity}
+                            transparent
+                            roughness={floorLook.roughness}
+                            metalness={floorLook.metalness}
+                        />
+                    </mesh>
+                    {/* Room Border for visibility */}
+                    <mesh
+                        rotation={[-Math.PI / 2, 0, 0]}
+                        position={[room.position.x, 0.051, room.position.z]}
+                    >
+                        <planeGeometry args={[Math.max(0.11, room.dimensions.width), Math.max(0.11, room.dimensions.depth)]} />
+                        <meshStandardMaterial color={color} wireframe />
+                    </mesh>
+                </>
+            )}
 
             {showLabel && (
                 <Html
-                    position={[room.position.x, 0.5, room.position.z]}
+                    position={[labelAt.x, 0.5, labelAt.z]}
                     center
                     distanceFactor={15}
                     occlude
                 >
                     <div className="px-3 py-1.5 bg-slate-900/90 rounded-lg text-white text-[10px] font-medium whitespace-nowrap backdrop-blur-sm border border-slate-700 shadow-xl pointer-events-none select-none">
                         <span className="text-cyan-400">{room.label}</span>
-                        <span className="text-gray-500 ml-2">{Math.round(room.dimensions.width * room.dimensions.depth)} m²</span>
+                        <span className="text-gray-500 ml-2">{Math.round(area)} m²</span>
                     </div>
                 </Html>
             )}
@@ -365,6 +542,34 @@ function RoomFloor({ room, showLabel = true }) {
     );
 }
 
+// ============================================================================
+// Stacked Level (inactive floors shown above and below the active one)
+// ============================================================================
+
+function LevelShell({ level, looks }) {
+    const walls = useMemo(
+        () => (level.walls3D || []).filter(w => Math.max(w.dimensions.width, w.dimensions.depth) > 0.2).slice(0, 500),
+        [level.walls3D]
+    );
+
+    return (
+        <group position={[0, level.elevation || 0, 0]}>
+            {walls.map(wall => (
+                <Wall key={wall.id} wall={wall} finishes={looks.walls.get(`${level.id}:${wall.id}`)} />
+            ))}
+            {(level.rooms3D || []).slice(0, 300).map(room => (
+                <RoomFloor
+                    key={room.id}
+                    room={room}
+                    showLabel={false}
+                    floorFinish={looks.rooms.get(`${level.id}:${room.id}:floor`)}
+                    ceilingFinish={looks.rooms.get(`${level.id}:${room.id}:ceiling`)}
+                />
+            ))}
+        </group>
+    );
+}
+
 // ============================================================================
 // Furniture Item Component
 // ============================================================================
@@ -411,6 +616,7 @@ function FurnitureItem({ item, onClick, isSelected }) {
     return (
         <group
             ref={meshRef}
+            name={item.id}
             position={[item.position.x, height / 2, item.position.z]}
             userData={{ originalY: height / 2 }}
             onClick={(e) => {
@@ -532,7 +738,9 @@ function LightingSystem() {
 // ============================================================================
 
 function SceneContent() {
+    const { scene } = useThree();
     const selectedItems = useBOQStore(s => s.selectedItems);
+    const updateItemPosition = useBOQStore(s => s.updateItemPosition);
     const selectedObject = useUIStore(s => s.selectedObject);
     const setSelectedObject = useUIStore(s => s.setSelectedObject);
 
@@ -540,11 +748,27 @@ function SceneContent() {
     const rooms3D = useProjectStore(s => s.rooms3D);
     const walls3D = useProjectStore(s => s.walls3D);
     const placedFurniture = useProjectStore(s => s.placedFurniture);
+    const moveFurniture = useProjectStore(s => s.moveFurniture);
     const floorPlanBounds = useProjectStore(s => s.floorPlanBounds);
     const sceneData3D = useProjectStore(s => s.sceneData3D);
+    const levels = useProjectStore(s => s.levels);
+    const activeLevelId = useProjectStore(s => s.activeLevelId);
+    const levelDisplay = useProjectStore(s => s.levelDisplay);
+    const takeoffLines = useSurveyorStore(s => s.takeoffLines);
+    const materials = useBOQStore(s => s.materials);
+
+    const looks = useMemo(
+        () => finishLooks(takeoffLines, materials, activeLevelId),
+        [takeoffLines, materials, activeLevelId]
+    );
 
     const isAnalyzed = workflowPhase !== 'upload' && workflowPhase !== 'analyzing';
 
+    // Stacked display raises the active level to its elevation and shows the others around it
+    const isStacked = levelDisplay === 'stacked' && levels.length > 1;
+    const activeElevation = isStacked ? (levels.find(l => l.id === activeLevelId)?.elevation || 0) : 0;
+    const otherLevels = isStacked ? levels.filter(l => l.id !== activeLevelId) : [];
+
     // Performance Optimization: Limit rendered entities for very large CAD files
     const visibleWalls = useMemo(() => {
         // Only render walls that are large enough to be significant
@@ -608,9 +832,9 @@ function SceneContent() {
                     <Floor bounds={floorPlanBounds} />
 
                     {isAnalyzed && (
-                        <>
+                        <group position={[0, activeElevation, 0]}>
                             {visibleWalls.map(wall => (
-                                <Wall key={wall.id} wall={wall} />
+                                <Wall key={wall.id} wall={wall} finishes={looks.walls.get(`${activeLevelId}:${wall.id}`)} />
                             ))}
 
                             {visibleRooms.map((room, index) => (
@@ -618,6 +842,8 @@ function SceneContent() {
                                     key={room.id}
                                     room={room}
                                     showLabel={index < 50}
+                                    floorFinish={looks.rooms.get(`${activeLevelId}:${room.id}:floor`)}
+                                    ceilingFinish={looks.rooms.get(`${activeLevelId}:${room.id}:ceiling`)}
                                 />
                             ))}
 
@@ -629,13 +855,17 @@ function SceneContent() {
                                     isSelected={selectedObject?.id === item.id}
                                 />
                             ))}
-                        </>
+                        </group>
                     )}
 
-                    {!isAnalyzed && selectedItems.map((item, index) => (
+                    {isAnalyzed && otherLevels.map(level => (
+                        <LevelShell key={level.id} level={level} looks={looks} />
+                    ))}
+
+                    {!isAnalyzed && selectedItems.filter(item => item.source !== 'hatch' && item.source !== 'finish').map((item, index) => (
                         <FurnitureItem
                             key={item.id}
-                            item={{
+                            item={item.moved ? item : {
                                 ...item,
                                 position: {
                                     x: (index % 5) * 2 - 4,
@@ -648,7 +878,9 @@ function SceneContent() {
                         />
                     ))}
 
-                    <MEPOverlay />
+                    <group position={[0, activeElevation, 0]}>
+                        <MEPOverlay />
+                    </group>
 
                     {/* Interactive Transform Controls */}
                     {selectedObject && (
@@ -656,10 +888,17 @@ function SceneContent() {
                             object={scene.getObjectByName(selectedObject.id)}
                             mode="translate"
                             onMouseUp={() => {
-                                // Update store on release
-                                if (selectedObject.type === 'furniture') {
-                                    // Update furniture position
-                                }
+                                // Update store on release, so the move goes into the undo history
+                                const object = scene.getObjectByName(selectedObject.id);
+                                if (!object) return;
+                                const position = { x: object.position.x, y: 0, z: object.position.z };
+                                const placed = placedFurniture.find(i => i.id === selectedObject.id);
+                                const item = selectedItems.find(i => i.id === selectedObject.id);
+                                // Items never moved are shown in the default layout, where they were selected
+                                const shown = placed?.position || (item?.moved ? item.position : selectedObject.position);
+                                if (!shown || (shown.x === position.x && shown.z === position.z)) return;
+                                if (placed) moveFurniture(placed.id, position);
+                                else if (item) updateItemPosition(item.id, position);
                             }}
                         />
                     )}
@@ -724,6 +963,139 @@ function CameraController() {
     return null;
 }
 
+// ============================================================================
+// Level Switcher
+// ============================================================================
+
+function LevelSwitcher() {
+    const levels = useProjectStore(s => s.levels);
+    const activeLevelId = useProjectStore(s => s.activeLevelId);
+    const levelDisplay = useProjectStore(s => s.levelDisplay);
+    const setActiveLevel = useProjectStore(s => s.setActiveLevel);
+    const setLevelDisplay = useProjectStore(s => s.setLevelDisplay);
+    const getLevelZones = useProjectStore(s => s.getLevelZones);
+
+    if (levels.length < 2) return null;
+
+    // Highest level on top, like a section through the building
+    const ordered = [...levels].sort((a, b) => b.elevation - a.elevation);
+
+    return (
+        <div className="absolute top-4 left-4 z-10 flex flex-col gap-1 p-2 rounded-xl bg-[var(--bg-card)]/90 border border-[var(--border-main)] backdrop-blur-md shadow-lg">
+            <span className="px-2 pb-1 text-[9px] font-bold uppercase tracking-widest text-[var(--text-muted)]">Levels</span>
+            {ordered.map(level => {
+                const zones = getLevelZones(level.id);
+                return (
+                    <button
+                        key={level.id}
+                        onClick={() => setActiveLevel(level.id)}
+                        title={zones.length ? zones.map(z => z.name).join(', ') : level.fileName || level.name}
+                        className={`flex items-center justify-between gap-4 px-3 py-1.5 rounded-lg text-xs font-bold transition-colors ${level.id === activeLevelId
+                            ? 'bg-[var(--accent-primary)] text-white'
+                            : 'text-[var(--text-secondary)] hover:bg-[var(--bg-hover)]'
+                            }`}
+                    >
+                        <span>{level.name}</span>
+                        <span className="font-mono text-[10px] opacity-70">+{level.elevation.toFixed(2)}</span>
+                    </button>
+                );
+            })}
+            <button
+                onClick={() => setLevelDisplay(levelDisplay === 'stacked' ? 'single' : 'stacked')}
+                className="mt-1 px-3 py-1.5 rounded-lg border border-[var(--border-main)] text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)] hover:bg-[var(--bg-hover)]"
+            >
+                {levelDisplay === 'stacked' ? 'Show Active Level' : 'Stack All Levels'}
+            </button>
+        </div>
+    );
+}
+
+// ============================================================================
+// Undo / Redo Controls
+// ============================================================================
+
+function HistoryControls() {
+    const past = useHistoryStore(s => s.past);
+    const future = useHistoryStore(s => s.future);
+    const undo = useHistoryStore(s => s.undo);
+    const redo = useHistoryStore(s => s.redo);
+    const jumpTo = useHistoryStore(s => s.jumpTo);
+    const [showList, setShowList] = useState(false);
+
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z); an open modal such as the CAD editor handles its own keys
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            if (useUIStore.getState().activeModal) return;
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) redo();
+            else undo();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo]);
+
+    const buttonClass = 'p-2 rounded-lg text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] disabled:opacity-40 transition-colors';
+
+    return (
+        <div className="absolute top-4 right-4 z-10 flex flex-col items-end gap-1">
+            <div className="flex items-center gap-1 p-1 rounded-xl bg-[var(--bg-card)]/90 border border-[var(--border-main)] backdrop-blur-md shadow-lg">
+                <button
+                    onClick={undo}
+                    disabled={past.length === 0}
+                    title={past.length ? `Undo ${past[past.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+                    className={buttonClass}
+                >
+                    <Undo2 size={16} />
+                </button>
+                <button
+                    onClick={redo}
+                    disabled={future.length === 0}
+                    title={future.length ? `Redo ${future[future.length - 1].label} (Ctrl+Y)` : 'Redo (Ctrl+Y)'}
+                    className={buttonClass}
+                >
+                    <Redo2 size={16} />
+                </button>
+                <button
+                    onClick={() => setShowList(!showList)}
+                    title="History"
+                    className={`${buttonClass} ${showList ? 'bg-[var(--bg-hover)]' : ''}`}
+                >
+                    <History size={16} />
+                </button>
+            </div>
+
+            {showList && (
+                <div className="w-60 max-h-72 overflow-auto custom-scroll p-2 space-y-1 rounded-xl bg-[var(--bg-card)]/95 border border-[var(--border-main)] backdrop-blur-md shadow-lg">
+                    <button
+                        onClick={() => jumpTo(0)}
+                        className={`w-full text-left px-2 py-1 rounded-lg text-[11px] ${past.length === 0 ? 'font-bold text-[var(--text-primary)]' : 'text-[var(--text-muted)] hover:bg-[var(--bg-hover)]'}`}
+                    >
+                        Start
+                    </button>
+                    {[...past, ...[...future].reverse()].map((command, i) => (
+                        <button
+                            key={command.id}
+                            onClick={() => jumpTo(i + 1)}
+                            title={new Date(command.timestamp).toLocaleTimeString()}
+                            className={`w-full text-left px-2 py-1 rounded-lg text-[11px] truncate ${i === past.length - 1
+                                ? 'font-bold text-[var(--text-primary)] bg-[var(--bg-hover)]'
+                                : i >= past.length
+                                    ? 'text-[var(--text-disabled)] hover:bg-[var(--bg-hover)]'
+                                    : 'text-[var(--text-secondary)] hover:bg-[var(--bg-hover)]'
+                                }`}
+                        >
+                            {command.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
 // ============================================================================
 // Main Viewport Component
 // ============================================================================
@@ -749,7 +1121,9 @@ export default function Viewport3D() {
     const centerZ = floorPlanBounds.height / 2;
 
     return (
-        <div className="w-full h-full" style={{ backgroundColor: bgColor }}>
+        <div className="relative w-full h-full" style={{ backgroundColor: bgColor }}>
+            <LevelSwitcher />
+            <HistoryControls />
             <Canvas
                 shadows
                 dpr={typeof window !== 'undefined' ? Math.min(window.devicePixelRatio, 2) : 1}
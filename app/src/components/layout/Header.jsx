@@ -13,7 +13,7 @@ import {
     Glasses, Sun, Moon, Layout, Layers,
     PanelLeftClose, PanelRightClose,
 } from 'lucide-react';
-import { useUIStore, useBOQStore, useProjectStore } from '../../store';
+import { useUIStore, useBOQStore, useProjectStore, useHistoryStore } from '../../store';
 
 // ============================================================================
 // Logo Component
@@ -211,6 +211,15 @@ export default function Header() {
     const workflowPhase = useProjectStore(s => s.workflowPhase);
     const addNotification = useUIStore(s => s.addNotification);
 
+    const undo = useHistoryStore(s => s.undo);
+    const redo = useHistoryStore(s => s.redo);
+    const lastDone = useHistoryStore(s => s.past[s.past.length - 1]);
+    const lastUndone = useHistoryStore(s => s.future[s.future.length - 1]);
+    const canUndo = !!lastDone;
+    const canRedo = !!lastUndone;
+    const undoLabel = lastDone ? `Undo ${lastDone.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    const redoLabel = lastUndone ? `Redo ${lastUndone.label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+
     const handleSave = () => {
         addNotification({
             type: 'success',
@@ -278,8 +287,8 @@ export default function Header() {
             {/* Center Section - Main Toolbar */}
             <div className="flex items-center gap-0.5 px-2 py-1.5 rounded-xl bg-[var(--bg-active)]/50 border border-[var(--border-main)] backdrop-blur-md">
                 <ToolbarButton icon={Save} label="Save (Ctrl+S)" onClick={handleSave} />
-                <ToolbarButton icon={Undo2} label="Undo" onClick={() => { }} />
-                <ToolbarButton icon={Redo2} label="Redo" onClick={() => { }} />
+                <ToolbarButton icon={Undo2} label={undoLabel} onClick={undo} disabled={!canUndo} />
+                <ToolbarButton icon={Redo2} label={redoLabel} onClick={redo} disabled={!canRedo} />
 
                 <div className="w-px h-5 bg-[var(--border-main)] mx-1" />
 
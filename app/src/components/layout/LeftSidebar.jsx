@@ -12,10 +12,15 @@ import {
     Zap, Droplets, Wind, FileImage, FileScan,
     Brain, Sparkles, CheckCircle, Loader2, X,
     GripVertical, TrendingUp, Send, Bot,
-    CloudUpload, FileType, Plus, MessageCircle
+    CloudUpload, FileType, Plus, MessageCircle, Settings2, FileSpreadsheet
 } from 'lucide-react';
-import { useUIStore, useBOQStore, useProjectStore, useChatStore } from '../../store';
+import { useUIStore, useBOQStore, useProjectStore, useChatStore, useLayerProfileStore } from '../../store';
+import { BUILT_IN_LAYER_PROFILES } from '../../config/layerProfiles';
 import DWGConverterModal from '../ui/DWGConverterModal';
+import LayerMappingModal from '../ui/LayerMappingModal';
+import BOQImportModal from '../ui/BOQImportModal';
+import { formatAmount } from '../../services/pricing';
+import { BASE_CURRENCY } from '../../config/currencies';
 
 // ============================================================================
 // Premium Tab Button Component
@@ -252,6 +257,141 @@ function ChatSection() {
     );
 }
 
+// ============================================================================
+// CAD Layer Profile Picker
+// ============================================================================
+
+function LayerProfilePicker({ onEdit }) {
+    const customProfiles = useLayerProfileStore(s => s.customProfiles);
+    const activeProfileId = useLayerProfileStore(s => s.activeProfileId);
+    const setActiveProfile = useLayerProfileStore(s => s.setActiveProfile);
+
+    return (
+        <div className="flex items-center gap-2 p-3 rounded-xl bg-[var(--bg-card)] border border-[var(--border-main)]">
+            <Layers size={16} className="text-[var(--text-muted)] shrink-0" />
+            <span className="text-xs font-bold text-[var(--text-secondary)] shrink-0">CAD layers</span>
+            <select
+                value={activeProfileId}
+                onChange={(e) => setActiveProfile(e.target.value)}
+                className="flex-1 min-w-0 px-2 py-1.5 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg text-xs text-[var(--text-primary)]"
+            >
+                {[...BUILT_IN_LAYER_PROFILES, ...customProfiles].map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+            </select>
+            <button
+                onClick={onEdit}
+                title="Edit layer mapping"
+                className="p-1.5 rounded-lg border border-[var(--border-main)] text-[var(--text-muted)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-hover)]"
+            >
+                <Settings2 size={14} />
+            </button>
+        </div>
+    );
+}
+
+// ============================================================================
+// Building Levels
+// ============================================================================
+
+function LevelsSection() {
+    const [isAdding, setIsAdding] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const levels = useProjectStore(s => s.levels);
+    const activeLevelId = useProjectStore(s => s.activeLevelId);
+    const setActiveLevel = useProjectStore(s => s.setActiveLevel);
+    const updateLevel = useProjectStore(s => s.updateLevel);
+    const removeLevel = useProjectStore(s => s.removeLevel);
+    const startSketchAnalysis = useProjectStore(s => s.startSketchAnalysis);
+    const addNotification = useUIStore(s => s.addNotification);
+
+    const handleAddFloor = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsAdding(true);
+        const result = await startSketchAnalysis(file, { append: true });
+        setIsAdding(false);
+
+        if (result?.success) {
+            addNotification({
+                type: 'success',
+                title: 'Floor Added',
+                message: `${file.name}: ${result.rooms?.length || 0} rooms`,
+            });
+        } else {
+            addNotification({
+                type: 'error',
+                title: 'Analysis Failed',
+                message: result?.error || 'Unknown error',
+            });
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <h4 className="panel-title">Levels ({levels.length})</h4>
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isAdding}
+                    className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg border border-[var(--border-main)] text-xs text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] disabled:opacity-50"
+                >
+                    {isAdding ? <Loader2 size={12} className="animate-spin" /> : <Plus size={12} />}
+                    Add Floor
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*,.pdf,.dxf,application/dxf,image/vnd.dxf"
+                    onChange={handleAddFloor}
+                    className="hidden"
+                />
+            </div>
+            <div className="space-y-2">
+                {levels.map(level => (
+                    <div
+                        key={level.id}
+                        onClick={() => setActiveLevel(level.id)}
+                        className={`flex items-center gap-2 p-2 rounded-xl border cursor-pointer transition-all ${level.id === activeLevelId
+                            ? 'bg-[var(--accent-primary)]/10 border-[var(--accent-primary)]/50'
+                            : 'bg-[var(--bg-card)] border-[var(--border-main)] hover:border-[var(--border-strong)]'
+                            }`}
+                    >
+                        <input
+                            type="text"
+                            value={level.name}
+                            onChange={(e) => updateLevel(level.id, { name: e.target.value })}
+                            onClick={(e) => e.stopPropagation()}
+                            className="flex-1 min-w-0 px-2 py-1 bg-transparent text-sm font-medium text-[var(--text-primary)] rounded-md focus:bg-[var(--bg-active)] outline-none"
+                        />
+                        <input
+                            type="number"
+                            step="0.1"
+                            value={level.elevation}
+                            onChange={(e) => updateLevel(level.id, { elevation: parseFloat(e.target.value) || 0 })}
+                            onClick={(e) => e.stopPropagation()}
+                            title="Elevation (m)"
+                            className="w-16 px-2 py-1 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md text-xs font-mono text-[var(--text-primary)]"
+                        />
+                        {levels.length > 1 && (
+                            <button
+                                onClick={(e) => { e.stopPropagation(); removeLevel(level.id); }}
+                                title="Remove level"
+                                className="p-1 rounded-md text-[var(--text-muted)] hover:text-red-400 hover:bg-red-500/10"
+                            >
+                                <X size={14} />
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
 // ============================================================================
 // Modern Upload Panel with Fixed Upload Area
 // ============================================================================
@@ -262,6 +402,7 @@ function UploadPanel() {
     const [progress, setProgress] = useState(0);
     const [dwgFile, setDwgFile] = useState(null);
     const [showDwgModal, setShowDwgModal] = useState(false);
+    const [showLayerMapping, setShowLayerMapping] = useState(false);
     const fileInputRef = useRef(null);
 
     const startSketchAnalysis = useProjectStore(s => s.startSketchAnalysis);
@@ -408,6 +549,12 @@ function UploadPanel() {
                     </div>
                 </div>
 
+                {/* Building levels - floors from this and further uploads */}
+                <LevelsSection />
+
+                {/* CAD layer mapping used for this file */}
+                <LayerProfilePicker onEdit={() => setShowLayerMapping(true)} />
+
                 {/* AI Chat */}
                 <ChatSection />
 
@@ -424,6 +571,8 @@ function UploadPanel() {
                     <X size={16} />
                     Start New Project
                 </motion.button>
+
+                <LayerMappingModal isOpen={showLayerMapping} onClose={() => setShowLayerMapping(false)} />
             </div>
         );
     }
@@ -520,6 +669,9 @@ function UploadPanel() {
                 )}
             </motion.div>
 
+            {/* CAD layer mapping applied to the next DXF upload */}
+            <LayerProfilePicker onEdit={() => setShowLayerMapping(true)} />
+
             {/* AI Agents Grid */}
             <div className="space-y-3">
                 <h4 className="panel-title">AI Agents</h4>
@@ -558,6 +710,8 @@ function UploadPanel() {
                 dwgFile={dwgFile}
                 onConversionComplete={handleConversionComplete}
             />
+
+            <LayerMappingModal isOpen={showLayerMapping} onClose={() => setShowLayerMapping(false)} />
         </div>
     );
 }
@@ -611,9 +765,11 @@ function LayersPanel() {
 function LibraryPanel() {
     const [activeTab, setActiveTab] = useState('furniture');
     const [searchQuery, setSearchQuery] = useState('');
+    const [showImport, setShowImport] = useState(false);
 
     const furniture = useBOQStore(s => s.furniture);
     const fitout = useBOQStore(s => s.fitout);
+    const currency = useBOQStore(s => s.rateLibrary?.currency || BASE_CURRENCY);
     const addItemToScene = useBOQStore(s => s.addItemToScene);
     const addNotification = useUIStore(s => s.addNotification);
 
@@ -629,6 +785,7 @@ function LibraryPanel() {
             description: item.description,
             category: activeTab,
             rate: item.rate,
+            currency,
             unit: item.uom,
         });
         addNotification({
@@ -666,8 +823,8 @@ function LibraryPanel() {
             </div>
 
             {/* Search */}
-            <div className="p-4">
-                <div className="relative">
+            <div className="p-4 flex gap-2">
+                <div className="relative flex-1">
                     <Search size={16} className="absolute left-4 top-1/2 -translate-y-1/2 text-[var(--text-muted)]" />
                     <input
                         type="text"
@@ -677,6 +834,13 @@ function LibraryPanel() {
                         className="w-full pl-11 pr-4 py-3 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-xl text-sm text-[var(--text-primary)] placeholder-[var(--text-disabled)] focus:border-[var(--accent-primary)] focus:outline-none transition-colors"
                     />
                 </div>
+                <button
+                    onClick={() => setShowImport(true)}
+                    title="Import a BOQ spreadsheet into the rate library"
+                    className="px-3 rounded-xl bg-[var(--bg-card)] border border-[var(--border-main)] text-[var(--text-secondary)] hover:border-[var(--accent-primary)] hover:text-[var(--accent-primary)] transition-colors"
+                >
+                    <FileSpreadsheet size={18} />
+                </button>
             </div>
 
             {/* Items List */}
@@ -698,9 +862,9 @@ function LibraryPanel() {
                             </div>
                             <div className="text-right">
                                 <span className="text-base font-black text-[var(--accent-secondary)]">
-                                    {item.rate?.toFixed?.(3) || item.rate}
+                                    {typeof item.rate === 'number' ? formatAmount(item.rate, currency) : item.rate}
                                 </span>
-                                <span className="text-[9px] text-[var(--text-muted)] block">OMR</span>
+                                <span className="text-[9px] text-[var(--text-muted)] block">{currency}</span>
                             </div>
                         </div>
                         <div className="mt-2 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -711,6 +875,8 @@ function LibraryPanel() {
                     </motion.div>
                 ))}
             </div>
+
+            <BOQImportModal isOpen={showImport} onClose={() => setShowImport(false)} />
         </div>
     );
 }
@@ -8,7 +8,7 @@ import {
     ChevronDown, ChevronUp, Wand2, Layers3, SunMedium,
     RotateCcw, Maximize2, ArrowRight, FileText, X, Menu, HelpCircle, Plus
 } from 'lucide-react';
-import { useUIStore, useProjectStore, useChatStore, useBOQStore, useSurveyorStore } from '../../store';
+import { useUIStore, useProjectStore, useChatStore, useBOQStore, useSurveyorStore, useHistoryStore } from '../../store';
 import { generateCompleteVisualization, editLayoutImage, fileToBase64, getMimeType } from '../../services/nanoPananaService';
 import { generatePPTX } from '../../utils/exportUtils';
 
@@ -805,6 +805,8 @@ export default function MainWorkspace() {
                     walls3D: standardWalls,
                     placedFurniture: standardFurniture,
                     rooms3D: visualization.rooms || [],
+                    levels: [],
+                    activeLevelId: null,
                     workflowPhase: 'ready',
                     nanoPananaRenders: visualization.render ? [{ image: visualization.render, title: 'Main Visualization' }] : [],
                     sketchPreviewUrl: file ? (typeof file === 'string' ? file : URL.createObjectURL(file)) : null,
@@ -820,16 +822,20 @@ export default function MainWorkspace() {
 
             if (visualization.boqItems?.length > 0) {
                 const bStore = (await import('../../store')).useBOQStore.getState();
-                bStore.clearScene();
-                visualization.boqItems.forEach((item, index) => {
-                    bStore.addItemToScene({
-                        code: item.itemCode || `AUTO-${index + 1}`,
-                        name: item.name,
-                        description: item.description,
-                        category: item.category || 'General',
-                        rate: item.estimatedRate || 0,
-                        unit: item.unit || 'nos'
-                    }, item.quantity || 1, { x: 0, y: 0, z: 0 });
+                // One undo step for the whole generated BOQ
+                useHistoryStore.getState().batch('Load generated BOQ', () => {
+                    bStore.clearScene();
+                    visualization.boqItems.forEach((item, index) => {
+                        bStore.addItemToScene({
+                            code: item.itemCode || `AUTO-${index + 1}`,
+                            name: item.name,
+                            description: item.description,
+                            category: item.category || 'General',
+                            rate: item.estimatedRate || 0,
+                            currency: item.currency,
+                            unit: item.unit || 'nos'
+                        }, item.quantity || 1, { x: 0, y: 0, z: 0 });
+                    });
                 });
             }
 
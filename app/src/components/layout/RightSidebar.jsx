@@ -4,16 +4,17 @@
  * Beautiful descriptive sliders with high/low indicators
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     Sun, Palette, Settings, ChevronRight,
     Monitor, Camera, Box,
     Sparkles, Maximize, Layers,
     CloudSun, View, Globe, Glasses, Moon, Sunrise,
-    Thermometer, SunDim, Droplets, Factory
+    Thermometer, SunDim, Droplets, Factory, PaintRoller
 } from 'lucide-react';
 import { useUIStore, useLightingStore, useRenderStore, useSurveyorStore } from '../../store';
+import FinishesScheduleModal from '../ui/FinishesScheduleModal';
 
 // ============================================================================
 // Tab Button Component
@@ -323,6 +324,8 @@ function LightingPanel() {
 function MaterialsPanel() {
     const activeStyle = useRenderStore(s => s.activeStyle);
     const setActiveStyle = useRenderStore(s => s.setActiveStyle);
+    const takeoffRooms = useSurveyorStore(s => s.takeoffRooms);
+    const [showFinishes, setShowFinishes] = useState(false);
 
     const styles = [
         {
@@ -436,10 +439,30 @@ function MaterialsPanel() {
                 </div>
             </div>
 
+            {/* Finishes Schedule */}
+            <div className="space-y-3">
+                <h4 className="panel-title">Room Finishes</h4>
+                <button
+                    onClick={() => setShowFinishes(true)}
+                    className="w-full p-4 rounded-xl border text-left bg-[var(--bg-card)] border-[var(--border-main)] hover:border-[var(--border-strong)] transition-all flex items-center gap-3"
+                >
+                    <PaintRoller size={16} className="text-[var(--accent-primary)]" />
+                    <div className="flex-1">
+                        <h5 className="text-sm font-bold text-[var(--text-primary)]">Finishes Schedule</h5>
+                        <p className="text-[10px] text-[var(--text-muted)]">
+                            Floor, wall, ceiling and skirting finishes for {takeoffRooms.length} rooms, priced into the BOQ
+                        </p>
+                    </div>
+                    <ChevronRight size={14} className="text-[var(--text-muted)]" />
+                </button>
+            </div>
+
             <button className="w-full btn-premium flex items-center justify-center gap-2 py-3">
                 <Camera size={16} />
                 Generate AI Render
             </button>
+
+            <FinishesScheduleModal isOpen={showFinishes} onClose={() => setShowFinishes(false)} />
         </div>
     );
 }
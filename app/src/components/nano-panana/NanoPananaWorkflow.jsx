@@ -183,7 +183,9 @@ export default function NanoPananaWorkflow({ onRenderComplete, onExportReady })
                 useProjectStore.getState().setProjectData({
                     sceneData3D: visualization.sceneData,
                     analysisResult: visualization.analysisResult,
-                    rooms3D: visualization.rooms || []
+                    rooms3D: visualization.rooms || [],
+                    levels: [],
+                    activeLevelId: null
                 });
             }
 
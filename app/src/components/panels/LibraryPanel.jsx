@@ -20,6 +20,8 @@ import {
     Layers
 } from 'lucide-react';
 import { useBOQStore, useUIStore } from '../../store';
+import { formatMoney } from '../../services/pricing';
+import { BASE_CURRENCY } from '../../config/currencies';
 
 // Category Icons
 const categoryIcons = {
@@ -39,6 +41,7 @@ const categoryIcons = {
 // ============================================================================
 
 function BOQItemCard({ item, onAdd }) {
+    const currency = useBOQStore(s => s.rateLibrary?.currency || BASE_CURRENCY);
     const [isHovered, setIsHovered] = useState(false);
 
     const Icon = categoryIcons[item.category] || categoryIcons.default;
@@ -67,7 +70,7 @@ function BOQItemCard({ item, onAdd }) {
             </div>
 
             <div className="flex flex-col items-end gap-2">
-                <span className="boq-item-rate">{item.rate.toFixed(3)} OMR</span>
+                <span className="boq-item-rate">{formatMoney(item.rate, currency)}</span>
                 <motion.button
                     className="opacity-0 group-hover:opacity-100 transition-opacity p-1.5 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 text-blue-400"
                     onClick={(e) => {
@@ -135,6 +138,7 @@ function CategorySection({ category, items, onAddItem }) {
 
 export default function LibraryPanel() {
     const { furniture, fitout, loadBOQLibrary, addItemToScene, isLoading } = useBOQStore();
+    const currency = useBOQStore(s => s.rateLibrary?.currency || BASE_CURRENCY);
     const { searchQuery, setSearchQuery, activeCategory, setActiveCategory } = useUIStore();
     const addNotification = useUIStore(state => state.addNotification);
 
@@ -264,7 +268,7 @@ export default function LibraryPanel() {
                 <div className="flex items-center justify-between text-xs text-gray-500">
                     <span>{filteredItems.length} items</span>
                     <span className="font-mono">
-                        Total: {filteredItems.reduce((sum, item) => sum + (item.rate * (item.quantity || 1)), 0).toFixed(3)} OMR
+                        Total: {formatMoney(filteredItems.reduce((sum, item) => sum + (item.rate * (item.quantity || 1)), 0), currency)}
                     </span>
                 </div>
             </div>
@@ -18,6 +18,9 @@ import {
     Brush,
 } from 'lucide-react';
 import { useBOQStore, useUIStore, useProjectStore } from '../../store';
+import { resolveRate } from '../../services/rateLibrary';
+import { formatAmount } from '../../services/pricing';
+import { BASE_CURRENCY } from '../../config/currencies';
 
 // ============================================================================
 // Material Palettes from Design & Build Library
@@ -121,7 +124,13 @@ function ColorSwatch({ color, size = 'md', showLabel = true }) {
 // Material Card Component
 // ============================================================================
 
+// Library codes show the library rate; the palette's own rates are indicative, in OMR
 function MaterialCard({ material }) {
+    const rateLibrary = useBOQStore(state => state.rateLibrary);
+    const libraryRate = resolveRate(rateLibrary, material.code);
+    const rate = libraryRate ?? material.rate;
+    const currency = libraryRate === null ? BASE_CURRENCY : rateLibrary.currency;
+
     return (
         <div className="flex items-center gap-3 p-3 rounded-lg bg-studio-hover border border-studio-border">
             <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-gray-300 to-gray-500 flex items-center justify-center">
@@ -132,8 +141,8 @@ function MaterialCard({ material }) {
                 <p className="text-xs text-gray-500">{material.code}</p>
             </div>
             <div className="text-right">
-                <p className="text-sm text-green-400 font-mono">{material.rate.toFixed(2)}</p>
-                <p className="text-[10px] text-gray-500">OMR/{material.uom}</p>
+                <p className="text-sm text-green-400 font-mono">{formatAmount(rate, currency)}</p>
+                <p className="text-[10px] text-gray-500">{currency}/{material.uom}</p>
             </div>
         </div>
     );
@@ -0,0 +1,363 @@
+/**
+ * Design & Build - BOQ Import Modal
+ * Import a client BOQ spreadsheet into the rate library: map its columns,
+ * check the rows, merge them as a new library version - or go back to an
+ * earlier one.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, FileSpreadsheet, Upload, CheckCircle, AlertTriangle, History, RotateCcw } from 'lucide-react';
+import { useBOQStore, useUIStore } from '../../store';
+import { BOQ_FIELDS, readSpreadsheet, detectHeaderRow, guessMapping, extractRows, validateRows } from '../../services/boqImport';
+import { formatAmount } from '../../services/pricing';
+
+// Rows listed in the preview; the counts cover every row
+const PREVIEW_ROWS = 200;
+
+const STATUS_STYLES = {
+    new: { label: 'New', color: '#10B981' },
+    update: { label: 'Update', color: '#06B6D4' },
+    unchanged: { label: 'Unchanged', color: '#6B7280' },
+    error: { label: 'Error', color: '#EF4444' },
+};
+
+// Spreadsheet column letters: 0 → A, 26 → AA
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+};
+
+const formatRate = (rate, currency) => (Number.isFinite(rate) ? formatAmount(rate, currency) : '—');
+
+export default function BOQImportModal({ isOpen, onClose }) {
+    const rateLibrary = useBOQStore(s => s.rateLibrary);
+    const libraryData = useBOQStore(s => s.libraryData);
+    const activeLibrary = useBOQStore(s => s.rateLibraries.find(l => l.id === s.project.rateLibraryId) || s.rateLibraries[0]);
+    const importLibraryRows = useBOQStore(s => s.importLibraryRows);
+    const restoreLibraryVersion = useBOQStore(s => s.restoreLibraryVersion);
+    const addNotification = useUIStore(s => s.addNotification);
+
+    const [fileName, setFileName] = useState(null);
+    const [sheets, setSheets] = useState([]);
+    const [sheetIndex, setSheetIndex] = useState(0);
+    const [headerIndex, setHeaderIndex] = useState(0);
+    const [mapping, setMapping] = useState(null);
+    const [section, setSection] = useState('auto');
+    const [issuesOnly, setIssuesOnly] = useState(false);
+    const [readError, setReadError] = useState(null);
+
+    const sheet = sheets[sheetIndex];
+    const headerRow = sheet?.rows[headerIndex] || [];
+    const columnCount = sheet ? Math.max(0, ...sheet.rows.slice(0, headerIndex + 50).map(row => row.length)) : 0;
+    const missingFields = mapping ? BOQ_FIELDS.filter(f => f.required && mapping[f.key] === null) : [];
+
+    const rows = useMemo(() => (
+        sheet && mapping && missingFields.length === 0
+            ? validateRows(extractRows(sheet.rows, headerIndex, mapping), rateLibrary)
+            : []
+    ), [sheet, headerIndex, mapping, missingFields.length, rateLibrary]);
+
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+    const importable = (counts.new || 0) + (counts.update || 0);
+    const listed = (issuesOnly ? rows.filter(row => row.status === 'error') : rows).slice(0, PREVIEW_ROWS);
+
+    // A sheet's header row and columns are guessed afresh when it is picked
+    const selectSheet = (allSheets, index) => {
+        const header = detectHeaderRow(allSheets[index].rows);
+        setSheetIndex(index);
+        setHeaderIndex(header);
+        setMapping(guessMapping(allSheets[index].rows[header]));
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setReadError(null);
+        try {
+            const read = await readSpreadsheet(file);
+            if (!read.some(s => s.rows.length > 0)) throw new Error('The file has no rows');
+            setFileName(file.name);
+            setSheets(read);
+            selectSheet(read, Math.max(read.findIndex(s => s.rows.length > 0), 0));
+        } catch (error) {
+            setReadError(`Could not read ${file.name}: ${error.message}`);
+            setSheets([]);
+            setMapping(null);
+        }
+    };
+
+    const handleHeaderRow = (value) => {
+        const index = Math.min(Math.max((parseInt(value, 10) || 1) - 1, 0), Math.max(sheet.rows.length - 1, 0));
+        setHeaderIndex(index);
+        setMapping(guessMapping(sheet.rows[index]));
+    };
+
+    const handleImport = () => {
+        const entry = importLibraryRows(rows, { fileName, section });
+        const { added, updated, rejected } = entry.summary;
+        addNotification({
+            type: 'success',
+            title: `Rate Library v${entry.version}`,
+            message: `${added} added, ${updated} updated${rejected ? `, ${rejected} rows with errors skipped` : ''} from ${fileName}`,
+        });
+        setSheets([]);
+        setMapping(null);
+        setFileName(null);
+    };
+
+    const handleRestore = async (version) => {
+        await restoreLibraryVersion(version);
+        addNotification({
+            type: 'info',
+            title: 'Rate Library Restored',
+            message: version
+                ? `${activeLibrary.name}: using v${version}`
+                : `${activeLibrary.name}: using ${activeLibrary.builtIn ? 'boq_library.json' : 'the library before imports'}`,
+        });
+    };
+
+    if (!isOpen) return null;
+
+    const modalContent = (
+        <AnimatePresence>
+            <div className="modal-overlay">
+                <motion.div
+                    className="absolute inset-0 opacity-100"
+                    onClick={onClose}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                />
+
+                <motion.div
+                    className="relative w-full max-w-5xl max-h-[90vh] overflow-hidden glass-modal z-10"
+                    initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                    animate={{ scale: 1, opacity: 1, y: 0 }}
+                    exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                    transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between p-6 border-b border-[var(--border-main)] bg-[var(--bg-header)]">
+                        <div className="flex items-center gap-4">
+                            <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-emerald-500 to-cyan-600 flex items-center justify-center shadow-lg">
+                                <FileSpreadsheet size={24} className="text-white" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-extrabold text-[var(--text-primary)] tracking-tight">Import BOQ</h2>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    {activeLibrary.name} v{libraryData?.metadata?.version || '—'} · {rateLibrary?.items.length || 0} items · rates in {activeLibrary.currency}
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-full hover:bg-[var(--bg-hover)] text-[var(--text-muted)] hover:text-[var(--text-primary)] transition-all border border-[var(--border-main)]"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-[1fr_16rem] gap-6 p-6 overflow-y-auto max-h-[75vh] custom-scroll">
+                        <div className="space-y-4 min-w-0">
+                            {/* File */}
+                            <label className="flex items-center justify-center gap-2 py-3 rounded-xl border-2 border-dashed border-[var(--border-main)] hover:border-[var(--accent-primary)] cursor-pointer text-sm text-[var(--text-secondary)] transition-colors">
+                                <Upload size={16} />
+                                {fileName ? `${fileName} - choose another file` : 'Choose an .xlsx, .xls or .csv BOQ'}
+                                <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFile} className="hidden" />
+                            </label>
+                            {readError && <p className="text-xs text-red-400">{readError}</p>}
+
+                            {sheet && mapping && (
+                                <>
+                                    {/* Sheet, header row and target section */}
+                                    <div className="grid grid-cols-3 gap-3">
+                                        <label className="block">
+                                            <span className="block text-xs font-bold text-[var(--text-secondary)] mb-1">Sheet</span>
+                                            <select
+                                                value={sheetIndex}
+                                                onChange={(e) => selectSheet(sheets, Number(e.target.value))}
+                                                className="w-full px-3 py-2 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-sm text-[var(--text-primary)]"
+                                            >
+                                                {sheets.map((s, i) => <option key={s.name} value={i}>{s.name} ({s.rows.length} rows)</option>)}
+                                            </select>
+                                        </label>
+                                        <label className="block">
+                                            <span className="block text-xs font-bold text-[var(--text-secondary)] mb-1">Header row</span>
+                                            <input
+                                                type="number"
+                                                min={1}
+                                                max={sheet.rows.length}
+                                                value={headerIndex + 1}
+                                                onChange={(e) => handleHeaderRow(e.target.value)}
+                                                className="w-full px-3 py-2 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-sm text-[var(--text-primary)]"
+                                            />
+                                        </label>
+                                        <label className="block">
+                                            <span className="block text-xs font-bold text-[var(--text-secondary)] mb-1">New codes go to</span>
+                                            <select
+                                                value={section}
+                                                onChange={(e) => setSection(e.target.value)}
+                                                className="w-full px-3 py-2 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-sm text-[var(--text-primary)]"
+                                            >
+                                                <option value="auto">By unit (m², m → fit-out)</option>
+                                                <option value="furniture">Furniture</option>
+                                                <option value="fitout">Fit-out</option>
+                                            </select>
+                                        </label>
+                                    </div>
+
+                                    {/* Column mapping */}
+                                    <div>
+                                        <h4 className="panel-title mb-2">Columns</h4>
+                                        <div className="grid grid-cols-4 gap-2">
+                                            {BOQ_FIELDS.map(field => (
+                                                <label key={field.key} className="block">
+                                                    <span className="block text-[10px] font-bold text-[var(--text-muted)] mb-0.5">
+                                                        {field.label}{field.required ? ' *' : ''}
+                                                    </span>
+                                                    <select
+                                                        value={mapping[field.key] ?? ''}
+                                                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === '' ? null : Number(e.target.value) })}
+                                                        className="w-full px-2 py-1.5 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-xs text-[var(--text-primary)]"
+                                                    >
+                                                        <option value="">—</option>
+                                                        {Array.from({ length: columnCount }, (_, i) => (
+                                                            <option key={i} value={i}>
+                                                                {columnName(i)}{headerRow[i] !== '' && headerRow[i] !== undefined ? `: ${String(headerRow[i]).slice(0, 24)}` : ''}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </label>
+                                            ))}
+                                        </div>
+                                        {missingFields.length > 0 && (
+                                            <p className="mt-2 text-xs text-amber-400">Map the {missingFields.map(f => f.label.toLowerCase()).join(' and ')} column to preview the rows.</p>
+                                        )}
+                                    </div>
+
+                                    {/* Preview */}
+                                    {missingFields.length === 0 && (
+                                        <div>
+                                            <div className="flex items-center justify-between mb-2">
+                                                <div className="flex items-center gap-3 text-xs">
+                                                    {Object.entries(STATUS_STYLES).map(([status, style]) => (
+                                                        <span key={status} style={{ color: style.color }}>{counts[status] || 0} {style.label.toLowerCase()}</span>
+                                                    ))}
+                                                </div>
+                                                <label className="flex items-center gap-1.5 text-xs text-[var(--text-secondary)]">
+                                                    <input type="checkbox" checked={issuesOnly} onChange={(e) => setIssuesOnly(e.target.checked)} />
+                                                    Errors only
+                                                </label>
+                                            </div>
+                                            <div className="max-h-72 overflow-auto custom-scroll rounded-lg border border-[var(--border-main)]">
+                                                <table className="w-full text-xs">
+                                                    <thead className="sticky top-0 bg-[var(--bg-header)] text-[var(--text-muted)]">
+                                                        <tr>
+                                                            <th className="px-2 py-1.5 text-left">Row</th>
+                                                            <th className="px-2 py-1.5 text-left">Code</th>
+                                                            <th className="px-2 py-1.5 text-left">Item</th>
+                                                            <th className="px-2 py-1.5 text-left">Unit</th>
+                                                            <th className="px-2 py-1.5 text-right">Rate ({activeLibrary.currency})</th>
+                                                            <th className="px-2 py-1.5 text-left">Status</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {listed.map(row => {
+                                                            const style = STATUS_STYLES[row.status];
+                                                            return (
+                                                                <tr key={row.row} className="border-t border-[var(--border-main)] text-[var(--text-primary)]">
+                                                                    <td className="px-2 py-1 text-[var(--text-muted)]">{row.row}</td>
+                                                                    <td className="px-2 py-1 font-mono">{row.code || '—'}</td>
+                                                                    <td className="px-2 py-1 max-w-[16rem] truncate">{row.name || row.description}</td>
+                                                                    <td className="px-2 py-1">{row.unit}</td>
+                                                                    <td className="px-2 py-1 text-right font-mono">
+                                                                        {row.status === 'update' && row.previousRate !== row.rate && (
+                                                                            <span className="text-[var(--text-muted)] line-through mr-1">{formatRate(row.previousRate, activeLibrary.currency)}</span>
+                                                                        )}
+                                                                        {formatRate(row.rate, activeLibrary.currency)}
+                                                                    </td>
+                                                                    <td className="px-2 py-1" style={{ color: style.color }} title={row.issues.join('; ')}>
+                                                                        {row.status === 'error' ? row.issues.join('; ') : style.label}
+                                                                    </td>
+                                                                </tr>
+                                                            );
+                                                        })}
+                                                    </tbody>
+                                                </table>
+                                                {listed.length === 0 && (
+                                                    <p className="p-4 text-center text-xs text-[var(--text-muted)]">No rows to show.</p>
+                                                )}
+                                            </div>
+                                            {rows.length > PREVIEW_ROWS && !issuesOnly && (
+                                                <p className="mt-1 text-[10px] text-[var(--text-muted)]">Showing the first {PREVIEW_ROWS} of {rows.length} rows.</p>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    <div className="flex items-center justify-end gap-3">
+                                        {counts.error > 0 && (
+                                            <span className="flex items-center gap-1.5 text-xs text-amber-400">
+                                                <AlertTriangle size={12} /> Rows with errors are skipped
+                                            </span>
+                                        )}
+                                        <button
+                                            onClick={handleImport}
+                                            disabled={importable === 0}
+                                            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-[var(--accent-primary)] text-white text-sm font-bold disabled:opacity-40"
+                                        >
+                                            <CheckCircle size={14} /> Import {importable} {importable === 1 ? 'item' : 'items'}
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+
+                        {/* Versions */}
+                        <div className="space-y-2">
+                            <h4 className="panel-title flex items-center gap-2"><History size={14} /> Versions</h4>
+                            {[...activeLibrary.versions].reverse().map(entry => (
+                                <VersionRow
+                                    key={entry.version}
+                                    title={`v${entry.version}`}
+                                    detail={`${entry.source} · ${new Date(entry.importedAt).toLocaleDateString()} · +${entry.summary.added} ~${entry.summary.updated}`}
+                                    isActive={entry.version === activeLibrary.activeVersion}
+                                    onRestore={() => handleRestore(entry.version)}
+                                />
+                            ))}
+                            <VersionRow
+                                title={activeLibrary.builtIn ? 'boq_library.json' : 'Empty'}
+                                detail={activeLibrary.builtIn ? 'As shipped' : 'Before any import'}
+                                isActive={!activeLibrary.activeVersion}
+                                onRestore={() => handleRestore(null)}
+                            />
+                        </div>
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>
+    );
+
+    return createPortal(modalContent, document.body);
+}
+
+function VersionRow({ title, detail, isActive, onRestore }) {
+    return (
+        <div className={`flex items-center gap-2 px-3 py-2 rounded-lg border ${isActive ? 'border-[var(--accent-primary)] bg-[var(--accent-primary)]/10' : 'border-[var(--border-main)] bg-[var(--bg-card)]'}`}>
+            <div className="flex-1 min-w-0">
+                <p className="text-xs font-bold text-[var(--text-primary)]">{title}</p>
+                <p className="text-[10px] text-[var(--text-muted)] truncate">{detail}</p>
+            </div>
+            {isActive ? (
+                <span className="text-[10px] font-bold text-[var(--accent-primary)]">In use</span>
+            ) : (
+                <button onClick={onRestore} title="Use this version" className="p-1.5 rounded-lg hover:bg-[var(--bg-hover)] text-[var(--text-secondary)]">
+                    <RotateCcw size={12} />
+                </button>
+            )}
+        </div>
+    );
+}
@@ -3,27 +3,248 @@
  * High-performance 2D vector rendering with snapping and real-time drafting
  */
 
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { useProjectStore, useUIStore } from '../../store';
+import React, { useRef, useEffect, useState, useCallback, useMemo, useImperativeHandle } from 'react';
+import { useProjectStore, useHistoryStore } from '../../store';
+import {
+    EDIT_TOOLS, firstEditStep, pickEntity, entitiesInWindow, distanceToEntity,
+    moveEntity, rotateEntity, scaleEntity, mirrorEntity, offsetEntity, trimEntity, extendEntity,
+} from '../../services/cadEditing';
+import {
+    DRAW_TOOLS, DRAWING_UNITS, TEXT_STEPS, parsePoint, parseNumber, pointAtDistance, matchOption, formatPrompt, formatLength,
+} from '../../services/cadCommandLine';
+import { SNAP_MODES, createEntityIndex, findSnap, orthoPoint, polarTrack } from '../../services/cadSnaps';
+import {
+    DIMENSION_KINDS, isAnnotation, styleFormat, resolveAnnotations, annotationGeometry, createDimension,
+    findRoomBoundary, boundaryRing,
+} from '../../services/cadAnnotations';
+import { entityStroke } from '../../services/cadProperties';
+import { isHatch, isSolidHatch, hatchRings, hatchLines, hatchBoundary, createHatch, hatchArea } from '../../services/cadHatches';
+import { isLayerShown, isLayerEditable } from '../../services/cadLayers';
+import { LINETYPES } from '../../config/lineStyles';
+import { HATCH_PATTERNS } from '../../config/hatchPatterns';
+import { polygonArea } from '../../utils/geometry';
+
+const PICK_RADIUS = 6;      // px
+const SELECTION_COLOR = '#60A5FA';
+const PREVIEW_COLOR = '#3B82F6';
+const SNAP_COLOR = '#FBBF24';
+const LOCKED_LAYER_ALPHA = 0.5; // Locked layers draw faded, as in AutoCAD
+const SNAP_APERTURE = 10;   // px
+const MARKER_SIZE = 5;      // px - half the marker width
+const GRID_MIN_SPACING = 20; // px
+const PX_PER_LINEWEIGHT = 6; // px per mm, so the default 0.25 mm draws 1.5 px wide
+const HATCH_FILL_ALPHA = 0.35;  // Solid fills stay translucent so linework shows through
+const HATCH_SHADE_ALPHA = 0.12; // Patterns too fine to see at the zoom draw as a light fill
+const HATCH_MIN_SPACING = 2;    // px between pattern lines before that happens
+
+// Draw tools that place text, leaders, dimensions and room tags
+const ANNOTATION_TOOLS = ['text', 'leader', 'roomtag', ...Object.keys(DIMENSION_KINDS)];
+
+// Snap toggles on the function keys, as in AutoCAD
+const SNAP_KEYS = { F3: ['osnap', 'Osnap'], F8: ['ortho', 'Ortho'], F9: ['grid', 'Snap'], F10: ['polar', 'Polar'] };
+
+const withoutId = (entity) => {
+    const { id: _id, ...rest } = entity;
+    return rest;
+};
 
-export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }) {
+/**
+ * Displayed grid spacing in meters: the smallest power of ten at least
+ * GRID_MIN_SPACING pixels apart
+ */
+function gridStepFor(scale) {
+    let step = 1;
+    while (step * scale < GRID_MIN_SPACING) step *= 10;
+    return step;
+}
+
+// Pattern linework per hatch, kept while the hatch object is unchanged
+const hatchLineCache = new WeakMap();
+
+function cachedHatchLines(entity) {
+    if (!hatchLineCache.has(entity)) hatchLineCache.set(entity, hatchLines(entity));
+    return hatchLineCache.get(entity);
+}
+
+/**
+ * Closest spacing between the lines of a hatch pattern, in meters
+ */
+function patternSpacing(entity) {
+    const lines = HATCH_PATTERNS[entity.pattern]?.lines || [];
+    const spacing = Math.min(...lines.map(family => Math.abs(family.offset[1])));
+    return spacing * (entity.scale > 0 ? entity.scale : 1);
+}
+
+/**
+ * Canvas dash array for a linetype; dots and dashes never shrink below a pixel
+ */
+function dashPattern(linetype, scale) {
+    return (LINETYPES[linetype]?.pattern || []).map(length => Math.max(Math.abs(length) * scale, 1));
+}
+
+/**
+ * Object snap marker centred on screen point s
+ */
+function drawSnapMarker(ctx, mode, s) {
+    const m = MARKER_SIZE;
+    ctx.beginPath();
+    if (mode === 'endpoint') {
+        ctx.rect(s.x - m, s.y - m, m * 2, m * 2);
+    } else if (mode === 'midpoint') {
+        ctx.moveTo(s.x, s.y - m);
+        ctx.lineTo(s.x + m, s.y + m);
+        ctx.lineTo(s.x - m, s.y + m);
+        ctx.closePath();
+    } else if (mode === 'center') {
+        ctx.arc(s.x, s.y, m, 0, Math.PI * 2);
+    } else if (mode === 'intersection') {
+        ctx.moveTo(s.x - m, s.y - m); ctx.lineTo(s.x + m, s.y + m);
+        ctx.moveTo(s.x + m, s.y - m); ctx.lineTo(s.x - m, s.y + m);
+    } else if (mode === 'perpendicular') {
+        ctx.moveTo(s.x - m, s.y - m); ctx.lineTo(s.x - m, s.y + m); ctx.lineTo(s.x + m, s.y + m);
+        ctx.moveTo(s.x - m, s.y); ctx.lineTo(s.x, s.y); ctx.lineTo(s.x, s.y + m);
+    } else if (mode === 'nearest') {
+        ctx.moveTo(s.x - m, s.y - m); ctx.lineTo(s.x + m, s.y - m);
+        ctx.lineTo(s.x - m, s.y + m); ctx.lineTo(s.x + m, s.y + m);
+        ctx.closePath();
+    } else if (mode === 'extension') {
+        ctx.moveTo(s.x - m, s.y); ctx.lineTo(s.x + m, s.y);
+        ctx.moveTo(s.x, s.y - m); ctx.lineTo(s.x, s.y + m);
+    }
+    ctx.stroke();
+}
+
+/**
+ * Annotation lines, arcs, arrowheads and text in the current stroke color
+ */
+function drawAnnotation(ctx, entity, toScreen, scale) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    ctx.beginPath();
+    lines.forEach(([a, b]) => {
+        const sa = toScreen(a.x, a.y);
+        const sb = toScreen(b.x, b.y);
+        ctx.moveTo(sa.x, sa.y);
+        ctx.lineTo(sb.x, sb.y);
+    });
+    arcs.forEach(({ center, radius, start, end }) => {
+        const s = toScreen(center.x, center.y);
+        ctx.moveTo(s.x + radius * scale * Math.cos(start), s.y + radius * scale * Math.sin(start));
+        ctx.arc(s.x, s.y, radius * scale, start, end);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = ctx.strokeStyle;
+    arrows.forEach(corners => {
+        ctx.beginPath();
+        corners.forEach((p, i) => {
+            const s = toScreen(p.x, p.y);
+            if (i === 0) ctx.moveTo(s.x, s.y);
+            else ctx.lineTo(s.x, s.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+    });
+
+    texts.forEach(text => {
+        const s = toScreen(text.position.x, text.position.y);
+        ctx.save();
+        ctx.translate(s.x, s.y);
+        ctx.rotate(text.rotation);
+        ctx.font = `${Math.max(text.height * scale, 1)}px sans-serif`;
+        ctx.textAlign = text.align;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text.value, 0, 0);
+        ctx.restore();
+    });
+}
+
+/**
+ * Apply a plan transform to a set of entities for previews and commits.
+ * A dragged scale factor is the cursor's distance from the base in drawing units.
+ */
+function transformFor(op, point, toMeters = 1) {
+    if (op.tool === 'move' || op.tool === 'copy') {
+        return entity => moveEntity(entity, point.x - op.base.x, point.y - op.base.y);
+    }
+    if (op.tool === 'rotate') {
+        const angle = Math.atan2(point.y - op.base.y, point.x - op.base.x);
+        return entity => rotateEntity(entity, op.base, angle);
+    }
+    if (op.tool === 'scale') {
+        const factor = Math.hypot(point.x - op.base.x, point.y - op.base.y) / toMeters;
+        return entity => (factor > 1e-9 ? scaleEntity(entity, op.base, factor) : entity);
+    }
+    if (op.tool === 'mirror') {
+        return entity => mirrorEntity(entity, op.first, point);
+    }
+    return entity => entity;
+}
+
+/**
+ * Drafting canvas. Mouse picks and the console's typed input drive the same
+ * tool steps; the parent reaches typed input and zoom through `ref`:
+ * { submitInput(text) -> handled, zoom(optionOrFactor), cancel() }.
+ */
+export default function CADCanvas({ ref, activeTool, activeLayer, onCommandComplete, onPrompt, onToolDone, toolOptions = {} }) {
     const canvasRef = useRef(null);
     const containerRef = useRef(null);
 
-    // Store State
-    const cadEntities = useProjectStore(s => s.cadEntities);
+    // Store State - annotations are read with their references resolved, so
+    // dimensions follow the geometry they measure
+    const storedEntities = useProjectStore(s => s.cadEntities);
+    const cadEntities = useMemo(() => resolveAnnotations(storedEntities), [storedEntities]);
     const cadLayers = useProjectStore(s => s.cadLayers);
     const addCadEntity = useProjectStore(s => s.addCadEntity);
+    const updateCadEntity = useProjectStore(s => s.updateCadEntity);
+    const removeCadEntity = useProjectStore(s => s.removeCadEntity);
+    const selection = useProjectStore(s => s.cadSelection);
+    const setCadSelection = useProjectStore(s => s.setCadSelection);
+    const cadUnits = useProjectStore(s => s.cadUnits);
+    const cadSnap = useProjectStore(s => s.cadSnap);
+    const setCadSnap = useProjectStore(s => s.setCadSnap);
+    const cadDimStyles = useProjectStore(s => s.cadDimStyles);
+    const activeDimStyle = useProjectStore(s => s.activeDimStyle);
+    const { batch, undo, redo } = useHistoryStore.getState();
+    const toMeters = (DRAWING_UNITS[cadUnits] || DRAWING_UNITS.m).toMeters;
 
     // View State
     const [view, setView] = useState({ scale: 10, offsetX: 0, offsetY: 0 });
     const [mousePos, setMousePos] = useState({ x: 0, y: 0, cadX: 0, cadY: 0 });
     const [snappedPos, setSnappedPos] = useState({ x: 0, y: 0, cadX: 0, cadY: 0 });
 
-    // Drafting State
-    const [isDrawing, setIsDrawing] = useState(false);
-    const [startPoint, setStartPoint] = useState(null);
-    const [tempPoints, setTempPoints] = useState([]);
+    // Drafting State - the draw tool's step and the points placed so far
+    const [draft, setDraft] = useState({ step: DRAW_TOOLS[activeTool]?.steps[0], points: [] });
+    const lastPointRef = useRef(null); // Reference for typed @ input
+
+    // Editing State - the active modify tool's step and picked points
+    const [edit, setEdit] = useState({ tool: activeTool, step: firstEditStep(activeTool, false) });
+    const [windowStart, setWindowStart] = useState(null); // Selection window first corner (screen + CAD)
+    const [hoverId, setHoverId] = useState(null);
+
+    // Switching tools drops whatever the previous tool was part-way through;
+    // objects selected beforehand let a modify tool skip "select objects"
+    const [lastTool, setLastTool] = useState(activeTool);
+    if (lastTool !== activeTool) {
+        setLastTool(activeTool);
+        setEdit({ tool: activeTool, step: firstEditStep(activeTool, selection.length > 0) });
+        setWindowStart(null);
+        setDraft({ step: DRAW_TOOLS[activeTool]?.steps[0], points: [] });
+    }
+
+    const op = edit;
+    const isDrawing = draft.points.length > 0;
+    const startPoint = draft.points[draft.points.length - 1] || null;
+    const isEditTool = !!EDIT_TOOLS[activeTool];
+    const selecting = activeTool === 'select' || op.step === 'select';
+    const picking = op.step === 'pick';
+    const annotating = ANNOTATION_TOOLS.includes(activeTool);
+    const dimStyle = cadDimStyles.find(style => style.name === activeDimStyle) || cadDimStyles[0];
+
+    // Point the current step measures from: ortho, polar tracking and the
+    // perpendicular snap work relative to it
+    const trackFrom = isEditTool
+        ? (['target', 'angle', 'factor', 'second'].includes(op.step) ? op.base || op.first : null)
+        : startPoint;
 
     // ============================================================================
     // Coordinate Conversion
@@ -45,32 +266,51 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
     // Snapping Logic
     // ============================================================================
 
+    // Snap only to geometry on screen; rebuilt when the drawing or layer visibility changes
+    const snapIndex = useMemo(() => createEntityIndex(cadEntities.filter(entity => {
+        const layer = cadLayers.find(l => l.name === entity.layer);
+        return !isAnnotation(entity) && !isHatch(entity) && isLayerShown(layer);
+    })), [cadEntities, cadLayers]);
+
+    /**
+     * Cursor position after snapping, in order: object snap, then ortho or
+     * polar tracking from the step's base point, then the grid
+     * @returns {Object} { x, y, snap?, track? }
+     */
     const getSnappedPoint = (cadX, cadY) => {
-        // Grid snapping (1.0 units)
-        const snap = 1.0;
-        const sx = Math.round(cadX / snap) * snap;
-        const sy = Math.round(cadY / snap) * snap;
-
-        // Point snapping (to existing vertices)
-        let finalX = sx;
-        let finalY = sy;
-        let minDist = 0.5 / view.scale;
-
-        cadEntities.forEach(entity => {
-            if (entity.points) {
-                entity.points.forEach(p => {
-                    const d = Math.sqrt((p.x - cadX) ** 2 + (p.y - cadY) ** 2);
-                    if (d < minDist) {
-                        minDist = d;
-                        finalX = p.x;
-                        finalY = p.y;
-                    }
-                });
-            }
-        });
+        const cursor = { x: cadX, y: cadY };
+        const wantsPoint = (DRAW_TOOLS[activeTool] || isEditTool) && activeTool !== 'hatch' && !selecting && !picking;
+        if (!wantsPoint) return cursor;
+
+        const aperture = SNAP_APERTURE / view.scale;
+        if (cadSnap.osnap) {
+            const snap = findSnap(snapIndex, cursor, { aperture, modes: cadSnap.modes, from: trackFrom });
+            if (snap) return { ...snap.point, snap };
+        }
 
-        return { x: finalX, y: finalY };
+        let point = cursor;
+        if (cadSnap.grid) {
+            const step = gridStepFor(view.scale);
+            point = { x: Math.round(cadX / step) * step, y: Math.round(cadY / step) * step };
+        }
+        if (trackFrom && cadSnap.ortho) return orthoPoint(trackFrom, point);
+        if (trackFrom && cadSnap.polar) {
+            const track = polarTrack(trackFrom, cursor, cadSnap.polarIncrement, aperture);
+            if (track) return { ...track.point, track };
+        }
+        return point;
+    };
+
+    // What the annotation tool would place with the cursor as its next point
+    const annotationPreview = (cursor) => {
+        const { step, points, refs = [] } = draft;
+        if (!annotating || points.length === 0 || TEXT_STEPS.includes(step)) return null;
+        if (activeTool === 'leader') return { type: 'LEADER', points: [...points, cursor], format: styleFormat(dimStyle) };
+        if (step === 'location') return { ...createDimension(activeTool, points, refs, cursor, dimStyle), text: draft.text };
+        if (activeTool === 'dimangular' && step === 'second') return { type: 'POLYLINE', points: [points[1], points[0], cursor] };
+        return { type: 'LINE', points: [points[points.length - 1], cursor] };
     };
+    const preview = annotationPreview({ x: snappedPos.cadX, y: snappedPos.cadY });
 
     // ============================================================================
     // Rendering Engine
@@ -87,11 +327,7 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         ctx.fillRect(0, 0, width, height);
 
         // Dynamically calculate grid spacing
-        const minSpacing = 20; // pixels
-        let gridStep = 1;
-        while (gridStep * view.scale < minSpacing) {
-            gridStep *= 10;
-        }
+        const gridStep = gridStepFor(view.scale);
 
         // Calculate visible grid range
         const viewMin = screenToCad(0, 0);
@@ -135,34 +371,129 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         ctx.moveTo(0, origin.y); ctx.lineTo(width, origin.y);
         ctx.stroke();
 
-        // Draw Entities
-        cadEntities.forEach(entity => {
-            const layer = cadLayers.find(l => l.name === entity.layer);
-            if (layer && !layer.visible) return;
-
-            ctx.strokeStyle = entity.color || (layer ? layer.color : '#FFFFFF');
-            ctx.lineWidth = 1.5;
-
+        const traceEntity = (entity) => {
+            ctx.beginPath();
             if (entity.type === 'LINE' || entity.type === 'POLYLINE') {
-                ctx.beginPath();
                 entity.points.forEach((p, i) => {
                     const s = cadToScreen(p.x, p.y);
                     if (i === 0) ctx.moveTo(s.x, s.y);
                     else ctx.lineTo(s.x, s.y);
                 });
-                ctx.stroke();
-            } else if (entity.type === 'CIRCLE') {
+            } else if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
                 const s = cadToScreen(entity.x, entity.y);
                 const r = entity.radius * view.scale;
-                ctx.beginPath();
-                ctx.arc(s.x, s.y, r, 0, Math.PI * 2);
-                ctx.stroke();
+                if (entity.type === 'ARC') ctx.arc(s.x, s.y, r, entity.startAngle, entity.endAngle);
+                else ctx.arc(s.x, s.y, r, 0, Math.PI * 2);
             } else if (entity.type === 'RECT') {
                 const p1 = cadToScreen(entity.points[0].x, entity.points[0].y);
                 const p2 = cadToScreen(entity.points[1].x, entity.points[1].y);
-                ctx.strokeRect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+                ctx.rect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+            } else if (isAnnotation(entity)) {
+                drawAnnotation(ctx, entity, cadToScreen, view.scale);
+                return;
+            } else if (isHatch(entity)) {
+                return;
             }
+            ctx.stroke();
+        };
+
+        const traceRings = (rings) => {
+            ctx.beginPath();
+            rings.forEach(ring => ring.forEach((p, i) => {
+                const s = cadToScreen(p.x, p.y);
+                if (i === 0) ctx.moveTo(s.x, s.y);
+                else ctx.lineTo(s.x, s.y);
+            }));
+        };
+
+        // Hatches fill in the layer color; a selected hatch shows its boundary
+        const drawHatch = (entity, color, isSelected) => {
+            const rings = hatchRings(entity);
+            const solid = isSolidHatch(entity);
+            const lines = solid || patternSpacing(entity) * view.scale < HATCH_MIN_SPACING ? null : cachedHatchLines(entity);
+            const alpha = ctx.globalAlpha;
+            ctx.fillStyle = color;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([]);
+            if (lines) {
+                ctx.beginPath();
+                lines.forEach(([a, b]) => {
+                    const sa = cadToScreen(a.x, a.y);
+                    const sb = cadToScreen(b.x, b.y);
+                    ctx.moveTo(sa.x, sa.y);
+                    ctx.lineTo(sb.x, sb.y);
+                });
+                ctx.stroke();
+            } else {
+                ctx.globalAlpha = alpha * (solid ? HATCH_FILL_ALPHA : HATCH_SHADE_ALPHA);
+                traceRings(rings);
+                ctx.fill('evenodd');
+                ctx.globalAlpha = alpha;
+            }
+            if (isSelected || entity.id === hoverId) {
+                ctx.strokeStyle = SELECTION_COLOR;
+                ctx.setLineDash(isSelected ? [6, 4] : []);
+                traceRings(rings);
+                ctx.stroke();
+            }
+        };
+
+        // Draw Entities - hatches first, under the linework
+        const selected = new Set(selection);
+        [...cadEntities.filter(isHatch), ...cadEntities.filter(entity => !isHatch(entity))].forEach(entity => {
+            const layer = cadLayers.find(l => l.name === entity.layer);
+            if (!isLayerShown(layer)) return;
+
+            const isSelected = selected.has(entity.id);
+            const stroke = entityStroke(entity, layer);
+            ctx.globalAlpha = layer?.locked ? LOCKED_LAYER_ALPHA : 1;
+            if (isHatch(entity)) {
+                drawHatch(entity, stroke.color, isSelected);
+                return;
+            }
+            ctx.strokeStyle = isSelected ? SELECTION_COLOR : stroke.color;
+            ctx.lineWidth = Math.max(stroke.lineweight * PX_PER_LINEWEIGHT, 1) + (entity.id === hoverId ? 1.5 : 0);
+            ctx.setLineDash(isSelected ? [6, 4] : dashPattern(stroke.linetype, view.scale));
+            traceEntity(entity);
         });
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+
+        // Draw Edit Previews
+        const cursor = { x: snappedPos.cadX, y: snappedPos.cadY };
+        const selectedEntities = cadEntities.filter(e => selected.has(e.id));
+        ctx.strokeStyle = PREVIEW_COLOR;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        if (['target', 'angle', 'factor', 'second'].includes(op.step)) {
+            const anchor = op.base || op.first;
+            const sAnchor = cadToScreen(anchor.x, anchor.y);
+            const sCursor = cadToScreen(cursor.x, cursor.y);
+            ctx.beginPath();
+            ctx.moveTo(sAnchor.x, sAnchor.y);
+            ctx.lineTo(sCursor.x, sCursor.y);
+            ctx.stroke();
+            const transform = transformFor(op, cursor, toMeters);
+            selectedEntities.forEach(entity => traceEntity(transform(entity)));
+        } else if (op.step === 'side') {
+            const source = cadEntities.find(e => e.id === op.pickId);
+            const dist = toolOptions.offsetDistance > 0 ? toolOptions.offsetDistance : source && distanceToEntity(source, cursor);
+            const preview = source && offsetEntity(source, dist, cursor);
+            if (preview) traceEntity(preview);
+        }
+        ctx.setLineDash([]);
+
+        // Draw Selection Window - solid for window, dashed green for crossing
+        if (windowStart) {
+            const crossing = mousePos.x < windowStart.x;
+            ctx.fillStyle = crossing ? 'rgba(16, 185, 129, 0.08)' : 'rgba(59, 130, 246, 0.08)';
+            ctx.strokeStyle = crossing ? '#10B981' : PREVIEW_COLOR;
+            ctx.setLineDash(crossing ? [5, 5] : []);
+            ctx.fillRect(windowStart.x, windowStart.y, mousePos.x - windowStart.x, mousePos.y - windowStart.y);
+            ctx.strokeRect(windowStart.x, windowStart.y, mousePos.x - windowStart.x, mousePos.y - windowStart.y);
+            ctx.setLineDash([]);
+        }
 
         // Draw Temporary Drafting Entity
         if (isDrawing && startPoint) {
@@ -178,13 +509,23 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
             } else if (activeTool === 'rect') {
                 ctx.strokeRect(sStart.x, sStart.y, sEnd.x - sStart.x, sEnd.y - sStart.y);
             } else if (activeTool === 'circle') {
-                const r = Math.sqrt((snappedPos.cadX - startPoint.x) ** 2 + (snappedPos.cadY - startPoint.y) ** 2);
+                const d = Math.sqrt((snappedPos.cadX - startPoint.x) ** 2 + (snappedPos.cadY - startPoint.y) ** 2);
+                const r = draft.step === 'diameter' ? d / 2 : d;
                 ctx.arc(sStart.x, sStart.y, r * view.scale, 0, Math.PI * 2);
             }
             ctx.stroke();
             ctx.setLineDash([]);
         }
 
+        // Draw Annotation Preview - the annotation itself once its points are placed
+        if (preview) {
+            ctx.strokeStyle = PREVIEW_COLOR;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(isAnnotation(preview) ? [] : [5, 5]);
+            traceEntity(preview);
+            ctx.setLineDash([]);
+        }
+
         // Draw Crosshair
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
         ctx.lineWidth = 0.5;
@@ -194,12 +535,44 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         ctx.moveTo(mousePos.x, mousePos.y - crossSize); ctx.lineTo(mousePos.x, mousePos.y + crossSize);
         ctx.stroke();
 
-        // Draw Snapping Cursor
+        // Draw Tracking Paths - dotted from an extended endpoint or along the polar angle
         const snapS = cadToScreen(snappedPos.cadX, snappedPos.cadY);
-        ctx.strokeStyle = '#FBBF24'; // Snap Yellow
-        ctx.strokeRect(snapS.x - 4, snapS.y - 4, 8, 8);
+        const { snap, track } = snappedPos;
+        const trackOrigin = snap?.origin || (track && trackFrom);
+        if (trackOrigin) {
+            const sOrigin = cadToScreen(trackOrigin.x, trackOrigin.y);
+            const span = Math.hypot(snapS.x - sOrigin.x, snapS.y - sOrigin.y) || 1;
+            const reach = Math.hypot(width, height);
+            ctx.strokeStyle = 'rgba(16, 185, 129, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 4]);
+            ctx.beginPath();
+            ctx.moveTo(sOrigin.x, sOrigin.y);
+            ctx.lineTo(sOrigin.x + (snapS.x - sOrigin.x) / span * reach, sOrigin.y + (snapS.y - sOrigin.y) / span * reach);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
 
-    }, [cadEntities, cadLayers, view, mousePos, snappedPos, isDrawing, startPoint, activeTool]);
+        // Draw Snap Marker and Tooltip
+        const tip = snap
+            ? SNAP_MODES[snap.mode].label
+            : track && `Polar: ${formatLength(track.length, cadUnits)} < ${track.angle}°`;
+        if (snap) {
+            ctx.strokeStyle = SNAP_COLOR;
+            ctx.lineWidth = 2;
+            drawSnapMarker(ctx, snap.mode, snapS);
+        }
+        if (tip) {
+            ctx.font = '11px monospace';
+            const tipX = snapS.x + 12;
+            const tipY = snapS.y + 14;
+            ctx.fillStyle = 'rgba(15, 17, 21, 0.9)';
+            ctx.fillRect(tipX, tipY, ctx.measureText(tip).width + 10, 18);
+            ctx.fillStyle = SNAP_COLOR;
+            ctx.fillText(tip, tipX + 5, tipY + 13);
+        }
+
+    }, [cadEntities, cadLayers, view, mousePos, snappedPos, isDrawing, startPoint, draft.step, activeTool, selection, hoverId, op, windowStart, toolOptions.offsetDistance, toMeters, trackFrom, cadUnits, preview]);
 
     // ============================================================================
     // Event Handlers
@@ -305,9 +678,509 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         }
     }, [cadEntities]);
 
+    // Zoom about the middle of the canvas
+    const zoomBy = (factor) => {
+        const canvas = canvasRef.current;
+        if (!canvas || !(factor > 0)) return;
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+        setView(v => {
+            const scale = Math.min(Math.max(v.scale * factor, 0.01), 5000);
+            const applied = scale / v.scale;
+            return { scale, offsetX: cx - (cx - v.offsetX) * applied, offsetY: cy - (cy - v.offsetY) * applied };
+        });
+    };
+
+    // Re-frame when a drawing is loaded, not on every edit that adds an entity
+    const drawingKey = cadEntities[0]?.id;
     useEffect(() => {
         zoomExtents();
-    }, [cadEntities.length]);
+    }, [drawingKey]);
+
+    // ============================================================================
+    // Editing
+    // ============================================================================
+
+    const selectable = (entity) => {
+        const layer = cadLayers.find(l => l.name === entity.layer);
+        return isLayerEditable(layer);
+    };
+
+    const goToStep = (next) => {
+        setEdit(next);
+        const prompt = EDIT_TOOLS[next.tool]?.prompts[next.step];
+        if (prompt) onPrompt?.(prompt);
+    };
+
+    const finishTool = () => {
+        setWindowStart(null);
+        onToolDone?.();
+    };
+
+    const eraseSelection = () => {
+        if (selection.length === 0) return;
+        const count = selection.length;
+        batch(`Erase ${count} object${count === 1 ? '' : 's'}`, () => selection.forEach(id => removeCadEntity(id)));
+        onPrompt?.(`✓ ${count} object${count === 1 ? '' : 's'} erased`);
+    };
+
+    // Ends "select objects"
+    const confirmSelection = () => {
+        if (!isEditTool || op.step !== 'select') return;
+        if (selection.length === 0) {
+            onPrompt?.('Nothing selected');
+            return;
+        }
+        if (activeTool === 'erase') {
+            eraseSelection();
+            finishTool();
+            return;
+        }
+        goToStep({ ...op, step: EDIT_TOOLS[activeTool].steps[1] });
+    };
+
+    const cancel = () => {
+        if (windowStart) {
+            setWindowStart(null);
+        } else if (isDrawing) {
+            setDraft({ step: DRAW_TOOLS[activeTool].steps[0], points: [] });
+            onPrompt?.('*Cancel*');
+        } else if (activeTool !== 'select') {
+            onPrompt?.('*Cancel*');
+            finishTool();
+        } else {
+            setCadSelection([]);
+        }
+    };
+
+    const finishWindow = (shiftKey) => {
+        const crossing = mousePos.x < windowStart.x;
+        const hits = entitiesInWindow(
+            cadEntities,
+            { x: windowStart.cadX, y: windowStart.cadY },
+            { x: mousePos.cadX, y: mousePos.cadY },
+            crossing,
+            selectable
+        ).map(entity => entity.id);
+        setCadSelection(shiftKey
+            ? selection.filter(id => !hits.includes(id))
+            : [...new Set([...selection, ...hits])]);
+        setWindowStart(null);
+    };
+
+    // Apply the modify tool's transform to the selection
+    const commitTransform = (transform) => {
+        const selectedEntities = cadEntities.filter(entity => selection.includes(entity.id));
+        const keepSource = op.tool === 'copy' || (op.tool === 'mirror' && !toolOptions.eraseSource);
+        const count = selectedEntities.length;
+        // A copied block instance counts as a new instance of its block
+        const copiedInserts = new Map();
+        batch(`${op.tool[0].toUpperCase()}${op.tool.slice(1)} ${count} object${count === 1 ? '' : 's'}`, () => {
+            selectedEntities.forEach(entity => {
+                const next = withoutId(transform(entity));
+                if (keepSource && next.insertId) {
+                    if (!copiedInserts.has(next.insertId)) copiedInserts.set(next.insertId, `block-copy-${Date.now()}-${copiedInserts.size}`);
+                    next.insertId = copiedInserts.get(next.insertId);
+                }
+                if (keepSource) addCadEntity(next);
+                else updateCadEntity(entity.id, next);
+            });
+        });
+        onCommandComplete?.();
+        // Copy keeps placing from the same base point until Esc
+        if (op.tool !== 'copy') finishTool();
+    };
+
+    const handleEditClick = (point, raw, tolerance) => {
+        const steps = EDIT_TOOLS[op.tool].steps;
+        const selectedEntities = cadEntities.filter(entity => selection.includes(entity.id));
+
+        if (op.step === 'base') {
+            goToStep({ ...op, step: steps[2], base: point });
+        } else if (op.step === 'first') {
+            goToStep({ ...op, step: 'second', first: point });
+        } else if (['target', 'angle', 'factor', 'second'].includes(op.step)) {
+            if (op.step === 'second' && Math.hypot(point.x - op.first.x, point.y - op.first.y) < 1e-9) return;
+            commitTransform(transformFor(op, point, toMeters));
+        } else if (op.step === 'pick') {
+            const hit = pickEntity(cadEntities, raw, tolerance, selectable);
+            if (!hit) return;
+            if (op.tool === 'offset') {
+                goToStep({ ...op, step: 'side', pickId: hit.id });
+                return;
+            }
+
+            // Selected objects are the boundary edges; with nothing selected every object is
+            const edges = (selection.length ? selectedEntities : cadEntities.filter(selectable))
+                .filter(entity => entity.id !== hit.id);
+            if (op.tool === 'trim') {
+                const pieces = trimEntity(hit, raw, edges);
+                if (!pieces) {
+                    onPrompt?.('Object does not intersect a cutting edge');
+                    return;
+                }
+                batch(`Trim ${hit.type}`, () => {
+                    if (pieces.length === 0) removeCadEntity(hit.id);
+                    pieces.forEach((piece, i) => {
+                        if (i === 0) updateCadEntity(hit.id, withoutId(piece));
+                        else addCadEntity(withoutId(piece));
+                    });
+                });
+            } else {
+                const extended = extendEntity(hit, raw, edges);
+                if (!extended) {
+                    onPrompt?.('Object does not reach a boundary edge');
+                    return;
+                }
+                batch(`Extend ${hit.type}`, () => updateCadEntity(hit.id, withoutId(extended)));
+            }
+            onCommandComplete?.();
+        } else if (op.step === 'side') {
+            const source = cadEntities.find(entity => entity.id === op.pickId);
+            const dist = toolOptions.offsetDistance > 0 ? toolOptions.offsetDistance : source && distanceToEntity(source, raw);
+            const result = source && offsetEntity(source, dist, raw);
+            if (result) {
+                batch(`Offset ${source.type}`, () => addCadEntity(withoutId(result)));
+                onCommandComplete?.();
+            } else {
+                onPrompt?.('Cannot offset that object by this distance');
+            }
+            goToStep({ ...op, step: 'pick', pickId: null });
+        }
+    };
+
+    // ============================================================================
+    // Drawing
+    // ============================================================================
+
+    const goToDraft = (next, defaultValue) => {
+        setDraft(next);
+        onPrompt?.(formatPrompt(DRAW_TOOLS[activeTool].prompts[next.step], defaultValue));
+    };
+
+    const restartDraft = () => goToDraft({ step: DRAW_TOOLS[activeTool].steps[0], points: [] });
+
+    const finishRect = (a, b) => {
+        if (Math.abs(b.x - a.x) < 1e-9 || Math.abs(b.y - a.y) < 1e-9) return;
+        addCadEntity({ type: 'RECT', points: [a, b], layer: activeLayer });
+        onCommandComplete?.();
+        restartDraft();
+    };
+
+    const finishCircle = (center, radius) => {
+        if (!(radius > 1e-9)) return;
+        addCadEntity({ type: 'CIRCLE', x: center.x, y: center.y, radius, layer: activeLayer });
+        onCommandComplete?.();
+        restartDraft();
+    };
+
+    // A picked or typed point for the active draw tool
+    const drawPoint = (point) => {
+        const { step, points } = draft;
+        if (activeTool === 'line') {
+            const last = points[points.length - 1];
+            if (last && Math.hypot(point.x - last.x, point.y - last.y) < 1e-9) return true;
+            if (last) {
+                addCadEntity({ type: 'LINE', points: [last, point], layer: activeLayer });
+                onCommandComplete?.();
+            }
+            // Lines chain from the last point until Enter or Esc
+            goToDraft({ step: points.length >= 2 ? 'more' : 'next', points: [...points, point] });
+        } else if (activeTool === 'rect') {
+            if (step === 'first') goToDraft({ step: 'corner', points: [point] });
+            else if (step === 'corner') finishRect(points[0], point);
+            else return false;
+        } else if (activeTool === 'circle') {
+            if (step === 'center') {
+                goToDraft({ step: 'radius', points: [point] });
+            } else {
+                const d = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+                finishCircle(points[0], step === 'diameter' ? d / 2 : d);
+            }
+        } else {
+            return false;
+        }
+        return true;
+    };
+
+    // A typed length in meters: direct distance towards the cursor, or a size
+    const drawLength = (length, cursor) => {
+        const { step, points } = draft;
+        if (activeTool === 'line' && points.length > 0) {
+            return drawPoint(pointAtDistance(points[points.length - 1], cursor, length));
+        }
+        if (activeTool === 'rect' && step === 'length') {
+            goToDraft({ ...draft, step: 'width', length });
+            return true;
+        }
+        if (activeTool === 'rect' && step === 'width') {
+            // The cursor's quadrant decides which way the rectangle goes
+            const [corner] = points;
+            finishRect(corner, {
+                x: corner.x + (cursor.x < corner.x ? -draft.length : draft.length),
+                y: corner.y + (cursor.y < corner.y ? -length : length),
+            });
+            return true;
+        }
+        if (activeTool === 'circle' && (step === 'radius' || step === 'diameter')) {
+            finishCircle(points[0], step === 'diameter' ? length / 2 : length);
+            return true;
+        }
+        return false;
+    };
+
+    const drawOption = (option) => {
+        const { points } = draft;
+        if (option === 'Undo') {
+            // Take back the last segment and carry on from its start
+            if (points.length > 1) undo();
+            const remaining = points.slice(0, -1);
+            if (remaining.length === 0) restartDraft();
+            else goToDraft({ step: remaining.length >= 3 ? 'more' : 'next', points: remaining });
+        } else if (option === 'Close') {
+            addCadEntity({ type: 'LINE', points: [points[points.length - 1], points[0]], layer: activeLayer });
+            onCommandComplete?.();
+            restartDraft();
+        } else if (option === 'Dimensions') {
+            goToDraft({ ...draft, step: 'length' });
+        } else if (option === 'Diameter') {
+            goToDraft({ ...draft, step: 'diameter' });
+        } else if (option === 'Text') {
+            goToDraft({ ...draft, step: 'override' }, draft.text || '<>');
+        }
+        return true;
+    };
+
+    // ============================================================================
+    // Annotating
+    // ============================================================================
+
+    const finishAnnotation = (entity) => {
+        addCadEntity({ ...entity, layer: activeLayer });
+        onCommandComplete?.();
+        restartDraft();
+    };
+
+    /**
+     * A picked point for the hatch tool: fills the closed outline around it,
+     * leaving the outlines inside it open as islands
+     */
+    const hatchPoint = (point) => {
+        const visible = cadEntities.filter(entity => isLayerShown(cadLayers.find(l => l.name === entity.layer)));
+        const boundary = hatchBoundary(visible, point);
+        if (!boundary) {
+            onPrompt?.('No closed boundary around that point');
+            return true;
+        }
+        const hatch = createHatch(boundary.ring, boundary.islands, toolOptions.hatch);
+        addCadEntity({ ...hatch, layer: activeLayer });
+        onCommandComplete?.();
+        onPrompt?.(`✓ Hatched ${hatchArea(hatch).toFixed(2)} m²${hatch.fitoutCode ? ` as ${hatch.fitoutCode}` : ''}`);
+        return true;
+    };
+
+    const nextRoomName = () => `Room ${cadEntities.filter(entity => entity.type === 'ROOMTAG').length + 1}`;
+
+    /**
+     * A picked or typed point for an annotation tool; `ref` is the { id, anchor }
+     * of the object snap it came from, which keeps a dimension attached to it
+     */
+    const annotatePoint = (point, raw, tolerance, ref = null) => {
+        const { step, points, refs = [] } = draft;
+        if (TEXT_STEPS.includes(step)) return false;
+
+        if (activeTool === 'text') {
+            if (step === 'start') goToDraft({ step: 'rotation', points: [point] }, '0');
+            else goToDraft({ ...draft, step: 'text', rotation: Math.atan2(point.y - points[0].y, point.x - points[0].x) });
+        } else if (activeTool === 'leader') {
+            const next = [...points, point];
+            goToDraft({ step: next.length >= 2 ? 'more' : 'next', points: next });
+        } else if (activeTool === 'roomtag') {
+            const visible = cadEntities.filter(entity => isLayerShown(cadLayers.find(l => l.name === entity.layer)));
+            const boundary = findRoomBoundary(visible, point);
+            if (!boundary) {
+                onPrompt?.('No closed outline around that point');
+                return true;
+            }
+            goToDraft({ step: 'name', points: [point], boundary }, nextRoomName());
+        } else if (step === 'pick') {
+            const hit = pickEntity(cadEntities, raw, tolerance, entity => (entity.type === 'CIRCLE' || entity.type === 'ARC') && selectable(entity));
+            if (!hit) {
+                onPrompt?.('Object is not a circle or arc');
+                return true;
+            }
+            const angle = Math.atan2(raw.y - hit.y, raw.x - hit.x);
+            goToDraft({
+                step: 'location',
+                points: [{ x: hit.x, y: hit.y }, { x: hit.x + hit.radius * Math.cos(angle), y: hit.y + hit.radius * Math.sin(angle) }],
+                refs: [{ id: hit.id, anchor: 'center' }],
+            });
+        } else if (step === 'location') {
+            const dimension = createDimension(activeTool, points, refs, point, dimStyle);
+            finishAnnotation(draft.text ? { ...dimension, text: draft.text } : dimension);
+        } else {
+            const steps = DRAW_TOOLS[activeTool].steps;
+            goToDraft({ ...draft, step: steps[steps.indexOf(step) + 1], points: [...points, point], refs: [...refs, ref] });
+        }
+        return true;
+    };
+
+    // Typed text for TEXT, leaders, room tag names and dimension text overrides
+    const annotateText = (input) => {
+        const { step, points } = draft;
+        const style = { style: dimStyle.name, format: styleFormat(dimStyle) };
+        if (step === 'override') {
+            goToDraft({ ...draft, step: 'location', text: input });
+        } else if (activeTool === 'text') {
+            finishAnnotation({
+                type: 'TEXT', x: points[0].x, y: points[0].y, text: input,
+                height: dimStyle.textHeight, rotation: draft.rotation || 0,
+            });
+        } else if (activeTool === 'leader') {
+            finishAnnotation({ type: 'LEADER', points, text: input, ...style });
+        } else if (activeTool === 'roomtag') {
+            finishAnnotation({
+                type: 'ROOMTAG', x: points[0].x, y: points[0].y, name: input,
+                area: polygonArea(boundaryRing(draft.boundary)), refs: [{ id: draft.boundary.id }], ...style,
+            });
+        } else {
+            return false;
+        }
+        return true;
+    };
+
+    // Enter at an annotation prompt takes its default; false leaves it to end the tool
+    const annotateEnter = () => {
+        const { step, points } = draft;
+        if (step === 'rotation') goToDraft({ ...draft, step: 'text', rotation: 0 });
+        else if (step === 'more') goToDraft({ ...draft, step: 'text' });
+        else if (step === 'override') goToDraft({ ...draft, step: 'location', text: undefined });
+        else if (step === 'name') annotateText(nextRoomName());
+        else if (step === 'text' && activeTool === 'leader') {
+            finishAnnotation({ type: 'LEADER', points, style: dimStyle.name, format: styleFormat(dimStyle) });
+        } else return false;
+        return true;
+    };
+
+    // ============================================================================
+    // Input
+    // ============================================================================
+
+    // A picked or typed point for whatever the active tool is waiting for
+    const acceptPoint = (point, raw, tolerance, ref) => {
+        lastPointRef.current = point;
+        if (isEditTool) {
+            handleEditClick(point, raw, tolerance);
+            return true;
+        }
+        if (activeTool === 'hatch') return hatchPoint(raw);
+        if (annotating) return annotatePoint(point, raw, tolerance, ref);
+        return drawPoint(point);
+    };
+
+    // Enter (or right click): ends the selection, a line chain or the tool
+    const handleEnter = () => {
+        if (windowStart) return true;
+        if (isEditTool) {
+            if (op.step === 'select') confirmSelection();
+            else finishTool();
+            return true;
+        }
+        if (DRAW_TOOLS[activeTool]) {
+            if (annotating && annotateEnter()) return true;
+            if (activeTool === 'line' && draft.points.length > 1) restartDraft();
+            else finishTool();
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Typed console input for the active tool
+     * @returns {boolean} false when the text is not an answer to the current prompt
+     */
+    const submitInput = (text) => {
+        const input = text.trim();
+        if (input === '') return handleEnter();
+
+        if (annotating && TEXT_STEPS.includes(draft.step)) return annotateText(input);
+
+        const cursor = { x: snappedPos.cadX, y: snappedPos.cadY };
+        const drawPrompt = DRAW_TOOLS[activeTool]?.prompts[draft.step];
+        const option = matchOption(input, drawPrompt?.options);
+        if (option) return drawOption(option);
+
+        if (isEditTool && op.step === 'select' && input.toUpperCase() === 'ALL') {
+            const all = cadEntities.filter(selectable).map(entity => entity.id);
+            setCadSelection(all);
+            onPrompt?.(`${all.length} found`);
+            return true;
+        }
+
+        const anchor = isEditTool ? (op.base || op.first) : startPoint;
+        const number = parseNumber(input);
+        if (number !== null) {
+            if (op.step === 'angle') {
+                commitTransform(entity => rotateEntity(entity, op.base, number * Math.PI / 180));
+                return true;
+            }
+            if (op.step === 'factor') {
+                if (number <= 0) onPrompt?.('Scale factor must be positive');
+                else commitTransform(entity => scaleEntity(entity, op.base, number));
+                return true;
+            }
+            if (isEditTool && (op.step === 'target' || op.step === 'second') && anchor) {
+                const point = pointAtDistance(anchor, cursor, number * toMeters);
+                return acceptPoint(point, point, 0);
+            }
+            if (activeTool === 'text' && draft.step === 'rotation') {
+                goToDraft({ ...draft, step: 'text', rotation: number * Math.PI / 180 });
+                return true;
+            }
+            if (!isEditTool && drawLength(number * toMeters, cursor)) return true;
+        }
+
+        const point = parsePoint(input, anchor || lastPointRef.current, toMeters);
+        if (point && !['select', 'pick'].includes(op.step)) {
+            return acceptPoint(point, point, 0);
+        }
+        return false;
+    };
+
+    const zoom = (option) => {
+        if (option === 'All' || option === 'Extents') zoomExtents();
+        else if (option === 'In') zoomBy(2);
+        else if (option === 'Out') zoomBy(0.5);
+        else zoomBy(Number(option));
+    };
+
+    useImperativeHandle(ref, () => ({ submitInput, zoom, cancel }));
+
+    // Keyboard: Esc cancels, Enter ends selection, Delete erases the selection,
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo. F3, F8, F9 and F10
+    // toggle object snap, ortho, grid snap and polar tracking, even while typing.
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (SNAP_KEYS[e.key]) {
+                e.preventDefault();
+                const [setting, label] = SNAP_KEYS[e.key];
+                setCadSnap({ [setting]: !cadSnap[setting] });
+                onPrompt?.(`<${label} ${cadSnap[setting] ? 'off' : 'on'}>`);
+                return;
+            }
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) redo();
+                else undo();
+            } else if (e.key === 'Escape') cancel();
+            else if (e.key === 'Enter') handleEnter();
+            else if (e.key === 'Delete') eraseSelection();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
 
     const handleMouseMove = (e) => {
         const rect = canvasRef.current.getBoundingClientRect();
@@ -318,7 +1191,16 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         const snapped = getSnappedPoint(cad.x, cad.y);
 
         setMousePos({ x, y, cadX: cad.x, cadY: cad.y });
-        setSnappedPos({ x: cadToScreen(snapped.x, 0).x, y: cadToScreen(0, snapped.y).y, cadX: snapped.x, cadY: snapped.y });
+        setSnappedPos({
+            x: cadToScreen(snapped.x, 0).x, y: cadToScreen(0, snapped.y).y,
+            cadX: snapped.x, cadY: snapped.y, snap: snapped.snap, track: snapped.track,
+        });
+
+        // Highlight what a click would pick
+        const hover = (selecting || picking) && !windowStart
+            ? pickEntity(cadEntities, cad, PICK_RADIUS / view.scale, selectable)
+            : null;
+        if ((hover?.id ?? null) !== hoverId) setHoverId(hover?.id ?? null);
 
         // Handle Panning (Middle Mouse)
         if (e.buttons === 4) {
@@ -334,39 +1216,34 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
         if (e.button !== 0) return; // Only left click
 
         const cad = snappedPos;
-
-        if (activeTool === 'select') {
-            // Find entity near click
-            return;
-        }
-
-        if (!isDrawing) {
-            setStartPoint({ x: cad.cadX, y: cad.cadY });
-            setIsDrawing(true);
-        } else {
-            // Finish Drawing
-            const endPoint = { x: cad.cadX, y: cad.cadY };
-            let newEntity = null;
-
-            if (activeTool === 'line') {
-                newEntity = { type: 'LINE', points: [startPoint, endPoint], layer: activeLayer };
-            } else if (activeTool === 'rect') {
-                newEntity = { type: 'RECT', points: [startPoint, endPoint], layer: activeLayer };
-            } else if (activeTool === 'circle') {
-                const r = Math.sqrt((endPoint.x - startPoint.x) ** 2 + (endPoint.y - startPoint.y) ** 2);
-                newEntity = { type: 'CIRCLE', x: startPoint.x, y: startPoint.y, radius: r, layer: activeLayer };
+        const raw = { x: mousePos.cadX, y: mousePos.cadY };
+        const tolerance = PICK_RADIUS / view.scale;
+
+        if (selecting) {
+            // Pick adds to the selection, Shift+pick removes; empty space starts a window
+            if (windowStart) {
+                finishWindow(e.shiftKey);
+                return;
             }
-
-            if (newEntity) {
-                addCadEntity(newEntity);
+            const hit = pickEntity(cadEntities, raw, tolerance, selectable);
+            if (hit) {
+                setCadSelection(e.shiftKey
+                    ? selection.filter(id => id !== hit.id)
+                    : [...new Set([...selection, hit.id])]);
+            } else {
+                setWindowStart({ x: mousePos.x, y: mousePos.y, cadX: raw.x, cadY: raw.y });
             }
-
-            setIsDrawing(false);
-            setStartPoint(null);
-            onCommandComplete?.();
+            return;
         }
+
+        acceptPoint({ x: cad.cadX, y: cad.cadY }, raw, tolerance, cad.snap?.ref);
     };
 
+    // A drag ends the window on release; a click leaves it open for a second click
+    const handleMouseUp = (e) => {
+        if (e.button !== 0 || !windowStart) return;
+        if (Math.hypot(mousePos.x - windowStart.x, mousePos.y - windowStart.y) > 5) finishWindow(e.shiftKey);
+    };
 
     return (
         <div ref={containerRef} className="w-full h-full relative cursor-none overflow-hidden">
@@ -374,6 +1251,11 @@ export default function CADCanvas({ activeTool, activeLayer, onCommandComplete }
                 ref={canvasRef}
                 onMouseMove={handleMouseMove}
                 onMouseDown={handleMouseDown}
+                onMouseUp={handleMouseUp}
+                onContextMenu={(e) => {
+                    e.preventDefault();
+                    handleEnter();
+                }}
                 className="w-full h-full"
             />
         </div>
@@ -4,7 +4,7 @@
  * 85% opacity with 12px background blur
  */
 
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     X, Save, RotateCcw, RotateCw, ZoomIn, ZoomOut,
@@ -12,11 +12,24 @@ import {
     Layers, Settings, Grid, Command,
     Trash2, Copy, Move, Scissors,
     Activity, ChevronDown, Box, Crosshair,
-    Eye, EyeOff, Lock, Unlock,
-    Minimize2, Maximize2
+    Minimize2, Maximize2, ArrowRightToLine, RotateCwSquare, FlipHorizontal2,
+    BetweenHorizontalStart, History, Scaling,
+    ArrowUpRight, RulerDimensionLine, MoveDiagonal, TriangleRight, Radius, Diameter, Tag, Plus, PaintBucket
 } from 'lucide-react';
-import { useUIStore, useProjectStore } from '../../store';
+import { useUIStore, useProjectStore, useHistoryStore, useBOQStore } from '../../store';
+import {
+    CAD_COMMANDS, CONSOLE_PROMPTS, DRAWING_UNITS,
+    resolveCommand, parseNumber, matchOption, formatPrompt, toolStartPrompt,
+} from '../../services/cadCommandLine';
+import { SNAP_MODES, POLAR_INCREMENTS } from '../../services/cadSnaps';
+import { DIM_STYLE_FIELDS, DIM_UNITS } from '../../config/dimensionStyles';
+import { HATCH_PATTERNS, DEFAULT_HATCH_PATTERN, patternForFitout } from '../../config/hatchPatterns';
+import { isAreaItem } from '../../services/cadHatches';
 import CADCanvas from './CADCanvas';
+import CADPropertiesPanel from './CADPropertiesPanel';
+import CADLayerManager from './CADLayerManager';
+
+const OFFSET_PROMPT = { text: 'Specify offset distance', options: ['Through'] };
 
 // ============================================================================
 // Tool Button Component
@@ -58,6 +71,25 @@ function PropertyRow({ label, value }) {
     );
 }
 
+// ============================================================================
+// Status Toggle Component
+// ============================================================================
+
+function StatusToggle({ label, hint, on, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            className={`px-2 py-1 rounded-md text-[10px] font-mono font-bold tracking-wider transition-all ${on
+                ? 'bg-[var(--accent-primary)]/20 text-[var(--accent-primary)]'
+                : 'text-[var(--text-disabled)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-muted)]'
+                }`}
+            title={`${hint} (${on ? 'on' : 'off'})`}
+        >
+            {label}
+        </button>
+    );
+}
+
 // ============================================================================
 // Block Item Component
 // ============================================================================
@@ -73,6 +105,22 @@ function BlockItem({ name, count }) {
     );
 }
 
+/**
+ * Instances per block name; an imported INSERT explodes into entities that
+ * share its `insertId`
+ */
+function countBlocks(entities) {
+    const instances = new Map();
+    entities.forEach(entity => {
+        if (!entity.insertId) return;
+        if (!instances.has(entity.block)) instances.set(entity.block, new Set());
+        instances.get(entity.block).add(entity.insertId);
+    });
+    return [...instances.entries()]
+        .map(([name, ids]) => ({ name: name || '(unnamed)', count: ids.size }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
 // ============================================================================
 // Main CAD Editor Modal Component
 // ============================================================================
@@ -88,7 +136,24 @@ export default function CADEditorModal() {
     const cadLayers = useProjectStore(s => s.cadLayers);
     const activeCadLayer = useProjectStore(s => s.activeCadLayer);
     const setActiveCadLayer = useProjectStore(s => s.setActiveCadLayer);
-    const toggleCadLayer = useProjectStore(s => s.toggleCadLayer);
+    const cadSelection = useProjectStore(s => s.cadSelection);
+    const removeCadEntity = useProjectStore(s => s.removeCadEntity);
+    const cadUnits = useProjectStore(s => s.cadUnits);
+    const setCadUnits = useProjectStore(s => s.setCadUnits);
+    const cadSnap = useProjectStore(s => s.cadSnap);
+    const setCadSnap = useProjectStore(s => s.setCadSnap);
+    const cadDimStyles = useProjectStore(s => s.cadDimStyles);
+    const activeDimStyle = useProjectStore(s => s.activeDimStyle);
+    const setActiveDimStyle = useProjectStore(s => s.setActiveDimStyle);
+    const saveCadDimStyle = useProjectStore(s => s.saveCadDimStyle);
+
+    // Undo history
+    const undoStack = useHistoryStore(s => s.past);
+    const redoStack = useHistoryStore(s => s.future);
+    const undo = useHistoryStore(s => s.undo);
+    const redo = useHistoryStore(s => s.redo);
+    const jumpTo = useHistoryStore(s => s.jumpTo);
+    const batch = useHistoryStore(s => s.batch);
 
     const [activeTool, setActiveTool] = useState('select');
     const [history, setHistory] = useState(['▸ D&B CAD Kernel Initialized.', '▸ Type L for line, R for rect, C for circle.']);
@@ -96,32 +161,179 @@ export default function CADEditorModal() {
     const [isSaving, setIsSaving] = useState(false);
     const [windowMode, setWindowMode] = useState('maximized'); // 'normal', 'maximized'
     const [isMinimized, setIsMinimized] = useState(false);
+    const [offsetDistance, setOffsetDistance] = useState(''); // Blank offsets through a picked point
+    const [eraseSource, setEraseSource] = useState(false);
+    const [hatch, setHatch] = useState({ pattern: DEFAULT_HATCH_PATTERN, scale: '1', angle: '0', fitoutCode: '' }); // Angle in degrees
+    const fitout = useBOQStore(s => s.fitout);
+
+    // Command line
+    const canvasRef = useRef(null); // { submitInput, zoom, cancel }
+    const [consolePrompt, setConsolePrompt] = useState(null); // LAYER, DIMSTYLE, ZOOM or UNITS waiting for an answer
+    const [lastCommand, setLastCommand] = useState(null); // Enter at an empty prompt repeats it
 
     if (activeModal !== 'cad-editor') return null;
 
-    const executeCommand = (cmd) => {
-        const input = cmd.toUpperCase().trim();
-        setHistory(prev => [...prev, `› ${input}`]);
-
-        if (['L', 'LINE'].includes(input)) {
-            setActiveTool('line');
-            setHistory(prev => [...prev, '  TOOL: LINE - Specify first point']);
-        } else if (['R', 'RECT'].includes(input)) {
-            setActiveTool('rect');
-            setHistory(prev => [...prev, '  TOOL: RECTANGLE - Specify first corner']);
-        } else if (['C', 'CIRCLE'].includes(input)) {
-            setActiveTool('circle');
-            setHistory(prev => [...prev, '  TOOL: CIRCLE - Specify center point']);
-        } else if (['V', 'SELECT'].includes(input)) {
-            setActiveTool('select');
-            setHistory(prev => [...prev, '  TOOL: SELECTION MODE']);
-        } else if (input === 'CLEAR') {
+    const addPrompt = (line) => {
+        setHistory(prev => [...prev, line.startsWith('✓') ? line : `  ${line}`]);
+    };
+
+    const eraseSelected = () => {
+        const count = cadSelection.length;
+        batch(`Erase ${count} object${count === 1 ? '' : 's'}`, () => cadSelection.forEach(id => removeCadEntity(id)));
+        addPrompt(`✓ ${count} object${count === 1 ? '' : 's'} erased`);
+    };
+
+    const handleUndo = () => {
+        const command = undoStack[undoStack.length - 1];
+        if (!command) {
+            addPrompt('Nothing to undo');
+            return;
+        }
+        undo();
+        addPrompt(`Undo ${command.label}`);
+    };
+
+    const handleRedo = () => {
+        const command = redoStack[redoStack.length - 1];
+        if (!command) {
+            addPrompt('Nothing to redo');
+            return;
+        }
+        redo();
+        addPrompt(`Redo ${command.label}`);
+    };
+
+    const startTool = (toolId) => {
+        // Erasing an existing selection needs no further input
+        if (toolId === 'erase' && cadSelection.length > 0) {
+            eraseSelected();
+            return;
+        }
+        setActiveTool(toolId);
+        if (toolId === 'select') {
+            addPrompt('SELECT - Pick objects or drag a window');
+            return;
+        }
+        if (toolId === 'offset') addPrompt(formatPrompt(OFFSET_PROMPT, offsetDistance || 'Through'));
+        addPrompt(toolStartPrompt(toolId, cadSelection.length > 0));
+    };
+
+    const consoleDefault = (name) => ({ LAYER: activeCadLayer, DIMSTYLE: activeDimStyle, ZOOM: 'Extents', UNITS: cadUnits })[name];
+
+    const askConsole = (name) => {
+        setConsolePrompt(name);
+        addPrompt(`${name} ${formatPrompt(CONSOLE_PROMPTS[name], consoleDefault(name))}`);
+    };
+
+    /**
+     * Answer to a LAYER, DIMSTYLE, ZOOM or UNITS prompt
+     * @returns {boolean} true when the prompt is done, false to ask again
+     */
+    const answerConsole = (name, text) => {
+        const answer = text.trim() || consoleDefault(name);
+        if (name === 'LAYER') {
+            if (answer === '?') {
+                cadLayers.forEach(l => addPrompt(`${l.name}${l.visible ? '' : ' (off)'}${l.frozen ? ' (frozen)' : ''}${l.locked ? ' (locked)' : ''}`));
+                return false;
+            }
+            const layer = cadLayers.find(l => l.name.toUpperCase() === answer.toUpperCase());
+            if (!layer) {
+                addPrompt(`Layer "${answer}" not found`);
+                return false;
+            }
+            if (!setActiveCadLayer(layer.name)) {
+                addPrompt(`Layer "${layer.name}" is frozen`);
+                return false;
+            }
+            addPrompt(`✓ Current layer: ${layer.name}`);
+        } else if (name === 'DIMSTYLE') {
+            if (answer === '?') {
+                cadDimStyles.forEach(style => addPrompt(`${style.name} (${style.units}, ${style.precision} decimals)`));
+                return false;
+            }
+            const style = cadDimStyles.find(s => s.name.toUpperCase() === answer.toUpperCase());
+            if (!style) {
+                addPrompt(`Dimension style "${answer}" not found`);
+                return false;
+            }
+            setActiveDimStyle(style.name);
+            addPrompt(`✓ Current dimension style: ${style.name}`);
+        } else if (name === 'ZOOM') {
+            const option = matchOption(answer, CONSOLE_PROMPTS.ZOOM.options);
+            const factor = parseNumber(answer.replace(/x$/i, ''));
+            if (option) canvasRef.current?.zoom(option);
+            else if (factor > 0) canvasRef.current?.zoom(factor);
+            else {
+                addPrompt('Requires a zoom factor or option keyword');
+                return false;
+            }
+        } else if (name === 'UNITS') {
+            const units = matchOption(answer, CONSOLE_PROMPTS.UNITS.options);
+            if (!units) {
+                addPrompt(`Requires ${CONSOLE_PROMPTS.UNITS.options.join(', ')}`);
+                return false;
+            }
+            setCadUnits(units);
+            addPrompt(`✓ Drawing units: ${DRAWING_UNITS[units].label}`);
+        }
+        return true;
+    };
+
+    const runCommand = (name, args) => {
+        const { tool } = CAD_COMMANDS[name];
+        if (tool) {
+            startTool(tool);
+        } else if (CONSOLE_PROMPTS[name]) {
+            // "ZOOM E" answers the prompt on the same line
+            if (!args || !answerConsole(name, args)) askConsole(name);
+        } else if (name === 'UNDO') {
+            handleUndo();
+        } else if (name === 'REDO') {
+            handleRedo();
+        } else if (name === 'CLEAR') {
             setHistory(['▸ Console cleared.']);
-        } else {
-            setHistory(prev => [...prev, `  Unknown command: ${input}`]);
         }
     };
 
+    /**
+     * One line typed into the console. An open LAYER/DIMSTYLE/ZOOM/UNITS prompt takes
+     * it first, then the running tool (points, distances, option keywords),
+     * then the command table; Enter on an empty line repeats the last command.
+     */
+    const executeCommand = (cmd) => {
+        const input = cmd.trim();
+        setHistory(prev => [...prev, `› ${input.toUpperCase()}`]);
+
+        if (consolePrompt) {
+            if (answerConsole(consolePrompt, input)) setConsolePrompt(null);
+            return;
+        }
+        if (canvasRef.current?.submitInput(input)) return;
+
+        if (activeTool === 'offset' && input) {
+            const distance = parseNumber(input);
+            if (distance > 0) {
+                setOffsetDistance(String(distance));
+                addPrompt(`Offset distance: ${distance} ${cadUnits}`);
+                return;
+            }
+            if (matchOption(input, OFFSET_PROMPT.options)) {
+                setOffsetDistance('');
+                addPrompt('Offset through a picked point');
+                return;
+            }
+        }
+
+        const [word, ...args] = input.split(/\s+/);
+        const name = input ? resolveCommand(word) : lastCommand;
+        if (!name) {
+            if (input) addPrompt(activeTool !== 'select' ? 'Point or option keyword required' : `Unknown command: ${input.toUpperCase()}`);
+            return;
+        }
+        setLastCommand(name);
+        runCommand(name, args.join(' '));
+    };
+
     const handleSave = () => {
         setIsSaving(true);
         setHistory(prev => [...prev, '▸ Parsing geometry nodes...']);
@@ -138,9 +350,17 @@ export default function CADEditorModal() {
     };
 
     const handleCommand = (e) => {
-        if (e.key === 'Enter' && commandValue) {
+        if (e.key === 'Enter') {
             executeCommand(commandValue);
             setCommandValue('');
+        } else if (e.key === 'Escape') {
+            setCommandValue('');
+            if (consolePrompt) {
+                setConsolePrompt(null);
+                addPrompt('*Cancel*');
+            } else {
+                canvasRef.current?.cancel();
+            }
         }
     };
 
@@ -149,36 +369,52 @@ export default function CADEditorModal() {
         { id: 'line', icon: Minus, label: 'Line (L)' },
         { id: 'rect', icon: Square, label: 'Rectangle (R)' },
         { id: 'circle', icon: Circle, label: 'Circle (C)' },
-        { id: 'text', icon: Type, label: 'Text (T)' },
+        { id: 'hatch', icon: PaintBucket, label: 'Hatch (H)' },
     ];
 
-    const editTools = [
-        { id: 'trim', icon: Scissors, label: 'Trim' },
-        { id: 'copy', icon: Copy, label: 'Copy' },
-        { id: 'move', icon: Move, label: 'Move' },
-    ];
+    // Area finishes a hatch can be measured as
+    const hatchFinishes = fitout.filter(isAreaItem);
+    const chooseFinish = (code) => {
+        const item = hatchFinishes.find(f => f.code === code);
+        setHatch(prev => ({ ...prev, fitoutCode: code, pattern: item ? patternForFitout(item) : prev.pattern }));
+    };
 
-    const layers = [
-        { id: '0', name: '0', color: '#FFFFFF' },
-        { id: 'walls', name: 'A-WALLS', color: '#6B7280' },
-        { id: 'doors', name: 'A-DOOR', color: '#10B981' },
-        { id: 'furn', name: 'A-FURN', color: '#EC4899' },
-        { id: 'mep', name: 'A-MEP', color: '#F59E0B' },
+    const annotationTools = [
+        { id: 'text', icon: Type, label: 'Text (T)' },
+        { id: 'leader', icon: ArrowUpRight, label: 'Leader (LE)' },
+        { id: 'dimlinear', icon: RulerDimensionLine, label: 'Linear Dimension (DLI)' },
+        { id: 'dimaligned', icon: MoveDiagonal, label: 'Aligned Dimension (DAL)' },
+        { id: 'dimangular', icon: TriangleRight, label: 'Angular Dimension (DAN)' },
+        { id: 'dimradius', icon: Radius, label: 'Radius Dimension (DRA)' },
+        { id: 'dimdiameter', icon: Diameter, label: 'Diameter Dimension (DDI)' },
+        { id: 'roomtag', icon: Tag, label: 'Room Tag (RT)' },
     ];
 
-    const properties = [
-        { label: 'Type', value: 'Polyline' },
-        { label: 'Layer', value: 'A-WALL' },
-        { label: 'Color', value: 'ByLayer' },
-        { label: 'Linetype', value: 'Continuous' },
-        { label: 'Width', value: '0.00' },
-    ];
+    const dimStyle = cadDimStyles.find(style => style.name === activeDimStyle) || cadDimStyles[0];
 
-    const blocks = [
-        { name: 'DESK_STD', count: 18 },
-        { name: 'CHAIR_EXEC', count: 2 },
+    // A copy of the current style to adjust, so drawings already dimensioned keep theirs
+    const newDimStyle = () => {
+        let n = cadDimStyles.length;
+        while (cadDimStyles.some(style => style.name === `Style ${n}`)) n++;
+        const { builtIn: _builtIn, ...values } = dimStyle;
+        saveCadDimStyle({ ...values, name: `Style ${n}` });
+        setActiveDimStyle(`Style ${n}`);
+        addPrompt(`✓ Dimension style "Style ${n}" created from ${dimStyle.name}`);
+    };
+
+    const editTools = [
+        { id: 'move', icon: Move, label: 'Move (M)' },
+        { id: 'copy', icon: Copy, label: 'Copy (CO)' },
+        { id: 'rotate', icon: RotateCwSquare, label: 'Rotate (RO)' },
+        { id: 'scale', icon: Scaling, label: 'Scale (SC)' },
+        { id: 'mirror', icon: FlipHorizontal2, label: 'Mirror (MI)' },
+        { id: 'offset', icon: BetweenHorizontalStart, label: 'Offset (O)' },
+        { id: 'trim', icon: Scissors, label: 'Trim (TR)' },
+        { id: 'extend', icon: ArrowRightToLine, label: 'Extend (EX)' },
     ];
 
+    const blocks = countBlocks(cadEntities);
+
     return (
         <AnimatePresence>
             <motion.div
@@ -289,10 +525,20 @@ export default function CADEditorModal() {
                     <div className="h-11 bg-[var(--bg-secondary)] border-b border-[var(--border-main)] flex items-center px-4 gap-6">
                         {/* Undo/Redo */}
                         <div className="flex items-center gap-1">
-                            <button className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Undo (Ctrl+Z)">
+                            <button
+                                onClick={handleUndo}
+                                disabled={undoStack.length === 0}
+                                className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors disabled:opacity-40"
+                                title={undoStack.length ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+                            >
                                 <RotateCcw size={14} />
                             </button>
-                            <button className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Redo (Ctrl+Y)">
+                            <button
+                                onClick={handleRedo}
+                                disabled={redoStack.length === 0}
+                                className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors disabled:opacity-40"
+                                title={redoStack.length ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Y)` : 'Redo (Ctrl+Y)'}
+                            >
                                 <RotateCw size={14} />
                             </button>
                         </div>
@@ -310,7 +556,7 @@ export default function CADEditorModal() {
                                     className="bg-transparent text-xs text-[var(--text-primary)] outline-none border-none font-medium min-w-[80px]"
                                 >
                                     {cadLayers.map(l => (
-                                        <option key={l.name} value={l.name} className="bg-[var(--bg-card)]">{l.name}</option>
+                                        <option key={l.name} value={l.name} disabled={l.frozen} className="bg-[var(--bg-card)]">{l.name}</option>
                                     ))}
                                 </select>
                                 <div
@@ -320,26 +566,125 @@ export default function CADEditorModal() {
                             </div>
                         </div>
 
+                        {/* Drawing Units - typed coordinates and distances are read in these */}
+                        <div className="flex items-center gap-2">
+                            <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Units:</span>
+                            <select
+                                value={cadUnits}
+                                onChange={(e) => setCadUnits(e.target.value)}
+                                className="bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] outline-none font-medium"
+                            >
+                                {Object.entries(DRAWING_UNITS).map(([key, unit]) => (
+                                    <option key={key} value={key} className="bg-[var(--bg-card)]">{unit.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
                         <div className="h-5 w-px bg-[var(--border-main)]" />
 
                         {/* Zoom Controls */}
                         <div className="flex items-center gap-1">
-                            <button className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Zoom In">
+                            <button onClick={() => canvasRef.current?.zoom('In')} className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Zoom In">
                                 <ZoomIn size={14} />
                             </button>
-                            <button className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Zoom Out">
+                            <button onClick={() => canvasRef.current?.zoom('Out')} className="p-2 text-[var(--text-muted)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors" title="Zoom Out">
                                 <ZoomOut size={14} />
                             </button>
                             <button className="p-2 text-[var(--accent-primary)] bg-[var(--accent-primary)]/10 rounded-lg" title="Show Grid">
                                 <Grid size={14} />
                             </button>
                         </div>
+
+                        {/* Active Tool Options */}
+                        {activeTool === 'offset' && (
+                            <>
+                                <div className="h-5 w-px bg-[var(--border-main)]" />
+                                <label className="flex items-center gap-2">
+                                    <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Distance:</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={offsetDistance}
+                                        onChange={(e) => setOffsetDistance(e.target.value)}
+                                        placeholder="Through"
+                                        className="w-24 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] font-mono outline-none"
+                                    />
+                                    <span className="text-[10px] text-[var(--text-muted)]">{cadUnits}</span>
+                                </label>
+                            </>
+                        )}
+                        {activeTool === 'hatch' && (
+                            <>
+                                <div className="h-5 w-px bg-[var(--border-main)]" />
+                                <label className="flex items-center gap-2">
+                                    <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Finish:</span>
+                                    <select
+                                        value={hatch.fitoutCode}
+                                        onChange={(e) => chooseFinish(e.target.value)}
+                                        className="w-48 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] outline-none"
+                                    >
+                                        <option value="" className="bg-[var(--bg-card)]">None (not measured)</option>
+                                        {hatchFinishes.map(f => (
+                                            <option key={f.code} value={f.code} className="bg-[var(--bg-card)]">{f.code} - {f.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="flex items-center gap-2">
+                                    <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Pattern:</span>
+                                    <select
+                                        value={hatch.pattern}
+                                        onChange={(e) => setHatch(prev => ({ ...prev, pattern: e.target.value }))}
+                                        className="bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] outline-none"
+                                    >
+                                        {Object.entries(HATCH_PATTERNS).map(([name, pattern]) => (
+                                            <option key={name} value={name} className="bg-[var(--bg-card)]">{pattern.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="flex items-center gap-2">
+                                    <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Scale:</span>
+                                    <input
+                                        type="number"
+                                        min="0.01"
+                                        step="0.1"
+                                        value={hatch.scale}
+                                        onChange={(e) => setHatch(prev => ({ ...prev, scale: e.target.value }))}
+                                        className="w-16 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] font-mono outline-none"
+                                    />
+                                </label>
+                                <label className="flex items-center gap-2">
+                                    <span className="text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider">Angle:</span>
+                                    <input
+                                        type="number"
+                                        step="15"
+                                        value={hatch.angle}
+                                        onChange={(e) => setHatch(prev => ({ ...prev, angle: e.target.value }))}
+                                        className="w-16 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] font-mono outline-none"
+                                    />
+                                    <span className="text-[10px] text-[var(--text-muted)]">°</span>
+                                </label>
+                            </>
+                        )}
+                        {activeTool === 'mirror' && (
+                            <>
+                                <div className="h-5 w-px bg-[var(--border-main)]" />
+                                <label className="flex items-center gap-2 text-[10px] text-[var(--text-muted)] uppercase font-bold tracking-wider cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={eraseSource}
+                                        onChange={(e) => setEraseSource(e.target.checked)}
+                                    />
+                                    Erase source
+                                </label>
+                            </>
+                        )}
                     </div>
 
                     {/* Main Workspace */}
                     <div className="flex-1 flex overflow-hidden">
                         {/* Left Toolbar */}
-                        <div className="w-14 bg-[var(--bg-secondary)] border-r border-[var(--border-main)] flex flex-col items-center py-4 gap-1">
+                        <div className="w-14 bg-[var(--bg-secondary)] border-r border-[var(--border-main)] flex flex-col items-center py-4 gap-1 overflow-y-auto custom-scroll">
                             {/* Drawing Tools */}
                             {tools.map(tool => (
                                 <ToolButton
@@ -347,7 +692,20 @@ export default function CADEditorModal() {
                                     icon={tool.icon}
                                     label={tool.label}
                                     active={activeTool === tool.id}
-                                    onClick={() => setActiveTool(tool.id)}
+                                    onClick={() => startTool(tool.id)}
+                                />
+                            ))}
+
+                            <div className="h-px w-8 bg-[var(--border-main)] my-2" />
+
+                            {/* Annotation Tools */}
+                            {annotationTools.map(tool => (
+                                <ToolButton
+                                    key={tool.id}
+                                    icon={tool.icon}
+                                    label={tool.label}
+                                    active={activeTool === tool.id}
+                                    onClick={() => startTool(tool.id)}
                                 />
                             ))}
 
@@ -359,24 +717,44 @@ export default function CADEditorModal() {
                                     key={tool.id}
                                     icon={tool.icon}
                                     label={tool.label}
-                                    onClick={() => { }}
+                                    active={activeTool === tool.id}
+                                    onClick={() => startTool(tool.id)}
                                 />
                             ))}
 
                             <div className="flex-1" />
 
                             {/* Delete */}
-                            <ToolButton icon={Trash2} label="Delete (Del)" danger />
+                            <ToolButton
+                                icon={Trash2}
+                                label="Delete (Del)"
+                                active={activeTool === 'erase'}
+                                onClick={() => startTool('erase')}
+                                danger
+                            />
                         </div>
 
                         {/* Canvas Area */}
                         <div className="flex-1 relative overflow-hidden bg-[#0F1115]">
                             <CADCanvas
                                 activeTool={activeTool}
+                                ref={canvasRef}
                                 activeLayer={activeCadLayer}
                                 onCommandComplete={() => {
                                     setHistory(prev => [...prev, '✓ Command point accepted']);
                                 }}
+                                onPrompt={addPrompt}
+                                onToolDone={() => setActiveTool('select')}
+                                toolOptions={{
+                                    offsetDistance: (parseFloat(offsetDistance) || 0) * DRAWING_UNITS[cadUnits].toMeters || null,
+                                    eraseSource,
+                                    hatch: {
+                                        pattern: hatch.pattern,
+                                        scale: parseFloat(hatch.scale) > 0 ? parseFloat(hatch.scale) : 1,
+                                        angle: ((parseFloat(hatch.angle) || 0) * Math.PI) / 180,
+                                        fitoutCode: hatch.fitoutCode || undefined,
+                                    },
+                                }}
                             />
                         </div>
 
@@ -388,36 +766,128 @@ export default function CADEditorModal() {
                             </div>
 
                             <div className="flex-1 overflow-auto p-4 space-y-5">
-                                {/* Layers List */}
-                                <div className="space-y-2">
-                                    <span className="panel-title">Layers</span>
-                                    <div className="space-y-1">
-                                        {cadLayers.map(l => (
-                                            <div key={l.name} className="flex items-center gap-2 p-2 rounded-lg bg-[var(--bg-active)] border border-[var(--border-main)] hover:bg-[var(--bg-hover)] transition-all group">
-                                                <div
-                                                    className="w-3 h-3 rounded-full border border-white/20"
-                                                    style={{ backgroundColor: l.color }}
-                                                />
-                                                <span className="flex-1 text-[11px] text-[var(--text-primary)] font-medium truncate">{l.name}</span>
-                                                <button onClick={() => toggleCadLayer(l.name)} className="text-[var(--text-muted)] hover:text-white">
-                                                    {l.visible ? <Eye size={12} /> : <EyeOff size={12} className="text-red-400" />}
-                                                </button>
-                                                <button className="text-[var(--text-muted)] hover:text-white">
-                                                    <Lock size={12} />
-                                                </button>
-                                            </div>
-                                        ))}
+                                {/* Layer manager and layer states */}
+                                <CADLayerManager onPrompt={addPrompt} />
+
+                                {/* Blocks in the drawing with their instance counts */}
+                                {blocks.length > 0 && (
+                                    <div className="space-y-2">
+                                        <span className="panel-title flex items-center gap-1.5"><Box size={11} /> Blocks</span>
+                                        <div className="space-y-1 max-h-56 overflow-auto custom-scroll">
+                                            {blocks.map(block => (
+                                                <BlockItem key={block.name} name={block.name} count={block.count} />
+                                            ))}
+                                        </div>
                                     </div>
-                                </div>
+                                )}
 
                                 {/* Selection Stats */}
                                 <div className="space-y-2">
                                     <span className="panel-title">Selection Info</span>
                                     <div className="space-y-1.5">
                                         <PropertyRow label="Entities" value={cadEntities.length} />
-                                        <PropertyRow label="Selected" value="0" />
+                                        <PropertyRow label="Selected" value={cadSelection.length} />
                                     </div>
                                 </div>
+
+                                {/* Selected objects: line style, measurements, vertices and room fields */}
+                                <div className="space-y-2">
+                                    <span className="panel-title">Object Properties</span>
+                                    <CADPropertiesPanel />
+                                </div>
+
+                                {/* Object Snap Modes - F3 turns them all off and on */}
+                                <div className="space-y-2">
+                                    <span className="panel-title flex items-center gap-1.5"><Crosshair size={11} /> Object Snaps</span>
+                                    <div className="grid grid-cols-2 gap-1">
+                                        {Object.entries(SNAP_MODES).map(([mode, { label }]) => (
+                                            <label key={mode} className="flex items-center gap-1.5 text-[11px] text-[var(--text-secondary)] cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={!!cadSnap.modes[mode]}
+                                                    onChange={(e) => setCadSnap({ modes: { [mode]: e.target.checked } })}
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {/* Dimension Style - changes restyle every annotation drawn in it */}
+                                <div className="space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="panel-title flex items-center gap-1.5"><RulerDimensionLine size={11} /> Dimension Style</span>
+                                        <button onClick={newDimStyle} className="text-[var(--text-muted)] hover:text-white" title="New style from the current one">
+                                            <Plus size={12} />
+                                        </button>
+                                    </div>
+                                    <select
+                                        value={dimStyle.name}
+                                        onChange={(e) => setActiveDimStyle(e.target.value)}
+                                        className="w-full bg-[var(--bg-active)] border border-[var(--border-main)] rounded-lg px-2 py-1 text-xs text-[var(--text-primary)] outline-none font-medium"
+                                    >
+                                        {cadDimStyles.map(style => (
+                                            <option key={style.name} value={style.name} className="bg-[var(--bg-card)]">{style.name}</option>
+                                        ))}
+                                    </select>
+                                    <div className="space-y-1">
+                                        <label className="flex items-center justify-between text-[11px] text-[var(--text-secondary)]">
+                                            Units
+                                            <select
+                                                value={dimStyle.units}
+                                                onChange={(e) => saveCadDimStyle({ name: dimStyle.name, units: e.target.value })}
+                                                className="w-24 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] outline-none"
+                                            >
+                                                {Object.entries(DIM_UNITS).map(([key, unit]) => (
+                                                    <option key={key} value={key} className="bg-[var(--bg-card)]">{unit.label}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        {Object.entries(DIM_STYLE_FIELDS).map(([field, { label, unit, step, max }]) => (
+                                            <label key={field} className="flex items-center justify-between text-[11px] text-[var(--text-secondary)]">
+                                                {label}{unit ? ` (${unit})` : ''}
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step={step}
+                                                    max={max}
+                                                    value={dimStyle[field]}
+                                                    onChange={(e) => {
+                                                        const value = Number(e.target.value);
+                                                        if (e.target.value !== '' && value >= 0 && !(value > max)) saveCadDimStyle({ name: dimStyle.name, [field]: value });
+                                                    }}
+                                                    className="w-24 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] font-mono outline-none"
+                                                />
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {/* Undo History: click an entry to step back to it */}
+                                <div className="space-y-2">
+                                    <span className="panel-title flex items-center gap-1.5"><History size={11} /> History</span>
+                                    {undoStack.length + redoStack.length === 0 ? (
+                                        <p className="text-[11px] text-[var(--text-muted)]">No edits yet</p>
+                                    ) : (
+                                        <div className="space-y-1 max-h-56 overflow-auto custom-scroll">
+                                            {[...undoStack, ...[...redoStack].reverse()].map((command, i) => (
+                                                <button
+                                                    key={command.id}
+                                                    onClick={() => jumpTo(i + 1)}
+                                                    className={`w-full text-left text-[11px] px-2 py-1.5 rounded-lg border transition-all truncate ${i === undoStack.length - 1
+                                                        ? 'border-[var(--accent-primary)] bg-[var(--accent-primary)]/10 text-[var(--text-primary)]'
+                                                        : i >= undoStack.length
+                                                            ? 'border-transparent text-[var(--text-disabled)] hover:bg-[var(--bg-hover)]'
+                                                            : 'border-[var(--border-main)] bg-[var(--bg-active)] text-[var(--text-secondary)] hover:bg-[var(--bg-hover)]'
+                                                        }`}
+                                                    title={new Date(command.timestamp).toLocaleTimeString()}
+                                                >
+                                                    {command.label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -443,8 +913,26 @@ export default function CADEditorModal() {
                                 onChange={(e) => setCommandValue(e.target.value)}
                                 onKeyDown={handleCommand}
                                 className="flex-1 bg-transparent border-none outline-none text-xs text-[var(--text-primary)] font-mono placeholder:text-[var(--text-disabled)]"
-                                placeholder="LINE, RECT, CIRCLE, MOVE, COPY, TRIM, PURGE..."
+                                placeholder="Command, point (x,y  @dx,dy  @len<angle) or distance..."
                             />
+
+                            {/* Drafting Aids */}
+                            <div className="flex items-center gap-1 border-l border-[var(--border-main)] pl-3">
+                                <StatusToggle label="SNAP" hint="Grid snap - F9" on={cadSnap.grid} onClick={() => setCadSnap({ grid: !cadSnap.grid })} />
+                                <StatusToggle label="ORTHO" hint="Ortho mode - F8" on={cadSnap.ortho} onClick={() => setCadSnap({ ortho: !cadSnap.ortho })} />
+                                <StatusToggle label="POLAR" hint="Polar tracking - F10" on={cadSnap.polar} onClick={() => setCadSnap({ polar: !cadSnap.polar })} />
+                                <select
+                                    value={cadSnap.polarIncrement}
+                                    onChange={(e) => setCadSnap({ polarIncrement: Number(e.target.value) })}
+                                    className="bg-transparent text-[10px] text-[var(--text-muted)] font-mono outline-none border-none"
+                                    title="Polar tracking increment"
+                                >
+                                    {POLAR_INCREMENTS.map(angle => (
+                                        <option key={angle} value={angle} className="bg-[var(--bg-card)]">{angle}°</option>
+                                    ))}
+                                </select>
+                                <StatusToggle label="OSNAP" hint="Object snap - F3" on={cadSnap.osnap} onClick={() => setCadSnap({ osnap: !cadSnap.osnap })} />
+                            </div>
                         </div>
                     </div>
                 </motion.div>
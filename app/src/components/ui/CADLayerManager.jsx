@@ -0,0 +1,268 @@
+/**
+ * Design & Build - CAD Layer Manager
+ * The CAD editor's layer list: create, rename, recolor, restyle, merge and
+ * delete layers, turn them off, freeze or lock them, pick the current layer
+ * and save or restore layer states. Imported DXF/DWG layers appear here too.
+ */
+
+import React, { useState } from 'react';
+import { Eye, EyeOff, Lock, Unlock, Snowflake, Check, Plus, Trash2, Merge, Bookmark, RotateCcw } from 'lucide-react';
+import { useProjectStore } from '../../store';
+import { DEFAULT_LAYER, layerNameError } from '../../services/cadLayers';
+import { LINETYPES, LINEWEIGHTS, DEFAULT_LINETYPE, DEFAULT_LINEWEIGHT } from '../../config/lineStyles';
+import { CommitInput } from './CADPropertiesPanel';
+
+const FIELD_CLASS = 'w-28 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] outline-none';
+const ROW_CLASS = 'flex items-center justify-between gap-2 text-[11px] text-[var(--text-secondary)]';
+
+function IconToggle({ on, onClick, title, activeClass = 'text-red-400', children }) {
+    return (
+        <button
+            onClick={(e) => { e.stopPropagation(); onClick(); }}
+            className={`hover:text-white ${on ? activeClass : 'text-[var(--text-muted)]'}`}
+            title={title}
+        >
+            {children}
+        </button>
+    );
+}
+
+// ============================================================================
+// Layer Details (the expanded row)
+// ============================================================================
+
+function LayerDetails({ layer, layers, isCurrent, onPrompt }) {
+    const renameCadLayer = useProjectStore(s => s.renameCadLayer);
+    const updateCadLayer = useProjectStore(s => s.updateCadLayer);
+    const mergeCadLayer = useProjectStore(s => s.mergeCadLayer);
+    const deleteCadLayer = useProjectStore(s => s.deleteCadLayer);
+    const canDelete = useProjectStore(s => s.canDeleteCadLayer(layer.name));
+    const setActiveCadLayer = useProjectStore(s => s.setActiveCadLayer);
+
+    const rename = (text) => {
+        const error = layerNameError(text, layers, layer.name);
+        if (error) onPrompt?.(error);
+        else if (renameCadLayer(layer.name, text)) onPrompt?.(`✓ Layer ${layer.name} renamed to ${text.trim()}`);
+    };
+
+    const merge = (target) => {
+        if (target && mergeCadLayer(layer.name, target)) onPrompt?.(`✓ Layer ${layer.name} merged into ${target}`);
+    };
+
+    return (
+        <div className="space-y-1 px-2 pb-2">
+            {layer.name !== DEFAULT_LAYER && (
+                <label className={ROW_CLASS}>
+                    Name
+                    <CommitInput value={layer.name} mono={false} onCommit={rename} />
+                </label>
+            )}
+            <label className={ROW_CLASS}>
+                Linetype
+                <select
+                    value={layer.linetype || DEFAULT_LINETYPE}
+                    onChange={(e) => updateCadLayer(layer.name, { linetype: e.target.value })}
+                    className={FIELD_CLASS}
+                >
+                    {Object.keys(LINETYPES).map(name => (
+                        <option key={name} value={name} className="bg-[var(--bg-card)]">{name}</option>
+                    ))}
+                </select>
+            </label>
+            <label className={ROW_CLASS}>
+                Lineweight
+                <select
+                    value={String(layer.lineweight ?? DEFAULT_LINEWEIGHT)}
+                    onChange={(e) => updateCadLayer(layer.name, { lineweight: Number(e.target.value) })}
+                    className={FIELD_CLASS}
+                >
+                    {LINEWEIGHTS.map(w => (
+                        <option key={w} value={String(w)} className="bg-[var(--bg-card)]">{w.toFixed(2)} mm</option>
+                    ))}
+                </select>
+            </label>
+            {layer.name !== DEFAULT_LAYER && (
+                <label className={ROW_CLASS}>
+                    <span className="flex items-center gap-1"><Merge size={11} /> Merge into</span>
+                    <select value="" onChange={(e) => merge(e.target.value)} className={FIELD_CLASS}>
+                        <option value="" className="bg-[var(--bg-card)]">Choose layer…</option>
+                        {layers.filter(l => l.name !== layer.name).map(l => (
+                            <option key={l.name} value={l.name} className="bg-[var(--bg-card)]">{l.name}</option>
+                        ))}
+                    </select>
+                </label>
+            )}
+            <div className="flex items-center gap-1 pt-1">
+                <button
+                    onClick={() => setActiveCadLayer(layer.name)}
+                    disabled={isCurrent || layer.frozen}
+                    className="flex-1 text-[11px] px-2 py-1 rounded-md border border-[var(--border-main)] text-[var(--text-secondary)] hover:text-white disabled:opacity-40"
+                    title={layer.frozen ? 'A frozen layer cannot be current' : undefined}
+                >
+                    Set current
+                </button>
+                <button
+                    onClick={() => deleteCadLayer(layer.name) && onPrompt?.(`✓ Layer ${layer.name} deleted`)}
+                    disabled={!canDelete}
+                    className="px-2 py-1 rounded-md border border-[var(--border-main)] text-[var(--text-muted)] hover:text-red-400 disabled:opacity-40"
+                    title={canDelete ? 'Delete layer' : 'Layer 0, the current layer and layers with objects cannot be deleted - merge them instead'}
+                >
+                    <Trash2 size={12} />
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// Layer States
+// ============================================================================
+
+function LayerStates({ onPrompt }) {
+    const cadLayerStates = useProjectStore(s => s.cadLayerStates);
+    const saveCadLayerState = useProjectStore(s => s.saveCadLayerState);
+    const restoreCadLayerState = useProjectStore(s => s.restoreCadLayerState);
+    const deleteCadLayerState = useProjectStore(s => s.deleteCadLayerState);
+    const [selected, setSelected] = useState('');
+    const [draftName, setDraftName] = useState('');
+
+    const current = cadLayerStates.some(s => s.name === selected) ? selected : cadLayerStates[0]?.name || '';
+
+    const save = () => {
+        const name = draftName.trim() || `State ${cadLayerStates.length + 1}`;
+        saveCadLayerState(name);
+        setSelected(name);
+        setDraftName('');
+        onPrompt?.(`✓ Layer state ${name} saved`);
+    };
+
+    return (
+        <div className="space-y-1">
+            <span className="panel-title flex items-center gap-1.5"><Bookmark size={11} /> Layer States</span>
+            <div className="flex items-center gap-1">
+                <input
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && save()}
+                    placeholder="New state name"
+                    className="flex-1 min-w-0 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] outline-none"
+                />
+                <button onClick={save} className="text-[var(--text-muted)] hover:text-white" title="Save the current layer settings">
+                    <Plus size={12} />
+                </button>
+            </div>
+            {cadLayerStates.length > 0 && (
+                <div className="flex items-center gap-1">
+                    <select
+                        value={current}
+                        onChange={(e) => setSelected(e.target.value)}
+                        className="flex-1 min-w-0 bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] outline-none"
+                    >
+                        {cadLayerStates.map(s => (
+                            <option key={s.name} value={s.name} className="bg-[var(--bg-card)]">{s.name}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => { restoreCadLayerState(current); onPrompt?.(`✓ Layer state ${current} restored`); }}
+                        className="text-[var(--text-muted)] hover:text-white"
+                        title="Restore"
+                    >
+                        <RotateCcw size={12} />
+                    </button>
+                    <button onClick={() => deleteCadLayerState(current)} className="text-[var(--text-muted)] hover:text-red-400" title="Delete state">
+                        <Trash2 size={12} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ============================================================================
+// Layer Manager
+// ============================================================================
+
+export default function CADLayerManager({ onPrompt }) {
+    const cadLayers = useProjectStore(s => s.cadLayers);
+    const cadEntities = useProjectStore(s => s.cadEntities);
+    const activeCadLayer = useProjectStore(s => s.activeCadLayer);
+    const toggleCadLayer = useProjectStore(s => s.toggleCadLayer);
+    const updateCadLayer = useProjectStore(s => s.updateCadLayer);
+    const addCadLayer = useProjectStore(s => s.addCadLayer);
+    const [expanded, setExpanded] = useState(null);
+
+    const counts = new Map();
+    cadEntities.forEach(e => counts.set(e.layer, (counts.get(e.layer) || 0) + 1));
+
+    const freeze = (layer) => {
+        if (!updateCadLayer(layer.name, { frozen: !layer.frozen })) onPrompt?.('The current layer cannot be frozen');
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                    <span className="panel-title">Layers</span>
+                    <button
+                        onClick={() => {
+                            const name = addCadLayer();
+                            if (name) setExpanded(name);
+                        }}
+                        className="text-[var(--text-muted)] hover:text-white"
+                        title="New layer"
+                    >
+                        <Plus size={12} />
+                    </button>
+                </div>
+                <div className="space-y-1 max-h-72 overflow-auto custom-scroll">
+                    {cadLayers.map(l => (
+                        <div key={l.name} className={`rounded-lg bg-[var(--bg-active)] border transition-all ${expanded === l.name ? 'border-[var(--accent-primary)]' : 'border-[var(--border-main)]'}`}>
+                            <div
+                                onClick={() => setExpanded(expanded === l.name ? null : l.name)}
+                                className="flex items-center gap-2 p-2 hover:bg-[var(--bg-hover)] rounded-lg cursor-pointer group"
+                            >
+                                <label
+                                    onClick={(e) => e.stopPropagation()}
+                                    className="relative w-3 h-3 rounded-full border border-white/20 cursor-pointer shrink-0"
+                                    style={{ backgroundColor: l.color }}
+                                    title="Layer color"
+                                >
+                                    <input
+                                        type="color"
+                                        value={l.color}
+                                        onChange={(e) => updateCadLayer(l.name, { color: e.target.value.toUpperCase() })}
+                                        className="absolute inset-0 opacity-0 cursor-pointer"
+                                    />
+                                </label>
+                                <span className={`flex-1 text-[11px] font-medium truncate ${l.frozen || !l.visible ? 'text-[var(--text-muted)]' : 'text-[var(--text-primary)]'}`}>
+                                    {l.name}
+                                </span>
+                                {l.name === activeCadLayer && <Check size={11} className="text-[var(--accent-primary)]" />}
+                                <span className="text-[10px] text-[var(--text-muted)] font-mono">{counts.get(l.name) || 0}</span>
+                                <IconToggle on={!l.visible} onClick={() => toggleCadLayer(l.name)} title={l.visible ? 'Turn off' : 'Turn on'}>
+                                    {l.visible ? <Eye size={12} /> : <EyeOff size={12} />}
+                                </IconToggle>
+                                <IconToggle on={l.frozen} onClick={() => freeze(l)} title={l.frozen ? 'Thaw' : 'Freeze'} activeClass="text-cyan-400">
+                                    <Snowflake size={12} />
+                                </IconToggle>
+                                <IconToggle
+                                    on={l.locked}
+                                    onClick={() => updateCadLayer(l.name, { locked: !l.locked })}
+                                    title={l.locked ? 'Unlock' : 'Lock'}
+                                    activeClass="text-amber-400"
+                                >
+                                    {l.locked ? <Lock size={12} /> : <Unlock size={12} />}
+                                </IconToggle>
+                            </div>
+                            {expanded === l.name && (
+                                <LayerDetails layer={l} layers={cadLayers} isCurrent={l.name === activeCadLayer} onPrompt={onPrompt} />
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <LayerStates onPrompt={onPrompt} />
+        </div>
+    );
+}
@@ -0,0 +1,323 @@
+/**
+ * Design & Build - CAD Properties Panel
+ * Inspector bound to the CAD editor's selection. Every field is editable;
+ * a multi-selection shows the values its objects share and *VARIES* where
+ * they differ, and an edit applies to all of them as one undo step.
+ */
+
+import React, { useState } from 'react';
+import { useProjectStore, useHistoryStore, useLayerProfileStore, useBOQStore } from '../../store';
+import {
+    VARIES, ENTITY_LABELS, commonValue, entityMeasures, entityVertices, moveVertex,
+} from '../../services/cadProperties';
+import { isRoomOutline } from '../../services/cadSync';
+import { isHatch, isAreaItem } from '../../services/cadHatches';
+import { DRAWING_UNITS, formatLength } from '../../services/cadCommandLine';
+import { BY_LAYER, INDEX_COLORS, LINETYPES, LINEWEIGHTS } from '../../config/lineStyles';
+import { HATCH_PATTERNS, patternForFitout } from '../../config/hatchPatterns';
+import { ROOM_TYPES } from '../../config/api';
+
+const FIELD_CLASS = 'bg-[var(--bg-active)] border border-[var(--border-main)] rounded-md px-1.5 py-0.5 text-[11px] text-[var(--text-primary)] outline-none';
+const ROW_CLASS = 'flex items-center justify-between gap-2 text-[11px] text-[var(--text-secondary)]';
+
+// ============================================================================
+// Fields
+// ============================================================================
+
+/**
+ * Text field that commits on Enter or blur; Escape drops the edit
+ */
+export function CommitInput({ value, onCommit, mono = true, width = 'w-28' }) {
+    const [draft, setDraft] = useState(null);
+
+    const commit = () => {
+        if (draft !== null && draft !== String(value)) onCommit(draft);
+        setDraft(null);
+    };
+
+    return (
+        <input
+            value={draft ?? value}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+                if (e.key === 'Escape') setDraft(null);
+            }}
+            className={`${width} ${FIELD_CLASS} ${mono ? 'font-mono' : ''}`}
+        />
+    );
+}
+
+function SelectField({ value, onChange, children }) {
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={`w-28 ${FIELD_CLASS}`}>
+            {value === VARIES && <option value={VARIES} disabled className="bg-[var(--bg-card)]">{VARIES}</option>}
+            {children}
+        </select>
+    );
+}
+
+function Option({ value, label }) {
+    return <option value={value} className="bg-[var(--bg-card)]">{label ?? value}</option>;
+}
+
+function Row({ label, children }) {
+    return (
+        <label className={ROW_CLASS}>
+            <span className="truncate">{label}</span>
+            {children}
+        </label>
+    );
+}
+
+function ReadOnlyRow({ label, value }) {
+    return (
+        <div className={ROW_CLASS}>
+            <span className="truncate">{label}</span>
+            <span className="text-[var(--text-primary)] font-mono font-semibold truncate">{value}</span>
+        </div>
+    );
+}
+
+const parseNumber = (text) => {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : null;
+};
+
+// ============================================================================
+// Panel
+// ============================================================================
+
+export default function CADPropertiesPanel() {
+    const cadEntities = useProjectStore(s => s.cadEntities);
+    const cadSelection = useProjectStore(s => s.cadSelection);
+    const cadLayers = useProjectStore(s => s.cadLayers);
+    const cadUnits = useProjectStore(s => s.cadUnits);
+    const updateCadEntity = useProjectStore(s => s.updateCadEntity);
+    const batch = useHistoryStore(s => s.batch);
+    const layerProfile = useLayerProfileStore(s => s.getActiveProfile());
+    const fitout = useBOQStore(s => s.fitout);
+
+    const selected = cadEntities.filter(e => cadSelection.includes(e.id));
+    if (selected.length === 0) {
+        return <p className="text-[11px] text-[var(--text-muted)]">Select objects to see their properties</p>;
+    }
+
+    const single = selected.length === 1 ? selected[0] : null;
+    const toMeters = (DRAWING_UNITS[cadUnits] || DRAWING_UNITS.m).toMeters;
+    const unit = cadUnits || 'm';
+
+    // One undo step for the whole selection
+    const setAll = (label, patch) => {
+        batch(label, () => selected.forEach(entity => updateCadEntity(entity.id, patch)));
+    };
+
+    const common = (read) => commonValue(selected, read);
+    const styleValue = (field) => common(e => e[field] ?? BY_LAYER);
+    const byLayer = (value) => (value === BY_LAYER ? undefined : value);
+
+    const type = common(e => e.type);
+    const layer = common(e => e.layer || '0');
+    const color = styleValue('color');
+    const linetype = styleValue('linetype');
+    const lineweight = styleValue('lineweight');
+    const block = common(e => e.block || '');
+
+    // Measurements a multi-selection shares, e.g. equal-length lines
+    const measures = selected.map(entityMeasures);
+    const measure = (key) => {
+        if (measures.some(m => m[key] === undefined)) return undefined;
+        const values = measures.map(m => (key === 'area' ? m[key].toFixed(2) : formatLength(m[key], cadUnits)));
+        return values.every(v => v === values[0]) ? values[0] : VARIES;
+    };
+    const length = measure('length');
+    const area = measure('area');
+    const perimeter = measure('perimeter');
+
+    const isRoom = selected.every(e => isRoomOutline(e, layerProfile));
+    const hatches = selected.every(isHatch);
+    const finishes = fitout.filter(isAreaItem);
+    const finish = hatches ? common(e => e.fitoutCode || '') : '';
+    const vertices = single ? entityVertices(single) : [];
+    const customColor = color !== VARIES && color !== BY_LAYER && !INDEX_COLORS.some(c => c.hex === color);
+
+    return (
+        <div className="space-y-3">
+            {/* General */}
+            <div className="space-y-1">
+                <ReadOnlyRow
+                    label="Type"
+                    value={type === VARIES ? `${VARIES} (${selected.length})` : `${ENTITY_LABELS[type] || type}${single ? '' : ` (${selected.length})`}`}
+                />
+                <Row label="Layer">
+                    <SelectField value={layer} onChange={(value) => setAll('Change layer', { layer: value })}>
+                        {cadLayers.map(l => <Option key={l.name} value={l.name} />)}
+                    </SelectField>
+                </Row>
+                <Row label="Color">
+                    <SelectField value={color} onChange={(value) => setAll('Change color', { color: byLayer(value) })}>
+                        <Option value={BY_LAYER} />
+                        {INDEX_COLORS.map(c => <Option key={c.hex} value={c.hex} label={c.name} />)}
+                        {customColor && <Option value={color} />}
+                    </SelectField>
+                </Row>
+                <Row label="Linetype">
+                    <SelectField value={linetype} onChange={(value) => setAll('Change linetype', { linetype: byLayer(value) })}>
+                        <Option value={BY_LAYER} />
+                        {Object.keys(LINETYPES).map(name => <Option key={name} value={name} />)}
+                    </SelectField>
+                </Row>
+                <Row label="Lineweight">
+                    <SelectField
+                        value={String(lineweight)}
+                        onChange={(value) => setAll('Change lineweight', { lineweight: value === BY_LAYER ? undefined : Number(value) })}
+                    >
+                        <Option value={BY_LAYER} />
+                        {LINEWEIGHTS.map(w => <Option key={w} value={String(w)} label={`${w.toFixed(2)} mm`} />)}
+                    </SelectField>
+                </Row>
+                {block && <ReadOnlyRow label="Block" value={block} />}
+            </div>
+
+            {/* Measurements */}
+            {(length !== undefined || area !== undefined) && (
+                <div className="space-y-1">
+                    {length !== undefined && <ReadOnlyRow label={`Length (${unit})`} value={length} />}
+                    {area !== undefined && <ReadOnlyRow label="Area (m²)" value={area} />}
+                    {perimeter !== undefined && <ReadOnlyRow label={`Perimeter (${unit})`} value={perimeter} />}
+                </div>
+            )}
+
+            {/* Geometry of a single object */}
+            {single && (
+                <div className="space-y-1">
+                    {(single.type === 'CIRCLE' || single.type === 'ARC') && (
+                        <Row label={`Radius (${unit})`}>
+                            <CommitInput
+                                value={formatLength(single.radius, cadUnits)}
+                                onCommit={(text) => {
+                                    const value = parseNumber(text);
+                                    if (value > 0) setAll('Change radius', { radius: value * toMeters });
+                                }}
+                            />
+                        </Row>
+                    )}
+                    {single.type === 'TEXT' && (
+                        <>
+                            <Row label="Text">
+                                <CommitInput value={single.text} mono={false} onCommit={(text) => text.trim() && setAll('Edit text', { text })} />
+                            </Row>
+                            <Row label="Height (m)">
+                                <CommitInput
+                                    value={single.height}
+                                    onCommit={(text) => {
+                                        const value = parseNumber(text);
+                                        if (value > 0) setAll('Change text height', { height: value });
+                                    }}
+                                />
+                            </Row>
+                            <Row label="Rotation (°)">
+                                <CommitInput
+                                    value={Math.round(((single.rotation || 0) * 180) / Math.PI * 100) / 100}
+                                    onCommit={(text) => {
+                                        const value = parseNumber(text);
+                                        if (value !== null) setAll('Rotate text', { rotation: (value * Math.PI) / 180 });
+                                    }}
+                                />
+                            </Row>
+                        </>
+                    )}
+                    {vertices.length > 0 && (
+                        <div className="space-y-1 max-h-48 overflow-auto custom-scroll">
+                            {vertices.map((point, i) => (
+                                <div key={i} className={ROW_CLASS}>
+                                    <span className="w-6 text-[var(--text-muted)] font-mono">{vertices.length > 1 ? i + 1 : '⌖'}</span>
+                                    {['x', 'y'].map(axis => (
+                                        <CommitInput
+                                            key={axis}
+                                            width="w-20"
+                                            value={formatLength(point[axis], cadUnits)}
+                                            onCommit={(text) => {
+                                                const value = parseNumber(text);
+                                                if (value !== null) {
+                                                    setAll('Move vertex', moveVertex(single, i, { ...point, [axis]: value * toMeters }));
+                                                }
+                                            }}
+                                        />
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Hatches: pattern, and the fit-out item the hatched area is measured as */}
+            {hatches && (
+                <div className="space-y-1">
+                    <span className="panel-title">Hatch</span>
+                    <Row label="Finish">
+                        <SelectField
+                            value={finish}
+                            onChange={(value) => {
+                                const item = finishes.find(f => f.code === value);
+                                setAll('Change hatch finish', item ? { fitoutCode: value, pattern: patternForFitout(item) } : { fitoutCode: undefined });
+                            }}
+                        >
+                            <Option value="" label="None" />
+                            {finishes.map(f => <Option key={f.code} value={f.code} label={`${f.code} - ${f.name}`} />)}
+                            {finish && finish !== VARIES && !finishes.some(f => f.code === finish) && <Option value={finish} />}
+                        </SelectField>
+                    </Row>
+                    <Row label="Pattern">
+                        <SelectField value={common(e => e.pattern)} onChange={(value) => setAll('Change hatch pattern', { pattern: value })}>
+                            {Object.entries(HATCH_PATTERNS).map(([name, pattern]) => <Option key={name} value={name} label={pattern.label} />)}
+                        </SelectField>
+                    </Row>
+                    <Row label="Scale">
+                        <CommitInput
+                            value={common(e => e.scale ?? 1)}
+                            onCommit={(text) => {
+                                const value = parseNumber(text);
+                                if (value > 0) setAll('Change hatch scale', { scale: value });
+                            }}
+                        />
+                    </Row>
+                    <Row label="Angle (°)">
+                        <CommitInput
+                            value={common(e => Math.round(((e.angle || 0) * 180) / Math.PI * 100) / 100)}
+                            onCommit={(text) => {
+                                const value = parseNumber(text);
+                                if (value !== null) setAll('Change hatch angle', { angle: (value * Math.PI) / 180 });
+                            }}
+                        />
+                    </Row>
+                </div>
+            )}
+
+            {/* Room outlines: what Sync to Project names and types the room */}
+            {isRoom && (
+                <div className="space-y-1">
+                    <span className="panel-title">Room</span>
+                    <Row label="Room type">
+                        <SelectField
+                            value={common(e => e.roomType || '')}
+                            onChange={(value) => setAll('Change room type', { roomType: value || undefined })}
+                        >
+                            <Option value="" label="Auto (from text)" />
+                            {Object.keys(ROOM_TYPES).map(key => <Option key={key} value={key} label={key.replace(/_/g, ' ')} />)}
+                        </SelectField>
+                    </Row>
+                    <Row label="Room name">
+                        <CommitInput
+                            value={common(e => e.roomName || '')}
+                            mono={false}
+                            onCommit={(text) => setAll('Rename room', { roomName: text.trim() || undefined })}
+                        />
+                    </Row>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -8,9 +8,12 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     Layers, Hammer, Zap, Sofa, Calculator,
-    ChevronUp, ChevronDown, TrendingUp, BarChart3
+    ChevronUp, ChevronDown, TrendingUp, BarChart3, Coins, Ruler
 } from 'lucide-react';
 import { useSurveyorStore, useBOQStore, useProjectStore } from '../../store';
+import { currencyDecimals, formatAmount, taxLabel } from '../../services/pricing';
+import PricingSettingsModal from './PricingSettingsModal';
+import QuantityTakeoffModal from './QuantityTakeoffModal';
 
 // ============================================================================
 // Animated Number Component
@@ -42,14 +45,14 @@ function AnimatedNumber({ value, decimals = 3, duration = 0.5 }) {
         requestAnimationFrame(animate);
     }, [value, duration]);
 
-    return displayValue.toFixed(decimals);
+    return displayValue.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
 }
 
 // ============================================================================
 // Cost Category Component
 // ============================================================================
 
-function CostCategory({ icon: Icon, label, value, gradient }) {
+function CostCategory({ icon: Icon, label, value, currency, gradient }) {
     return (
         <div className="flex items-center gap-3 p-3 rounded-xl bg-[var(--bg-card)] border border-[var(--border-main)] hover:border-[var(--border-strong)] transition-colors">
             <div className={`w-10 h-10 rounded-lg ${gradient} flex items-center justify-center shadow-lg`}>
@@ -59,9 +62,9 @@ function CostCategory({ icon: Icon, label, value, gradient }) {
                 <span className="text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)]">{label}</span>
                 <div className="flex items-center gap-1.5 mt-0.5">
                     <span className="text-sm font-bold text-[var(--text-primary)] font-mono">
-                        <AnimatedNumber value={value} />
+                        <AnimatedNumber value={value} decimals={currencyDecimals(currency)} />
                     </span>
-                    <span className="text-[10px] text-[var(--text-muted)]">OMR</span>
+                    <span className="text-[10px] text-[var(--text-muted)]">{currency}</span>
                 </div>
             </div>
         </div>
@@ -87,6 +90,8 @@ function StatPill({ label, value, unit = '' }) {
 
 export default function CostTicker() {
     const [expanded, setExpanded] = useState(false);
+    const [showPricing, setShowPricing] = useState(false);
+    const [showTakeoff, setShowTakeoff] = useState(false);
 
     // Surveyor data
     const grandTotal = useSurveyorStore(s => s.grandTotal);
@@ -98,10 +103,14 @@ export default function CostTicker() {
     const wallArea = useSurveyorStore(s => s.wallArea);
     const floorArea = useSurveyorStore(s => s.floorArea);
     const contingency = useSurveyorStore(s => s.contingency);
+    const levelBreakdown = useSurveyorStore(s => s.levelBreakdown);
+    const taxes = useSurveyorStore(s => s.taxes);
 
     // BOQ data
     const getSubtotal = useBOQStore(s => s.getSubtotal);
     const selectedItems = useBOQStore(s => s.selectedItems);
+    const currency = useBOQStore(s => s.project.currency);
+    const money = (value) => formatAmount(value, currency);
 
     // Project data
     const detectedRooms = useProjectStore(s => s.detectedRooms);
@@ -155,15 +164,15 @@ export default function CostTicker() {
                     <div className="hidden lg:flex items-center gap-8">
                         <div className="text-center">
                             <span className="block text-[9px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">Materials</span>
-                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{(hasData ? materialCost : 0).toFixed(3)}</p>
+                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{money(hasData ? materialCost : 0)}</p>
                         </div>
                         <div className="text-center">
                             <span className="block text-[9px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">Labor</span>
-                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{(hasData ? laborCost : 0).toFixed(3)}</p>
+                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{money(hasData ? laborCost : 0)}</p>
                         </div>
                         <div className="text-center">
                             <span className="block text-[9px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">Furniture</span>
-                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{(hasData ? furnitureCost : getSubtotal()).toFixed(3)}</p>
+                            <p className="text-xs font-bold text-[var(--text-primary)] font-mono">{money(hasData ? furnitureCost : getSubtotal())}</p>
                         </div>
                     </div>
                 )}
@@ -177,15 +186,37 @@ export default function CostTicker() {
                             key={displayTotal}
                         >
                             <span className="text-xl font-black text-[var(--accent-secondary)] font-mono" style={{ textShadow: '0 0 20px var(--accent-gold-glow)' }}>
-                                <AnimatedNumber value={displayTotal} />
+                                <AnimatedNumber value={displayTotal} decimals={currencyDecimals(currency)} />
                             </span>
-                            <span className="text-xs font-bold text-[var(--text-muted)]">OMR</span>
+                            <span className="text-xs font-bold text-[var(--text-muted)]">{currency}</span>
                             {displayTotal > 0 && (
                                 <TrendingUp size={14} className="text-emerald-500 ml-1" />
                             )}
                         </motion.div>
                     </div>
 
+                    {/* Quantity Takeoff */}
+                    <motion.button
+                        className="p-2 rounded-lg bg-[var(--bg-active)] border border-[var(--border-main)] hover:bg-[var(--bg-hover)] transition-colors"
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={(e) => { e.stopPropagation(); setShowTakeoff(true); }}
+                        title="Quantity takeoff by room and element"
+                    >
+                        <Ruler size={16} className="text-[var(--text-muted)]" />
+                    </motion.button>
+
+                    {/* Pricing Settings */}
+                    <motion.button
+                        className="p-2 rounded-lg bg-[var(--bg-active)] border border-[var(--border-main)] hover:bg-[var(--bg-hover)] transition-colors"
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={(e) => { e.stopPropagation(); setShowPricing(true); }}
+                        title="Currency, exchange rates, taxes and rate libraries"
+                    >
+                        <Coins size={16} className="text-[var(--text-muted)]" />
+                    </motion.button>
+
                     {/* Expand Button */}
                     <motion.button
                         className="p-2 rounded-lg bg-[var(--bg-active)] border border-[var(--border-main)] hover:bg-[var(--bg-hover)] transition-colors"
@@ -216,28 +247,54 @@ export default function CostTicker() {
                                 icon={Layers}
                                 label="Materials"
                                 value={hasData ? materialCost : 0}
+                                currency={currency}
                                 gradient="bg-gradient-to-br from-cyan-500 to-blue-600"
                             />
                             <CostCategory
                                 icon={Hammer}
                                 label="Labor (35%)"
                                 value={hasData ? laborCost : 0}
+                                currency={currency}
                                 gradient="bg-gradient-to-br from-amber-500 to-orange-600"
                             />
                             <CostCategory
                                 icon={Zap}
                                 label="MEP Systems"
                                 value={hasData ? mepCost : 0}
+                                currency={currency}
                                 gradient="bg-gradient-to-br from-yellow-500 to-amber-600"
                             />
                             <CostCategory
                                 icon={Sofa}
                                 label="Furniture"
                                 value={hasData ? furnitureCost : getSubtotal()}
+                                currency={currency}
                                 gradient="bg-gradient-to-br from-purple-500 to-pink-600"
                             />
                         </div>
 
+                        {/* Per-Level Breakdown */}
+                        {levelBreakdown.length > 1 && (
+                            <div className="mt-5 pt-5 border-t border-[var(--border-main)]">
+                                <span className="block text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-2">By Level</span>
+                                <div className="grid grid-cols-6 gap-x-4 gap-y-1 text-xs font-mono">
+                                    {['Level', 'Floor m²', 'Wall m²', 'MEP', 'Furniture', 'Subtotal'].map(h => (
+                                        <span key={h} className="text-[9px] font-bold uppercase tracking-wider text-[var(--text-muted)] font-sans">{h}</span>
+                                    ))}
+                                    {levelBreakdown.map(level => (
+                                        <React.Fragment key={level.levelId}>
+                                            <span className="font-sans font-bold text-[var(--text-primary)] truncate">{level.name}</span>
+                                            <span className="text-[var(--text-secondary)]">{level.floorArea.toFixed(1)}</span>
+                                            <span className="text-[var(--text-secondary)]">{level.wallArea.toFixed(1)}</span>
+                                            <span className="text-[var(--text-secondary)]">{level.mepCount}</span>
+                                            <span className="text-[var(--text-secondary)]">{money(level.furnitureCost)}</span>
+                                            <span className="font-bold text-[var(--text-primary)]">{money(level.totalCost)}</span>
+                                        </React.Fragment>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Area & Totals Summary */}
                         <div className="mt-5 pt-5 border-t border-[var(--border-main)] flex items-center justify-between">
                             <div className="flex items-center gap-6">
@@ -253,8 +310,17 @@ export default function CostTicker() {
                                 <div className="w-px h-8 bg-[var(--border-main)]" />
                                 <div>
                                     <span className="block text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">Subtotal</span>
-                                    <p className="text-sm font-bold text-[var(--text-primary)] font-mono">{(hasData ? totalCost : getSubtotal()).toFixed(3)} OMR</p>
+                                    <p className="text-sm font-bold text-[var(--text-primary)] font-mono">{money(hasData ? totalCost : getSubtotal())} {currency}</p>
                                 </div>
+                                {hasData && taxes.map(tax => (
+                                    <React.Fragment key={tax.id}>
+                                        <div className="w-px h-8 bg-[var(--border-main)]" />
+                                        <div>
+                                            <span className="block text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">{taxLabel(tax)}</span>
+                                            <p className="text-sm font-bold text-amber-500 font-mono">{money(tax.amount)} {currency}</p>
+                                        </div>
+                                    </React.Fragment>
+                                ))}
                             </div>
 
                             <div className="flex items-center gap-4">
@@ -265,13 +331,16 @@ export default function CostTicker() {
                                 <div className="w-px h-8 bg-[var(--border-main)]" />
                                 <div className="text-right">
                                     <span className="block text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)] mb-0.5">Grand Total</span>
-                                    <p className="text-lg font-black text-emerald-500 font-mono">{displayTotal.toFixed(3)} OMR</p>
+                                    <p className="text-lg font-black text-emerald-500 font-mono">{money(displayTotal)} {currency}</p>
                                 </div>
                             </div>
                         </div>
                     </motion.div>
                 )}
             </AnimatePresence>
+
+            <PricingSettingsModal isOpen={showPricing} onClose={() => setShowPricing(false)} />
+            <QuantityTakeoffModal isOpen={showTakeoff} onClose={() => setShowTakeoff(false)} />
         </motion.div>
     );
 }
@@ -1,10 +1,11 @@
 /**
  * Design & Build - DWG Converter Modal
- * Shows conversion options when a DWG file is uploaded
+ * Reads an uploaded DWG in the browser first and only shows conversion
+ * options when the local reader can't open it.
  * Enhanced for visibility and premium aesthetics.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
@@ -13,8 +14,9 @@ import {
     Monitor, Globe, Wrench, Sparkles, Wand2,
     DraftingCompass, Edit3, Code
 } from 'lucide-react';
-import { useUIStore, useProjectStore } from '../../store';
+import { useUIStore, useLayerProfileStore } from '../../store';
 import { convertDWGtoDXF, isConversionServiceAvailable, getManualConversionInstructions } from '../../services/dwgConverter.js';
+import { parseDWGFile } from '../../services/dxfConverter.js';
 
 const iconMap = {
     autocad: Monitor,
@@ -29,6 +31,28 @@ export default function DWGConverterModal({ isOpen, onClose, dwgFile, onConversi
     const [progress, setProgress] = useState({ status: '', message: '' });
     const [convertedFile, setConvertedFile] = useState(null);
     const [error, setError] = useState(null);
+    const [localReadFailed, setLocalReadFailed] = useState(null); // File the local reader gave up on
+
+    const readingLocally = isOpen && !!dwgFile && localReadFailed !== dwgFile;
+
+    // Local WebAssembly read first; the analysis that follows reuses its result
+    useEffect(() => {
+        if (!isOpen || !dwgFile) return undefined;
+        let cancelled = false;
+
+        parseDWGFile(dwgFile, { layerProfile: useLayerProfileStore.getState().getActiveProfile() })
+            .then(() => {
+                if (!cancelled && onConversionComplete) onConversionComplete(dwgFile);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.warn('[DWGModal] Local DWG read failed:', err);
+                setError(`This DWG could not be read in the browser (${err.message}). Convert it to DXF or use AI analysis instead.`);
+                setLocalReadFailed(dwgFile);
+            });
+
+        return () => { cancelled = true; };
+    }, [isOpen, dwgFile, onConversionComplete]);
 
     const instructions = getManualConversionInstructions();
     const hasCloudService = isConversionServiceAvailable();
@@ -146,13 +170,13 @@ export default function DWGConverterModal({ isOpen, onClose, dwgFile, onConversi
                     {/* Content */}
                     <div className="p-8 overflow-y-auto max-h-[60vh] custom-scroll">
                         {/* Status Message */}
-                        {status === 'idle' && (
+                        {status === 'idle' && !readingLocally && (
                             <div className="p-5 rounded-2xl bg-[var(--bg-active)] border border-[var(--border-main)] mb-8 flex gap-4 shadow-sm">
                                 <Sparkles size={24} className="text-[var(--accent-primary)] shrink-0" />
                                 <div>
                                     <h4 className="font-bold text-[var(--text-primary)] mb-1">Convert for Full Features</h4>
                                     <p className="text-sm text-[var(--text-secondary)] leading-relaxed">
-                                        Binary DWG files must be converted to DXF to enable automatic room detection and precision 3D modeling.
+                                        Convert the drawing to DXF to enable automatic room detection and precision 3D modeling.
                                     </p>
                                 </div>
                             </div>
@@ -180,6 +204,15 @@ export default function DWGConverterModal({ isOpen, onClose, dwgFile, onConversi
                             </div>
                         )}
 
+                        {/* Local Read State */}
+                        {readingLocally && (
+                            <div className="text-center py-12 flex flex-col items-center">
+                                <Loader2 size={64} className="text-blue-500 animate-spin mb-6" strokeWidth={1.5} />
+                                <h3 className="text-xl font-bold text-[var(--text-primary)] mb-2">Reading DWG in your browser...</h3>
+                                <p className="text-sm text-[var(--text-muted)]">The first DWG loads the reader (about 10 MB); later files open straight away.</p>
+                            </div>
+                        )}
+
                         {/* Converting State */}
                         {status === 'converting' && (
                             <div className="text-center py-12 flex flex-col items-center">
@@ -241,7 +274,7 @@ export default function DWGConverterModal({ isOpen, onClose, dwgFile, onConversi
                         )}
 
                         {/* Idle/Manual State - Show Options */}
-                        {(status === 'idle' || status === 'manual') && (
+                        {(status === 'idle' || status === 'manual') && !readingLocally && (
                             <div className="space-y-8">
                                 {/* Primary Options: Auto Convert vs LibreCAD 3 Drafting */}
                                 <div className="grid grid-cols-1 gap-4">
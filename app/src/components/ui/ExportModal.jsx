@@ -18,8 +18,11 @@ import {
   generateCompletePPTX,
   exportBOQToExcel,
   exportRendersGallery,
-  exportMoodboardPDF
+  exportMoodboardPDF,
+  exportProjectDXF,
+  exportTechnicalPDF
 } from '../../services/exportService';
+import { formatMoney } from '../../services/pricing';
 
 // ============================================================================
 // Export Option Component - Premium Card Design
@@ -149,7 +152,7 @@ function ProjectSummary() {
           <div className="flex items-center justify-between">
             <span className="text-xs text-[var(--text-muted)]">Total Cost</span>
             <span className="text-base font-black text-emerald-500 font-mono">
-              {(grandTotal || totalCost || 0).toFixed(3)} OMR
+              {formatMoney(grandTotal || totalCost || 0, project.currency)}
             </span>
           </div>
         </div>
@@ -173,6 +176,7 @@ export default function ExportModal() {
     moodboard: 'idle',
     techPdf: 'idle',
     renders: 'idle',
+    cad: 'idle',
     goldenSuite: 'idle',
   });
 
@@ -216,9 +220,14 @@ export default function ExportModal() {
 
   const handleExportTechPdf = async () => {
     setExportStatus(s => ({ ...s, techPdf: 'loading' }));
-    await new Promise(r => setTimeout(r, 2000));
-    setExportStatus(s => ({ ...s, techPdf: 'success' }));
-    addNotification({ type: 'success', title: 'Technical PDF Ready', message: 'Floor plans with dimensions exported' });
+    try {
+      const result = await exportTechnicalPDF();
+      setExportStatus(s => ({ ...s, techPdf: 'success' }));
+      addNotification({ type: 'success', title: 'Technical PDF Ready', message: `Floor plan with dimensions plotted at 1:${result.scale} on ${result.paper}` });
+    } catch (error) {
+      setExportStatus(s => ({ ...s, techPdf: 'error' }));
+      addNotification({ type: 'error', title: 'Export Failed', message: error.message });
+    }
   };
 
   const handleExportRenders = async () => {
@@ -233,6 +242,22 @@ export default function ExportModal() {
     }
   };
 
+  const handleExportCAD = async () => {
+    setExportStatus(s => ({ ...s, cad: 'loading' }));
+    try {
+      const result = await exportProjectDXF();
+      setExportStatus(s => ({ ...s, cad: 'success' }));
+      addNotification({
+        type: 'success',
+        title: 'DXF Exported',
+        message: result.savedToBridge ? 'Plan downloaded and saved to the local conversions folder' : 'Plan with walls, furniture blocks and MEP layers downloaded'
+      });
+    } catch (error) {
+      setExportStatus(s => ({ ...s, cad: 'error' }));
+      addNotification({ type: 'error', title: 'Export Failed', message: error.message });
+    }
+  };
+
   const handleGoldenSuite = async () => {
     setExportStatus(s => ({ ...s, goldenSuite: 'loading' }));
     await handleExportPPTX();
@@ -240,6 +265,7 @@ export default function ExportModal() {
     await handleExportMoodboard();
     await handleExportTechPdf();
     await handleExportRenders();
+    await handleExportCAD();
     setExportStatus(s => ({ ...s, goldenSuite: 'success' }));
     addNotification({ type: 'success', title: 'Golden Suite Complete!', message: 'All exports successfully downloaded' });
   };
@@ -308,7 +334,7 @@ export default function ExportModal() {
                 <ExportOption
                   icon={FileSpreadsheet}
                   title="Executive BOQ"
-                  description="Itemized cost breakdown with VAT"
+                  description="Itemized cost breakdown with taxes"
                   format=".xlsx"
                   status={exportStatus.boq}
                   onExport={handleExportBOQ}
@@ -342,11 +368,10 @@ export default function ExportModal() {
                 <ExportOption
                   icon={Folder}
                   title="CAD Export"
-                  description="DWG/DXF technical drawings"
-                  format=".dwg"
-                  status="idle"
-                  onExport={() => { }}
-                  disabled
+                  description="Walls, rooms, furniture blocks & MEP by layer"
+                  format=".dxf"
+                  status={exportStatus.cad}
+                  onExport={handleExportCAD}
                   premium
                 />
               </div>
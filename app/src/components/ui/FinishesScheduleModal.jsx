@@ -0,0 +1,207 @@
+/**
+ * Design & Build - Finishes Schedule Modal
+ * Floor, wall, ceiling and skirting finish per room, and a finish per wall
+ * face, picked from the rate library's fit-out codes. Coded finishes are
+ * priced into the BOQ at the quantities the takeoff measures.
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Palette, ChevronDown, ChevronRight } from 'lucide-react';
+import { useBOQStore, useProjectStore, useSurveyorStore } from '../../store';
+import { roomFinishes, NO_CEILING, NO_SKIRTING } from '../../services/quantityTakeoff';
+import { FINISH_SURFACES, finishOptions, finishMaterial, finishName } from '../../services/finishSchedule';
+
+const inputClass = 'px-2 py-1.5 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-xs text-[var(--text-primary)]';
+
+// Finishes that leave a surface out rather than name a material
+const OMIT_OPTIONS = {
+    ceiling: { value: NO_CEILING, label: `${NO_CEILING} (no ceiling)` },
+    skirting: { value: NO_SKIRTING, label: 'No skirting' },
+};
+
+function Swatch({ materials, code }) {
+    const material = finishMaterial(materials, code);
+    return (
+        <span
+            className="inline-block w-3.5 h-3.5 rounded-full border border-[var(--border-main)] shrink-0"
+            style={{ backgroundColor: material?.color || 'transparent' }}
+            title={material?.name || 'No texture colour'}
+        />
+    );
+}
+
+function FinishSelect({ library, surface, value, defaultLabel, onChange }) {
+    const { suggested, other } = finishOptions(library, surface);
+    const option = (item) => (
+        <option key={item.code} value={item.code}>{item.code} - {item.name}</option>
+    );
+    return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} className={`${inputClass} w-full min-w-0`}>
+            <option value="">{defaultLabel}</option>
+            {OMIT_OPTIONS[surface] && (
+                <option value={OMIT_OPTIONS[surface].value}>{OMIT_OPTIONS[surface].label}</option>
+            )}
+            {suggested.length > 0 && <optgroup label={FINISH_SURFACES[surface].categories.join(', ')}>{suggested.map(option)}</optgroup>}
+            {other.length > 0 && <optgroup label="Other fit-out">{other.map(option)}</optgroup>}
+        </select>
+    );
+}
+
+export default function FinishesScheduleModal({ isOpen, onClose }) {
+    const rooms = useSurveyorStore(s => s.takeoffRooms);
+    const lines = useSurveyorStore(s => s.takeoffLines);
+    const library = useBOQStore(s => s.rateLibrary);
+    const materials = useBOQStore(s => s.materials);
+    const currency = useBOQStore(s => s.project.currency);
+    const activeLevelId = useProjectStore(s => s.activeLevelId);
+    const activeSchedule = useProjectStore(s => s.finishSchedule);
+    const levels = useProjectStore(s => s.levels);
+    const setRoomFinish = useProjectStore(s => s.setRoomFinish);
+    const setFaceFinish = useProjectStore(s => s.setFaceFinish);
+
+    const [openRooms, setOpenRooms] = useState({});
+
+    if (!isOpen) return null;
+
+    const multiLevel = rooms.some(room => room.level);
+    const roomKey = (room) => `${room.levelId || ''}:${room.id}`;
+    const scheduleOf = (levelId) => (levelId && levelId !== activeLevelId
+        ? levels.find(l => l.id === levelId)?.finishSchedule
+        : activeSchedule) || {};
+    const quantities = {
+        floor: (room) => `${room.floorArea.toFixed(2)} m²`,
+        wall: (room) => `${room.wallArea.toFixed(2)} m²`,
+        ceiling: (room) => `${room.ceilingArea.toFixed(2)} m²`,
+        skirting: (room) => `${room.skirtingLength.toFixed(2)} m`,
+    };
+
+    const modalContent = (
+        <AnimatePresence>
+            <div className="modal-overlay">
+                <motion.div
+                    className="absolute inset-0 opacity-100"
+                    onClick={onClose}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                />
+
+                <motion.div
+                    className="relative w-full max-w-6xl max-h-[90vh] overflow-hidden glass-modal z-10"
+                    initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                    animate={{ scale: 1, opacity: 1, y: 0 }}
+                    exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                    transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between p-6 border-b border-[var(--border-main)] bg-[var(--bg-header)]">
+                        <div className="flex items-center gap-4">
+                            <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-purple-500 to-pink-600 flex items-center justify-center shadow-lg">
+                                <Palette size={24} className="text-white" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-extrabold text-[var(--text-primary)] tracking-tight">Finishes Schedule</h2>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    Fit-out codes from {library?.source || 'the rate library'} are priced into the BOQ in {currency} at the measured quantities
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-full hover:bg-[var(--bg-hover)] text-[var(--text-muted)] hover:text-[var(--text-primary)] transition-all border border-[var(--border-main)]"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    <div className="p-6 space-y-3 overflow-y-auto max-h-[72vh] custom-scroll">
+                        {rooms.length === 0 && (
+                            <p className="text-xs text-[var(--text-muted)]">Analyse a plan to schedule finishes for its rooms</p>
+                        )}
+                        {rooms.map(room => {
+                            const key = roomKey(room);
+                            const scheduled = scheduleOf(room.levelId)[room.id] || {};
+                            const typeFinishes = roomFinishes({ type: room.type });
+                            const faces = lines.filter(line => line.element === 'wall-face' && line.roomId === room.id && (line.levelId || '') === (room.levelId || ''));
+                            const expanded = !!openRooms[key];
+
+                            return (
+                                <div key={key} className="p-4 rounded-xl bg-[var(--bg-card)] border border-[var(--border-main)] space-y-3">
+                                    <div className="flex items-center justify-between">
+                                        <div>
+                                            <h4 className="text-sm font-bold text-[var(--text-primary)]">
+                                                {multiLevel ? `${room.level} · ` : ''}{room.name}
+                                            </h4>
+                                            <p className="text-[10px] text-[var(--text-muted)] uppercase tracking-wider">{room.type || 'Unclassified'}</p>
+                                        </div>
+                                    </div>
+
+                                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                                        {Object.entries(FINISH_SURFACES).map(([surface, spec]) => (
+                                            <label key={surface} className="space-y-1 min-w-0">
+                                                <span className="flex items-center justify-between text-[10px] font-bold uppercase tracking-wider text-[var(--text-muted)]">
+                                                    {spec.label}
+                                                    <span className="font-mono normal-case tracking-normal">{quantities[surface](room)}</span>
+                                                </span>
+                                                <span className="flex items-center gap-2">
+                                                    <Swatch materials={materials} code={room.finishes[surface]} />
+                                                    <FinishSelect
+                                                        library={library}
+                                                        surface={surface}
+                                                        value={scheduled[surface]}
+                                                        defaultLabel={`Room type: ${finishName(library, typeFinishes[surface])}`}
+                                                        onChange={(value) => setRoomFinish(room.id, surface, value, room.levelId)}
+                                                    />
+                                                </span>
+                                            </label>
+                                        ))}
+                                    </div>
+
+                                    {/* Wall faces */}
+                                    {faces.length > 0 && (
+                                        <div className="pt-2 border-t border-[var(--border-main)]">
+                                            <button
+                                                onClick={() => setOpenRooms({ ...openRooms, [key]: !expanded })}
+                                                className="flex items-center gap-1.5 text-xs font-bold text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+                                            >
+                                                {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                                Wall faces ({faces.length})
+                                                {Object.keys(scheduled.faces || {}).length > 0 && (
+                                                    <span className="text-[var(--accent-primary)]"> · {Object.keys(scheduled.faces).length} set</span>
+                                                )}
+                                            </button>
+                                            {expanded && (
+                                                <div className="grid grid-cols-[1fr_6rem_18rem] gap-x-4 gap-y-1.5 mt-2 items-center text-xs">
+                                                    {faces.map(face => (
+                                                        <React.Fragment key={face.id}>
+                                                            <span className="font-mono text-[10px] text-[var(--text-muted)] truncate" title={face.basis}>{face.basis}</span>
+                                                            <span className="font-mono text-[var(--text-secondary)] text-right">{face.quantity.toFixed(2)} m²</span>
+                                                            <span className="flex items-center gap-2">
+                                                                <Swatch materials={materials} code={face.code} />
+                                                                <FinishSelect
+                                                                    library={library}
+                                                                    surface="wall"
+                                                                    value={scheduled.faces?.[face.faceKey]}
+                                                                    defaultLabel={`Room walls: ${finishName(library, room.finishes.wall)}`}
+                                                                    onChange={(value) => setFaceFinish(room.id, face.faceKey, value, room.levelId)}
+                                                                />
+                                                            </span>
+                                                        </React.Fragment>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>
+    );
+
+    return createPortal(modalContent, document.body);
+}
@@ -0,0 +1,243 @@
+/**
+ * Design & Build - Layer Mapping Modal
+ * Edit CAD layer mapping profiles and preview how the layers of the last
+ * analysed DXF or DWG map onto walls, openings, furniture and MEP disciplines.
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Layers, Copy, Trash2, Save, CheckCircle, RefreshCw, Lock } from 'lucide-react';
+import { useLayerProfileStore, useProjectStore, useUIStore } from '../../store';
+import { BUILT_IN_LAYER_PROFILES, LAYER_CATEGORIES, mapLayers } from '../../config/layerProfiles';
+
+const toText = (patterns = []) => patterns.join(', ');
+const toPatterns = (text) => text.split(',').map(p => p.trim()).filter(Boolean);
+
+export default function LayerMappingModal({ isOpen, onClose }) {
+    const customProfiles = useLayerProfileStore(s => s.customProfiles);
+    const activeProfileId = useLayerProfileStore(s => s.activeProfileId);
+    const setActiveProfile = useLayerProfileStore(s => s.setActiveProfile);
+    const saveProfile = useLayerProfileStore(s => s.saveProfile);
+    const duplicateProfile = useLayerProfileStore(s => s.duplicateProfile);
+    const deleteProfile = useLayerProfileStore(s => s.deleteProfile);
+
+    const layerMap = useProjectStore(s => s.analysisResult?.layerMap);
+    const sketchFile = useProjectStore(s => s.sketchFile);
+    const startSketchAnalysis = useProjectStore(s => s.startSketchAnalysis);
+    const addNotification = useUIStore(s => s.addNotification);
+
+    const [selectedId, setSelectedId] = useState(activeProfileId);
+    const [draft, setDraft] = useState(null);
+
+    const profiles = [...BUILT_IN_LAYER_PROFILES, ...customProfiles];
+    const selected = profiles.find(p => p.id === selectedId) || profiles[0];
+    const editing = draft && draft.id === selected.id ? draft : {
+        ...selected,
+        text: Object.fromEntries(Object.keys(LAYER_CATEGORIES).map(c => [c, toText(selected.patterns[c])])),
+    };
+    const isDirty = !!draft && draft.id === selected.id;
+
+    // Preview always reflects the unsaved edits
+    const draftProfile = {
+        ...editing,
+        patterns: Object.fromEntries(Object.entries(editing.text).map(([c, text]) => [c, toPatterns(text)])),
+    };
+    const preview = layerMap ? mapLayers(layerMap, draftProfile) : [];
+
+    const canReanalyse = /\.(dxf|dwg)$/i.test(sketchFile?.name || '');
+
+    const updateField = (field, value) => setDraft({ ...editing, [field]: value });
+    const updatePattern = (category, value) => setDraft({ ...editing, text: { ...editing.text, [category]: value } });
+
+    const handleSave = () => {
+        const { text: _text, ...profile } = draftProfile;
+        const id = saveProfile(profile);
+        setSelectedId(id);
+        setDraft(null);
+        addNotification({ type: 'success', title: 'Layer Profile Saved', message: profile.name });
+    };
+
+    const handleDuplicate = () => {
+        const id = duplicateProfile(selected.id);
+        if (id) setSelectedId(id);
+        setDraft(null);
+    };
+
+    const handleDelete = () => {
+        deleteProfile(selected.id);
+        setSelectedId(profiles[0].id);
+        setDraft(null);
+    };
+
+    const handleReanalyse = async () => {
+        setActiveProfile(selected.id);
+        onClose();
+        await startSketchAnalysis(sketchFile);
+    };
+
+    if (!isOpen) return null;
+
+    const modalContent = (
+        <AnimatePresence>
+            <div className="modal-overlay">
+                <motion.div
+                    className="absolute inset-0 opacity-100"
+                    onClick={onClose}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                />
+
+                <motion.div
+                    className="relative w-full max-w-4xl max-h-[90vh] overflow-hidden glass-modal z-10"
+                    initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                    animate={{ scale: 1, opacity: 1, y: 0 }}
+                    exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                    transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between p-6 border-b border-[var(--border-main)] bg-[var(--bg-header)]">
+                        <div className="flex items-center gap-4">
+                            <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center shadow-lg">
+                                <Layers size={24} className="text-white" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-extrabold text-[var(--text-primary)] tracking-tight">Layer Mapping</h2>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    Wildcards: <code>*</code> any text, <code>?</code> one character, <code>#</code> one digit
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-full hover:bg-[var(--bg-hover)] text-[var(--text-muted)] hover:text-[var(--text-primary)] transition-all border border-[var(--border-main)]"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-6 p-6 overflow-y-auto max-h-[70vh] custom-scroll">
+                        {/* Profile editor */}
+                        <div className="space-y-4">
+                            <div className="flex items-center gap-2">
+                                <select
+                                    value={selected.id}
+                                    onChange={(e) => { setSelectedId(e.target.value); setDraft(null); }}
+                                    className="flex-1 px-3 py-2 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-sm text-[var(--text-primary)]"
+                                >
+                                    {profiles.map(p => (
+                                        <option key={p.id} value={p.id}>
+                                            {p.name}{p.id === activeProfileId ? ' (active)' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                                <button onClick={handleDuplicate} title="Duplicate" className="p-2 rounded-lg border border-[var(--border-main)] hover:bg-[var(--bg-hover)] text-[var(--text-secondary)]">
+                                    <Copy size={16} />
+                                </button>
+                                {!selected.builtIn && (
+                                    <button onClick={handleDelete} title="Delete" className="p-2 rounded-lg border border-[var(--border-main)] hover:bg-red-500/10 hover:text-red-400 text-[var(--text-secondary)]">
+                                        <Trash2 size={16} />
+                                    </button>
+                                )}
+                            </div>
+
+                            {selected.builtIn ? (
+                                <p className="flex items-center gap-2 text-xs text-[var(--text-muted)]">
+                                    <Lock size={12} /> Built-in profile. Duplicate it to make changes.
+                                </p>
+                            ) : (
+                                <input
+                                    type="text"
+                                    value={editing.name}
+                                    onChange={(e) => updateField('name', e.target.value)}
+                                    className="w-full px-3 py-2 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-sm text-[var(--text-primary)]"
+                                    placeholder="Profile name"
+                                />
+                            )}
+
+                            {Object.entries(LAYER_CATEGORIES).map(([category, meta]) => (
+                                <label key={category} className="block">
+                                    <span className="flex items-center gap-2 text-xs font-bold text-[var(--text-secondary)] mb-1">
+                                        <span className="w-2.5 h-2.5 rounded-full" style={{ background: meta.color }} />
+                                        {meta.label}
+                                    </span>
+                                    <input
+                                        type="text"
+                                        value={editing.text[category] || ''}
+                                        disabled={selected.builtIn}
+                                        onChange={(e) => updatePattern(category, e.target.value)}
+                                        className="w-full px-3 py-1.5 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-xs font-mono text-[var(--text-primary)] disabled:opacity-60"
+                                    />
+                                </label>
+                            ))}
+
+                            <div className="flex gap-2 pt-2">
+                                {!selected.builtIn && (
+                                    <button
+                                        onClick={handleSave}
+                                        disabled={!isDirty}
+                                        className="flex-1 flex items-center justify-center gap-2 py-2 rounded-lg bg-[var(--accent-primary)] text-white text-sm font-bold disabled:opacity-40"
+                                    >
+                                        <Save size={14} /> Save
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => setActiveProfile(selected.id)}
+                                    disabled={selected.id === activeProfileId}
+                                    className="flex-1 flex items-center justify-center gap-2 py-2 rounded-lg border border-[var(--border-main)] text-sm font-bold text-[var(--text-primary)] hover:bg-[var(--bg-hover)] disabled:opacity-40"
+                                >
+                                    <CheckCircle size={14} /> Use for uploads
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* Layer preview */}
+                        <div className="space-y-3">
+                            <div className="flex items-center justify-between">
+                                <h4 className="panel-title">Layers in {layerMap ? (sketchFile?.name || 'last file') : 'file'}</h4>
+                                {canReanalyse && layerMap && (
+                                    <button
+                                        onClick={handleReanalyse}
+                                        disabled={isDirty}
+                                        title={isDirty ? 'Save the profile first' : 'Analyse the file again with this profile'}
+                                        className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg border border-[var(--border-main)] text-xs text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] disabled:opacity-40"
+                                    >
+                                        <RefreshCw size={12} /> Re-analyse
+                                    </button>
+                                )}
+                            </div>
+
+                            {!layerMap ? (
+                                <p className="text-sm text-[var(--text-muted)]">Upload a DXF or DWG to preview how its layers are mapped.</p>
+                            ) : (
+                                <div className="space-y-1">
+                                    {preview.map(layer => {
+                                        const meta = LAYER_CATEGORIES[layer.category];
+                                        return (
+                                            <div key={layer.name} className="flex items-center gap-3 px-3 py-2 rounded-lg bg-[var(--bg-card)] border border-[var(--border-main)]">
+                                                <span className="flex-1 text-xs font-mono text-[var(--text-primary)] truncate">{layer.name}</span>
+                                                <span className="text-[10px] text-[var(--text-muted)]">{layer.entityCount}</span>
+                                                <span
+                                                    className="text-[10px] font-bold px-2 py-0.5 rounded-md"
+                                                    style={{
+                                                        color: meta?.color || 'var(--text-disabled)',
+                                                        background: meta ? `${meta.color}22` : 'transparent',
+                                                    }}
+                                                >
+                                                    {meta?.label || 'Unmapped'}
+                                                </span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>
+    );
+
+    return createPortal(modalContent, document.body);
+}
@@ -1,6 +1,6 @@
 /**
  * Design & Build - Live Ticker / Real-Time Project Estimator
- * Displays live OMR totals with 5% VAT calculation
+ * Displays live totals in the project currency, with its tax rules
  */
 
 import React from 'react';
@@ -16,6 +16,7 @@ import {
     Building2
 } from 'lucide-react';
 import { useBOQStore } from '../../store';
+import { formatAmount, taxLabel } from '../../services/pricing';
 
 // ============================================================================
 // Ticker Item Component
@@ -80,22 +81,16 @@ export default function LiveTicker() {
     const selectedItems = useBOQStore(state => state.selectedItems);
     const project = useBOQStore(state => state.project);
     const getSubtotal = useBOQStore(state => state.getSubtotal);
-    const getVAT = useBOQStore(state => state.getVAT);
+    const getTaxes = useBOQStore(state => state.getTaxes);
     const getTotal = useBOQStore(state => state.getTotal);
     const getBOQSummary = useBOQStore(state => state.getBOQSummary);
 
     const subtotal = getSubtotal();
-    const vat = getVAT();
+    const taxes = getTaxes();
     const total = getTotal();
     const summary = getBOQSummary();
 
-    // Format number with locale
-    const formatNumber = (num) => {
-        return num.toLocaleString('en-US', {
-            minimumFractionDigits: 3,
-            maximumFractionDigits: 3
-        });
-    };
+    const formatNumber = (num) => formatAmount(num, project.currency);
 
     // Generate mini chart data from categories
     const chartData = Object.values(summary).map(cat => cat.subtotal);
@@ -153,18 +148,21 @@ export default function LiveTicker() {
                     icon={Calculator}
                     label="Subtotal"
                     value={formatNumber(subtotal)}
-                    unit="OMR"
+                    unit={project.currency}
                     color="text-gray-300"
                 />
 
-                {/* VAT */}
-                <TickerItem
-                    icon={Percent}
-                    label={`VAT (${(project.vatRate * 100).toFixed(0)}%)`}
-                    value={formatNumber(vat)}
-                    unit="OMR"
-                    color="text-yellow-400"
-                />
+                {/* Taxes */}
+                {taxes.map(tax => (
+                    <TickerItem
+                        key={tax.id}
+                        icon={Percent}
+                        label={taxLabel(tax)}
+                        value={formatNumber(tax.amount)}
+                        unit={project.currency}
+                        color="text-yellow-400"
+                    />
+                ))}
 
                 {/* Divider */}
                 <div className="w-px h-10 bg-studio-border" />
@@ -184,7 +182,7 @@ export default function LiveTicker() {
                             <span className="text-2xl font-bold text-white font-mono">
                                 {formatNumber(total)}
                             </span>
-                            <span className="text-sm text-gray-400">OMR</span>
+                            <span className="text-sm text-gray-400">{project.currency}</span>
                         </div>
                     </div>
                 </motion.div>
@@ -212,16 +210,10 @@ export default function LiveTicker() {
 export function CompactTicker() {
     const getTotal = useBOQStore(state => state.getTotal);
     const selectedItems = useBOQStore(state => state.selectedItems);
+    const currency = useBOQStore(state => state.project.currency);
 
     const total = getTotal();
 
-    const formatNumber = (num) => {
-        return num.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
-    };
-
     return (
         <motion.div
             className="fixed bottom-0 left-0 right-0 h-14 bg-studio-card/95 backdrop-blur-lg border-t border-studio-border flex items-center justify-between px-4 z-100 md:hidden"
@@ -235,8 +227,8 @@ export function CompactTicker() {
 
             <div className="flex items-center gap-2">
                 <span className="text-sm text-gray-400">Total:</span>
-                <span className="text-lg font-bold font-mono text-white">{formatNumber(total)}</span>
-                <span className="text-sm text-gray-500">OMR</span>
+                <span className="text-lg font-bold font-mono text-white">{formatAmount(total, currency)}</span>
+                <span className="text-sm text-gray-500">{currency}</span>
             </div>
         </motion.div>
     );
@@ -0,0 +1,325 @@
+/**
+ * Design & Build - Pricing Settings Modal
+ * The project's currency, exchange rates and tax rules, and the named rate
+ * libraries (per supplier or region) it can be priced through.
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Coins, Plus, Trash2, CheckCircle, Lock, RotateCcw, BookOpen } from 'lucide-react';
+import { useBOQStore, useUIStore } from '../../store';
+import { BASE_CURRENCY, CURRENCIES, DEFAULT_EXCHANGE_RATES, TAX_SCOPES } from '../../config/currencies';
+
+const inputClass = 'px-2 py-1.5 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-xs text-[var(--text-primary)] disabled:opacity-60';
+
+function CurrencySelect({ value, onChange, className = '' }) {
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} ${className}`}>
+            {Object.entries(CURRENCIES).map(([code, meta]) => (
+                <option key={code} value={code}>{code} - {meta.name}</option>
+            ))}
+        </select>
+    );
+}
+
+export default function PricingSettingsModal({ isOpen, onClose }) {
+    const project = useBOQStore(s => s.project);
+    const rateLibraries = useBOQStore(s => s.rateLibraries);
+    const updatePricing = useBOQStore(s => s.updatePricing);
+    const setExchangeRate = useBOQStore(s => s.setExchangeRate);
+    const selectRateLibrary = useBOQStore(s => s.selectRateLibrary);
+    const addRateLibrary = useBOQStore(s => s.addRateLibrary);
+    const updateRateLibrary = useBOQStore(s => s.updateRateLibrary);
+    const deleteRateLibrary = useBOQStore(s => s.deleteRateLibrary);
+    const addNotification = useUIStore(s => s.addNotification);
+
+    const [newLibrary, setNewLibrary] = useState({ name: '', region: '', currency: BASE_CURRENCY });
+
+    const activeLibraryId = (rateLibraries.find(l => l.id === project.rateLibraryId) || rateLibraries[0]).id;
+    const taxRules = project.taxRules || [];
+
+    const updateTaxRule = (index, updates) => {
+        updatePricing({ taxRules: taxRules.map((rule, i) => (i === index ? { ...rule, ...updates } : rule)) });
+    };
+
+    const addTaxRule = () => {
+        updatePricing({
+            taxRules: [...taxRules, { id: `tax-${Date.now()}`, name: 'New Tax', rate: 0, scope: 'all', compound: false }],
+        });
+    };
+
+    const removeTaxRule = (index) => {
+        updatePricing({ taxRules: taxRules.filter((_, i) => i !== index) });
+    };
+
+    const handleRate = (currency, value) => {
+        const rate = parseFloat(value);
+        if (rate > 0) setExchangeRate(currency, rate);
+    };
+
+    const handleAddLibrary = () => {
+        const name = newLibrary.name.trim();
+        if (!name) return;
+        addRateLibrary({ ...newLibrary, name, region: newLibrary.region.trim() });
+        setNewLibrary({ name: '', region: '', currency: BASE_CURRENCY });
+        addNotification({
+            type: 'success',
+            title: 'Rate Library Added',
+            message: `${name} is empty - import a BOQ into it from the library panel`,
+        });
+    };
+
+    if (!isOpen) return null;
+
+    const modalContent = (
+        <AnimatePresence>
+            <div className="modal-overlay">
+                <motion.div
+                    className="absolute inset-0 opacity-100"
+                    onClick={onClose}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                />
+
+                <motion.div
+                    className="relative w-full max-w-5xl max-h-[90vh] overflow-hidden glass-modal z-10"
+                    initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                    animate={{ scale: 1, opacity: 1, y: 0 }}
+                    exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                    transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between p-6 border-b border-[var(--border-main)] bg-[var(--bg-header)]">
+                        <div className="flex items-center gap-4">
+                            <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-amber-500 to-emerald-600 flex items-center justify-center shadow-lg">
+                                <Coins size={24} className="text-white" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-extrabold text-[var(--text-primary)] tracking-tight">Pricing</h2>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    Totals and exports in {project.currency} · rates converted through the table below
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-full hover:bg-[var(--bg-hover)] text-[var(--text-muted)] hover:text-[var(--text-primary)] transition-all border border-[var(--border-main)]"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-6 p-6 overflow-y-auto max-h-[70vh] custom-scroll">
+                        <div className="space-y-6">
+                            {/* Project currency */}
+                            <div className="space-y-2">
+                                <h4 className="panel-title">Project Currency</h4>
+                                <CurrencySelect
+                                    value={project.currency}
+                                    onChange={(currency) => updatePricing({ currency })}
+                                    className="w-full"
+                                />
+                            </div>
+
+                            {/* Exchange rates */}
+                            <div className="space-y-2">
+                                <div className="flex items-center justify-between">
+                                    <h4 className="panel-title">Exchange Rates</h4>
+                                    <button
+                                        onClick={() => updatePricing({ exchangeRates: { ...DEFAULT_EXCHANGE_RATES } })}
+                                        title="Reset to the default rates"
+                                        className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg border border-[var(--border-main)] text-xs text-[var(--text-secondary)] hover:bg-[var(--bg-hover)]"
+                                    >
+                                        <RotateCcw size={12} /> Defaults
+                                    </button>
+                                </div>
+                                <div className="grid grid-cols-2 gap-x-4 gap-y-1.5">
+                                    {Object.keys(CURRENCIES).filter(code => code !== BASE_CURRENCY).map(code => (
+                                        <label key={code} className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+                                            <span className="w-14 font-mono">1 {code} =</span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.0001"
+                                                value={project.exchangeRates?.[code] ?? ''}
+                                                onChange={(e) => handleRate(code, e.target.value)}
+                                                className={`${inputClass} w-24 font-mono`}
+                                            />
+                                            <span className="font-mono text-[var(--text-muted)]">{BASE_CURRENCY}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {/* Tax rules */}
+                            <div className="space-y-2">
+                                <div className="flex items-center justify-between">
+                                    <h4 className="panel-title">Tax Rules</h4>
+                                    <button
+                                        onClick={addTaxRule}
+                                        className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg border border-[var(--border-main)] text-xs text-[var(--text-secondary)] hover:bg-[var(--bg-hover)]"
+                                    >
+                                        <Plus size={12} /> Add
+                                    </button>
+                                </div>
+                                {taxRules.length === 0 && (
+                                    <p className="text-xs text-[var(--text-muted)]">No taxes are charged.</p>
+                                )}
+                                {taxRules.map((rule, i) => (
+                                    <div key={rule.id} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-[var(--bg-card)] border border-[var(--border-main)]">
+                                        <input
+                                            type="text"
+                                            value={rule.name}
+                                            onChange={(e) => updateTaxRule(i, { name: e.target.value })}
+                                            className={`${inputClass} flex-1 min-w-0`}
+                                            placeholder="Name"
+                                        />
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.1"
+                                            value={+(rule.rate * 100).toFixed(4)}
+                                            onChange={(e) => updateTaxRule(i, { rate: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className={`${inputClass} w-16 font-mono`}
+                                        />
+                                        <span className="text-xs text-[var(--text-muted)]">%</span>
+                                        <select
+                                            value={rule.scope || 'all'}
+                                            onChange={(e) => updateTaxRule(i, { scope: e.target.value })}
+                                            className={inputClass}
+                                        >
+                                            {Object.entries(TAX_SCOPES).map(([scope, label]) => (
+                                                <option key={scope} value={scope}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <label title="Charged on the taxes above it too" className="flex items-center gap-1 text-[10px] text-[var(--text-muted)]">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!rule.compound}
+                                                disabled={i === 0}
+                                                onChange={(e) => updateTaxRule(i, { compound: e.target.checked })}
+                                            />
+                                            Compound
+                                        </label>
+                                        <button
+                                            onClick={() => removeTaxRule(i)}
+                                            title="Remove"
+                                            className="p-1.5 rounded-lg hover:bg-red-500/10 hover:text-red-400 text-[var(--text-secondary)]"
+                                        >
+                                            <Trash2 size={12} />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Rate libraries */}
+                        <div className="space-y-2">
+                            <h4 className="panel-title flex items-center gap-2"><BookOpen size={14} /> Rate Libraries</h4>
+                            {rateLibraries.map(library => {
+                                const isActive = library.id === activeLibraryId;
+                                return (
+                                    <div
+                                        key={library.id}
+                                        className={`space-y-2 px-3 py-2 rounded-lg border ${isActive ? 'border-[var(--accent-primary)] bg-[var(--accent-primary)]/10' : 'border-[var(--border-main)] bg-[var(--bg-card)]'}`}
+                                    >
+                                        <div className="flex items-center gap-2">
+                                            {library.builtIn ? (
+                                                <p className="flex-1 text-xs font-bold text-[var(--text-primary)]">{library.name}</p>
+                                            ) : (
+                                                <input
+                                                    type="text"
+                                                    value={library.name}
+                                                    onChange={(e) => updateRateLibrary(library.id, { name: e.target.value })}
+                                                    className={`${inputClass} flex-1 min-w-0 font-bold`}
+                                                />
+                                            )}
+                                            {isActive ? (
+                                                <span className="text-[10px] font-bold text-[var(--accent-primary)]">In use</span>
+                                            ) : (
+                                                <button
+                                                    onClick={() => selectRateLibrary(library.id)}
+                                                    title="Price the project through this library"
+                                                    className="p-1.5 rounded-lg hover:bg-[var(--bg-hover)] text-[var(--text-secondary)]"
+                                                >
+                                                    <CheckCircle size={12} />
+                                                </button>
+                                            )}
+                                            {!library.builtIn && (
+                                                <button
+                                                    onClick={() => deleteRateLibrary(library.id)}
+                                                    title="Delete"
+                                                    className="p-1.5 rounded-lg hover:bg-red-500/10 hover:text-red-400 text-[var(--text-secondary)]"
+                                                >
+                                                    <Trash2 size={12} />
+                                                </button>
+                                            )}
+                                        </div>
+                                        {library.builtIn ? (
+                                            <p className="flex items-center gap-2 text-[10px] text-[var(--text-muted)]">
+                                                <Lock size={10} /> {library.region} · rates in {library.currency} · {library.versions.length} imported versions
+                                            </p>
+                                        ) : (
+                                            <div className="flex items-center gap-2">
+                                                <input
+                                                    type="text"
+                                                    value={library.region}
+                                                    onChange={(e) => updateRateLibrary(library.id, { region: e.target.value })}
+                                                    className={`${inputClass} flex-1 min-w-0`}
+                                                    placeholder="Supplier or region"
+                                                />
+                                                <CurrencySelect
+                                                    value={library.currency}
+                                                    onChange={(currency) => updateRateLibrary(library.id, { currency })}
+                                                />
+                                                <span className="text-[10px] text-[var(--text-muted)] whitespace-nowrap">{library.versions.length} versions</span>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+
+                            {/* New library */}
+                            <div className="space-y-2 pt-2 border-t border-[var(--border-main)]">
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        type="text"
+                                        value={newLibrary.name}
+                                        onChange={(e) => setNewLibrary({ ...newLibrary, name: e.target.value })}
+                                        className={`${inputClass} flex-1 min-w-0`}
+                                        placeholder="New library name"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={newLibrary.region}
+                                        onChange={(e) => setNewLibrary({ ...newLibrary, region: e.target.value })}
+                                        className={`${inputClass} flex-1 min-w-0`}
+                                        placeholder="Supplier or region"
+                                    />
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <CurrencySelect
+                                        value={newLibrary.currency}
+                                        onChange={(currency) => setNewLibrary({ ...newLibrary, currency })}
+                                        className="flex-1"
+                                    />
+                                    <button
+                                        onClick={handleAddLibrary}
+                                        disabled={!newLibrary.name.trim()}
+                                        className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-[var(--accent-primary)] text-white text-xs font-bold disabled:opacity-40"
+                                    >
+                                        <Plus size={12} /> Add Library
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>
+    );
+
+    return createPortal(modalContent, document.body);
+}
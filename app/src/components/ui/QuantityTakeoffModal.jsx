@@ -0,0 +1,222 @@
+/**
+ * Design & Build - Quantity Takeoff Modal
+ * Quantities measured from the plan geometry: per room, per element schedule,
+ * and the takeoff lines each quantity was measured from.
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Ruler } from 'lucide-react';
+import { useSurveyorStore } from '../../store';
+import { TAKEOFF_ELEMENTS } from '../../services/quantityTakeoff';
+
+const inputClass = 'px-2 py-1.5 bg-[var(--bg-card)] border border-[var(--border-main)] rounded-lg text-xs text-[var(--text-primary)]';
+const headClass = 'text-[9px] font-bold uppercase tracking-wider text-[var(--text-muted)] font-sans';
+
+const qty = (value, digits = 2) => (value ?? 0).toFixed(digits);
+
+function Schedule({ title, groups, unit }) {
+    return (
+        <div className="space-y-2">
+            <h4 className="panel-title">{title}</h4>
+            {groups.length === 0 ? (
+                <p className="text-xs text-[var(--text-muted)]">Nothing measured</p>
+            ) : groups.map(group => (
+                <div key={group.code || group.type} className="flex items-center justify-between text-xs">
+                    <span className="text-[var(--text-secondary)] truncate">{group.code ? `${group.code} ` : ''}{group.type}</span>
+                    <span className="font-mono font-bold text-[var(--text-primary)]">
+                        {qty(group.quantity)} {group.unit || unit}
+                        {group.length > 0 && <span className="text-[var(--text-muted)] font-normal"> · {qty(group.length)} m</span>}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function QuantityTakeoffModal({ isOpen, onClose }) {
+    const rooms = useSurveyorStore(s => s.takeoffRooms);
+    const lines = useSurveyorStore(s => s.takeoffLines);
+    const flooring = useSurveyorStore(s => s.flooring);
+    const ceilings = useSurveyorStore(s => s.ceilings);
+    const wallFinishes = useSurveyorStore(s => s.wallFinishes);
+    const partitions = useSurveyorStore(s => s.partitions);
+    const skirtingLength = useSurveyorStore(s => s.skirtingLength);
+    const externalWallArea = useSurveyorStore(s => s.externalWallArea);
+    const ceilingHeight = useSurveyorStore(s => s.ceilingHeight);
+    const setCeilingHeight = useSurveyorStore(s => s.setCeilingHeight);
+
+    const [element, setElement] = useState('all');
+    const [roomId, setRoomId] = useState('all');
+
+    const handleCeilingHeight = (value) => {
+        const height = parseFloat(value);
+        if (height > 0) setCeilingHeight(height);
+    };
+
+    if (!isOpen) return null;
+
+    const multiLevel = rooms.some(room => room.level);
+    const roomKey = (room) => `${room.levelId || ''}:${room.id}`;
+    const shownLines = lines.filter(line =>
+        (element === 'all' || line.element === element) &&
+        (roomId === 'all' || `${line.levelId || ''}:${line.roomId}` === roomId));
+
+    const modalContent = (
+        <AnimatePresence>
+            <div className="modal-overlay">
+                <motion.div
+                    className="absolute inset-0 opacity-100"
+                    onClick={onClose}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                />
+
+                <motion.div
+                    className="relative w-full max-w-6xl max-h-[90vh] overflow-hidden glass-modal z-10"
+                    initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                    animate={{ scale: 1, opacity: 1, y: 0 }}
+                    exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                    transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between p-6 border-b border-[var(--border-main)] bg-[var(--bg-header)]">
+                        <div className="flex items-center gap-4">
+                            <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center shadow-lg">
+                                <Ruler size={24} className="text-white" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-extrabold text-[var(--text-primary)] tracking-tight">Quantity Takeoff</h2>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    {rooms.length} rooms · {lines.length} lines measured from the plan geometry
+                                </p>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <label className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+                                Ceiling height
+                                <input
+                                    type="number"
+                                    min="0.1"
+                                    step="0.05"
+                                    defaultValue={ceilingHeight}
+                                    onBlur={(e) => handleCeilingHeight(e.target.value)}
+                                    className={`${inputClass} w-20 font-mono`}
+                                />
+                                m
+                            </label>
+                            <button
+                                onClick={onClose}
+                                className="p-2 rounded-full hover:bg-[var(--bg-hover)] text-[var(--text-muted)] hover:text-[var(--text-primary)] transition-all border border-[var(--border-main)]"
+                            >
+                                <X size={20} />
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="p-6 space-y-6 overflow-y-auto max-h-[72vh] custom-scroll">
+                        {/* Rooms */}
+                        <div className="space-y-2">
+                            <h4 className="panel-title">Rooms</h4>
+                            {rooms.length === 0 ? (
+                                <p className="text-xs text-[var(--text-muted)]">Analyse a plan to measure its rooms</p>
+                            ) : (
+                                <div className="grid grid-cols-9 gap-x-4 gap-y-1 text-xs font-mono">
+                                    {['Room', 'Floor m²', 'Walls m²', 'Ceiling m²', 'Skirting m', 'Doors', 'Windows', 'MEP', 'Finishes'].map(h => (
+                                        <span key={h} className={headClass}>{h}</span>
+                                    ))}
+                                    {rooms.map(room => (
+                                        <React.Fragment key={roomKey(room)}>
+                                            <span className="font-sans font-bold text-[var(--text-primary)] truncate" title={room.type || ''}>
+                                                {multiLevel ? `${room.level} · ` : ''}{room.name}
+                                            </span>
+                                            <span className="text-[var(--text-secondary)]">{qty(room.floorArea)}</span>
+                                            <span className="text-[var(--text-secondary)]">{qty(room.wallArea)}</span>
+                                            <span className="text-[var(--text-secondary)]">{qty(room.ceilingArea)}</span>
+                                            <span className="text-[var(--text-secondary)]">{qty(room.skirtingLength)}</span>
+                                            <span className="text-[var(--text-secondary)]">{room.doorCount}</span>
+                                            <span className="text-[var(--text-secondary)]">{room.windowCount}</span>
+                                            <span className="text-[var(--text-secondary)]">{room.mepCount}</span>
+                                            <span
+                                                className="font-sans text-[var(--text-muted)] truncate"
+                                                title={`Floor: ${room.finishes.floor}\nWalls: ${room.finishes.wall}\nCeiling: ${room.finishes.ceiling}\nSkirting: ${room.finishes.skirting}`}
+                                            >
+                                                {room.finishes.floor} / {room.finishes.wall}
+                                            </span>
+                                        </React.Fragment>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Schedules */}
+                        <div className="grid grid-cols-2 lg:grid-cols-4 gap-6 pt-5 border-t border-[var(--border-main)]">
+                            <Schedule title="Flooring" groups={flooring} unit="m²" />
+                            <Schedule title="Ceilings" groups={ceilings} unit="m²" />
+                            <div className="space-y-4">
+                                <Schedule title="Wall Finishes" groups={wallFinishes} unit="m²" />
+                                <div className="flex items-center justify-between text-xs">
+                                    <span className="text-[var(--text-secondary)]">Skirting</span>
+                                    <span className="font-mono font-bold text-[var(--text-primary)]">{qty(skirtingLength)} m</span>
+                                </div>
+                                <div className="flex items-center justify-between text-xs">
+                                    <span className="text-[var(--text-secondary)]">External faces</span>
+                                    <span className="font-mono font-bold text-[var(--text-primary)]">{qty(externalWallArea)} m²</span>
+                                </div>
+                            </div>
+                            <Schedule title="Partitions" groups={partitions} unit="m²" />
+                        </div>
+
+                        {/* Lines */}
+                        <div className="space-y-2 pt-5 border-t border-[var(--border-main)]">
+                            <div className="flex items-center justify-between">
+                                <h4 className="panel-title">Takeoff Lines</h4>
+                                <div className="flex items-center gap-2">
+                                    <select value={element} onChange={(e) => setElement(e.target.value)} className={inputClass}>
+                                        <option value="all">All elements</option>
+                                        {Object.entries(TAKEOFF_ELEMENTS).map(([key, meta]) => (
+                                            <option key={key} value={key}>{meta.label}</option>
+                                        ))}
+                                    </select>
+                                    <select value={roomId} onChange={(e) => setRoomId(e.target.value)} className={inputClass}>
+                                        <option value="all">All rooms</option>
+                                        {rooms.map(room => (
+                                            <option key={roomKey(room)} value={roomKey(room)}>
+                                                {multiLevel ? `${room.level} · ` : ''}{room.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-[8rem_10rem_6rem_8rem_1fr] gap-x-4 gap-y-1 text-xs">
+                                {['Element', 'Type', 'Quantity', 'Room', 'Measured from'].map(h => (
+                                    <span key={h} className={headClass}>{h}</span>
+                                ))}
+                                {shownLines.map(line => (
+                                    <React.Fragment key={line.id}>
+                                        <span className="text-[var(--text-muted)]">{TAKEOFF_ELEMENTS[line.element]?.label || line.element}</span>
+                                        <span className="text-[var(--text-primary)] truncate" title={line.type}>{line.code ? `${line.code} ` : ''}{line.type}</span>
+                                        <span className="font-mono font-bold text-[var(--text-primary)]">
+                                            {line.unit === 'No.' ? line.quantity : qty(line.quantity)} {line.unit}
+                                        </span>
+                                        <span className="text-[var(--text-secondary)] truncate">
+                                            {multiLevel && line.level ? `${line.level} · ` : ''}{line.room || '-'}
+                                        </span>
+                                        <span className="font-mono text-[10px] text-[var(--text-muted)] truncate" title={line.basis}>{line.basis}</span>
+                                    </React.Fragment>
+                                ))}
+                            </div>
+                            {shownLines.length === 0 && (
+                                <p className="text-xs text-[var(--text-muted)]">No lines</p>
+                            )}
+                        </div>
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>
+    );
+
+    return createPortal(modalContent, document.body);
+}
@@ -0,0 +1,58 @@
+/**
+ * Design & Build - Currencies & Tax Rules
+ * Currencies a project can be priced in, default exchange rates and tax
+ * rules. Exchange rates are the value of one unit in the base currency
+ * (OMR), the currency the bundled BOQ library and surveyor rates are in.
+ */
+
+export const BASE_CURRENCY = 'OMR';
+
+export const CURRENCIES = {
+    OMR: { name: 'Omani Rial', decimals: 3 },
+    AED: { name: 'UAE Dirham', decimals: 2 },
+    SAR: { name: 'Saudi Riyal', decimals: 2 },
+    QAR: { name: 'Qatari Riyal', decimals: 2 },
+    KWD: { name: 'Kuwaiti Dinar', decimals: 3 },
+    BHD: { name: 'Bahraini Dinar', decimals: 3 },
+    USD: { name: 'US Dollar', decimals: 2 },
+    EUR: { name: 'Euro', decimals: 2 },
+    GBP: { name: 'Pound Sterling', decimals: 2 },
+    INR: { name: 'Indian Rupee', decimals: 2 },
+};
+
+// Indicative rates, OMR per unit; each project keeps its own editable copy
+export const DEFAULT_EXCHANGE_RATES = {
+    OMR: 1,
+    AED: 0.1047,
+    SAR: 0.1025,
+    QAR: 0.1056,
+    KWD: 1.2540,
+    BHD: 1.0213,
+    USD: 0.3845,
+    EUR: 0.4150,
+    GBP: 0.4880,
+    INR: 0.0046,
+};
+
+// BOQ sections a tax rule can be limited to
+export const TAX_SCOPES = {
+    all: 'All items',
+    furniture: 'Furniture',
+    fitout: 'Fit-out',
+};
+
+/**
+ * Tax rules apply in order: { id, name, rate, scope, compound }. A compound
+ * rule is charged on its scope's subtotal plus the taxes before it.
+ */
+export const DEFAULT_TAX_RULES = [
+    { id: 'vat', name: 'VAT', rate: 0.05, scope: 'all', compound: false },
+];
+
+export default {
+    BASE_CURRENCY,
+    CURRENCIES,
+    DEFAULT_EXCHANGE_RATES,
+    TAX_SCOPES,
+    DEFAULT_TAX_RULES,
+};
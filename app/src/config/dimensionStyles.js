@@ -0,0 +1,67 @@
+/**
+ * Design & Build - Dimension Styles
+ * Sizes and number formats for CAD editor annotations. Sizes are plot-ready
+ * plan meters; `units` and `precision` set how measured lengths read.
+ */
+
+// Editable fields with their labels, in the order the style editor shows them
+export const DIM_STYLE_FIELDS = {
+    textHeight: { label: 'Text height', unit: 'm', step: 0.01 },
+    arrowSize: { label: 'Arrow size', unit: 'm', step: 0.01 },
+    extOffset: { label: 'Origin offset', unit: 'm', step: 0.01 },
+    extBeyond: { label: 'Extend beyond', unit: 'm', step: 0.01 },
+    textGap: { label: 'Text gap', unit: 'm', step: 0.01 },
+    precision: { label: 'Decimals', step: 1, max: 8 },
+    anglePrecision: { label: 'Angle decimals', step: 1, max: 8 },
+};
+
+export const DIM_UNITS = {
+    mm: { label: 'Millimeters', factor: 1000 },
+    cm: { label: 'Centimeters', factor: 100 },
+    m: { label: 'Meters', factor: 1 },
+};
+
+export const BUILT_IN_DIM_STYLES = [
+    {
+        name: 'Standard',
+        builtIn: true,
+        units: 'm',
+        precision: 2,
+        anglePrecision: 0,
+        textHeight: 0.2,
+        arrowSize: 0.15,
+        extOffset: 0.05,
+        extBeyond: 0.1,
+        textGap: 0.05,
+    },
+    {
+        name: 'Architectural mm',
+        builtIn: true,
+        units: 'mm',
+        precision: 0,
+        anglePrecision: 0,
+        textHeight: 0.15,
+        arrowSize: 0.1,
+        extOffset: 0.05,
+        extBeyond: 0.075,
+        textGap: 0.04,
+    },
+    {
+        name: 'Presentation 1:100',
+        builtIn: true,
+        units: 'm',
+        precision: 2,
+        anglePrecision: 1,
+        textHeight: 0.3,
+        arrowSize: 0.25,
+        extOffset: 0.1,
+        extBeyond: 0.15,
+        textGap: 0.08,
+    },
+];
+
+export default {
+    DIM_STYLE_FIELDS,
+    DIM_UNITS,
+    BUILT_IN_DIM_STYLES,
+};
@@ -0,0 +1,95 @@
+/**
+ * Design & Build - Hatch Patterns
+ * Fills the CAD editor can hatch rooms and material zones with. Patterns are
+ * families of parallel lines as in an AutoCAD .pat file, in plan meters at
+ * scale 1:
+ *   angle   degrees counter-clockwise from +X
+ *   origin  [x, y] a line of the family passes through
+ *   offset  [along, across] step from one line to the next - `along` shifts
+ *           the dashes, `across` is the spacing
+ *   dashes  dashes positive, gaps negative; none draws a continuous line
+ */
+
+export const HATCH_PATTERNS = {
+    SOLID: { label: 'Solid fill', solid: true, lines: [] },
+    ANSI31: {
+        label: 'Diagonal',
+        lines: [{ angle: 45, origin: [0, 0], offset: [0, 0.2], dashes: [] }],
+    },
+    CARPET: {
+        label: 'Carpet',
+        lines: [
+            { angle: 45, origin: [0, 0], offset: [0.05, 0.07], dashes: [0.03, -0.07] },
+            { angle: 135, origin: [0, 0], offset: [0.05, 0.07], dashes: [0.03, -0.07] },
+        ],
+    },
+    TILE: {
+        label: 'Tile grid (600)',
+        lines: [
+            { angle: 0, origin: [0, 0], offset: [0, 0.6], dashes: [] },
+            { angle: 90, origin: [0, 0], offset: [0, 0.6], dashes: [] },
+        ],
+    },
+    TIMBER: {
+        label: 'Timber boards',
+        lines: [
+            { angle: 0, origin: [0, 0], offset: [0, 0.15], dashes: [] },
+            // Board ends, staggered half a board length from row to row
+            { angle: 90, origin: [0, 0], offset: [0.15, 0.6], dashes: [0.15, -0.15] },
+        ],
+    },
+    MARBLE: {
+        label: 'Marble',
+        lines: [
+            { angle: 35, origin: [0, 0], offset: [0.31, 0.45], dashes: [0.9, -0.2, 0.15, -0.45] },
+            { angle: 160, origin: [0.2, 0.1], offset: [0.53, 0.8], dashes: [0.5, -1.1] },
+        ],
+    },
+};
+
+export const DEFAULT_HATCH_PATTERN = 'SOLID';
+
+// AutoCAD pattern names read from imported drawings; others come in as ANSI31
+export const DXF_PATTERN_ALIASES = {
+    NET: 'TILE',
+    SQUARE: 'TILE',
+    'AR-PARQ1': 'TIMBER',
+    'AR-HBONE': 'TIMBER',
+    DOTS: 'CARPET',
+    'AR-SAND': 'CARPET',
+    'AR-CONC': 'MARBLE',
+};
+
+// Fit-out subcategories (boq_library.json `fitout`) and the pattern they hatch with
+export const FITOUT_PATTERNS = {
+    Carpet: 'CARPET',
+    Tiles: 'TILE',
+    Wood: 'TIMBER',
+    Stone: 'MARBLE',
+};
+
+/**
+ * Pattern a fit-out item is drawn with, solid for finishes without one
+ * @param {Object} [item] - fitout entry
+ */
+export function patternForFitout(item) {
+    return FITOUT_PATTERNS[item?.subcategory] || DEFAULT_HATCH_PATTERN;
+}
+
+/**
+ * Editor pattern for a pattern name found in a DXF
+ */
+export function patternFromDxf(name = '') {
+    const key = name.toUpperCase();
+    if (HATCH_PATTERNS[key]) return key;
+    return DXF_PATTERN_ALIASES[key] || 'ANSI31';
+}
+
+export default {
+    HATCH_PATTERNS,
+    DEFAULT_HATCH_PATTERN,
+    DXF_PATTERN_ALIASES,
+    FITOUT_PATTERNS,
+    patternForFitout,
+    patternFromDxf,
+};
@@ -0,0 +1,146 @@
+/**
+ * Design & Build - CAD Layer Mapping Profiles
+ * Map a consultant's layer standard onto the categories the DXF engine reads.
+ * Patterns are AutoCAD-style wildcards matched against the whole layer name,
+ * case-insensitive: `*` any run of characters, `?` one character, `#` one digit.
+ */
+
+// Categories in precedence order - the first category with a matching pattern wins
+export const LAYER_CATEGORIES = {
+    ignore: { label: 'Ignore', color: '#6B7280' },
+    doors: { label: 'Doors', color: '#10B981' },
+    glazing: { label: 'Glazing', color: '#38BDF8' },
+    electrical: { label: 'Electrical', color: '#F59E0B', mepType: 'ELECTRICAL' },
+    hvac: { label: 'HVAC', color: '#22D3EE', mepType: 'HVAC' },
+    plumbing: { label: 'Plumbing', color: '#3B82F6', mepType: 'PLUMBING' },
+    fire: { label: 'Fire Safety', color: '#EF4444', mepType: 'FIRE_SAFETY' },
+    furniture: { label: 'Furniture', color: '#EC4899' },
+    walls: { label: 'Walls', color: '#94A3B8' },
+};
+
+export const BUILT_IN_LAYER_PROFILES = [
+    {
+        id: 'default',
+        name: 'Generic (keyword match)',
+        builtIn: true,
+        patterns: {
+            ignore: ['DEFPOINTS', '*VIEWPORT*', '*TITLE*', '*BORDER*', '*GRID*', '*DIM*'],
+            doors: ['*DOOR*'],
+            glazing: ['*WINDOW*', '*GLAZ*', '*GLASS*', '*FENEST*'],
+            walls: ['0', '*WALL*', '*PARTITION*', '*BOUNDAR*'],
+            furniture: ['*FURN*', '*FF&E*', '*FFE*'],
+            electrical: ['*ELEC*', '*POWER*', '*LIGHT*', '*SOCKET*', '*SWITCH*', 'E-*'],
+            hvac: ['*HVAC*', '*DUCT*', '*DIFFUSER*', '*FCU*', '*AHU*', 'M-*'],
+            plumbing: ['*PLUMB*', '*DRAIN*', '*PIPE*', '*SANITARY*', '*WATER*', '*TOILET*', '*SINK*', '*BASIN*', 'P-*'],
+            fire: ['*FIRE*', '*SPRINKLER*', '*SMOKE*', '*ALARM*', '*EXTINGUISH*', 'F-*', 'FP-*'],
+        },
+    },
+    {
+        id: 'aia',
+        name: 'AIA CAD Layer Guidelines',
+        builtIn: true,
+        patterns: {
+            ignore: ['DEFPOINTS', '*-ANNO-DIMS*', '*-ANNO-TTLB*', '*-ANNO-NPLT*'],
+            doors: ['A-DOOR*'],
+            glazing: ['A-GLAZ*', 'A-WNDW*'],
+            walls: ['A-WALL*', 'S-WALL*'],
+            furniture: ['I-FURN*', 'A-FURN*', 'Q-*'],
+            electrical: ['E-*'],
+            hvac: ['M-*'],
+            plumbing: ['P-*'],
+            fire: ['F-*', 'FP-*', 'FA-*'],
+        },
+    },
+    {
+        id: 'bs1192',
+        name: 'BS 1192 (CI/SfB)',
+        builtIn: true,
+        patterns: {
+            ignore: ['DEFPOINTS', '*_Dim*'],
+            doors: ['*-(32)*', '*_Door*'],
+            glazing: ['*-(31)*', '*_Window*', '*_Glaz*'],
+            walls: ['*-(2#)*', '*_Wall*', '*_Partition*'],
+            furniture: ['*-(82)*', '*-(7#)*', '*_Furn*'],
+            electrical: ['*-(6#)*'],
+            hvac: ['*-(56)*', '*-(57)*'],
+            plumbing: ['*-(52)*', '*-(53)*', '*-(74)*'],
+            fire: ['*-(68)*', '*-(54)*'],
+        },
+    },
+    {
+        id: 'iso13567',
+        name: 'ISO 13567',
+        builtIn: true,
+        patterns: {
+            // Agent (2) + element (6) + presentation (2); T/D presentation is text and dimensions
+            ignore: ['DEFPOINTS', '????????T*', '????????D*'],
+            doors: ['A-32*'],
+            glazing: ['A-31*'],
+            walls: ['A-2#*'],
+            furniture: ['A-82*', 'A-7#*'],
+            electrical: ['E-*'],
+            hvac: ['M-5[67]*'],
+            plumbing: ['P-*', 'M-5[23]*'],
+            fire: ['F-*', 'M-68*'],
+        },
+    },
+];
+
+const patternCache = new Map();
+
+/**
+ * Compile a wildcard layer pattern to a RegExp (cached)
+ */
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        let source = '';
+        for (const char of pattern.trim()) {
+            if (char === '*') source += '.*';
+            else if (char === '?') source += '.';
+            else if (char === '#') source += '\\d';
+            else if (char === '[' || char === ']') source += char;
+            else source += char.replace(/[.+^${}()|\\/-]/g, '\\$&');
+        }
+        let regex;
+        try {
+            regex = new RegExp(`^${source}$`, 'i');
+        } catch {
+            regex = /$^/; // Malformed user pattern never matches
+        }
+        patternCache.set(pattern, regex);
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * Category a layer name maps to under a profile
+ * @param {string} layerName
+ * @param {Object} profile - Layer profile with a `patterns` map
+ * @returns {string|null} LAYER_CATEGORIES key, or null when unmapped
+ */
+export function resolveLayerCategory(layerName = '', profile) {
+    const patterns = profile?.patterns || {};
+    for (const category of Object.keys(LAYER_CATEGORIES)) {
+        if ((patterns[category] || []).some(p => p && compilePattern(p).test(layerName))) {
+            return category;
+        }
+    }
+    return null;
+}
+
+/**
+ * Map every layer in a file under a profile, for previews
+ * @param {Array<{name, entityCount}>} layers
+ * @param {Object} profile
+ * @returns {Array<{name, entityCount, category}>}
+ */
+export function mapLayers(layers, profile) {
+    return layers.map(layer => ({ ...layer, category: resolveLayerCategory(layer.name, profile) }));
+}
+
+export default {
+    LAYER_CATEGORIES,
+    BUILT_IN_LAYER_PROFILES,
+    resolveLayerCategory,
+    mapLayers,
+};
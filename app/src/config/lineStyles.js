@@ -0,0 +1,50 @@
+/**
+ * Design & Build - Line Styles
+ * Colors, linetypes and lineweights CAD editor entities can carry. An entity
+ * without its own value draws in its layer's (ByLayer).
+ */
+
+export const BY_LAYER = 'ByLayer';
+
+// AutoCAD's standard index colors 1-9
+export const INDEX_COLORS = [
+    { name: 'Red', hex: '#FF0000' },
+    { name: 'Yellow', hex: '#FFFF00' },
+    { name: 'Green', hex: '#00FF00' },
+    { name: 'Cyan', hex: '#00FFFF' },
+    { name: 'Blue', hex: '#0000FF' },
+    { name: 'Magenta', hex: '#FF00FF' },
+    { name: 'White', hex: '#FFFFFF' },
+    { name: 'Gray', hex: '#808080' },
+    { name: 'Light Gray', hex: '#C0C0C0' },
+];
+
+// Dash patterns in plan meters: dashes positive, gaps negative, 0 a dot
+export const LINETYPES = {
+    Continuous: { description: 'Solid line', pattern: [] },
+    Dashed: { description: '__ __ __ __', pattern: [0.5, -0.25] },
+    Hidden: { description: '_ _ _ _ _ _', pattern: [0.25, -0.125] },
+    Center: { description: '____ _ ____ _', pattern: [1.25, -0.25, 0.25, -0.25] },
+    Phantom: { description: '_____ _ _ _____', pattern: [1.25, -0.25, 0.25, -0.25, 0.25, -0.25] },
+    DashDot: { description: '__ . __ . __', pattern: [0.5, -0.25, 0, -0.25] },
+    Dot: { description: '. . . . . .', pattern: [0, -0.25] },
+};
+
+export const DEFAULT_LINETYPE = 'Continuous';
+
+// Standard lineweights in millimeters
+export const LINEWEIGHTS = [
+    0, 0.05, 0.09, 0.13, 0.15, 0.18, 0.2, 0.25, 0.3, 0.35, 0.4, 0.5,
+    0.53, 0.6, 0.7, 0.8, 0.9, 1, 1.06, 1.2, 1.4, 1.58, 2, 2.11,
+];
+
+export const DEFAULT_LINEWEIGHT = 0.25; // mm
+
+export default {
+    BY_LAYER,
+    INDEX_COLORS,
+    LINETYPES,
+    DEFAULT_LINETYPE,
+    LINEWEIGHTS,
+    DEFAULT_LINEWEIGHT,
+};
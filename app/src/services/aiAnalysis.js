@@ -5,6 +5,8 @@
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import { priceLine } from './rateLibrary.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
 
 // Configure PDF.js worker
 if (typeof window !== 'undefined' && 'pdfjsLib' in window) {
@@ -21,15 +23,16 @@ const ROOM_TYPE_MAP = {
     'pantry': 'CAFE_PANTRY',
 };
 
+// Room finishes (carpet, acoustic ceilings...) are set per room type in ROOM_TYPES
+// (config/api.js) and measured by the quantity takeoff
 export const FURNISHING_RULES = {
     EXECUTIVE_OFFICE: {
         name: 'Executive Office',
         furniture: [
             { code: 'LF02', name: 'L-Shaped Desk', quantity: 1 },
             { code: 'LF08', name: 'Executive Chair', quantity: 1 },
-            { code: 'LF10', name: 'Guest Chairs', quantity: 2 },
+            { code: 'LF09', name: 'Guest Chairs', quantity: 2 },
         ],
-        fitout: [{ code: 'CA-101', name: 'Carpet Tiles', uom: 'm²', perSqm: 1 }]
     },
     MEETING_ROOM: {
         name: 'Meeting Room',
@@ -37,7 +40,6 @@ export const FURNISHING_RULES = {
             { code: 'LF20', name: 'Conference Table', quantity: 1 },
             { code: 'LF19', name: 'Meeting Chair', quantity: 8 },
         ],
-        fitout: [{ code: 'AP-101', name: 'Acoustic Panels', uom: 'm²', perSqm: 0.5 }]
     },
     OPEN_WORKSPACE: {
         name: 'Open Workspace',
@@ -45,7 +47,6 @@ export const FURNISHING_RULES = {
             { code: 'LF01', name: 'Task Desk', quantity: 'perWorkstation' },
             { code: 'LF07', name: 'Task Chair', quantity: 'perWorkstation' },
         ],
-        fitout: [{ code: 'CA-101', name: 'Carpet Tiles', uom: 'm²', perSqm: 1 }],
         workstationsPerSqm: 0.12
     }
 };
@@ -171,10 +172,13 @@ function generateAnalysisResult(rooms, engineId) {
 
 /**
  * Calculate auto-furnishing logic (Shared with cadService)
+ * @param {Array} rooms
+ * @param {Object} library - Rate library the furniture codes are priced from
  */
-export function calculateAutoFurnishing(rooms, boqLibrary) {
+export function calculateAutoFurnishing(rooms, library) {
     const furnishingPlan = [];
     const boqItems = [];
+    const unknownCodes = new Set();
 
     rooms.forEach(room => {
         const rules = FURNISHING_RULES[room.type];
@@ -191,15 +195,17 @@ export function calculateAutoFurnishing(rooms, boqLibrary) {
         if (rules.furniture) {
             rules.furniture.forEach(item => {
                 const quantity = item.quantity === 'perWorkstation' ? Math.ceil(room.area * (rules.workstationsPerSqm || 0.1)) : item.quantity;
+                const line = priceLine(library, item.code, quantity, { name: item.name, unit: 'Nos.' });
+                if (line.unknown) unknownCodes.add(item.code);
                 boqItems.push({
                     roomId: room.id,
                     roomName: room.label,
-                    code: item.code,
-                    name: item.name,
+                    code: line.code,
+                    name: line.name,
                     quantity: quantity,
-                    uom: 'Nos.',
-                    rate: 45.00, // Fallback rate
-                    amount: quantity * 45.00
+                    uom: line.unit,
+                    rate: line.rate,
+                    amount: line.amount
                 });
             });
         }
@@ -212,11 +218,11 @@ export function calculateAutoFurnishing(rooms, boqLibrary) {
         boqItems,
         summary: {
             subtotal,
-            vat: subtotal * 0.05,
-            total: subtotal * 1.05,
+            currency: library?.currency || BASE_CURRENCY,
             itemCount: boqItems.length,
             roomCount: furnishingPlan.length
-        }
+        },
+        unknownCodes: [...unknownCodes]
     };
 }
 
@@ -0,0 +1,241 @@
+/**
+ * Design & Build - BOQ Import
+ * Reads client BOQ spreadsheets (.xlsx, .xls, .csv) in the browser and merges
+ * their rows into the rate library: guess which column holds which field,
+ * let the user correct it, validate every row against the current library,
+ * then write a new library version. Replaces the offline Python extraction
+ * for rate updates.
+ */
+
+import * as XLSX from 'xlsx';
+import { codeKey, resolveItem } from './rateLibrary.js';
+
+// Fields a BOQ column can map to, with the header texts that suggest them
+export const BOQ_FIELDS = [
+    { key: 'code', label: 'Code', required: true, headers: ['code', 'item code', 'ref', 'ref no', 'item ref', 'item no', 'item', 'boq ref', 'sl no'] },
+    { key: 'name', label: 'Name', headers: ['name', 'item name', 'title'] },
+    { key: 'description', label: 'Description', headers: ['description', 'desc', 'item description', 'specification', 'particulars'] },
+    { key: 'unit', label: 'Unit', headers: ['unit', 'units', 'uom', 'u/m'] },
+    { key: 'rate', label: 'Rate', required: true, headers: ['rate', 'unit rate', 'unit price', 'price', 'rate omr', 'unit cost'] },
+    { key: 'category', label: 'Category', headers: ['category', 'section', 'group', 'trade', 'type'] },
+    { key: 'quantity', label: 'Quantity', headers: ['quantity', 'qty', 'qnty', 'no of units'] },
+];
+
+// Units measured by area or length go to the fit-out section
+const FITOUT_UNITS = ['m2', 'm²', 'sqm', 'm', 'lm', 'rm'];
+
+// Rows searched for the header before assuming the first row is it
+const HEADER_SEARCH_ROWS = 20;
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9/²]+/g, ' ').trim();
+
+/**
+ * Sheets of a spreadsheet file as rows of cell values
+ * @param {File} file - .xlsx, .xls or .csv
+ * @returns {Promise<Array>} [{ name, rows: [[cell, ...], ...] }]
+ */
+export async function readSpreadsheet(file) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    return workbook.SheetNames.map(name => ({
+        name,
+        rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '', blankrows: true }),
+    }));
+}
+
+// Field a header cell names, if any: "Unit Rate (OMR)" names the rate
+function headerField(cell) {
+    const text = normalizeHeader(cell);
+    if (!text) return null;
+    const exact = BOQ_FIELDS.find(field => field.headers.includes(text));
+    if (exact) return exact.key;
+    const prefixes = BOQ_FIELDS.flatMap(field => field.headers
+        .filter(header => text.startsWith(`${header} `))
+        .map(header => ({ key: field.key, length: header.length })));
+    return prefixes.sort((a, b) => b.length - a.length)[0]?.key || null;
+}
+
+/**
+ * Index of the header row: the first row naming at least two fields. Client
+ * BOQs often open with title and project rows above it.
+ */
+export function detectHeaderRow(rows) {
+    const index = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row =>
+        new Set(row.map(headerField).filter(Boolean)).size >= 2);
+    return Math.max(index, 0);
+}
+
+/**
+ * Column mapping suggested by a header row
+ * @returns {Object} { code: columnIndex | null, name: ..., ... }
+ */
+export function guessMapping(headerRow = []) {
+    const mapping = Object.fromEntries(BOQ_FIELDS.map(field => [field.key, null]));
+    headerRow.forEach((cell, column) => {
+        const field = headerField(cell);
+        if (field && mapping[field] === null) mapping[field] = column;
+    });
+    return mapping;
+}
+
+/**
+ * Number from a rate or quantity cell: "1,250.000", "OMR 45", "45.5 OMR"
+ * @returns {number} NaN when the cell holds no number
+ */
+export function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * BOQ rows below the header, read through a column mapping. Rows with
+ * neither a rate nor a unit - section titles, blanks - are left out.
+ * @returns {Array} [{ row, code, name, description, unit, rate, category, quantity }]
+ *   `row` is the 1-based spreadsheet row
+ */
+export function extractRows(rows, headerIndex, mapping) {
+    const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined ? '' : row[mapping[field]]);
+    const text = (row, field) => String(cell(row, field) ?? '').trim();
+
+    return rows.slice(headerIndex + 1)
+        .map((row, i) => [row, headerIndex + i + 2])
+        .filter(([row]) => text(row, 'rate') !== '' || text(row, 'unit') !== '')
+        .map(([row, number]) => ({
+            row: number,
+            code: text(row, 'code'),
+            name: text(row, 'name'),
+            description: text(row, 'description'),
+            unit: text(row, 'unit'),
+            rate: text(row, 'rate') === '' ? NaN : parseNumber(cell(row, 'rate')),
+            category: text(row, 'category'),
+            quantity: text(row, 'quantity') === '' ? null : parseNumber(cell(row, 'quantity')),
+        }));
+}
+
+/**
+ * Check each row and say what importing it would do
+ * @param {Array} rows - from extractRows
+ * @param {Object} library - current rate library
+ * @returns {Array} rows with { status: 'new' | 'update' | 'unchanged' | 'error',
+ *   issues: [messages], previousRate? }
+ */
+export function validateRows(rows, library) {
+    const seen = new Map();
+    return rows.map(row => {
+        const issues = [];
+        if (!row.code) issues.push('No item code');
+        if (!Number.isFinite(row.rate)) issues.push('Rate is not a number');
+        else if (row.rate < 0) issues.push('Rate is negative');
+        if (row.quantity !== null && !Number.isFinite(row.quantity)) issues.push('Quantity is not a number');
+
+        const key = codeKey(row.code);
+        if (row.code && seen.has(key)) issues.push(`Same code as row ${seen.get(key)}`);
+        else if (row.code) seen.set(key, row.row);
+
+        if (issues.length > 0) return { ...row, status: 'error', issues };
+
+        const existing = resolveItem(library, row.code);
+        if (!existing) return { ...row, status: 'new', issues };
+        const changed = existing.rate !== row.rate ||
+            ['name', 'description', 'unit', 'category'].some(field => row[field] && row[field] !== existing[field]);
+        return { ...row, status: changed ? 'update' : 'unchanged', issues, previousRate: existing.rate };
+    });
+}
+
+const versionParts = (version) => String(version || '').split('.').map(n => parseInt(n, 10) || 0);
+
+/**
+ * Order of two library versions, as for sort()
+ */
+export function compareVersions(a, b) {
+    const [pa, pb] = [versionParts(a), versionParts(b)];
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+    }
+    return 0;
+}
+
+/**
+ * Next library version: the minor number goes up
+ */
+export function nextVersion(version) {
+    const [major = 1, minor = 0] = versionParts(version);
+    return `${major || 1}.${minor + 1}.0`;
+}
+
+/**
+ * Library data with the valid rows merged in. Existing codes keep their
+ * section and any field the spreadsheet leaves blank; new codes go to
+ * `section`, or by unit when it is 'auto'.
+ * @param {Object} data - current library data { metadata, furniture, fitout }
+ * @param {Array} rows - from validateRows
+ * @param {Object} options - { source, section: 'auto' | 'furniture' | 'fitout', version }
+ *   `version` defaults to the next one after the data's
+ * @returns {Object} { data, summary: { added, updated, unchanged, rejected } }
+ */
+export function mergeRows(data, rows, { source, section = 'auto', version } = {}) {
+    const furniture = [...(data.furniture || [])];
+    const fitout = [...(data.fitout || [])];
+    const summary = { added: 0, updated: 0, unchanged: 0, rejected: 0 };
+
+    const findIn = (list, code) => list.findIndex(item => codeKey(item.code) === codeKey(code));
+    const fields = (row) => Object.fromEntries(['name', 'description', 'unit', 'category']
+        .filter(field => row[field]).map(field => [field, row[field]]));
+
+    rows.forEach(row => {
+        if (row.status === 'error') { summary.rejected++; return; }
+        if (row.status === 'unchanged') { summary.unchanged++; return; }
+
+        const quantity = Number.isFinite(row.quantity) ? { quantity: row.quantity } : {};
+        for (const list of [furniture, fitout]) {
+            const at = findIn(list, row.code);
+            if (at >= 0) {
+                list[at] = { ...list[at], ...fields(row), rate: row.rate, ...quantity };
+                summary.updated++;
+                return;
+            }
+        }
+
+        const target = section === 'auto'
+            ? (FITOUT_UNITS.includes(row.unit.toLowerCase()) ? fitout : furniture)
+            : (section === 'fitout' ? fitout : furniture);
+        target.push({
+            code: row.code,
+            name: row.name || row.description || row.code,
+            description: row.description || row.name || '',
+            category: row.category || 'Imported',
+            unit: row.unit || 'No.',
+            rate: row.rate,
+            ...quantity,
+        });
+        summary.added++;
+    });
+
+    return {
+        data: {
+            ...data,
+            metadata: {
+                ...data.metadata,
+                version: version || nextVersion(data.metadata?.version),
+                extracted_date: new Date().toISOString().split('T')[0],
+                source: source || data.metadata?.source,
+            },
+            furniture,
+            fitout,
+        },
+        summary,
+    };
+}
+
+export default {
+    BOQ_FIELDS,
+    readSpreadsheet,
+    detectHeaderRow,
+    guessMapping,
+    parseNumber,
+    extractRows,
+    validateRows,
+    compareVersions,
+    nextVersion,
+    mergeRows,
+};
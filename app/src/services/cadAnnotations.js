@@ -0,0 +1,563 @@
+/**
+ * Design & Build - CAD Annotations
+ * Text, leaders, dimensions and room tags for the CAD editor. Dimensions and
+ * room tags keep references to the geometry they measure and follow it when it
+ * changes. Every annotation breaks down into plain lines, arcs, arrowheads and
+ * text, which the canvas, the DXF writer and the PDF writer all draw alike.
+ *
+ * Annotation entities, in plan meters:
+ *   TEXT      { x, y, text, height, rotation, align? } - `align` end of the text ('left' by
+ *             default) at mid-height, rotation in radians
+ *   LEADER    { points: [arrow tip, ..., landing], text, style, format }
+ *   DIMENSION { kind, points, location, rotation?, refs, text?, style, format }
+ *     linear, aligned     points [first origin, second origin]; linear has rotation 0 or π/2
+ *     angular             points [vertex, first endpoint, second endpoint]
+ *     radial, diameter    points [center, point on the circle]
+ *   ROOMTAG   { x, y, name, area, refs, style, format }
+ * `refs` holds one { id, anchor } per point (null where a point is free); room
+ * tags reference their boundary. `format` carries the dimension style's values
+ * (see config/dimensionStyles) so an annotation draws without the style table.
+ */
+
+import {
+    distance, distancePointToSegment, pointInPolygon, polygonArea,
+} from '../utils/geometry.js';
+import { DIM_UNITS } from '../config/dimensionStyles.js';
+
+export const ANNOTATION_TYPES = ['TEXT', 'LEADER', 'DIMENSION', 'ROOMTAG'];
+
+// Dimension kind each DIM tool draws
+export const DIMENSION_KINDS = {
+    dimlinear: 'linear',
+    dimaligned: 'aligned',
+    dimangular: 'angular',
+    dimradius: 'radial',
+    dimdiameter: 'diameter',
+};
+
+const ARROW_WIDTH = 1 / 3;   // closed filled arrowheads: width over length
+const CHAR_WIDTH = 0.6;      // average character width over text height, for text extents
+const LINE_SPACING = 1.6;    // room tag lines, in text heights
+const TWO_PI = Math.PI * 2;
+
+export function isAnnotation(entity) {
+    return ANNOTATION_TYPES.includes(entity?.type);
+}
+
+/**
+ * The values an annotation copies from its dimension style
+ */
+export function styleFormat(style = {}) {
+    const {
+        units = 'm', precision = 2, anglePrecision = 0,
+        textHeight = 0.2, arrowSize = 0.15, extOffset = 0.05, extBeyond = 0.1, textGap = 0.05,
+    } = style;
+    return { units, precision, anglePrecision, textHeight, arrowSize, extOffset, extBeyond, textGap };
+}
+
+// ============================================================================
+// Anchors - where an annotation hangs on other geometry
+// ============================================================================
+
+function outlinePoints(entity) {
+    if (entity.type === 'RECT' && entity.points?.length >= 2) {
+        const [a, b] = entity.points;
+        return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, { ...a }];
+    }
+    if ((entity.type === 'LINE' || entity.type === 'POLYLINE') && entity.points?.length >= 2) return entity.points;
+    return null;
+}
+
+/**
+ * Point of an entity named by an anchor: 'vertex:i' and 'mid:i' count along
+ * the outline (a RECT from its first corner), 'center', 'start' and 'end'
+ * belong to circles and arcs
+ * @returns {Object|null} { x, y }
+ */
+export function anchorPoint(entity, anchor) {
+    if (!entity || !anchor) return null;
+    if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
+        const center = { x: entity.x, y: entity.y };
+        if (anchor === 'center') return center;
+        if (entity.type === 'ARC' && (anchor === 'start' || anchor === 'end')) {
+            const angle = anchor === 'start' ? entity.startAngle : entity.endAngle;
+            return { x: center.x + entity.radius * Math.cos(angle), y: center.y + entity.radius * Math.sin(angle) };
+        }
+        return null;
+    }
+    const points = outlinePoints(entity);
+    const [kind, index] = anchor.split(':');
+    const i = Number(index);
+    if (!points || !Number.isInteger(i)) return null;
+    if (kind === 'vertex') return points[i] ? { ...points[i] } : null;
+    if (kind === 'mid' && points[i] && points[i + 1]) {
+        return { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+    }
+    return null;
+}
+
+/**
+ * Closed outline of a RECT or closed POLYLINE, without the repeated point
+ */
+export function boundaryRing(entity) {
+    const points = entity && outlinePoints(entity);
+    if (!points || points.length < 4) return null;
+    if (distance(points[0], points[points.length - 1]) > 1e-6) return null;
+    return points.slice(0, -1);
+}
+
+/**
+ * Smallest closed outline around a point - the room a tag is placed in
+ * @returns {Object|null} Entity
+ */
+export function findRoomBoundary(entities, point) {
+    let best = null;
+    let bestArea = Infinity;
+    entities.forEach(entity => {
+        const ring = boundaryRing(entity);
+        if (!ring || !pointInPolygon(point, ring)) return;
+        const area = polygonArea(ring);
+        if (area < bestArea) {
+            best = entity;
+            bestArea = area;
+        }
+    });
+    return best;
+}
+
+// ============================================================================
+// Associativity
+// ============================================================================
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-12 && Math.abs(a.y - b.y) < 1e-12;
+}
+
+/**
+ * Annotation with its points (and a room tag's area) refreshed from the
+ * geometry it references. References to missing geometry leave the stored
+ * point. Returns the same object when nothing moved.
+ * @param {Object} entity
+ * @param {Map} lookup - Entities by id
+ */
+export function resolveAnnotation(entity, lookup) {
+    const refs = entity.refs || [];
+    if (!isAnnotation(entity) || !refs.some(Boolean)) return entity;
+
+    if (entity.type === 'ROOMTAG') {
+        const ring = boundaryRing(lookup.get(refs[0]?.id));
+        const area = ring ? polygonArea(ring) : entity.area;
+        return area === entity.area ? entity : { ...entity, area };
+    }
+
+    let points;
+    const target = lookup.get(refs[0]?.id);
+    if ((entity.kind === 'radial' || entity.kind === 'diameter') && target?.radius > 0) {
+        // The circle's size and place, in the direction the dimension was drawn
+        const [center, edge] = entity.points;
+        const angle = Math.atan2(edge.y - center.y, edge.x - center.x);
+        points = [
+            { x: target.x, y: target.y },
+            { x: target.x + target.radius * Math.cos(angle), y: target.y + target.radius * Math.sin(angle) },
+        ];
+    } else {
+        points = entity.points.map((p, i) => anchorPoint(lookup.get(refs[i]?.id), refs[i]?.anchor) || p);
+    }
+    if (points.every((p, i) => samePoint(p, entity.points[i]))) return entity;
+    return { ...entity, points };
+}
+
+/**
+ * Every annotation in a drawing resolved against the rest of it; the same
+ * array back when nothing changed
+ */
+export function resolveAnnotations(entities) {
+    const lookup = new Map(entities.map(entity => [entity.id, entity]));
+    let changed = false;
+    const resolved = entities.map(entity => {
+        const next = resolveAnnotation(entity, lookup);
+        if (next !== entity) changed = true;
+        return next;
+    });
+    return changed ? resolved : entities;
+}
+
+/**
+ * Annotations that reference an entity, resolved one last time and cut
+ * loose from it - for when that entity is erased
+ * @returns {Array} Updated annotations
+ */
+export function releaseReferences(entities, id) {
+    const lookup = new Map(entities.map(entity => [entity.id, entity]));
+    return entities
+        .filter(entity => isAnnotation(entity) && entity.refs?.some(ref => ref?.id === id))
+        .map(entity => ({
+            ...resolveAnnotation(entity, lookup),
+            refs: entity.refs.map(ref => (ref?.id === id ? null : ref)),
+        }));
+}
+
+// ============================================================================
+// Measurement
+// ============================================================================
+
+function linearAxis(entity) {
+    const [p1, p2] = entity.points;
+    return entity.kind === 'aligned' ? Math.atan2(p2.y - p1.y, p2.x - p1.x) : entity.rotation || 0;
+}
+
+/**
+ * Angular dimension arc: from the first ray round to the second, or the
+ * other way when the dimension line sits in the outer angle
+ */
+function angularSweep(entity) {
+    const [vertex, p1, p2] = entity.points;
+    const a1 = Math.atan2(p1.y - vertex.y, p1.x - vertex.x);
+    const a2 = Math.atan2(p2.y - vertex.y, p2.x - vertex.x);
+    const at = Math.atan2(entity.location.y - vertex.y, entity.location.x - vertex.x);
+    const sweep = normalizeAngle(a2 - a1);
+    return normalizeAngle(at - a1) <= sweep
+        ? { start: a1, end: a2, sweep }
+        : { start: a2, end: a1, sweep: TWO_PI - sweep };
+}
+
+/**
+ * Measured value: meters for lengths, radians for angles
+ */
+export function measureDimension(entity) {
+    const [a, b] = entity.points;
+    if (entity.kind === 'angular') return angularSweep(entity).sweep;
+    if (entity.kind === 'radial') return distance(a, b);
+    if (entity.kind === 'diameter') return distance(a, b) * 2;
+    const axis = linearAxis(entity);
+    return Math.abs((b.x - a.x) * Math.cos(axis) + (b.y - a.y) * Math.sin(axis));
+}
+
+/**
+ * Dimension text in its style's units, e.g. "3450" or "R1.20". A text
+ * override replaces it, with "<>" standing for the measurement.
+ */
+export function dimensionText(entity) {
+    const format = entity.format || styleFormat();
+    const value = measureDimension(entity);
+    let measured;
+    if (entity.kind === 'angular') {
+        measured = `${(value * 180 / Math.PI).toFixed(format.anglePrecision)}°`;
+    } else {
+        const factor = (DIM_UNITS[format.units] || DIM_UNITS.m).factor;
+        const prefix = entity.kind === 'radial' ? 'R' : entity.kind === 'diameter' ? 'Ø' : '';
+        measured = `${prefix}${(value * factor).toFixed(format.precision)}`;
+    }
+    return entity.text ? entity.text.replace('<>', measured) : measured;
+}
+
+export function formatArea(area) {
+    return `${(area || 0).toFixed(2)} m²`;
+}
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+function normalizeAngle(angle) {
+    return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+/**
+ * Text angle turned to read left to right
+ */
+function readable(angle) {
+    let a = normalizeAngle(angle);
+    if (a > Math.PI / 2 + 1e-9 && a <= Math.PI * 1.5 + 1e-9) a -= Math.PI;
+    return a > Math.PI ? a - TWO_PI : a;
+}
+
+const along = (p, angle, length) => ({ x: p.x + Math.cos(angle) * length, y: p.y + Math.sin(angle) * length });
+
+/**
+ * Closed filled arrowhead with its tip on `tip`, pointing along `angle`
+ */
+function arrowhead(tip, angle, size) {
+    const base = along(tip, angle + Math.PI, size);
+    const half = size * ARROW_WIDTH / 2;
+    return [tip, along(base, angle + Math.PI / 2, half), along(base, angle - Math.PI / 2, half)];
+}
+
+// Short horizontal landing a leader's text sits at the end of
+function landing(geometry, from, toward, format, value) {
+    const side = toward.x >= from.x ? 1 : -1;
+    const end = { x: toward.x + side * format.arrowSize, y: toward.y };
+    geometry.lines.push([toward, end]);
+    geometry.texts.push({
+        position: { x: end.x + side * format.textGap, y: end.y },
+        value,
+        height: format.textHeight,
+        rotation: 0,
+        align: side > 0 ? 'left' : 'right',
+    });
+}
+
+function linearGeometry(entity, format, geometry) {
+    const [p1, p2] = entity.points;
+    const { location } = entity;
+    const axis = linearAxis(entity);
+    const normal = axis + Math.PI / 2;
+    const n = { x: Math.cos(normal), y: Math.sin(normal) };
+    const offsetOf = p => (location.x - p.x) * n.x + (location.y - p.y) * n.y;
+    const d1 = along(p1, normal, offsetOf(p1));
+    const d2 = along(p2, normal, offsetOf(p2));
+
+    [[p1, d1], [p2, d2]].forEach(([origin, foot]) => {
+        const length = distance(origin, foot);
+        if (length <= format.extOffset) return;
+        const angle = Math.atan2(foot.y - origin.y, foot.x - origin.x);
+        geometry.lines.push([along(origin, angle, format.extOffset), along(foot, angle, format.extBeyond)]);
+    });
+
+    geometry.lines.push([d1, d2]);
+    if (distance(d1, d2) > 1e-9) {
+        const angle = Math.atan2(d1.y - d2.y, d1.x - d2.x);
+        geometry.arrows.push(arrowhead(d1, angle, format.arrowSize), arrowhead(d2, angle + Math.PI, format.arrowSize));
+    }
+
+    // Text on the far side of the dimension line from what it measures
+    const middle = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+    const side = offsetOf(middle) < 0 ? -1 : 1;
+    geometry.texts.push({
+        position: along({ x: (d1.x + d2.x) / 2, y: (d1.y + d2.y) / 2 }, normal, side * (format.textGap + format.textHeight / 2)),
+        value: dimensionText(entity),
+        height: format.textHeight,
+        rotation: readable(axis),
+        align: 'center',
+    });
+}
+
+function angularGeometry(entity, format, geometry) {
+    const [vertex, p1, p2] = entity.points;
+    const radius = distance(vertex, entity.location);
+    if (radius < 1e-9) return;
+    const { start, end, sweep } = angularSweep(entity);
+    geometry.arcs.push({ center: vertex, radius, start, end });
+
+    [p1, p2].forEach(p => {
+        const reach = distance(vertex, p);
+        const angle = Math.atan2(p.y - vertex.y, p.x - vertex.x);
+        if (radius > reach + format.extOffset) {
+            geometry.lines.push([along(vertex, angle, reach + format.extOffset), along(vertex, angle, radius + format.extBeyond)]);
+        }
+    });
+
+    // Arrows point along the arc, out at both ends
+    geometry.arrows.push(
+        arrowhead(along(vertex, start, radius), start - Math.PI / 2, format.arrowSize),
+        arrowhead(along(vertex, end, radius), end + Math.PI / 2, format.arrowSize));
+
+    const middle = start + sweep / 2;
+    geometry.texts.push({
+        position: along(vertex, middle, radius + format.textGap + format.textHeight / 2),
+        value: dimensionText(entity),
+        height: format.textHeight,
+        rotation: readable(middle + Math.PI / 2),
+        align: 'center',
+    });
+}
+
+function radialGeometry(entity, format, geometry) {
+    const [center, edge] = entity.points;
+    const radius = distance(center, edge);
+    if (radius < 1e-9) return;
+    const { location } = entity;
+    const angle = distance(center, location) > 1e-9
+        ? Math.atan2(location.y - center.y, location.x - center.x)
+        : Math.atan2(edge.y - center.y, edge.x - center.x);
+    const near = along(center, angle, radius);
+    const far = along(center, angle + Math.PI, radius);
+    const diameter = entity.kind === 'diameter';
+    const value = dimensionText(entity);
+
+    if (distance(center, location) > radius) {
+        // Text outside: a leader from the circle out to a landing
+        geometry.lines.push([diameter ? far : near, location]);
+        geometry.arrows.push(arrowhead(near, angle + (diameter ? 0 : Math.PI), format.arrowSize));
+        if (diameter) geometry.arrows.push(arrowhead(far, angle + Math.PI, format.arrowSize));
+        landing(geometry, center, location, format, value);
+        return;
+    }
+
+    // Text inside: along the radius or diameter line
+    const start = diameter ? far : center;
+    geometry.lines.push([start, near]);
+    geometry.arrows.push(arrowhead(near, angle, format.arrowSize));
+    if (diameter) geometry.arrows.push(arrowhead(far, angle + Math.PI, format.arrowSize));
+    const rotation = readable(angle);
+    geometry.texts.push({
+        position: along({ x: (start.x + near.x) / 2, y: (start.y + near.y) / 2 }, rotation + Math.PI / 2, format.textGap + format.textHeight / 2),
+        value,
+        height: format.textHeight,
+        rotation,
+        align: 'center',
+    });
+}
+
+/**
+ * What an annotation draws, in plan meters
+ * @param {Object} entity - Resolved annotation
+ * @returns {Object} {
+ *   lines: [[a, b]], arcs: [{ center, radius, start, end }] (counter-clockwise),
+ *   arrows: [[tip, left, right]] filled triangles,
+ *   texts: [{ position, value, height, rotation, align }] - middle of the text
+ *     height at `position`, `align` 'left' | 'center' | 'right' along rotation
+ * }
+ */
+export function annotationGeometry(entity) {
+    const geometry = { lines: [], arcs: [], arrows: [], texts: [] };
+    const format = entity.format || styleFormat();
+
+    if (entity.type === 'TEXT') {
+        if (entity.text) {
+            geometry.texts.push({
+                position: { x: entity.x, y: entity.y },
+                value: entity.text,
+                height: entity.height || format.textHeight,
+                rotation: entity.rotation || 0,
+                align: entity.align || 'left',
+            });
+        }
+    } else if (entity.type === 'LEADER' && entity.points?.length >= 2) {
+        const { points } = entity;
+        for (let i = 0; i < points.length - 1; i++) geometry.lines.push([points[i], points[i + 1]]);
+        geometry.arrows.push(arrowhead(points[0], Math.atan2(points[0].y - points[1].y, points[0].x - points[1].x), format.arrowSize));
+        if (entity.text) landing(geometry, points[points.length - 2], points[points.length - 1], format, entity.text);
+    } else if (entity.type === 'ROOMTAG') {
+        // Area under the name as the editor shows it - plan y runs down the canvas
+        [entity.name, formatArea(entity.area)].filter(Boolean).forEach((value, i) => geometry.texts.push({
+            position: { x: entity.x, y: entity.y + i * format.textHeight * LINE_SPACING },
+            value,
+            height: format.textHeight * (i === 0 ? 1 : 0.8),
+            rotation: 0,
+            align: 'center',
+        }));
+    } else if (entity.type === 'DIMENSION' && entity.points?.length >= 2 && entity.location) {
+        if (entity.kind === 'angular') {
+            if (entity.points.length >= 3) angularGeometry(entity, format, geometry);
+        } else if (entity.kind === 'radial' || entity.kind === 'diameter') {
+            radialGeometry(entity, format, geometry);
+        } else {
+            linearGeometry(entity, format, geometry);
+        }
+    }
+    return geometry;
+}
+
+/**
+ * Corners of the box a text takes up, from an estimated width
+ */
+export function textBox(text) {
+    const width = text.value.length * text.height * CHAR_WIDTH;
+    const start = text.align === 'center' ? -width / 2 : text.align === 'right' ? -width : 0;
+    const cos = Math.cos(text.rotation);
+    const sin = Math.sin(text.rotation);
+    return [[start, -0.5], [start + width, -0.5], [start + width, 0.5], [start, 0.5]].map(([u, v]) => ({
+        x: text.position.x + u * cos - v * text.height * sin,
+        y: text.position.y + u * sin + v * text.height * cos,
+    }));
+}
+
+/**
+ * Shortest distance from a point to anything an annotation draws
+ */
+export function distanceToAnnotation(entity, p) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    const outlines = [...arrows, ...texts.map(textBox)];
+    const distances = [
+        ...lines.map(([a, b]) => distancePointToSegment(p, a, b)),
+        ...arcs.map(arc => {
+            const angle = Math.atan2(p.y - arc.center.y, p.x - arc.center.x);
+            const sweep = normalizeAngle(arc.end - arc.start) || TWO_PI;
+            if (normalizeAngle(angle - arc.start) <= sweep) return Math.abs(distance(p, arc.center) - arc.radius);
+            return Math.min(distance(p, along(arc.center, arc.start, arc.radius)), distance(p, along(arc.center, arc.end, arc.radius)));
+        }),
+        ...outlines.map(ring => (pointInPolygon(p, ring)
+            ? 0
+            : Math.min(...ring.map((a, i) => distancePointToSegment(p, a, ring[(i + 1) % ring.length]))))),
+    ];
+    return distances.length ? Math.min(...distances) : Infinity;
+}
+
+/**
+ * Points that bound an annotation: line and arrow ends, arc extremes and text boxes
+ */
+export function annotationPoints(entity) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    return [
+        ...lines.flat(),
+        ...arrows.flat(),
+        ...texts.flatMap(textBox),
+        ...arcs.flatMap(arc => {
+            const sweep = normalizeAngle(arc.end - arc.start) || TWO_PI;
+            return [arc.start, arc.end, 0, Math.PI / 2, Math.PI, Math.PI * 1.5]
+                .filter(angle => angle === arc.start || angle === arc.end || normalizeAngle(angle - arc.start) <= sweep)
+                .map(angle => along(arc.center, angle, arc.radius));
+        }),
+    ];
+}
+
+// ============================================================================
+// Drafting
+// ============================================================================
+
+/**
+ * Linear dimensions run horizontal when the dimension line is placed above or
+ * below the origins and vertical when placed beside them
+ */
+function linearRotation(p1, p2, location) {
+    const inX = location.x > Math.min(p1.x, p2.x) && location.x < Math.max(p1.x, p2.x);
+    const inY = location.y > Math.min(p1.y, p2.y) && location.y < Math.max(p1.y, p2.y);
+    if (inX && !inY) return 0;
+    if (inY && !inX) return Math.PI / 2;
+    return Math.abs(p2.x - p1.x) >= Math.abs(p2.y - p1.y) ? 0 : Math.PI / 2;
+}
+
+/**
+ * Dimension a DIM tool makes from its picked points and the dimension line location
+ * @param {string} tool - dimlinear, dimaligned, dimangular, dimradius or dimdiameter
+ * @param {Array} points - Picked points (radial tools: [center, point on the circle])
+ * @param {Array} refs - Anchor per picked point, or null
+ * @param {Object} location - Dimension line location
+ * @param {Object} style - Dimension style
+ * @returns {Object} DIMENSION entity without id or layer
+ */
+export function createDimension(tool, points, refs, location, style) {
+    const entity = {
+        type: 'DIMENSION',
+        kind: DIMENSION_KINDS[tool],
+        points,
+        refs,
+        location,
+        style: style.name,
+        format: styleFormat(style),
+    };
+    if (entity.kind === 'linear') entity.rotation = linearRotation(points[0], points[1], location);
+    return entity;
+}
+
+export default {
+    ANNOTATION_TYPES,
+    DIMENSION_KINDS,
+    isAnnotation,
+    styleFormat,
+    anchorPoint,
+    boundaryRing,
+    findRoomBoundary,
+    resolveAnnotation,
+    resolveAnnotations,
+    releaseReferences,
+    measureDimension,
+    dimensionText,
+    formatArea,
+    annotationGeometry,
+    textBox,
+    distanceToAnnotation,
+    annotationPoints,
+    createDimension,
+};
@@ -0,0 +1,311 @@
+/**
+ * Design & Build - CAD Command Line
+ * Parses what is typed into the CAD editor's console: command names and
+ * aliases, coordinates, distances, angles and option keywords. Prompts follow
+ * the AutoCAD form "Specify next point or [Close/Undo] <default>:", where the
+ * capital letters of an option are its shortcut.
+ *
+ * Coordinates typed in drawing units come back in meters:
+ *   x,y          absolute
+ *   @dx,dy       relative to the last point
+ *   @len<angle   polar from the last point, angle in degrees counter-clockwise from +X
+ *   len<angle    polar from the origin
+ *   @            the last point itself
+ */
+
+import { EDIT_TOOLS, firstEditStep } from './cadEditing.js';
+
+export const DRAWING_UNITS = {
+    mm: { label: 'Millimeters', toMeters: 0.001, decimals: 0 },
+    cm: { label: 'Centimeters', toMeters: 0.01, decimals: 1 },
+    m: { label: 'Meters', toMeters: 1, decimals: 3 },
+};
+
+// Console commands; `tool` names the canvas tool the command starts
+export const CAD_COMMANDS = {
+    LINE: { aliases: ['L'], tool: 'line' },
+    RECTANG: { aliases: ['R', 'REC', 'RECT', 'RECTANGLE'], tool: 'rect' },
+    CIRCLE: { aliases: ['C'], tool: 'circle' },
+    TEXT: { aliases: ['T', 'DT', 'DTEXT'], tool: 'text' },
+    LEADER: { aliases: ['LE', 'LEAD'], tool: 'leader' },
+    DIMLINEAR: { aliases: ['DLI', 'DIMLIN'], tool: 'dimlinear' },
+    DIMALIGNED: { aliases: ['DAL', 'DIMALI'], tool: 'dimaligned' },
+    DIMANGULAR: { aliases: ['DAN', 'DIMANG'], tool: 'dimangular' },
+    DIMRADIUS: { aliases: ['DRA', 'DIMRAD'], tool: 'dimradius' },
+    DIMDIAMETER: { aliases: ['DDI', 'DIMDIA'], tool: 'dimdiameter' },
+    ROOMTAG: { aliases: ['RT', 'TAG'], tool: 'roomtag' },
+    HATCH: { aliases: ['H', 'BH', 'BHATCH'], tool: 'hatch' },
+    SELECT: { aliases: ['V'], tool: 'select' },
+    MOVE: { aliases: ['M'], tool: 'move' },
+    COPY: { aliases: ['CO', 'CP'], tool: 'copy' },
+    ROTATE: { aliases: ['RO'], tool: 'rotate' },
+    SCALE: { aliases: ['SC'], tool: 'scale' },
+    MIRROR: { aliases: ['MI'], tool: 'mirror' },
+    OFFSET: { aliases: ['O'], tool: 'offset' },
+    TRIM: { aliases: ['TR'], tool: 'trim' },
+    EXTEND: { aliases: ['EX'], tool: 'extend' },
+    ERASE: { aliases: ['E', 'DELETE'], tool: 'erase' },
+    LAYER: { aliases: ['LA'] },
+    DIMSTYLE: { aliases: ['D', 'DST', 'DDIM'] },
+    ZOOM: { aliases: ['Z'] },
+    UNITS: { aliases: ['UN'] },
+    UNDO: { aliases: ['U'] },
+    REDO: { aliases: [] },
+    CLEAR: { aliases: [] },
+};
+
+// Step prompts of the drawing tools; the first step is where a tool starts
+export const DRAW_TOOLS = {
+    line: {
+        label: 'LINE',
+        steps: ['first', 'next', 'more'],
+        prompts: {
+            first: { text: 'Specify first point' },
+            next: { text: 'Specify next point', options: ['Undo'] },
+            more: { text: 'Specify next point', options: ['Close', 'Undo'] },
+        },
+    },
+    rect: {
+        label: 'RECTANG',
+        steps: ['first', 'corner', 'length', 'width'],
+        prompts: {
+            first: { text: 'Specify first corner point' },
+            corner: { text: 'Specify other corner point', options: ['Dimensions'] },
+            length: { text: 'Specify length for rectangles' },
+            width: { text: 'Specify width for rectangles' },
+        },
+    },
+    circle: {
+        label: 'CIRCLE',
+        steps: ['center', 'radius', 'diameter'],
+        prompts: {
+            center: { text: 'Specify center point for circle' },
+            radius: { text: 'Specify radius of circle', options: ['Diameter'] },
+            diameter: { text: 'Specify diameter of circle' },
+        },
+    },
+    text: {
+        label: 'TEXT',
+        steps: ['start', 'rotation', 'text'],
+        prompts: {
+            start: { text: 'Specify start point of text' },
+            rotation: { text: 'Specify rotation angle of text' },
+            text: { text: 'Enter text' },
+        },
+    },
+    leader: {
+        label: 'LEADER',
+        steps: ['first', 'next', 'more', 'text'],
+        prompts: {
+            first: { text: 'Specify leader start point' },
+            next: { text: 'Specify next point' },
+            more: { text: 'Specify next point, Enter for text' },
+            text: { text: 'Enter annotation text' },
+        },
+    },
+    dimlinear: {
+        label: 'DIMLINEAR',
+        steps: ['first', 'second', 'location'],
+        prompts: {
+            first: { text: 'Specify first extension line origin' },
+            second: { text: 'Specify second extension line origin' },
+            location: { text: 'Specify dimension line location', options: ['Text'] },
+            override: { text: 'Enter dimension text, <> for the measurement' },
+        },
+    },
+    dimaligned: {
+        label: 'DIMALIGNED',
+        steps: ['first', 'second', 'location'],
+        prompts: {
+            first: { text: 'Specify first extension line origin' },
+            second: { text: 'Specify second extension line origin' },
+            location: { text: 'Specify dimension line location', options: ['Text'] },
+            override: { text: 'Enter dimension text, <> for the measurement' },
+        },
+    },
+    dimangular: {
+        label: 'DIMANGULAR',
+        steps: ['vertex', 'first', 'second', 'location'],
+        prompts: {
+            vertex: { text: 'Specify angle vertex' },
+            first: { text: 'Specify first angle endpoint' },
+            second: { text: 'Specify second angle endpoint' },
+            location: { text: 'Specify dimension arc line location', options: ['Text'] },
+            override: { text: 'Enter dimension text, <> for the measurement' },
+        },
+    },
+    dimradius: {
+        label: 'DIMRADIUS',
+        steps: ['pick', 'location'],
+        prompts: {
+            pick: { text: 'Select arc or circle' },
+            location: { text: 'Specify dimension line location', options: ['Text'] },
+            override: { text: 'Enter dimension text, <> for the measurement' },
+        },
+    },
+    dimdiameter: {
+        label: 'DIMDIAMETER',
+        steps: ['pick', 'location'],
+        prompts: {
+            pick: { text: 'Select arc or circle' },
+            location: { text: 'Specify dimension line location', options: ['Text'] },
+            override: { text: 'Enter dimension text, <> for the measurement' },
+        },
+    },
+    roomtag: {
+        label: 'ROOMTAG',
+        steps: ['point', 'name'],
+        prompts: {
+            point: { text: 'Specify point inside room' },
+            name: { text: 'Enter room name' },
+        },
+    },
+    hatch: {
+        label: 'HATCH',
+        steps: ['point'],
+        prompts: {
+            point: { text: 'Pick internal point' },
+        },
+    },
+};
+
+// Draw tool steps that take free text rather than points or numbers
+export const TEXT_STEPS = ['text', 'name', 'override'];
+
+// Prompts the console answers itself, without the canvas
+export const CONSOLE_PROMPTS = {
+    LAYER: { text: 'Enter layer name to make current', options: ['?'] },
+    DIMSTYLE: { text: 'Enter dimension style name to make current', options: ['?'] },
+    ZOOM: { text: 'Enter a zoom factor (nX)', options: ['All', 'Extents', 'In', 'Out'] },
+    UNITS: { text: 'Enter drawing units', options: Object.keys(DRAWING_UNITS) },
+};
+
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`, 'i');
+const CARTESIAN_PATTERN = new RegExp(`^(@)?(${NUMBER}),(${NUMBER})$`, 'i');
+const POLAR_PATTERN = new RegExp(`^(@)?(${NUMBER})<(${NUMBER})$`, 'i');
+
+/**
+ * Command name for typed text, e.g. "co" -> "COPY"
+ * @returns {string|null}
+ */
+export function resolveCommand(text) {
+    const input = text.trim().toUpperCase();
+    if (!input) return null;
+    if (CAD_COMMANDS[input]) return input;
+    return Object.keys(CAD_COMMANDS).find(name => CAD_COMMANDS[name].aliases.includes(input)) || null;
+}
+
+/**
+ * Read a typed point
+ * @param {string} text
+ * @param {Object|null} lastPoint - Reference for @ input, in meters
+ * @param {number} toMeters - Size of one drawing unit
+ * @returns {Object|null} { x, y } in meters, or null when the text is not a point
+ */
+export function parsePoint(text, lastPoint, toMeters = 1) {
+    const input = text.replace(/\s+/g, '');
+    if (input === '@') return lastPoint ? { ...lastPoint } : null;
+
+    let match = input.match(POLAR_PATTERN);
+    if (match) {
+        const base = match[1] ? lastPoint : { x: 0, y: 0 };
+        if (!base) return null;
+        const length = Number(match[2]) * toMeters;
+        const angle = Number(match[3]) * Math.PI / 180;
+        return { x: base.x + length * Math.cos(angle), y: base.y + length * Math.sin(angle) };
+    }
+
+    match = input.match(CARTESIAN_PATTERN);
+    if (match) {
+        const base = match[1] ? lastPoint : { x: 0, y: 0 };
+        if (!base) return null;
+        return { x: base.x + Number(match[2]) * toMeters, y: base.y + Number(match[3]) * toMeters };
+    }
+    return null;
+}
+
+/**
+ * @returns {number|null} The typed number, or null for anything else
+ */
+export function parseNumber(text) {
+    const input = text.trim();
+    return NUMBER_PATTERN.test(input) ? Number(input) : null;
+}
+
+/**
+ * Point at a typed distance from `from`, heading towards the cursor
+ * (direct distance entry). With the cursor on the point it runs along +X.
+ */
+export function pointAtDistance(from, toward, length) {
+    const dx = toward.x - from.x;
+    const dy = toward.y - from.y;
+    const span = Math.hypot(dx, dy);
+    if (span < 1e-9) return { x: from.x + length, y: from.y };
+    return { x: from.x + dx / span * length, y: from.y + dy / span * length };
+}
+
+/**
+ * Option keyword for typed text: the whole word or its capital letters,
+ * e.g. "c" or "close" -> "Close"
+ * @returns {string|null}
+ */
+export function matchOption(text, options = []) {
+    const input = text.trim().toUpperCase();
+    if (!input) return null;
+    return options.find(option => {
+        const shortcut = option.replace(/[^A-Z?]/g, '');
+        return option.toUpperCase() === input || (shortcut && shortcut === input);
+    }) || null;
+}
+
+/**
+ * Prompt line, e.g. "Specify next point or [Close/Undo]:"
+ * @param {Object} prompt - { text, options }
+ * @param {string} defaultValue - Shown in angle brackets, used when Enter is pressed
+ */
+export function formatPrompt(prompt, defaultValue) {
+    if (!prompt) return '';
+    const options = prompt.options?.length ? ` or [${prompt.options.join('/')}]` : '';
+    const fallback = defaultValue !== undefined && defaultValue !== '' ? ` <${defaultValue}>` : '';
+    return `${prompt.text}${options}${fallback}:`;
+}
+
+/**
+ * First prompt a canvas tool shows when it starts
+ */
+export function toolStartPrompt(tool, hasSelection) {
+    if (DRAW_TOOLS[tool]) {
+        const { label, steps, prompts } = DRAW_TOOLS[tool];
+        return `${label} ${formatPrompt(prompts[steps[0]])}`;
+    }
+    if (EDIT_TOOLS[tool]) {
+        const { label, prompts } = EDIT_TOOLS[tool];
+        return `${label} ${prompts[firstEditStep(tool, hasSelection)]}:`;
+    }
+    return null;
+}
+
+/**
+ * Length in drawing units for prompts and read-outs, e.g. 1.2 (m) -> "1200" in mm
+ */
+export function formatLength(meters, units = 'm') {
+    const unit = DRAWING_UNITS[units] || DRAWING_UNITS.m;
+    return (meters / unit.toMeters).toFixed(unit.decimals);
+}
+
+export default {
+    DRAWING_UNITS,
+    CAD_COMMANDS,
+    DRAW_TOOLS,
+    TEXT_STEPS,
+    CONSOLE_PROMPTS,
+    resolveCommand,
+    parsePoint,
+    parseNumber,
+    pointAtDistance,
+    matchOption,
+    formatPrompt,
+    toolStartPrompt,
+    formatLength,
+};
@@ -0,0 +1,669 @@
+/**
+ * Design & Build - CAD Editing Operations
+ * Selection, move/copy, rotate, scale, mirror, offset, trim and extend for the CAD
+ * editor's drafting entities. Everything here is pure: operations take
+ * entities and return new ones for the project store to apply.
+ *
+ * Entities are plan-space objects in meters:
+ *   LINE     { points: [a, b] }
+ *   POLYLINE { points } - closed when the last point repeats the first
+ *   RECT     { points: [corner, opposite corner] } - axis aligned
+ *   CIRCLE   { x, y, radius }
+ *   ARC      { x, y, radius, startAngle, endAngle } - radians, counter-clockwise
+ * Text, leaders, dimensions and room tags (see cadAnnotations) are picked by
+ * what they draw and transformed point by point. Hatches (see cadHatches) are
+ * picked by their boundary, or from inside when nothing else is near.
+ */
+
+import {
+    distance, distancePointToSegment, projectPointOnSegment, segmentIntersection,
+    pointInPolygon, signedPolygonArea,
+} from '../utils/geometry.js';
+import { isAnnotation, annotationPoints, annotationGeometry, distanceToAnnotation, textBox } from './cadAnnotations.js';
+import { isHatch, hatchRings, hatchContains } from './cadHatches.js';
+
+// Step sequences of the editor's modify tools; 'select' is skipped when
+// objects are already selected
+export const EDIT_TOOLS = {
+    move: {
+        label: 'MOVE',
+        steps: ['select', 'base', 'target'],
+        prompts: { select: 'Select objects, Enter when done', base: 'Specify base point', target: 'Specify second point' },
+    },
+    copy: {
+        label: 'COPY',
+        steps: ['select', 'base', 'target'],
+        prompts: { select: 'Select objects, Enter when done', base: 'Specify base point', target: 'Specify second point, Esc to finish' },
+    },
+    rotate: {
+        label: 'ROTATE',
+        steps: ['select', 'base', 'angle'],
+        prompts: { select: 'Select objects, Enter when done', base: 'Specify base point', angle: 'Specify rotation angle' },
+    },
+    scale: {
+        label: 'SCALE',
+        steps: ['select', 'base', 'factor'],
+        prompts: { select: 'Select objects, Enter when done', base: 'Specify base point', factor: 'Specify scale factor' },
+    },
+    mirror: {
+        label: 'MIRROR',
+        steps: ['select', 'first', 'second'],
+        prompts: { select: 'Select objects, Enter when done', first: 'Specify first point of mirror line', second: 'Specify second point of mirror line' },
+    },
+    offset: {
+        label: 'OFFSET',
+        steps: ['pick', 'side'],
+        prompts: { pick: 'Select object to offset', side: 'Specify point on side to offset' },
+    },
+    trim: {
+        label: 'TRIM',
+        steps: ['pick'],
+        prompts: { pick: 'Select object to trim, Esc to finish' },
+    },
+    extend: {
+        label: 'EXTEND',
+        steps: ['pick'],
+        prompts: { pick: 'Select object to extend, Esc to finish' },
+    },
+    erase: {
+        label: 'ERASE',
+        steps: ['select'],
+        prompts: { select: 'Select objects, Enter to erase' },
+    },
+};
+
+/**
+ * Step a modify tool starts at
+ */
+export function firstEditStep(tool, hasSelection) {
+    const steps = EDIT_TOOLS[tool]?.steps || [];
+    return steps[0] === 'select' && hasSelection && steps.length > 1 ? steps[1] : steps[0];
+}
+
+const TWO_PI = Math.PI * 2;
+const EPSILON = 1e-9;
+const RAY_LENGTH = 1e5; // m - far enough to reach any boundary on a plan
+
+// ============================================================================
+// Shape access
+// ============================================================================
+
+export function isClosedPath(points = []) {
+    return points.length > 2 && distance(points[0], points[points.length - 1]) < 1e-6;
+}
+
+function rectRing([a, b]) {
+    return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, { ...a }];
+}
+
+/**
+ * Vertex path of a straight-edged entity (RECT as a closed ring)
+ */
+export function entityPath(entity) {
+    if (entity.type === 'RECT' && entity.points?.length >= 2) return rectRing(entity.points);
+    if ((entity.type === 'LINE' || entity.type === 'POLYLINE') && entity.points?.length >= 2) return entity.points;
+    return null;
+}
+
+export function pathSegments(path) {
+    const segments = [];
+    for (let i = 0; i < path.length - 1; i++) segments.push([path[i], path[i + 1]]);
+    return segments;
+}
+
+// Straight edges of an entity: its path, or a hatch's boundary and islands
+function outlineSegments(entity) {
+    if (isHatch(entity)) return hatchRings(entity).flatMap(pathSegments);
+    const path = entityPath(entity);
+    return path ? pathSegments(path) : [];
+}
+
+export function entityCurve(entity) {
+    if (entity.type === 'CIRCLE') return { center: { x: entity.x, y: entity.y }, radius: entity.radius, full: true };
+    if (entity.type === 'ARC') {
+        return { center: { x: entity.x, y: entity.y }, radius: entity.radius, start: entity.startAngle, end: entity.endAngle, full: false };
+    }
+    return null;
+}
+
+function normalizeAngle(angle) {
+    return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+export function arcSweep(curve) {
+    const sweep = normalizeAngle(curve.end - curve.start);
+    return sweep < EPSILON ? TWO_PI : sweep;
+}
+
+export function onCurve(curve, angle) {
+    return curve.full || normalizeAngle(angle - curve.start) <= arcSweep(curve) + 1e-7;
+}
+
+export function pointOnCircle(center, radius, angle) {
+    return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+}
+
+/**
+ * Axis-aligned extents as { minX, minY, maxX, maxY }
+ */
+export function entityBounds(entity) {
+    const curve = entityCurve(entity);
+    let points = (isAnnotation(entity) ? annotationPoints(entity) : isHatch(entity) ? entity.points : entityPath(entity)) || [];
+    if (curve) {
+        const { center, radius } = curve;
+        points = curve.full
+            ? [{ x: center.x - radius, y: center.y - radius }, { x: center.x + radius, y: center.y + radius }]
+            : [curve.start, curve.end, 0, Math.PI / 2, Math.PI, Math.PI * 1.5]
+                .filter(angle => onCurve(curve, angle))
+                .map(angle => pointOnCircle(center, radius, angle));
+    }
+    if (points.length === 0) return null;
+
+    return points.reduce((box, p) => ({
+        minX: Math.min(box.minX, p.x), minY: Math.min(box.minY, p.y),
+        maxX: Math.max(box.maxX, p.x), maxY: Math.max(box.maxY, p.y),
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+}
+
+/**
+ * Shortest distance from a point to an entity's outline
+ */
+export function distanceToEntity(entity, p) {
+    if (isAnnotation(entity)) return distanceToAnnotation(entity, p);
+    const curve = entityCurve(entity);
+    if (curve) {
+        const angle = Math.atan2(p.y - curve.center.y, p.x - curve.center.x);
+        if (onCurve(curve, angle)) return Math.abs(distance(p, curve.center) - curve.radius);
+        return Math.min(
+            distance(p, pointOnCircle(curve.center, curve.radius, curve.start)),
+            distance(p, pointOnCircle(curve.center, curve.radius, curve.end)));
+    }
+    const segments = outlineSegments(entity);
+    if (segments.length === 0) return Infinity;
+    return Math.min(...segments.map(([a, b]) => distancePointToSegment(p, a, b)));
+}
+
+// ============================================================================
+// Selection
+// ============================================================================
+
+/**
+ * Nearest entity within `tolerance` of a point; failing that, the last drawn
+ * hatch the point falls inside
+ * @param {Array} entities
+ * @param {Object} p - Plan point
+ * @param {number} tolerance - Pick radius in meters
+ * @param {Function} filter - Entities that may be picked (visible, unlocked ...)
+ * @returns {Object|null} Entity
+ */
+export function pickEntity(entities, p, tolerance, filter = () => true) {
+    let best = null;
+    let bestDistance = tolerance;
+    entities.forEach(entity => {
+        if (!filter(entity)) return;
+        const d = distanceToEntity(entity, p);
+        if (d <= bestDistance) {
+            bestDistance = d;
+            best = entity;
+        }
+    });
+    return best || entities.findLast(entity => isHatch(entity) && filter(entity) && hatchContains(entity, p)) || null;
+}
+
+/**
+ * Entities selected by a window between two corners.
+ * A window takes what lies wholly inside it; a crossing window also takes
+ * what its edges cut through (AutoCAD drags right-to-left for crossing).
+ */
+export function entitiesInWindow(entities, a, b, crossing = false, filter = () => true) {
+    const box = { minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) };
+    const corners = [
+        { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+        { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY },
+    ];
+    const edges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+
+    return entities.filter(entity => {
+        if (!filter(entity)) return false;
+        const bounds = entityBounds(entity);
+        if (!bounds) return false;
+        const inside = bounds.minX >= box.minX && bounds.maxX <= box.maxX && bounds.minY >= box.minY && bounds.maxY <= box.maxY;
+        if (inside || !crossing) return inside;
+        if (isAnnotation(entity)) return annotationCrosses(entity, edges);
+        return edges.some(([p, q]) => intersectSegment(p, q, entity).length > 0);
+    });
+}
+
+// An annotation meets a crossing window when any line, arc, arrow or text box it draws does
+function annotationCrosses(entity, edges) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    const parts = [
+        ...lines.map(points => ({ type: 'LINE', points })),
+        ...arcs.map(arc => ({ type: 'ARC', x: arc.center.x, y: arc.center.y, radius: arc.radius, startAngle: arc.start, endAngle: arc.end })),
+        ...[...arrows, ...texts.map(textBox)].map(ring => ({ type: 'POLYLINE', points: [...ring, ring[0]] })),
+    ];
+    return parts.some(part => edges.some(([p, q]) => intersectSegment(p, q, part).length > 0));
+}
+
+// ============================================================================
+// Intersections
+// ============================================================================
+
+function segmentCircle(a, b, center, radius) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const fx = a.x - center.x;
+    const fy = a.y - center.y;
+    const qa = dx * dx + dy * dy;
+    const qb = 2 * (fx * dx + fy * dy);
+    const qc = fx * fx + fy * fy - radius * radius;
+    const disc = qb * qb - 4 * qa * qc;
+    if (qa < EPSILON || disc < 0) return [];
+
+    const root = Math.sqrt(disc);
+    const ts = root < EPSILON ? [-qb / (2 * qa)] : [(-qb - root) / (2 * qa), (-qb + root) / (2 * qa)];
+    return ts
+        .filter(t => t >= -1e-9 && t <= 1 + 1e-9)
+        .map(t => ({ t, point: { x: a.x + dx * t, y: a.y + dy * t } }));
+}
+
+function circleCircle(c1, r1, c2, r2) {
+    const d = distance(c1, c2);
+    if (d < EPSILON || d > r1 + r2 + 1e-9 || d < Math.abs(r1 - r2) - 1e-9) return [];
+
+    const along = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+    const h = Math.sqrt(Math.max(r1 * r1 - along * along, 0));
+    const ux = (c2.x - c1.x) / d;
+    const uy = (c2.y - c1.y) / d;
+    const mid = { x: c1.x + ux * along, y: c1.y + uy * along };
+    if (h < EPSILON) return [mid];
+    return [
+        { x: mid.x - uy * h, y: mid.y + ux * h },
+        { x: mid.x + uy * h, y: mid.y - ux * h },
+    ];
+}
+
+/**
+ * Where segment ab meets an entity, as { t, point } along ab
+ */
+function intersectSegment(a, b, entity) {
+    const curve = entityCurve(entity);
+    if (curve) {
+        return segmentCircle(a, b, curve.center, curve.radius)
+            .filter(hit => onCurve(curve, Math.atan2(hit.point.y - curve.center.y, hit.point.x - curve.center.x)));
+    }
+    return outlineSegments(entity)
+        .map(([c, d]) => segmentIntersection(a, b, c, d, 1e-9))
+        .filter(Boolean)
+        .map(({ t, point }) => ({ t, point }));
+}
+
+/**
+ * Where a circle or arc meets an entity, as points
+ */
+function intersectCurve(curve, entity) {
+    const other = entityCurve(entity);
+    if (other) {
+        return circleCircle(curve.center, curve.radius, other.center, other.radius)
+            .filter(p => onCurve(other, Math.atan2(p.y - other.center.y, p.x - other.center.x)));
+    }
+    return outlineSegments(entity).flatMap(([a, b]) => segmentCircle(a, b, curve.center, curve.radius).map(hit => hit.point));
+}
+
+/**
+ * Where two entities meet, as points on both of them
+ */
+export function intersectEntities(a, b) {
+    const curve = entityCurve(a);
+    if (curve) {
+        return intersectCurve(curve, b)
+            .filter(p => onCurve(curve, Math.atan2(p.y - curve.center.y, p.x - curve.center.x)));
+    }
+    const path = entityPath(a);
+    if (!path) return [];
+    return pathSegments(path).flatMap(([p, q]) => intersectSegment(p, q, b).map(hit => hit.point));
+}
+
+// ============================================================================
+// Transforms
+// ============================================================================
+
+function mapEntity(entity, mapPoint, mapAngle, { keepRect, reverse = false }) {
+    if (isAnnotation(entity)) {
+        const next = { ...entity };
+        if (entity.points) next.points = entity.points.map(mapPoint);
+        if (entity.location) next.location = mapPoint(entity.location);
+        if (entity.x !== undefined) Object.assign(next, mapPoint(entity));
+        if (entity.rotation !== undefined) next.rotation = normalizeAngle(mapAngle(entity.rotation));
+        return next;
+    }
+    const curve = entityCurve(entity);
+    if (curve) {
+        const center = mapPoint(curve.center);
+        const next = { ...entity, x: center.x, y: center.y };
+        if (entity.type === 'ARC') {
+            // A reflection runs the arc the other way round
+            const start = mapAngle(reverse ? entity.endAngle : entity.startAngle);
+            const end = mapAngle(reverse ? entity.startAngle : entity.endAngle);
+            next.startAngle = normalizeAngle(start);
+            next.endAngle = normalizeAngle(end);
+        }
+        return next;
+    }
+    if (entity.type === 'RECT' && !keepRect) {
+        return { ...entity, type: 'POLYLINE', points: rectRing(entity.points).map(mapPoint) };
+    }
+    if (isHatch(entity)) {
+        // The pattern turns with its boundary
+        const next = { ...entity, points: entity.points.map(mapPoint), angle: normalizeAngle(mapAngle(entity.angle || 0)) };
+        if (entity.holes) next.holes = entity.holes.map(hole => hole.map(mapPoint));
+        return next;
+    }
+    return { ...entity, points: (entity.points || []).map(mapPoint) };
+}
+
+export function moveEntity(entity, dx, dy) {
+    return mapEntity(entity, p => ({ x: p.x + dx, y: p.y + dy }), angle => angle, { keepRect: true });
+}
+
+/**
+ * Rotate about a base point; rectangles not turned by a multiple of 90°
+ * become closed polylines
+ */
+export function rotateEntity(entity, base, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const quarterTurn = Math.abs(Math.round(angle / (Math.PI / 2)) * (Math.PI / 2) - angle) < 1e-9;
+    return mapEntity(entity, p => ({
+        x: base.x + (p.x - base.x) * cos - (p.y - base.y) * sin,
+        y: base.y + (p.x - base.x) * sin + (p.y - base.y) * cos,
+    }), a => a + angle, { keepRect: quarterTurn });
+}
+
+/**
+ * Scale about a base point; circles and arcs scale their radius, hatches
+ * their pattern
+ */
+export function scaleEntity(entity, base, factor) {
+    const next = mapEntity(entity, p => ({
+        x: base.x + (p.x - base.x) * factor,
+        y: base.y + (p.y - base.y) * factor,
+    }), angle => angle, { keepRect: true });
+    if (entity.radius !== undefined) next.radius = entity.radius * factor;
+    if (entity.type === 'TEXT' && entity.height) next.height = entity.height * factor;
+    if (isHatch(entity)) next.scale = (entity.scale || 1) * factor;
+    return next;
+}
+
+/**
+ * Reflect across the line through a and b
+ */
+export function mirrorEntity(entity, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq < EPSILON) return { ...entity };
+
+    const axis = Math.atan2(dy, dx);
+    const orthogonal = Math.abs(dx) < 1e-9 || Math.abs(dy) < 1e-9;
+    return mapEntity(entity, p => {
+        const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+        const foot = { x: a.x + dx * t, y: a.y + dy * t };
+        return { x: 2 * foot.x - p.x, y: 2 * foot.y - p.y };
+    }, angle => 2 * axis - angle, { keepRect: orthogonal, reverse: true });
+}
+
+// ============================================================================
+// Offset
+// ============================================================================
+
+function lineIntersection(a, b, c, d) {
+    const rx = b.x - a.x, ry = b.y - a.y;
+    const sx = d.x - c.x, sy = d.y - c.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-12) return null;
+    const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+    return { x: a.x + rx * t, y: a.y + ry * t };
+}
+
+function cross(a, b, p) {
+    return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+}
+
+/**
+ * Shift every segment of a path sideways (positive = left of travel) and
+ * rejoin neighbours at the intersection of their offset lines
+ */
+function offsetPath(path, dist, closed) {
+    const shifted = pathSegments(path)
+        .filter(([a, b]) => distance(a, b) > EPSILON)
+        .map(([a, b]) => {
+            const length = distance(a, b);
+            const nx = -(b.y - a.y) / length * dist;
+            const ny = (b.x - a.x) / length * dist;
+            return [{ x: a.x + nx, y: a.y + ny }, { x: b.x + nx, y: b.y + ny }];
+        });
+    if (shifted.length === 0) return null;
+
+    const join = (prev, next) => lineIntersection(prev[0], prev[1], next[0], next[1]) || next[0];
+    const points = [];
+    shifted.forEach((segment, i) => {
+        if (i === 0) {
+            points.push(closed ? join(shifted[shifted.length - 1], segment) : segment[0]);
+        } else {
+            points.push(join(shifted[i - 1], segment));
+        }
+    });
+    points.push(closed ? { ...points[0] } : shifted[shifted.length - 1][1]);
+    return points;
+}
+
+/**
+ * Parallel copy of an entity at `dist`, on the side of `sidePoint`
+ * @returns {Object|null} New entity, or null when the offset collapses it
+ */
+export function offsetEntity(entity, dist, sidePoint) {
+    if (!(dist > 0)) return null;
+
+    const curve = entityCurve(entity);
+    if (curve) {
+        const outward = distance(sidePoint, curve.center) > curve.radius;
+        const radius = curve.radius + (outward ? dist : -dist);
+        return radius > EPSILON ? { ...entity, radius } : null;
+    }
+
+    if (entity.type === 'RECT') {
+        const [a, b] = entity.points;
+        const box = { minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) };
+        const grow = !(sidePoint.x > box.minX && sidePoint.x < box.maxX && sidePoint.y > box.minY && sidePoint.y < box.maxY);
+        const d = grow ? dist : -dist;
+        if (box.maxX - box.minX + 2 * d <= EPSILON || box.maxY - box.minY + 2 * d <= EPSILON) return null;
+        return {
+            ...entity,
+            points: [{ x: box.minX - d, y: box.minY - d }, { x: box.maxX + d, y: box.maxY + d }],
+        };
+    }
+
+    const path = entityPath(entity);
+    if (!path) return null;
+
+    if (isClosedPath(path)) {
+        // Left of travel is inside for a counter-clockwise ring
+        const inward = signedPolygonArea(path.slice(0, -1)) > 0 ? 1 : -1;
+        const inside = pointInPolygon(sidePoint, path);
+        const points = offsetPath(path, inside ? dist * inward : -dist * inward, true);
+        return points ? { ...entity, points } : null;
+    }
+
+    // Open paths offset to the side of the segment nearest the point
+    const segments = pathSegments(path);
+    const nearest = segments.reduce((best, segment) =>
+        distancePointToSegment(sidePoint, ...segment) < distancePointToSegment(sidePoint, ...best) ? segment : best);
+    const side = cross(nearest[0], nearest[1], sidePoint) >= 0 ? 1 : -1;
+    const points = offsetPath(path, dist * side, false);
+    return points ? { ...entity, points } : null;
+}
+
+// ============================================================================
+// Trim / Extend
+// ============================================================================
+
+/**
+ * Position along a path as segment index + fraction
+ */
+function pathParam(path, p) {
+    let best = { s: 0, d: Infinity };
+    pathSegments(path).forEach(([a, b], i) => {
+        const { t, point } = projectPointOnSegment(p, a, b);
+        const d = distance(p, point);
+        if (d < best.d) best = { s: i + t, d };
+    });
+    return best.s;
+}
+
+function pointAtParam(path, s) {
+    const i = Math.min(Math.max(Math.floor(s), 0), path.length - 2);
+    const t = s - i;
+    const a = path[i];
+    const b = path[i + 1];
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+function slicePath(path, s0, s1) {
+    const points = [pointAtParam(path, s0)];
+    for (let k = Math.floor(s0) + 1; k < s1; k++) {
+        if (k > s0 + EPSILON && k < s1 - EPSILON) points.push({ ...path[k] });
+    }
+    points.push(pointAtParam(path, s1));
+    return points;
+}
+
+function pathCuts(path, edges) {
+    const cuts = [];
+    pathSegments(path).forEach(([a, b], i) => {
+        edges.forEach(edge => intersectSegment(a, b, edge).forEach(hit => cuts.push(i + hit.t)));
+    });
+    return cuts.sort((x, y) => x - y);
+}
+
+/**
+ * Neighbouring cuts around `at`; `wrap` continues past the ends of a loop
+ */
+function cutsAround(cuts, at, wrap) {
+    const before = cuts.filter(c => c < at - 1e-7);
+    const after = cuts.filter(c => c > at + 1e-7);
+    return {
+        lo: before.length ? before[before.length - 1] : (wrap && after.length ? after[after.length - 1] : null),
+        hi: after.length ? after[0] : (wrap && before.length ? before[0] : null),
+    };
+}
+
+/**
+ * Cut away the part of an entity between the boundary edges that surround
+ * the picked point.
+ * @param {Object} entity - Entity to trim
+ * @param {Object} pickPoint - Point on the part to remove
+ * @param {Array} edges - Boundary entities (not including `entity`)
+ * @returns {Array|null} Replacement entities (empty to erase), or null when no edge crosses it
+ */
+export function trimEntity(entity, pickPoint, edges) {
+    const curve = entityCurve(entity);
+    if (curve) {
+        const angles = [...new Set(edges.flatMap(edge => intersectCurve(curve, edge))
+            .map(p => Math.atan2(p.y - curve.center.y, p.x - curve.center.x)))];
+        const pick = Math.atan2(pickPoint.y - curve.center.y, pickPoint.x - curve.center.x);
+        const arcOf = (start, end) => ({ ...entity, type: 'ARC', startAngle: normalizeAngle(start), endAngle: normalizeAngle(end) });
+
+        if (curve.full) {
+            const cuts = angles.map(normalizeAngle).sort((x, y) => x - y);
+            if (cuts.length < 2) return null;
+            const { lo, hi } = cutsAround(cuts, normalizeAngle(pick), true);
+            return [arcOf(hi, lo)];
+        }
+
+        const sweep = arcSweep(curve);
+        const cuts = angles.map(a => normalizeAngle(a - curve.start))
+            .filter(a => a > 1e-7 && a < sweep - 1e-7)
+            .sort((x, y) => x - y);
+        if (cuts.length === 0) return null;
+        let at = normalizeAngle(pick - curve.start);
+        if (at > sweep) at = at > sweep + (TWO_PI - sweep) / 2 ? 0 : sweep; // Just past an end
+        const { lo, hi } = cutsAround(cuts, at, false);
+        const pieces = [];
+        if (lo !== null) pieces.push(arcOf(curve.start, curve.start + lo));
+        if (hi !== null) pieces.push(arcOf(curve.start + hi, curve.end));
+        return pieces;
+    }
+
+    const path = entityPath(entity);
+    if (!path) return null;
+    const cuts = pathCuts(path, edges);
+    const at = pathParam(path, pickPoint);
+    const end = path.length - 1;
+
+    if (isClosedPath(path)) {
+        const ring = cuts.filter(c => c < end - 1e-7);
+        if (new Set(ring.map(c => c.toFixed(7))).size < 2) return null;
+        const { lo, hi } = cutsAround(ring, at, true);
+        // Keep the run from the next cut round to the previous one
+        const loop = [...path, ...path.slice(1)];
+        const points = slicePath(loop, hi, lo > hi ? lo : lo + end);
+        return [{ ...entity, type: 'POLYLINE', points }];
+    }
+
+    const inner = cuts.filter(c => c > 1e-7 && c < end - 1e-7);
+    if (inner.length === 0) return null;
+    const { lo, hi } = cutsAround(inner, at, false);
+    const pieces = [];
+    if (lo !== null) pieces.push(slicePath(path, 0, lo));
+    if (hi !== null) pieces.push(slicePath(path, hi, end));
+    return pieces.map(points => ({ ...entity, points }));
+}
+
+/**
+ * Lengthen the end of a line or open polyline nearest the picked point to
+ * the first boundary edge it would reach
+ * @returns {Object|null} Extended entity, or null when nothing lies ahead
+ */
+export function extendEntity(entity, pickPoint, edges) {
+    if (entity.type !== 'LINE' && entity.type !== 'POLYLINE') return null;
+    const path = entity.points || [];
+    if (path.length < 2 || isClosedPath(path)) return null;
+
+    const atStart = distance(pickPoint, path[0]) < distance(pickPoint, path[path.length - 1]);
+    const tip = atStart ? path[0] : path[path.length - 1];
+    const prev = atStart ? path[1] : path[path.length - 2];
+    const length = distance(prev, tip);
+    if (length < EPSILON) return null;
+
+    const far = {
+        x: tip.x + (tip.x - prev.x) / length * RAY_LENGTH,
+        y: tip.y + (tip.y - prev.y) / length * RAY_LENGTH,
+    };
+    const hit = edges
+        .flatMap(edge => intersectSegment(tip, far, edge))
+        .filter(h => h.t * RAY_LENGTH > 1e-6)
+        .sort((a, b) => a.t - b.t)[0];
+    if (!hit) return null;
+
+    const points = [...path];
+    points[atStart ? 0 : points.length - 1] = hit.point;
+    return { ...entity, points };
+}
+
+export default {
+    EDIT_TOOLS,
+    firstEditStep,
+    entityBounds,
+    distanceToEntity,
+    pickEntity,
+    entitiesInWindow,
+    intersectEntities,
+    moveEntity,
+    rotateEntity,
+    scaleEntity,
+    mirrorEntity,
+    offsetEntity,
+    trimEntity,
+    extendEntity,
+};
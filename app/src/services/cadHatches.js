@@ -0,0 +1,294 @@
+/**
+ * Design & Build - CAD Hatches
+ * Solid and patterned fills for rooms and material zones. A hatch keeps its
+ * own boundary - it is not associative - and may carry a fit-out code from
+ * the BOQ library, in which case its area is measured into the BOQ.
+ *
+ *   HATCH { points, holes?, pattern, scale, angle, fitoutCode? }
+ * `points` is the closed boundary ring (last point repeats the first),
+ * `holes` the closed island rings left unfilled, `angle` in radians.
+ */
+
+import { polygonArea, pointInPolygon, openRing } from '../utils/geometry.js';
+import { boundaryRing } from './cadAnnotations.js';
+import { HATCH_PATTERNS, DEFAULT_HATCH_PATTERN } from '../config/hatchPatterns.js';
+
+// Pattern segments one hatch may draw; denser hatches fall back to a fill
+export const MAX_HATCH_LINES = 20000;
+
+// BOQ units a hatched area can be measured in
+const AREA_UNITS = ['m2', 'm²', 'sqm'];
+
+// Sides of the polygon a circle island is hatched around
+const CIRCLE_SEGMENTS = 48;
+
+const EPSILON = 1e-9;
+
+export function isHatch(entity) {
+    return entity?.type === 'HATCH';
+}
+
+export function isSolidHatch(entity) {
+    return !!HATCH_PATTERNS[entity.pattern]?.solid;
+}
+
+/**
+ * Whether a BOQ item is measured by area, so a hatch can carry its code
+ * @param {Object} item - fitout entry
+ */
+export function isAreaItem(item) {
+    return AREA_UNITS.includes(String(item?.unit || '').toLowerCase());
+}
+
+const closeRing = (ring) => [...ring.map(p => ({ x: p.x, y: p.y })), { x: ring[0].x, y: ring[0].y }];
+
+/**
+ * Boundary ring followed by its island rings, each closed
+ */
+export function hatchRings(entity) {
+    return [entity.points || [], ...(entity.holes || [])].filter(ring => ring.length >= 4);
+}
+
+/**
+ * Filled area in m²: the boundary less its islands
+ */
+export function hatchArea(entity) {
+    const [outer, ...holes] = hatchRings(entity).map(ring => polygonArea(openRing(ring)));
+    if (!outer) return 0;
+    return Math.max(outer - holes.reduce((sum, area) => sum + area, 0), 0);
+}
+
+/**
+ * Whether a point lies on the filled part of a hatch
+ */
+export function hatchContains(entity, p) {
+    const [outer, ...holes] = hatchRings(entity);
+    return !!outer && pointInPolygon(p, outer) && !holes.some(hole => pointInPolygon(p, hole));
+}
+
+/**
+ * Hatch entity for a boundary, without id or layer
+ * @param {Array} ring - Boundary points, open or closed
+ * @param {Array} islands - Island rings, open or closed
+ * @param {Object} options - { pattern, scale, angle, fitoutCode }
+ */
+export function createHatch(ring, islands = [], { pattern = DEFAULT_HATCH_PATTERN, scale = 1, angle = 0, fitoutCode } = {}) {
+    const close = (points) => closeRing(openRing(points));
+    return {
+        type: 'HATCH',
+        points: close(ring),
+        ...(islands.length > 0 ? { holes: islands.map(close) } : {}),
+        pattern,
+        scale,
+        angle,
+        ...(fitoutCode ? { fitoutCode } : {}),
+    };
+}
+
+// ============================================================================
+// Boundary detection
+// ============================================================================
+
+// Open ring of a closed outline: rectangles, closed polylines and circles
+function closedRing(entity) {
+    if (entity.type === 'CIRCLE' && entity.radius > 0) {
+        return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+            const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+            return { x: entity.x + entity.radius * Math.cos(angle), y: entity.y + entity.radius * Math.sin(angle) };
+        });
+    }
+    return boundaryRing(entity);
+}
+
+/**
+ * Boundary the hatch tool fills for a picked point: the smallest closed
+ * outline around it, with the outermost closed outlines inside that as
+ * islands (AutoCAD's "normal" island detection)
+ * @param {Array} entities - Entities that can bound a hatch
+ * @param {Object} point - Internal point
+ * @returns {Object|null} { ring, islands } as open rings
+ */
+export function hatchBoundary(entities, point) {
+    const rings = entities
+        .filter(entity => !isHatch(entity))
+        .map(closedRing)
+        .filter(Boolean)
+        .map(ring => ({ ring, area: polygonArea(ring) }))
+        .filter(({ area }) => area > EPSILON);
+
+    const outer = rings
+        .filter(({ ring }) => pointInPolygon(point, ring))
+        .sort((a, b) => a.area - b.area)[0];
+    if (!outer) return null;
+
+    const inside = rings.filter(candidate => candidate !== outer && candidate.area < outer.area &&
+        candidate.ring.every(p => pointInPolygon(p, outer.ring)));
+    const islands = inside.filter(candidate => !inside.some(other => other !== candidate &&
+        other.area > candidate.area && pointInPolygon(candidate.ring[0], other.ring)));
+
+    return { ring: outer.ring, islands: islands.map(island => island.ring) };
+}
+
+// ============================================================================
+// Pattern geometry
+// ============================================================================
+
+function ringEdges(entity) {
+    return hatchRings(entity).flatMap(ring => ring.slice(0, -1).map((a, i) => [a, ring[i + 1]]));
+}
+
+/**
+ * Where the line through `base` along `u` crosses the rings, as sorted
+ * distances along it; consecutive pairs bound the filled stretches
+ */
+function crossings(edges, base, u, n) {
+    const cuts = [];
+    edges.forEach(([a, b]) => {
+        const sa = (a.x - base.x) * n.x + (a.y - base.y) * n.y;
+        const sb = (b.x - base.x) * n.x + (b.y - base.y) * n.y;
+        if ((sa > 0) === (sb > 0)) return;
+        const t = sa / (sa - sb);
+        const p = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        cuts.push((p.x - base.x) * u.x + (p.y - base.y) * u.y);
+    });
+    return cuts.sort((x, y) => x - y);
+}
+
+/**
+ * Stretches of [t0, t1] a dash pattern draws; the pattern starts at t = 0
+ */
+function dashRuns(t0, t1, dashes) {
+    const period = dashes.reduce((sum, dash) => sum + Math.abs(dash), 0);
+    if (dashes.length === 0 || period < EPSILON) return [[t0, t1]];
+
+    const runs = [];
+    let at = Math.floor(t0 / period) * period;
+    while (at < t1) {
+        for (const dash of dashes) {
+            const end = at + Math.abs(dash);
+            if (dash >= 0 && end >= t0 && at <= t1) runs.push([Math.max(at, t0), Math.min(end, t1)]);
+            at = end;
+        }
+    }
+    return runs;
+}
+
+/**
+ * Pattern linework of a hatch, clipped to its boundary and islands
+ * @param {Object} entity - HATCH
+ * @param {number} limit - Most segments to produce
+ * @returns {Array|null} [[a, b], ...] plan segments (none for a solid fill),
+ *   or null when the pattern is too dense to draw within `limit`
+ */
+export function hatchLines(entity, limit = MAX_HATCH_LINES) {
+    const definition = HATCH_PATTERNS[entity.pattern];
+    if (!definition || definition.solid) return [];
+    const edges = ringEdges(entity);
+    if (edges.length === 0) return [];
+
+    const scale = entity.scale > 0 ? entity.scale : 1;
+    const turn = entity.angle || 0;
+    const rotate = ([x, y]) => ({
+        x: (x * Math.cos(turn) - y * Math.sin(turn)) * scale,
+        y: (x * Math.sin(turn) + y * Math.cos(turn)) * scale,
+    });
+    const segments = [];
+
+    for (const family of definition.lines) {
+        const angle = (family.angle * Math.PI) / 180 + turn;
+        const u = { x: Math.cos(angle), y: Math.sin(angle) };
+        const n = { x: -u.y, y: u.x };
+        const origin = rotate(family.origin);
+        const along = family.offset[0] * scale;
+        const across = family.offset[1] * scale;
+        if (Math.abs(across) < EPSILON) continue;
+        const dashes = family.dashes.map(dash => dash * scale);
+
+        // Lines of the family that reach the boundary
+        const reach = edges.map(([a]) => ((a.x - origin.x) * n.x + (a.y - origin.y) * n.y) / across);
+        const first = Math.ceil(Math.min(...reach));
+        const last = Math.floor(Math.max(...reach));
+        if (last - first > limit) return null;
+
+        for (let k = first; k <= last; k++) {
+            const base = {
+                x: origin.x + u.x * along * k + n.x * across * k,
+                y: origin.y + u.y * along * k + n.y * across * k,
+            };
+            const cuts = crossings(edges, base, u, n);
+            for (let i = 0; i + 1 < cuts.length; i += 2) {
+                dashRuns(cuts[i], cuts[i + 1], dashes).forEach(([t0, t1]) => segments.push([
+                    { x: base.x + u.x * t0, y: base.y + u.y * t0 },
+                    { x: base.x + u.x * t1, y: base.y + u.y * t1 },
+                ]));
+            }
+            if (segments.length > limit) return null;
+        }
+    }
+    return segments;
+}
+
+/**
+ * Solid fill of a hatch as horizontal trapezoids - how it is written to a
+ * DXF, which has no filled polygons with holes before R14
+ * @returns {Array} [bottom left, bottom right, top left, top right] corner sets
+ */
+export function hatchTrapezoids(entity) {
+    const edges = ringEdges(entity).filter(([a, b]) => Math.abs(a.y - b.y) > EPSILON);
+    const levels = [...new Set(edges.flatMap(([a, b]) => [a.y, b.y]))].sort((a, b) => a - b);
+    const xAt = ([a, b], y) => a.x + ((b.x - a.x) * (y - a.y)) / (b.y - a.y);
+    const trapezoids = [];
+
+    for (let i = 0; i + 1 < levels.length; i++) {
+        const y0 = levels[i];
+        const y1 = levels[i + 1];
+        const mid = (y0 + y1) / 2;
+        const crossing = edges
+            .filter(([a, b]) => (a.y > mid) !== (b.y > mid))
+            .sort((e1, e2) => xAt(e1, mid) - xAt(e2, mid));
+        for (let j = 0; j + 1 < crossing.length; j += 2) {
+            const [left, right] = [crossing[j], crossing[j + 1]];
+            trapezoids.push([
+                { x: xAt(left, y0), y: y0 }, { x: xAt(right, y0), y: y0 },
+                { x: xAt(left, y1), y: y1 }, { x: xAt(right, y1), y: y1 },
+            ]);
+        }
+    }
+    return trapezoids;
+}
+
+// ============================================================================
+// Quantities
+// ============================================================================
+
+/**
+ * Hatched area per fit-out code
+ * @param {Array} entities - cadEntities of one level
+ * @returns {Array} [{ code, area, count }] in m², in order of first use
+ */
+export function fitoutAreas(entities = []) {
+    const totals = new Map();
+    entities.forEach(entity => {
+        if (!isHatch(entity) || !entity.fitoutCode) return;
+        const total = totals.get(entity.fitoutCode) || { code: entity.fitoutCode, area: 0, count: 0 };
+        total.area += hatchArea(entity);
+        total.count += 1;
+        totals.set(entity.fitoutCode, total);
+    });
+    return [...totals.values()];
+}
+
+export default {
+    MAX_HATCH_LINES,
+    isHatch,
+    isSolidHatch,
+    isAreaItem,
+    hatchRings,
+    hatchArea,
+    hatchContains,
+    createHatch,
+    hatchBoundary,
+    hatchLines,
+    hatchTrapezoids,
+    fitoutAreas,
+};
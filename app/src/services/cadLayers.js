@@ -0,0 +1,95 @@
+/**
+ * Design & Build - CAD Layers
+ * Rules the CAD editor's layer manager applies: which layers show and can
+ * be edited, valid layer names, and layer states - named snapshots of every
+ * layer's on/off, freeze, lock and line style to switch between.
+ *
+ * A layer: { name, color, visible, frozen, locked, linetype?, lineweight? }
+ * Off (visible false) and frozen both hide a layer; a frozen layer cannot be
+ * the current one. A locked layer shows and snaps but cannot be selected.
+ */
+
+// Layer '0' always exists and cannot be renamed, merged away or deleted
+export const DEFAULT_LAYER = '0';
+
+// Properties a layer state saves and restores
+export const LAYER_STATE_FIELDS = ['visible', 'frozen', 'locked', 'color', 'linetype', 'lineweight'];
+
+// Characters AutoCAD does not allow in layer names
+const INVALID_NAME = /[<>/\\":;?*|,=`]/;
+
+/**
+ * Whether a layer's entities are drawn and snapped to
+ * @param {Object} [layer] - cadLayers entry; entities on unknown layers show
+ */
+export function isLayerShown(layer) {
+    return !layer || (layer.visible !== false && !layer.frozen);
+}
+
+/**
+ * Whether a layer's entities can be picked, selected and edited
+ */
+export function isLayerEditable(layer) {
+    return isLayerShown(layer) && !layer?.locked;
+}
+
+/**
+ * Why a name cannot be given to a layer, or null when it can
+ * @param {string} name
+ * @param {Array} layers - cadLayers
+ * @param {string} [current] - The layer being renamed
+ */
+export function layerNameError(name, layers, current) {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Layer name is empty';
+    if (INVALID_NAME.test(trimmed)) return 'Layer names cannot contain < > / \\ " : ; ? * | , = `';
+    const taken = layers.some(l => l.name !== current && l.name.toUpperCase() === trimmed.toUpperCase());
+    return taken ? `Layer "${trimmed}" already exists` : null;
+}
+
+/**
+ * First free "Layer N" name
+ */
+export function nextLayerName(layers) {
+    let n = 1;
+    while (layers.some(l => l.name.toUpperCase() === `LAYER${n}`)) n++;
+    return `Layer${n}`;
+}
+
+/**
+ * Snapshot of every layer's state fields
+ * @returns {Object} { [layerName]: { visible, frozen, ... } }
+ */
+export function captureLayerState(layers) {
+    return Object.fromEntries(layers.map(layer => [
+        layer.name,
+        Object.fromEntries(LAYER_STATE_FIELDS.map(field => [field, layer[field]])),
+    ]));
+}
+
+/**
+ * Layers with a saved state applied. Layers added since keep their own
+ * state, and the current layer is never frozen.
+ * @param {Array} layers - cadLayers
+ * @param {Object} saved - From captureLayerState
+ * @param {string} activeLayer - Current layer name
+ */
+export function applyLayerState(layers, saved, activeLayer) {
+    return layers.map(layer => {
+        if (!saved[layer.name]) return layer;
+        const restored = { ...layer, ...saved[layer.name] };
+        if (layer.name === activeLayer) restored.frozen = false;
+        return restored;
+    });
+}
+
+export default {
+    DEFAULT_LAYER,
+    LAYER_STATE_FIELDS,
+    isLayerShown,
+    isLayerEditable,
+    layerNameError,
+    nextLayerName,
+    captureLayerState,
+    applyLayerState,
+};
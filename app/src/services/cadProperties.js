@@ -0,0 +1,122 @@
+/**
+ * Design & Build - CAD Entity Properties
+ * What the CAD editor's Properties panel reads and writes for the selection:
+ * line style (color, linetype, lineweight, each ByLayer unless set on the
+ * entity), measurements and the editable vertices of one entity.
+ */
+
+import { distance, polygonArea, polygonPerimeter, openRing } from '../utils/geometry.js';
+import { entityPath, entityCurve, arcSweep, isClosedPath } from './cadEditing.js';
+import { isHatch, hatchRings, hatchArea } from './cadHatches.js';
+import { DEFAULT_LINETYPE, DEFAULT_LINEWEIGHT } from '../config/lineStyles.js';
+
+// Shown where a multi-selection holds different values
+export const VARIES = '*VARIES*';
+
+export const ENTITY_LABELS = {
+    LINE: 'Line',
+    POLYLINE: 'Polyline',
+    RECT: 'Rectangle',
+    CIRCLE: 'Circle',
+    ARC: 'Arc',
+    TEXT: 'Text',
+    LEADER: 'Leader',
+    DIMENSION: 'Dimension',
+    ROOMTAG: 'Room Tag',
+    HATCH: 'Hatch',
+};
+
+/**
+ * The value every entity shares, VARIES when they differ
+ * @param {Array} entities
+ * @param {Function} read - entity => value
+ */
+export function commonValue(entities, read) {
+    if (entities.length === 0) return undefined;
+    const first = read(entities[0]);
+    return entities.every(entity => read(entity) === first) ? first : VARIES;
+}
+
+/**
+ * Line style an entity draws with, ByLayer values resolved
+ * @param {Object} entity
+ * @param {Object} layer - The entity's cadLayers entry
+ * @returns {Object} { color, linetype, lineweight (mm) }
+ */
+export function entityStroke(entity, layer) {
+    return {
+        color: entity.color || layer?.color || '#FFFFFF',
+        linetype: entity.linetype || layer?.linetype || DEFAULT_LINETYPE,
+        lineweight: entity.lineweight ?? layer?.lineweight ?? DEFAULT_LINEWEIGHT,
+    };
+}
+
+/**
+ * Length of open geometry; area and perimeter of closed outlines. A hatch
+ * measures its filled area, less islands, and every edge around it.
+ * @returns {Object} { length?, area?, perimeter? } in meters and m²
+ */
+export function entityMeasures(entity) {
+    if (isHatch(entity)) {
+        return {
+            area: hatchArea(entity),
+            perimeter: hatchRings(entity).reduce((sum, ring) => sum + polygonPerimeter(openRing(ring)), 0),
+        };
+    }
+    const curve = entityCurve(entity);
+    if (curve) {
+        return curve.full
+            ? { area: Math.PI * curve.radius ** 2, perimeter: 2 * Math.PI * curve.radius }
+            : { length: curve.radius * arcSweep(curve) };
+    }
+
+    const path = entityPath(entity);
+    if (!path) return {};
+    if (entity.type === 'RECT' || isClosedPath(path)) {
+        const ring = openRing(path);
+        return { area: polygonArea(ring), perimeter: polygonPerimeter(ring) };
+    }
+    let length = 0;
+    for (let i = 0; i < path.length - 1; i++) length += distance(path[i], path[i + 1]);
+    return { length };
+}
+
+/**
+ * Points the inspector lists for one entity: vertices of lines, polylines
+ * and hatch boundaries (a closed ring's repeated end left out), rectangle
+ * corners, the center of arcs and circles, the insertion point of text and tags
+ */
+export function entityVertices(entity) {
+    if (['LINE', 'RECT', 'LEADER'].includes(entity.type)) return entity.points || [];
+    if (entity.type === 'POLYLINE' || isHatch(entity)) {
+        const points = entity.points || [];
+        return isClosedPath(points) ? points.slice(0, -1) : points;
+    }
+    if (['CIRCLE', 'ARC', 'TEXT', 'ROOMTAG'].includes(entity.type)) return [{ x: entity.x, y: entity.y }];
+    return [];
+}
+
+/**
+ * Changes that move vertex `index` (as listed by entityVertices) to `point`
+ * @returns {Object} Fields to update on the entity
+ */
+export function moveVertex(entity, index, point) {
+    if (entity.points && entity.type !== 'DIMENSION') {
+        const points = [...entity.points];
+        const closed = (entity.type === 'POLYLINE' || isHatch(entity)) && isClosedPath(points);
+        points[index] = { ...point };
+        if (closed && index === 0) points[points.length - 1] = { ...point };
+        return { points };
+    }
+    return { x: point.x, y: point.y };
+}
+
+export default {
+    VARIES,
+    ENTITY_LABELS,
+    commonValue,
+    entityStroke,
+    entityMeasures,
+    entityVertices,
+    moveVertex,
+};
@@ -11,9 +11,16 @@ export async function parseCADFile(file) {
 
     const extension = file.name.split('.').pop().toLowerCase();
 
-    // If it's a binary DWG, we route it to our Vision AI agent
-    // which can 'read' the drawing visually even if it's binary
+    // Binary DWGs are read locally; the Vision AI agent only 'reads' the
+    // drawing visually when the local reader can't open the file
     if (extension === 'dwg') {
+        try {
+            const { parseDWGFile } = await import('./dxfConverter.js');
+            return await parseDWGFile(file);
+        } catch (error) {
+            console.warn('[CAD Analysis] Local DWG read failed:', error.message);
+        }
+
         console.log('[CAD Analysis] Binary DWG detected. Routing to Vision AI Lead...');
         const { analyzeSketch } = await import('./aiAnalysis.js');
         const visionResult = await analyzeSketch(file, { mode: 'engineering-precision' });
@@ -0,0 +1,292 @@
+/**
+ * Design & Build - CAD Object Snaps
+ * Endpoint, midpoint, center, intersection, perpendicular, nearest and
+ * extension snaps for the CAD editor, plus ortho and polar tracking.
+ * Entities are bucketed in a grid index so a cursor query only looks at what
+ * lies under the aperture, which keeps snapping fast on large imported drawings.
+ */
+
+import { distance, projectPointOnSegment } from '../utils/geometry.js';
+import {
+    entityBounds, entityPath, entityCurve, pathSegments, onCurve, arcSweep, pointOnCircle,
+    intersectEntities, isClosedPath,
+} from './cadEditing.js';
+
+// Object snap modes; a lower rank wins over a closer snap of a higher rank,
+// so an endpoint beats the nearest point on the line running into it
+export const SNAP_MODES = {
+    endpoint: { label: 'Endpoint', rank: 0 },
+    midpoint: { label: 'Midpoint', rank: 0 },
+    center: { label: 'Center', rank: 0 },
+    intersection: { label: 'Intersection', rank: 0 },
+    perpendicular: { label: 'Perpendicular', rank: 1 },
+    extension: { label: 'Extension', rank: 1 },
+    nearest: { label: 'Nearest', rank: 2 },
+};
+
+export const POLAR_INCREMENTS = [90, 45, 30, 22.5, 15, 10, 5]; // degrees
+
+export const DEFAULT_SNAP_SETTINGS = {
+    osnap: true, // F3
+    modes: {
+        endpoint: true,
+        midpoint: true,
+        center: true,
+        intersection: true,
+        perpendicular: true,
+        extension: true,
+        nearest: false,
+    },
+    ortho: false, // F8
+    grid: false, // F9 - snap to the displayed grid
+    polar: false, // F10
+    polarIncrement: 45,
+};
+
+const INDEX_DIVISIONS = 128; // cells across the drawing's longer side
+const MIN_CELL = 0.25; // m
+const MAX_ENTITY_CELLS = 1024; // larger entities skip the grid and are always checked
+const MAX_INTERSECTION_CANDIDATES = 60;
+
+// ============================================================================
+// Spatial index
+// ============================================================================
+
+function cellKey(cx, cy) {
+    return `${cx},${cy}`;
+}
+
+function boxesOverlap(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * Grid index over entity bounds
+ * @param {Array} entities
+ * @returns {Object} { query(box), size } - query returns the entities whose bounds meet the box
+ */
+export function createEntityIndex(entities = []) {
+    const items = entities
+        .map(entity => ({ entity, box: entityBounds(entity) }))
+        .filter(item => item.box);
+
+    const extent = items.reduce((box, { box: b }) => ({
+        minX: Math.min(box.minX, b.minX), minY: Math.min(box.minY, b.minY),
+        maxX: Math.max(box.maxX, b.maxX), maxY: Math.max(box.maxY, b.maxY),
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    const span = items.length ? Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY) : 0;
+    const size = Math.max(span / INDEX_DIVISIONS, MIN_CELL);
+
+    const grid = new Map();
+    const large = [];
+    const cellRange = box => ({
+        x0: Math.floor(box.minX / size), x1: Math.floor(box.maxX / size),
+        y0: Math.floor(box.minY / size), y1: Math.floor(box.maxY / size),
+    });
+
+    items.forEach((item, id) => {
+        const { x0, x1, y0, y1 } = cellRange(item.box);
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_ENTITY_CELLS) {
+            large.push(id);
+            return;
+        }
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cellKey(cx, cy);
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(id);
+            }
+        }
+    });
+
+    const query = (box) => {
+        const { x0, x1, y0, y1 } = cellRange(box);
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_ENTITY_CELLS) {
+            return items.filter(item => boxesOverlap(item.box, box)).map(item => item.entity);
+        }
+        const ids = new Set(large);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                (grid.get(cellKey(cx, cy)) || []).forEach(id => ids.add(id));
+            }
+        }
+        return [...ids].filter(id => boxesOverlap(items[id].box, box)).map(id => items[id].entity);
+    };
+
+    return { query, size };
+}
+
+function boxAround(p, radius) {
+    return { minX: p.x - radius, minY: p.y - radius, maxX: p.x + radius, maxY: p.y + radius };
+}
+
+// ============================================================================
+// Object snaps
+// ============================================================================
+
+function angleTo(center, p) {
+    return Math.atan2(p.y - center.y, p.x - center.x);
+}
+
+// Snaps on defining points carry `ref`, the { id, anchor } a dimension can follow
+function curveSnaps(entity, curve, cursor, from, aperture, add) {
+    const { center, radius } = curve;
+    const towardCursor = angleTo(center, cursor);
+    const offCurve = onCurve(curve, towardCursor)
+        ? Math.abs(distance(cursor, center) - radius)
+        : Infinity;
+
+    // Center also shows while the cursor is on the outline, as in AutoCAD,
+    // but then yields to any snap actually under the cursor
+    const toCenter = distance(cursor, center);
+    add('center', center, toCenter <= aperture || offCurve > aperture ? toCenter : aperture, { ref: { id: entity.id, anchor: 'center' } });
+
+    if (!curve.full) {
+        const sweep = arcSweep(curve);
+        add('endpoint', pointOnCircle(center, radius, curve.start), undefined, { ref: { id: entity.id, anchor: 'start' } });
+        add('endpoint', pointOnCircle(center, radius, curve.end), undefined, { ref: { id: entity.id, anchor: 'end' } });
+        add('midpoint', pointOnCircle(center, radius, curve.start + sweep / 2));
+    }
+    if (offCurve === Infinity) return;
+
+    add('nearest', pointOnCircle(center, radius, towardCursor), offCurve);
+    if (from && distance(from, center) > 1e-9) {
+        const angle = angleTo(center, from);
+        [angle, angle + Math.PI]
+            .filter(a => onCurve(curve, a))
+            .forEach(a => add('perpendicular', pointOnCircle(center, radius, a), offCurve));
+    }
+}
+
+function pathSnaps(entity, path, cursor, from, add) {
+    const closed = isClosedPath(path);
+    (closed ? path.slice(0, -1) : path).forEach((p, i) => add('endpoint', p, undefined, { ref: { id: entity.id, anchor: `vertex:${i}` } }));
+
+    pathSegments(path).forEach(([a, b], i) => {
+        add('midpoint', { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, undefined, { ref: { id: entity.id, anchor: `mid:${i}` } });
+
+        const nearest = projectPointOnSegment(cursor, a, b).point;
+        const offSegment = distance(cursor, nearest);
+        add('nearest', nearest, offSegment);
+        if (from) {
+            const foot = projectPointOnSegment(from, a, b);
+            if (foot.t > 1e-9 && foot.t < 1 - 1e-9) add('perpendicular', foot.point, offSegment);
+        }
+    });
+}
+
+/**
+ * Extension snap: the cursor lies on the continuation of an open path's end
+ * segment, past its endpoint
+ */
+function extensionSnaps(entity, cursor, aperture, reach, add) {
+    const path = entityPath(entity);
+    if (!path || entity.type === 'RECT' || isClosedPath(path)) return;
+
+    [[path[path.length - 2], path[path.length - 1]], [path[1], path[0]]].forEach(([prev, tip]) => {
+        const length = distance(prev, tip);
+        if (length < 1e-9) return;
+        const ux = (tip.x - prev.x) / length;
+        const uy = (tip.y - prev.y) / length;
+        const along = (cursor.x - tip.x) * ux + (cursor.y - tip.y) * uy;
+        const off = Math.abs((cursor.x - tip.x) * uy - (cursor.y - tip.y) * ux);
+        if (along <= aperture || along > reach || off > aperture) return;
+        add('extension', { x: tip.x + ux * along, y: tip.y + uy * along }, off, { origin: tip });
+    });
+}
+
+/**
+ * Best object snap for a cursor position
+ * @param {Object} index - From createEntityIndex
+ * @param {Object} cursor - Plan point in meters
+ * @param {Object} options
+ * @param {number} options.aperture - Snap radius in meters
+ * @param {Object} options.modes - Enabled modes, keyed as SNAP_MODES
+ * @param {Object|null} options.from - Point the current step measures from (for perpendicular)
+ * @param {number} options.reach - How far past an endpoint extension tracks, in meters
+ * @returns {Object|null} { point, mode, ref?, origin? } - `ref` anchors a defining point
+ *   for dimensions (see cadAnnotations.anchorPoint), `origin` is the endpoint an extension runs from
+ */
+export function findSnap(index, cursor, { aperture, modes = DEFAULT_SNAP_SETTINGS.modes, from = null, reach = aperture * 40 }) {
+    const candidates = [];
+    const add = (mode, point, gap = distance(cursor, point), extra = {}) => {
+        if (!modes[mode] || gap > aperture) return;
+        candidates.push({ mode, point, gap, ...extra });
+    };
+
+    const near = index.query(boxAround(cursor, aperture));
+    near.forEach(entity => {
+        const curve = entityCurve(entity);
+        if (curve) curveSnaps(entity, curve, cursor, from, aperture, add);
+        const path = entityPath(entity);
+        if (path) pathSnaps(entity, path, cursor, from, add);
+    });
+
+    if (modes.intersection && near.length <= MAX_INTERSECTION_CANDIDATES) {
+        for (let i = 0; i < near.length; i++) {
+            for (let j = i + 1; j < near.length; j++) {
+                intersectEntities(near[i], near[j]).forEach(p => add('intersection', p));
+            }
+        }
+    }
+
+    if (modes.extension && candidates.length === 0) {
+        index.query(boxAround(cursor, reach)).forEach(entity => extensionSnaps(entity, cursor, aperture, reach, add));
+    }
+
+    if (candidates.length === 0) return null;
+    const best = candidates.reduce((a, b) => {
+        const rankA = SNAP_MODES[a.mode].rank;
+        const rankB = SNAP_MODES[b.mode].rank;
+        if (rankA !== rankB) return rankA < rankB ? a : b;
+        return b.gap < a.gap ? b : a;
+    });
+    const { gap: _gap, ...snap } = best;
+    return snap;
+}
+
+// ============================================================================
+// Ortho and polar tracking
+// ============================================================================
+
+/**
+ * Cursor held to the horizontal or vertical through `base`, whichever is nearer
+ */
+export function orthoPoint(base, cursor) {
+    return Math.abs(cursor.x - base.x) >= Math.abs(cursor.y - base.y)
+        ? { x: cursor.x, y: base.y }
+        : { x: base.x, y: cursor.y };
+}
+
+/**
+ * Polar tracking: when the cursor lies within `aperture` of a ray from `base`
+ * at a multiple of `increment` degrees, the point on that ray
+ * @returns {Object|null} { point, angle (degrees, 0-360), length }
+ */
+export function polarTrack(base, cursor, increment, aperture) {
+    const length = distance(base, cursor);
+    if (length < aperture || !(increment > 0)) return null;
+
+    const step = increment * Math.PI / 180;
+    const angle = angleTo(base, cursor);
+    const tracked = Math.round(angle / step) * step;
+    const along = length * Math.cos(angle - tracked);
+    if (along <= 0 || Math.abs(length * Math.sin(angle - tracked)) > aperture) return null;
+
+    const degrees = ((tracked * 180 / Math.PI) % 360 + 360) % 360;
+    return {
+        point: { x: base.x + along * Math.cos(tracked), y: base.y + along * Math.sin(tracked) },
+        angle: Math.round(degrees * 1e6) / 1e6,
+        length: along,
+    };
+}
+
+export default {
+    SNAP_MODES,
+    POLAR_INCREMENTS,
+    DEFAULT_SNAP_SETTINGS,
+    createEntityIndex,
+    findSnap,
+    orthoPoint,
+    polarTrack,
+};
@@ -0,0 +1,209 @@
+/**
+ * Design & Build - CAD Editor Sync
+ * Reads the CAD editor's entities back into rooms and walls the way the DXF
+ * engine reads an uploaded drawing: layer roles come from the layer mapping
+ * profile, closed outlines of room size become rooms named from the text
+ * inside them, wall linework collapses into centerline walls and door and
+ * window geometry is hosted on those walls.
+ */
+
+import { LAYER_CATEGORIES, resolveLayerCategory } from '../config/layerProfiles.js';
+import { mergeDoubleLineWalls, createWallObject } from './wallDetection.js';
+import { attachOpenings, classifyOpening } from './openingDetection.js';
+import { assignRoomLabels } from './roomLabels.js';
+import { entityPath, entityCurve, isClosedPath, arcSweep, pointOnCircle } from './cadEditing.js';
+import { isAnnotation } from './cadAnnotations.js';
+import { polygonArea, polygonBounds, polygonPerimeter, openRing } from '../utils/geometry.js';
+
+// Closed outlines inside this area range are rooms, as in the DXF engine
+export const ROOM_AREA_RANGE = { min: 4, max: 2000 }; // m²
+
+// Maximum deviation (meters) between a curved wall and its segments
+const CHORD_TOLERANCE = 0.01;
+
+/**
+ * Arc or circle as a point path for curved walls
+ */
+function curvePath(curve) {
+    const sweep = curve.full ? Math.PI * 2 : arcSweep(curve);
+    const start = curve.full ? 0 : curve.start;
+    const maxStep = CHORD_TOLERANCE < curve.radius ? 2 * Math.acos(1 - CHORD_TOLERANCE / curve.radius) : Math.PI / 2;
+    const count = Math.min(512, Math.max(1, Math.ceil(sweep / maxStep)));
+    return Array.from({ length: count + 1 }, (_, i) => pointOnCircle(curve.center, curve.radius, start + (sweep * i) / count));
+}
+
+/**
+ * Points a door or window candidate is measured from: the outline, and for
+ * a swing arc its hinge
+ */
+function openingPoints(entity) {
+    const curve = entityCurve(entity);
+    if (!curve) return entityPath(entity) || [];
+    if (curve.full) {
+        return [0, 1, 2, 3].map(k => pointOnCircle(curve.center, curve.radius, (k * Math.PI) / 2));
+    }
+    const sweep = arcSweep(curve);
+    return [
+        ...[0, 0.5, 1].map(t => pointOnCircle(curve.center, curve.radius, curve.start + sweep * t)),
+        curve.center,
+    ];
+}
+
+/**
+ * Whether a layer's linework can outline rooms: not ignored, and not doors,
+ * glazing, services or furniture
+ */
+function outlinesRooms(category) {
+    return category !== 'ignore' && category !== 'furniture' &&
+        !classifyOpening('', category) && !LAYER_CATEGORIES[category]?.mepType;
+}
+
+/**
+ * Outline of a closed shape of room size, or null. Area and perimeter are
+ * the polygon's own, so L-shaped and angled rooms are not overstated.
+ * @returns {Object|null} { path, bounds, area, perimeter } - path stored open
+ */
+function roomOutline(entity) {
+    const path = entityPath(entity);
+    if (!path || !(entity.type === 'RECT' || isClosedPath(path))) return null;
+
+    const ring = openRing(path);
+    if (ring.length < 3) return null;
+    const area = polygonArea(ring);
+    if (!(area > ROOM_AREA_RANGE.min && area < ROOM_AREA_RANGE.max)) return null;
+    return { path: ring, bounds: polygonBounds(ring), area, perimeter: polygonPerimeter(ring) };
+}
+
+/**
+ * Whether sync reads an entity as a room, so the inspector can offer its
+ * room name and type
+ * @param {Object} entity - cadEntities entry
+ * @param {Object} layerProfile - Layer mapping profile
+ */
+export function isRoomOutline(entity, layerProfile) {
+    if (isAnnotation(entity) || entityCurve(entity)) return false;
+    const category = resolveLayerCategory(entity.layer || '0', layerProfile);
+    if (!outlinesRooms(category)) return false;
+    if (entity.insertId && classifyOpening(entity.block || '', category)) return false;
+    return !!roomOutline(entity);
+}
+
+/**
+ * Rooms and walls drawn in the CAD editor.
+ * A room outline's own `roomName` and `roomType` win over text found inside it.
+ * @param {Array} entities - cadEntities (see cadEditing.js)
+ * @param {Object} options
+ * @param {Object} options.layerProfile - Layer mapping profile (see config/layerProfiles.js)
+ * @param {Object} options.wallDetection - Overrides for WALL_DETECTION_DEFAULTS
+ * @param {Object} options.openingDetection - Overrides for OPENING_DETECTION_DEFAULTS
+ * @returns {Object} { rooms, walls, openings } shaped like a DXF analysis result
+ */
+export function planFromCadEntities(entities = [], { layerProfile, wallDetection, openingDetection } = {}) {
+    const categories = new Map();
+    const categorize = (layerName) => {
+        if (!categories.has(layerName)) categories.set(layerName, resolveLayerCategory(layerName, layerProfile));
+        return categories.get(layerName);
+    };
+
+    const rooms = [];
+    const segments = [];
+    const candidates = [];
+    const blockOpenings = new Map();
+    const texts = [];
+    const sourceOf = new Map(); // room -> its outline entity
+
+    entities.forEach(entity => {
+        const layerName = entity.layer || '0';
+        const category = categorize(layerName);
+        if (category === 'ignore') return;
+
+        // Room names: plain text and room tags
+        if (entity.type === 'TEXT' || entity.type === 'ROOMTAG') {
+            const value = entity.type === 'TEXT' ? entity.text : entity.name;
+            if (value) {
+                texts.push({
+                    text: value,
+                    position: { x: entity.x, y: entity.y },
+                    height: entity.height || entity.format?.textHeight || 0,
+                    layer: layerName,
+                });
+            }
+            return;
+        }
+        if (isAnnotation(entity)) return;
+
+        // Door and window linework, grouped per block instance
+        const blockKind = entity.insertId ? classifyOpening(entity.block || '', category) : null;
+        const looseKind = blockKind ? null : classifyOpening('', category);
+        if (blockKind) {
+            if (!blockOpenings.has(entity.insertId)) {
+                blockOpenings.set(entity.insertId, { kind: blockKind, source: 'block', blockName: entity.block, points: [] });
+            }
+            blockOpenings.get(entity.insertId).points.push(...openingPoints(entity));
+            return;
+        }
+        if (looseKind) {
+            candidates.push({ kind: looseKind, source: entity.type === 'ARC' ? 'swing' : 'layer', points: openingPoints(entity) });
+            return;
+        }
+
+        // Services and furniture linework is never walls or rooms
+        if (!outlinesRooms(category)) return;
+
+        // Circles are round columns or fixtures, never rooms
+        const curve = entityCurve(entity);
+        if (curve) {
+            if (category === 'walls') {
+                const path = curvePath(curve);
+                for (let i = 0; i < path.length - 1; i++) segments.push({ a: path[i], b: path[i + 1], layer: layerName });
+            }
+            return;
+        }
+
+        const outline = roomOutline(entity);
+        if (outline) {
+            rooms.push({
+                id: entity.id,
+                type: 'OPEN_WORKSPACE',
+                label: `Room ${rooms.length + 1}`,
+                area: Math.round(outline.area * 100) / 100,
+                perimeter: Math.round(outline.perimeter * 100) / 100,
+                bounds: outline.bounds,
+                vertices: outline.path,
+                layer: layerName,
+                confidence: 1.0,
+                source: 'CAD-MANUAL',
+            });
+            sourceOf.set(rooms[rooms.length - 1], entity);
+        } else if (category === 'walls') {
+            const path = entityPath(entity) || [];
+            for (let i = 0; i < path.length - 1; i++) {
+                segments.push({ a: path[i], b: path[i + 1], layer: layerName });
+            }
+        }
+    });
+
+    assignRoomLabels(rooms, texts);
+    sourceOf.forEach((entity, room) => {
+        if (entity.roomName) room.label = entity.roomName;
+        if (entity.roomType) room.type = entity.roomType;
+    });
+
+    const walls = attachOpenings(
+        mergeDoubleLineWalls(segments, wallDetection),
+        [...candidates, ...blockOpenings.values()],
+        openingDetection
+    )
+        .map((wall, i) => createWallObject(wall, `cad-${i}`))
+        .filter(Boolean);
+
+    const openings = walls.flatMap(wall => wall.openings.map(o => ({ ...o, wallId: wall.id })));
+
+    return { rooms, walls, openings };
+}
+
+export default {
+    ROOM_AREA_RANGE,
+    isRoomOutline,
+    planFromCadEntities,
+};
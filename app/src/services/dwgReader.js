@@ -0,0 +1,211 @@
+/**
+ * Design & Build - In-Browser DWG Reader
+ * Reads binary DWG files with LibreDWG compiled to WebAssembly and hands the
+ * drawing to the DXF pipeline in the shape dxf-parser produces, so DWG and DXF
+ * uploads share one geometry engine. Runs inside the CAD worker; the ~10 MB
+ * WebAssembly module is only fetched the first time a DWG is read.
+ */
+
+let libreDwgPromise = null;
+
+function loadLibreDwg() {
+    if (!libreDwgPromise) {
+        libreDwgPromise = import('@mlightcad/libredwg-web')
+            .then(({ LibreDwg, Dwg_File_Type }) => LibreDwg.create().then(libredwg => ({ libredwg, Dwg_File_Type })))
+            .catch(error => {
+                libreDwgPromise = null; // Allow a retry after a failed download
+                throw error;
+            });
+    }
+    return libreDwgPromise;
+}
+
+/**
+ * Read a DWG file
+ * @param {ArrayBuffer} buffer - DWG file content
+ * @returns {Promise<Object>} Drawing as { header, tables, blocks, entities } (dxf-parser layout)
+ */
+export async function readDWG(buffer) {
+    // Every DWG opens with its version string, e.g. "AC1032" for AutoCAD 2018
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 6)));
+    if (!/^AC1\d{3}$/.test(magic)) {
+        throw new Error('Not a DWG file');
+    }
+
+    const { libredwg, Dwg_File_Type } = await loadLibreDwg();
+
+    // LibreDWG only warns on recoverable read errors, so an unreadable file
+    // shows up as missing data or an empty drawing
+    const data = libredwg.dwg_read_data(buffer, Dwg_File_Type.DWG);
+    if (!data) {
+        throw new Error('Unsupported or damaged DWG file');
+    }
+    let dxf;
+    try {
+        dxf = dwgDatabaseToDxf(libredwg.convert(data));
+    } finally {
+        libredwg.dwg_free(data);
+    }
+    if (dxf.entities.length === 0) {
+        throw new Error('Unsupported or damaged DWG file');
+    }
+    return dxf;
+}
+
+/**
+ * Map a LibreDWG database onto the dxf-parser data layout.
+ * Angles LibreDWG keeps in radians stay in radians except INSERT rotation,
+ * which dxf-parser leaves in degrees. The active layout (*Paper_Space) moves
+ * into the entity list flagged as paper space, as it sits in a DXF file.
+ *
+ * @param {Object} db - DwgDatabase from LibreDwg.convert()
+ * @returns {Object} { header, tables: { layer: { layers } }, blocks, entities }
+ */
+export function dwgDatabaseToDxf(db) {
+    const header = db.header || {};
+    const blocks = {};
+    let paperSpace = [];
+
+    (db.tables?.BLOCK_RECORD?.entries || []).forEach(record => {
+        if (/^\*paper_space$/i.test(record.name)) {
+            paperSpace = record.entities || [];
+            return;
+        }
+        if (/^\*model_space$/i.test(record.name)) return;
+        blocks[record.name] = {
+            name: record.name,
+            position: toPoint(record.basePoint),
+            entities: mapEntities(record.entities),
+        };
+    });
+
+    const layers = {};
+    (db.tables?.LAYER?.entries || []).forEach(layer => {
+        layers[layer.name] = {
+            name: layer.name,
+            color: layer.color,
+            colorIndex: layer.colorIndex,
+            visible: !layer.off,
+            frozen: !!layer.frozen,
+        };
+    });
+
+    return {
+        header: {
+            $INSUNITS: header.INSUNITS,
+            $EXTMIN: header.EXTMIN,
+            $EXTMAX: header.EXTMAX,
+        },
+        tables: { layer: { layers } },
+        blocks,
+        entities: [
+            ...mapEntities(db.entities),
+            ...mapEntities(paperSpace).map(entity => ({ ...entity, inPaperSpace: true })),
+        ],
+    };
+}
+
+function mapEntities(entities = []) {
+    return entities.map(mapEntity).filter(Boolean);
+}
+
+function mapEntity(entity) {
+    const common = {
+        type: entity.type,
+        handle: entity.handle,
+        layer: entity.layer || '0',
+        colorIndex: entity.colorIndex,
+        inPaperSpace: !!entity.isInPaperSpace,
+        extrusionDirectionZ: entity.extrusionDirection?.z,
+    };
+
+    switch (entity.type) {
+        case 'LINE':
+            return { ...common, vertices: [toPoint(entity.startPoint), toPoint(entity.endPoint)] };
+        case 'LWPOLYLINE':
+            return {
+                ...common,
+                shape: !!(entity.flag & 0x200), // DWG keeps "closed" in bit 512, DXF in bit 1
+                vertices: (entity.vertices || []).map(v => ({ x: v.x, y: v.y, bulge: v.bulge || 0 })),
+            };
+        case 'POLYLINE2D':
+        case 'POLYLINE3D':
+            return {
+                ...common,
+                type: 'POLYLINE',
+                shape: !!(entity.flag & 1),
+                vertices: (entity.vertices || []).map(v => ({ x: v.x, y: v.y, bulge: v.bulge || 0 })),
+            };
+        case 'ARC':
+            return {
+                ...common,
+                center: toPoint(entity.center),
+                radius: entity.radius,
+                startAngle: entity.startAngle,
+                endAngle: entity.endAngle,
+            };
+        case 'CIRCLE':
+            return { ...common, center: toPoint(entity.center), radius: entity.radius };
+        case 'ELLIPSE':
+            return {
+                ...common,
+                center: toPoint(entity.center),
+                majorAxisEndPoint: toPoint(entity.majorAxisEndPoint),
+                axisRatio: entity.axisRatio,
+                startAngle: entity.startAngle,
+                endAngle: entity.endAngle,
+            };
+        case 'SPLINE':
+            return {
+                ...common,
+                controlPoints: (entity.controlPoints || []).map(toPoint),
+                fitPoints: (entity.fitPoints || []).map(toPoint),
+                knotValues: entity.knots || [],
+                degreeOfSplineCurve: entity.degree,
+                closed: !!(entity.flag & 1),
+                periodic: !!(entity.flag & 2),
+            };
+        case 'INSERT':
+            return {
+                ...common,
+                name: entity.name,
+                position: toPoint(entity.insertionPoint),
+                xScale: entity.xScale ?? 1,
+                yScale: entity.yScale ?? 1,
+                rotation: ((entity.rotation || 0) * 180) / Math.PI,
+                columnCount: entity.columnCount,
+                rowCount: entity.rowCount,
+                columnSpacing: entity.columnSpacing,
+                rowSpacing: entity.rowSpacing,
+                extrusionDirection: entity.extrusionDirection,
+            };
+        case 'TEXT':
+            return {
+                ...common,
+                text: entity.text,
+                startPoint: toPoint(entity.startPoint),
+                textHeight: entity.textHeight,
+            };
+        case 'MTEXT':
+            return {
+                ...common,
+                text: entity.text,
+                position: toPoint(entity.insertionPoint),
+                height: entity.textHeight,
+            };
+        case 'POINT':
+            return { ...common, position: toPoint(entity.position) };
+        default:
+            // Kept so layer statistics stay complete; the pipeline ignores the geometry
+            return common;
+    }
+}
+
+function toPoint(p) {
+    return { x: p?.x ?? 0, y: p?.y ?? 0 };
+}
+
+export default {
+    readDWG,
+    dwgDatabaseToDxf,
+};
@@ -8,63 +8,107 @@ import DxfParser from 'dxf-parser';
 /**
  * Parse DXF file and extract structured data
  * Uses a Web Worker to avoid freezing the UI thread for large files
+ * @param {File} file - DXF file
+ * @param {Object} options - Extraction options forwarded to the worker
+ * @param {number} options.chordTolerance - Max curve tessellation error in meters (default 0.01)
  */
-export async function parseDXFFile(file) {
+export async function parseDXFFile(file, options = {}) {
     console.log('[DXF Converter] Delegating to Worker for:', file.name);
 
-    return new Promise(async (resolve, reject) => {
+    const text = await file.text();
+    try {
+        return await runCadWorker({ text, fileName: file.name, options }, DXF_TIMEOUT);
+    } catch (error) {
+        if (!error.workerUnavailable) throw error;
+        console.error('[DXF Converter] Initialization error:', error);
+
+        // Fallback to internal parsing if worker fails to start
         try {
-            const text = await file.text();
+            const parser = new DxfParser();
+            const dxf = parser.parseSync(text);
+            return extractGeometryFallback(dxf, file.name);
+        } catch (fallbackError) {
+            throw new Error(`CAD Analysis failed: ${fallbackError.message}`);
+        }
+    }
+}
+
+// Reads of the same DWG with the same options share one worker run, so the
+// converter modal's local read and the analysis that follows parse only once
+const dwgReads = new WeakMap();
+
+/**
+ * Parse a binary DWG file in the browser (LibreDWG WebAssembly, loaded on
+ * first use) through the same geometry pipeline as DXF
+ * @param {File} file - DWG file
+ * @param {Object} options - Extraction options forwarded to the worker
+ */
+export function parseDWGFile(file, options = {}) {
+    const key = JSON.stringify(options);
+    const cached = dwgReads.get(file);
+    if (cached?.key === key) return cached.promise;
+
+    console.log('[DXF Converter] Reading DWG locally:', file.name);
+    const promise = file.arrayBuffer()
+        .then(buffer => runCadWorker({ buffer, format: 'dwg', fileName: file.name, options }, DWG_TIMEOUT, [buffer]))
+        .catch(error => {
+            dwgReads.delete(file);
+            throw error;
+        });
+    dwgReads.set(file, { key, promise });
+    return promise;
+}
+
+const DXF_TIMEOUT = 30000;
+// The first DWG read also downloads and compiles the WebAssembly module
+const DWG_TIMEOUT = 90000;
 
+/**
+ * Run one parse in a fresh CAD worker
+ */
+function runCadWorker(message, timeout, transfer = []) {
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
             // In Vite, we can import workers with ?worker suffix or use the new Worker(URL) syntax
-            // For maximum compatibility in this environment, try to create the worker
-            const worker = new Worker(
+            worker = new Worker(
                 new URL('./dxfWorker.js', import.meta.url),
                 { type: 'module' }
             );
+        } catch (error) {
+            error.workerUnavailable = true;
+            reject(error);
+            return;
+        }
 
-            // Set a timeout to avoid hanging forever if the worker fails
-            const timeoutId = setTimeout(() => {
-                worker.terminate();
-                reject(new Error('DXF Parsing timed out after 30 seconds'));
-            }, 30000);
-
-            worker.onmessage = (e) => {
-                clearTimeout(timeoutId);
-                const { success, result, error } = e.data;
-                worker.terminate();
-
-                if (success) {
-                    console.log('[DXF Converter] Success from worker:', result.cadMetadata);
-                    resolve(result);
-                } else {
-                    reject(new Error(error || 'Worker failed to parse DXF'));
-                }
-            };
-
-            worker.onerror = (err) => {
-                clearTimeout(timeoutId);
-                console.error('[DXF Converter] Worker thread error:', err);
-                worker.terminate();
-                reject(new Error('Background thread crashed during CAD analysis'));
-            };
-
-            // Send data to worker
-            worker.postMessage({ text, fileName: file.name });
+        // Set a timeout to avoid hanging forever if the worker fails
+        const timeoutId = setTimeout(() => {
+            worker.terminate();
+            reject(new Error(`CAD parsing timed out after ${timeout / 1000} seconds`));
+        }, timeout);
 
-        } catch (error) {
-            console.error('[DXF Converter] Initialization error:', error);
-
-            // Fallback to internal parsing if worker fails to start
-            try {
-                const text = await file.text();
-                const parser = new DxfParser();
-                const dxf = parser.parseSync(text);
-                resolve(extractGeometryFallback(dxf, file.name));
-            } catch (fallbackError) {
-                reject(new Error(`CAD Analysis failed: ${fallbackError.message}`));
+        worker.onmessage = (e) => {
+            clearTimeout(timeoutId);
+            const { success, result, error } = e.data;
+            worker.terminate();
+
+            if (success) {
+                console.log('[DXF Converter] Success from worker:', result.cadMetadata);
+                resolve(result);
+            } else {
+                reject(new Error(error || 'Worker failed to parse CAD file'));
             }
-        }
+        };
+
+        worker.onerror = (err) => {
+            clearTimeout(timeoutId);
+            console.error('[DXF Converter] Worker thread error:', err);
+            worker.terminate();
+            reject(new Error('Background thread crashed during CAD analysis'));
+        };
+
+        // Send data to worker
+        worker.postMessage(message, transfer);
     });
 }
 
@@ -87,4 +131,5 @@ function extractGeometryFallback(dxf, fileName) {
 
 export default {
     parseDXFFile,
+    parseDWGFile,
 };
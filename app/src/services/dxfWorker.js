@@ -1,38 +1,57 @@
 /**
  * Design & Build - DXF/CAD Web Worker
  * Offloads heavy CAD parsing and geometry extraction from the main thread
- * prevents UI freeze on large files.
+ * prevents UI freeze on large files. Accepts DXF text or a binary DWG.
  */
 
 import DxfParser from 'dxf-parser';
+import * as helpers from 'dxf-parser/dist/ParseHelpers.js';
+import { readDWG } from './dwgReader.js';
+import { detectRoomsFromSegments } from './roomDetection.js';
+import { mergeDoubleLineWalls, createWallObject } from './wallDetection.js';
+import { attachOpenings, classifyOpening } from './openingDetection.js';
+import { assignRoomLabels, cleanDrawingText } from './roomLabels.js';
+import { splitPlanRegions } from './levelDetection.js';
+import { aciToHex, DXF_APP_ID } from './dxfWriter.js';
+import { ROOM_TYPES } from '../config/api.js';
+import { BUILT_IN_LAYER_PROFILES, LAYER_CATEGORIES, resolveLayerCategory } from '../config/layerProfiles.js';
+import { moveEntity, entityBounds } from './cadEditing.js';
+import { patternFromDxf } from '../config/hatchPatterns.js';
+import { pointInPolygon, polygonBounds, polygonCentroid, polygonPerimeter, openRing } from '../utils/geometry.js';
 
-// Internal constants (copied from config/api.js to keep worker self-contained)
-const ROOM_TYPES = {
-    EXECUTIVE_OFFICE: { keywords: ['executive', 'director', 'ceo', 'manager office', 'private office'] },
-    MANAGER_OFFICE: { keywords: ['manager', 'supervisor', 'team lead'] },
-    MEETING_ROOM: { keywords: ['meeting', 'conference', 'boardroom', 'discussion'] },
-    OPEN_WORKSPACE: { keywords: ['open', 'workspace', 'workstation', 'cubicle', 'office area', 'work area'] },
-    RECEPTION: { keywords: ['reception', 'lobby', 'entrance', 'waiting'] },
-    CAFE_PANTRY: { keywords: ['pantry', 'kitchen', 'cafe', 'break room', 'tea point'] },
-    SERVER_ROOM: { keywords: ['server', 'data', 'it room', 'comms'] },
-    STORAGE: { keywords: ['storage', 'store', 'archive'] },
-    RESTROOM: { keywords: ['toilet', 'restroom', 'wc', 'bathroom', 'washroom'] },
-    CORRIDOR: { keywords: ['corridor', 'hallway', 'passage'] },
-};
+// Guard against circular or pathologically deep block references
+const MAX_BLOCK_DEPTH = 12;
+
+// Maximum deviation (meters) between a tessellated curve and the true curve
+const DEFAULT_CHORD_TOLERANCE = 0.01;
+
+// Wall lines a paper-space layout needs before it is read as a floor plan
+const LAYOUT_PLAN_MIN_WALLS = 6;
+
+// Entities handed to the CAD editor; larger drawings are cut off with a note
+const MAX_EDITOR_ENTITIES = 50000;
+
+// MTEXT line pitch in text heights (AutoCAD's default "at least 1.0" spacing)
+const MTEXT_LINE_SPACING = 5 / 3;
+
+// 2D affine transform stored as [a, b, c, d, e, f]:
+// x' = a*x + c*y + e, y' = b*x + d*y + f
+const IDENTITY_TRANSFORM = [1, 0, 0, 1, 0, 0];
 
 self.onmessage = async (e) => {
-    const { text, fileName } = e.data;
+    const { text, buffer, format = 'dxf', fileName, options = {} } = e.data;
 
     try {
         console.log('[DXF Worker] Processing:', fileName);
-        const parser = new DxfParser();
-        const dxf = parser.parseSync(text);
+        const dxf = format === 'dwg'
+            ? await readDWG(buffer)
+            : createParser().parseSync(text);
 
         if (!dxf) {
-            throw new Error('Failed to parse DXF file');
+            throw new Error(`Failed to parse ${format.toUpperCase()} file`);
         }
 
-        const result = extractGeometryOptimized(dxf, fileName);
+        const result = extractGeometryOptimized(dxf, fileName, { ...options, format });
         self.postMessage({ success: true, result });
 
     } catch (error) {
@@ -41,38 +60,44 @@ self.onmessage = async (e) => {
     }
 };
 
+function createParser() {
+    const parser = new DxfParser();
+    parser.registerEntityHandler(HatchHandler);
+    return parser;
+}
+
 /**
  * Optimized Geometry Extraction - SINGLE PASS
  */
-function extractGeometryOptimized(dxf, fileName) {
-    const entities = dxf.entities || [];
+function extractGeometryOptimized(dxf, fileName, options = {}) {
+    const chordTolerance = options.chordTolerance ?? DEFAULT_CHORD_TOLERANCE;
+    const allEntities = dxf.entities || [];
     const header = dxf.header || {};
     const blocks = dxf.blocks || {};
 
+    // Layer roles come from the selected mapping profile
+    const layerProfile = options.layerProfile || BUILT_IN_LAYER_PROFILES[0];
+
+    // Model space is the plan; paper-space layouts only count when a plan was
+    // drawn straight onto the sheet instead of shown through a viewport
+    const entities = allEntities.filter(entity => !entity.inPaperSpace);
+    const sheets = findLayoutPlans(allEntities, blocks, layerProfile);
+
     // 1. Initial pass to find actual geometry bounds (robust normalization)
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    let hasGeometry = false;
+    let { minX, minY, maxX, maxY, hasGeometry } = measureExtents(entities);
 
-    entities.forEach(entity => {
-        if (entity.type === 'LINE') {
-            const x1 = entity.vertices?.[0]?.x || entity.x || 0;
-            const y1 = entity.vertices?.[0]?.y || entity.y || 0;
-            const x2 = entity.vertices?.[1]?.x || entity.x2 || 0;
-            const y2 = entity.vertices?.[1]?.y || entity.y2 || 0;
-            minX = Math.min(minX, x1, x2); maxX = Math.max(maxX, x1, x2);
-            minY = Math.min(minY, y1, y2); maxY = Math.max(maxY, y1, y2);
-            hasGeometry = true;
-        } else if (entity.vertices && entity.vertices.length > 0) {
-            entity.vertices.forEach(v => {
-                minX = Math.min(minX, v.x); maxX = Math.max(maxX, v.x);
-                minY = Math.min(minY, v.y); maxY = Math.max(maxY, v.y);
-            });
-            hasGeometry = true;
-        } else if (entity.x !== undefined && entity.y !== undefined) {
-            minX = Math.min(minX, entity.x); maxX = Math.max(maxX, entity.x);
-            minY = Math.min(minY, entity.y); maxY = Math.max(maxY, entity.y);
-            hasGeometry = true;
-        }
+    // Layout plans are laid out to the right of model space, a sheet width apart
+    let cursorX = hasGeometry ? maxX : 0;
+    sheets.forEach(sheet => {
+        const sheetWidth = sheet.extents.maxX - sheet.extents.minX;
+        const sheetHeight = sheet.extents.maxY - sheet.extents.minY;
+        const gap = hasGeometry ? Math.max(maxX - minX, sheetWidth) * 0.5 : 0;
+        const baseY = hasGeometry ? minY : 0;
+        sheet.transform = translation(cursorX + gap - sheet.extents.minX, baseY - sheet.extents.minY);
+        minX = Math.min(minX, cursorX + gap); maxX = Math.max(maxX, cursorX + gap + sheetWidth);
+        minY = Math.min(minY, baseY); maxY = Math.max(maxY, baseY + sheetHeight);
+        cursorX += gap + sheetWidth;
+        hasGeometry = true;
     });
 
     // Fallback to header if no geometry found or bounds are invalid
@@ -112,7 +137,7 @@ function extractGeometryOptimized(dxf, fileName) {
     let anchorY = minY;
 
     const polylineEntities = entities.filter(e => e.type === 'LWPOLYLINE' || e.type === 'POLYLINE');
-    if (polylineEntities.length > 5) {
+    if (polylineEntities.length > 5 && sheets.length === 0) {
         // Use 10th percentile to avoid stray entities at (0,0) or (1e6, 1e6)
         const xs = polylineEntities.map(p => p.vertices?.[0]?.x || p.x || 0).sort((a, b) => a - b);
         const ys = polylineEntities.map(p => p.vertices?.[0]?.y || p.y || 0).sort((a, b) => a - b);
@@ -134,174 +159,1039 @@ function extractGeometryOptimized(dxf, fileName) {
         }
     };
 
-    const walls = [];
+    const wallSegments = [];
+    const openingCandidates = [];
+    const texts = [];
     const rooms = [];
     const blockInserts = [];
     const mepHotspots = [];
+    const editorEntities = [];
+    let editorTruncated = false;
 
-    const mepPatterns = {
-        ELECTRICAL: ['elec', 'power', 'light', 'socket', 'e-', 'switch', 'panel'],
-        HVAC: ['hvac', 'ac', 'duct', 'diffuser', 'fcu', 'ahu', 'm-', 'supply', 'return'],
-        PLUMBING: ['plumb', 'water', 'drain', 'pipe', 'sanitary', 'p-', 'toilet', 'sink', 'basin'],
-        FIRE_SAFETY: ['fire', 'sprinkler', 'smoke', 'alarm', 'extinguisher'],
+    const layerCategories = new Map();
+    const layerCounts = new Map();
+    const categorize = (layerName) => {
+        if (!layerCategories.has(layerName)) {
+            layerCategories.set(layerName, resolveLayerCategory(layerName, layerProfile));
+        }
+        layerCounts.set(layerName, (layerCounts.get(layerName) || 0) + 1);
+        return layerCategories.get(layerName);
     };
 
-    const wallLayerPatterns = ['wall', 'partition', 'a-wall', 'arch-wall', 'boundaries', 'border', 'ext-wall', 'int-wall'];
-
-    // Simplified recursion for block exploration
-    const processEntities = (entityList, blockOffset = { x: 0, y: 0 }, blockScale = 1, blockRotation = 0) => {
+    // Recursive block exploration. Every entity is resolved through the full
+    // INSERT transform chain (base point, scale, rotation, MINSERT array)
+    // before the project offset/unit scale is applied.
+    // Geometry inside a door/window block is collected into `opening` instead
+    // of being read as walls, so frames and swings never become wall segments.
+    // Block contents drawn on layer 0 take the layer of their INSERT.
+    // Everything on a layer the profile does not ignore is also copied into
+    // `editorEntities` for the CAD editor, tagged with its outermost INSERT.
+    const processEntities = (entityList, transform = IDENTITY_TRANSFORM, path = 'root', depth = 0, opening = null, parentLayer = null, owner = null) => {
         entityList.forEach((entity, index) => {
-            const layer = (entity.layer || '').toLowerCase();
-            const idPrefix = `${blockOffset.x}-${blockOffset.y}-${index}`;
+            const layerName = (entity.layer === '0' || !entity.layer) && parentLayer ? parentLayer : (entity.layer || '0');
+            const layer = layerName.toLowerCase();
+            const category = categorize(layerName);
+            const idPrefix = `${path}-${index}`;
+
+            if (category === 'ignore') return;
+
+            // Resolve a raw (block-local) point to normalized world coordinates
+            const getPos = (v) => {
+                const world = applyTransform(transform, { x: v.x ?? 0, y: v.y ?? 0 });
+                return {
+                    x: (world.x - offsetX) * scale,
+                    y: (world.y - offsetY) * scale
+                };
+            };
+
+            // Resolve curves in block-local space so that non-uniform and
+            // mirrored INSERT scales distort them exactly like the original CAD
+            const det = transform[0] * transform[3] - transform[1] * transform[2];
+            const localTolerance = chordTolerance / (scale * Math.sqrt(Math.abs(det)) || 1);
 
-            // 1. Recursive Blocks
+            const toEditor = (list) => {
+                if (editorEntities.length >= MAX_EDITOR_ENTITIES) {
+                    editorTruncated = true;
+                    return;
+                }
+                const color = entityColor(entity);
+                list.forEach((editorEntity, i, all) => editorEntities.push({
+                    ...editorEntity,
+                    id: all.length > 1 ? `dxf-${idPrefix}-${i}` : `dxf-${idPrefix}`,
+                    layer: layerName,
+                    ...(color ? { color } : {}),
+                    ...owner,
+                }));
+            };
+
+            // 1. Recursive Blocks - except our own hatches, which come back as hatches
+            if (entity.type === 'INSERT' && isHatchInsert(entity)) {
+                const insertTransform = getInsertTransform(entity, blocks[entity.name] || {});
+                toEditor(hatchFromData(entity.extendedData.customStrings, (p) => getPos(applyTransform(insertTransform, p))));
+                return;
+            }
             if (entity.type === 'INSERT') {
                 const blockName = entity.name;
                 const block = blocks[blockName];
-                if (block && block.entities) {
-                    const insertX = (entity.position?.x ?? 0);
-                    const insertY = (entity.position?.y ?? 0);
-                    const scaleFactor = entity.scale?.x ?? 1;
-                    const rotation = entity.rotation ?? 0;
-
-                    // Add to hotspots for furniture mapping
-                    const x = (insertX - offsetX) * scale;
-                    const y = (insertY - offsetY) * scale;
-                    blockInserts.push({
-                        id: `block-${idPrefix}`,
-                        blockName: blockName || '',
-                        code: identifyFurnitureFromBlock(blockName || ''),
-                        position: { x, y: 0, z: y },
-                        rotation: rotation,
-                        layer: entity.layer,
-                    });
+                if (!block || !block.entities || depth >= MAX_BLOCK_DEPTH) return;
+
+                const openingKind = opening ? null : classifyOpening(blockName || '', category);
+                const columns = Math.max(1, entity.columnCount || 1);
+                const rows = Math.max(1, entity.rowCount || 1);
+
+                for (let row = 0; row < rows; row++) {
+                    for (let col = 0; col < columns; col++) {
+                        const instanceTransform = multiplyTransforms(transform, getInsertTransform(entity, block, col, row));
+                        const instanceId = columns * rows > 1 ? `${idPrefix}-${row}x${col}` : idPrefix;
+                        const instanceOwner = owner || { block: blockName || '', insertId: `block-${instanceId}` };
+
+                        // Insertion point of this instance in world coordinates
+                        const origin = applyTransform(instanceTransform, block.position || { x: 0, y: 0 });
 
-                    // Recurse into block geometry
-                    processEntities(block.entities, { x: insertX, y: insertY }, scaleFactor, rotation);
+                        // Add to hotspots for furniture mapping
+                        blockInserts.push({
+                            id: `block-${instanceId}`,
+                            blockName: blockName || '',
+                            code: identifyFurnitureFromBlock(blockName || ''),
+                            position: { x: (origin.x - offsetX) * scale, y: 0, z: (origin.y - offsetY) * scale },
+                            rotation: getTransformRotation(instanceTransform),
+                            mirrored: isMirrored(instanceTransform),
+                            layer: layerName,
+                            category,
+                        });
+
+                        // Recurse into block geometry
+                        if (openingKind) {
+                            const candidate = { kind: openingKind, source: 'block', blockName, points: [] };
+                            processEntities(block.entities, instanceTransform, instanceId, depth + 1, candidate, layerName, instanceOwner);
+                            openingCandidates.push(candidate);
+                        } else {
+                            processEntities(block.entities, instanceTransform, instanceId, depth + 1, opening, layerName, instanceOwner);
+                        }
+                    }
                 }
                 return;
             }
 
-            // Apply offsets and local scale/rotation if inside a block
-            // (Simplified: just handling basic position for now)
-            const getPos = (v) => {
-                const rawX = v.x ?? 0;
-                const rawY = v.y ?? 0;
-                // Basic translation (rotation/scale inside blocks not fully implemented for performance)
-                return {
-                    x: (rawX + blockOffset.x - offsetX) * scale,
-                    y: (rawY + blockOffset.y - offsetY) * scale
-                };
-            };
+            toEditor(toEditorEntities(entity, { transform, toPlan: getPos, unit: scale * Math.sqrt(Math.abs(det)), tolerance: localTolerance }));
+
+            // Hatches are finishes, never walls, rooms or services
+            if (entity.type === 'HATCH') return;
 
-            // 2. MEP Detection
-            for (const [type, patterns] of Object.entries(mepPatterns)) {
-                if (patterns.some(p => layer.includes(p))) {
-                    const p = getPos(entity.position || entity || (entity.vertices?.[0]));
-                    mepHotspots.push({
-                        id: `mep-${idPrefix}`,
-                        type,
-                        location: { x: p.x, y: 0, z: p.y },
-                        layer: entity.layer
+            // 2. Door/window linework - block contents, swing arcs and glazing lines
+            const looseKind = opening ? null : classifyOpening('', category);
+            if (opening || looseKind) {
+                const geometry = getEntityPath(entity, localTolerance);
+                if (!geometry) return;
+                const points = geometry.points.map(v => getPos(v));
+                // A swing arc hinges on its center, which sits on the wall
+                if (entity.type === 'ARC' && entity.center) points.push(getPos(entity.center));
+                if (opening) {
+                    opening.points.push(...points);
+                } else {
+                    openingCandidates.push({
+                        kind: looseKind,
+                        source: entity.type === 'ARC' ? 'swing' : 'layer',
+                        points,
                     });
-                    break;
                 }
+                return;
             }
 
-            // 3. Walls and Rooms
-            if (entity.type === 'LWPOLYLINE' || entity.type === 'POLYLINE') {
-                if (!entity.vertices || entity.vertices.length < 2) return;
-
-                const vertices = entity.vertices.map(v => getPos(v));
-                const isClosed = entity.shape ||
-                    (Math.abs(vertices[0].x - vertices[vertices.length - 1].x) < 0.1 &&
-                        Math.abs(vertices[0].y - vertices[vertices.length - 1].y) < 0.1);
-
-                const area = calculatePolygonArea(vertices);
-
-                if (isClosed && area > 4 && area < 2000) {
-                    const xs = vertices.map(v => v.x);
-                    const ys = vertices.map(v => v.y);
-                    const minX = Math.min(...xs), maxX = Math.max(...xs);
-                    const minY = Math.min(...ys), maxY = Math.max(...ys);
-
-                    rooms.push({
-                        id: `room-${idPrefix}`,
-                        type: determineRoomType(area, layer),
-                        area: Math.round(area * 100) / 100,
-                        bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
-                        vertices: vertices,
-                        layer: entity.layer,
-                        confidence: 0.9,
-                        source: 'DXF-POLYLINE',
+            // 3. Room names and numbers
+            if (entity.type === 'TEXT' || entity.type === 'MTEXT') {
+                const anchor = entity.type === 'TEXT' ? entity.startPoint : entity.position;
+                if (anchor && entity.text) {
+                    texts.push({
+                        text: entity.text,
+                        position: getPos(anchor),
+                        height: (entity.textHeight || entity.height || 0) * scale * Math.sqrt(Math.abs(det)),
+                        layer: layerName,
                     });
-                } else if (wallLayerPatterns.some(p => layer.includes(p)) || layer === '0') {
-                    for (let i = 0; i < vertices.length - 1; i++) {
-                        walls.push(createWallObject(vertices[i].x, vertices[i].y, vertices[i + 1].x, vertices[i + 1].y, `${idPrefix}-${i}`, entity.layer));
-                    }
                 }
-            } else if (entity.type === 'LINE') {
-                if (wallLayerPatterns.some(p => layer.includes(p)) || layer === '0') {
-                    const p1 = getPos(entity.vertices?.[0] ?? { x: entity.x, y: entity.y });
-                    const p2 = getPos(entity.vertices?.[1] ?? { x: entity.x2, y: entity.y2 });
-                    walls.push(createWallObject(p1.x, p1.y, p2.x, p2.y, `${idPrefix}-L`, entity.layer));
+                return;
+            }
+
+            // 4. MEP Detection - services and furniture linework is never walls or rooms
+            const mepType = LAYER_CATEGORIES[category]?.mepType;
+            if (mepType) {
+                const p = getPos(getEntityAnchor(entity));
+                mepHotspots.push({
+                    id: `mep-${idPrefix}`,
+                    type: mepType,
+                    location: { x: p.x, y: 0, z: p.y },
+                    layer: layerName
+                });
+                return;
+            }
+            if (category === 'furniture') return;
+
+            // 5. Walls and Rooms
+            const geometry = getEntityPath(entity, localTolerance);
+            if (!geometry || geometry.points.length < 2) return;
+
+            const vertices = geometry.points.map(v => getPos(v));
+            const isClosed = geometry.closed ||
+                (Math.abs(vertices[0].x - vertices[vertices.length - 1].x) < 0.1 &&
+                    Math.abs(vertices[0].y - vertices[vertices.length - 1].y) < 0.1);
+
+            // Affine maps scale every area by |det|, so the exact local area carries over
+            const area = isClosed ? geometry.area * Math.abs(det) * scale * scale : 0;
+
+            // Circles are round columns or fixtures, never rooms
+            if (isClosed && entity.type !== 'CIRCLE' && area > 4 && area < 2000) {
+                const xs = vertices.map(v => v.x);
+                const ys = vertices.map(v => v.y);
+                const minX = Math.min(...xs), maxX = Math.max(...xs);
+                const minY = Math.min(...ys), maxY = Math.max(...ys);
+
+                rooms.push({
+                    id: `room-${idPrefix}`,
+                    type: determineRoomType(area, layer),
+                    area: Math.round(area * 100) / 100,
+                    perimeter: Math.round(polygonPerimeter(openRing(vertices)) * 100) / 100,
+                    bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+                    vertices: vertices,
+                    layer: layerName,
+                    confidence: 0.9,
+                    source: entity.type.endsWith('POLYLINE') ? 'DXF-POLYLINE' : `DXF-${entity.type}`,
+                });
+            } else if (category === 'walls') {
+                const segmentCount = geometry.closed ? vertices.length : vertices.length - 1;
+                for (let i = 0; i < segmentCount; i++) {
+                    wallSegments.push({ a: vertices[i], b: vertices[(i + 1) % vertices.length], layer: layerName });
                 }
             }
         });
     };
 
     processEntities(entities);
+    sheets.forEach((sheet, i) => processEntities(sheet.entities, sheet.transform, `layout${i}`));
+
+    // Every layer in the file with what it was mapped to, for the mapping preview
+    const tableLayers = dxf.tables?.layer?.layers || {};
+    const layerMap = [...new Set([...Object.keys(tableLayers), ...layerCounts.keys()])]
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({
+            name,
+            entityCount: layerCounts.get(name) || 0,
+            category: layerCategories.has(name) ? layerCategories.get(name) : resolveLayerCategory(name, layerProfile),
+            color: tableLayers[name]?.color,
+        }));
+
+    // The drawing as the CAD editor shows it: entities on their own layers,
+    // layers with their table color, on/off and freeze state
+    const drawingLayers = [...new Set([...Object.keys(tableLayers), ...editorEntities.map(e => e.layer)])]
+        .filter(name => layerCategories.get(name) !== 'ignore')
+        .map(name => ({
+            name,
+            color: layerColor(tableLayers[name]) || '#FFFFFF',
+            visible: tableLayers[name]?.visible !== false,
+            frozen: !!tableLayers[name]?.frozen,
+            locked: false,
+        }));
+    const drawing = { entities: editorEntities, layers: drawingLayers, truncated: editorTruncated };
 
-    // Filter out null walls
-    const cleanWalls = walls.filter(w => w !== null);
+    // Rooms enclosed by loose wall linework (most architects never draw room polylines)
+    detectRoomsFromSegments(wallSegments, options.roomDetection)
+        .filter(face => !rooms.some(room => isSameSpace(room, face)))
+        .forEach((face, i) => {
+            rooms.push({
+                id: `room-graph-${i}`,
+                type: determineRoomType(face.area, ''),
+                area: Math.round(face.area * 100) / 100,
+                perimeter: Math.round(face.perimeter * 100) / 100,
+                bounds: polygonBounds(face.vertices),
+                vertices: face.vertices,
+                holes: face.holes,
+                layer: 'WALL-NETWORK',
+                confidence: 0.8,
+                source: 'DXF-WALL-GRAPH',
+            });
+        });
+
+    // Name and classify rooms from the text placed inside them
+    const labelledRooms = assignRoomLabels(rooms, texts);
+
+    // Collapse double-line walls to centerlines with their measured thickness,
+    // then host doors, windows and wall gaps on them
+    const hostedWalls = attachOpenings(
+        mergeDoubleLineWalls(wallSegments, options.wallDetection),
+        openingCandidates,
+        options.openingDetection
+    );
+    const cleanWalls = hostedWalls
+        .map((wall, i) => createWallObject(wall, `${i}`))
+        .filter(w => w !== null);
+
+    const openings = cleanWalls.flatMap(wall => wall.openings.map((o, i) => ({
+        ...o,
+        id: `${wall.id}-opening-${i}`,
+        wallId: wall.id,
+    })));
 
     // Post-processing
     rooms.sort((a, b) => b.area - a.area);
     const totalArea = rooms.reduce((sum, r) => sum + r.area, 0);
 
+    // Several floor plans in one file become building levels
+    const levels = options.levels === 'single' ? [] : splitPlanRegions(
+        { rooms, walls: cleanWalls, mepHotspots, blockInserts, texts },
+        {
+            ...options.levelDetection,
+            frames: sheets.map(sheet => {
+                const toMeters = (x, y) => {
+                    const p = applyTransform(sheet.transform, { x, y });
+                    return { x: (p.x - offsetX) * scale, y: (p.y - offsetY) * scale };
+                };
+                return {
+                    name: sheet.name,
+                    min: toMeters(sheet.extents.minX, sheet.extents.minY),
+                    max: toMeters(sheet.extents.maxX, sheet.extents.maxY),
+                };
+            }),
+        }
+    ).map(level => ({
+        ...level,
+        openings: openings.filter(o => level.walls.some(w => w.id === o.wallId)),
+    }));
+    splitDrawing(drawing, levels);
+
     return {
         success: true,
-        sourceType: 'DXF',
-        cadMetadata: { fileName, units, scale, entities: entities.length, walls: cleanWalls.length },
+        sourceType: options.format === 'dwg' ? 'DWG' : 'DXF',
+        cadMetadata: { fileName, format: (options.format || 'dxf').toUpperCase(), units, scale, entities: entities.length, walls: cleanWalls.length, layerProfile: layerProfile.name },
+        layerMap,
+        drawing,
         floorPlan: { totalArea: totalArea || bounds.width * bounds.height, bounds, scale: 1 },
         rooms: rooms.slice(0, 500),
         walls: cleanWalls.slice(0, 5000),
+        openings,
         blockInserts,
         mepHotspots,
+        levels,
         healthCheck: {
             score: calculateHealthScore(rooms, cleanWalls, blockInserts),
             issues: generateIssues(rooms, cleanWalls),
-            recommendations: ['Recursive Block Analysis Enabled', `Found ${cleanWalls.length} wall segments`],
+            recommendations: [
+                'Recursive Block Analysis Enabled',
+                `Found ${cleanWalls.length} wall segments`,
+                `${openings.filter(o => o.kind === 'door').length} doors, ${openings.filter(o => o.kind === 'window').length} windows and ${openings.filter(o => o.kind === 'opening').length} open gaps hosted on walls`,
+                `${rooms.filter(r => r.source === 'DXF-WALL-GRAPH').length} rooms traced from the wall network`,
+                `${labelledRooms} rooms named from drawing text`,
+                ...(levels.length > 1 ? [`${levels.length} floor plans found: ${levels.map((l, i) => l.name || `Plan ${i + 1}`).join(', ')}`] : []),
+                ...(editorTruncated ? [`Only the first ${MAX_EDITOR_ENTITIES} entities were loaded into the CAD editor`] : []),
+            ],
         },
         metadata: {
-            analysisVersion: 'DXF-ENGINE-V5-BLOCK-SUPPORT',
+            analysisVersion: 'DXF-ENGINE-V7-CURVES',
             confidence: 0.98,
             agentId: 'dxf-worker-expert',
         },
     };
 }
 
-function createWallObject(startX, startY, endX, endY, id, layer) {
-    const length = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2);
-    if (length < 0.05) return null;
+/**
+ * Extents of raw (untransformed) entity geometry in drawing units
+ */
+function measureExtents(entityList) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let hasGeometry = false;
+
+    entityList.forEach(entity => {
+        if (entity.type === 'LINE') {
+            const x1 = entity.vertices?.[0]?.x || entity.x || 0;
+            const y1 = entity.vertices?.[0]?.y || entity.y || 0;
+            const x2 = entity.vertices?.[1]?.x || entity.x2 || 0;
+            const y2 = entity.vertices?.[1]?.y || entity.y2 || 0;
+            minX = Math.min(minX, x1, x2); maxX = Math.max(maxX, x1, x2);
+            minY = Math.min(minY, y1, y2); maxY = Math.max(maxY, y1, y2);
+            hasGeometry = true;
+        } else if (entity.vertices && entity.vertices.length > 0) {
+            entity.vertices.forEach(v => {
+                minX = Math.min(minX, v.x); maxX = Math.max(maxX, v.x);
+                minY = Math.min(minY, v.y); maxY = Math.max(maxY, v.y);
+            });
+            hasGeometry = true;
+        } else {
+            const anchor = getEntityAnchor(entity);
+            if (anchor.x === undefined || anchor.y === undefined) return;
+            minX = Math.min(minX, anchor.x); maxX = Math.max(maxX, anchor.x);
+            minY = Math.min(minY, anchor.y); maxY = Math.max(maxY, anchor.y);
+            hasGeometry = true;
+        }
+    });
+
+    return { minX, minY, maxX, maxY, hasGeometry };
+}
+
+/**
+ * Paper-space layouts that carry plan linework of their own. The active
+ * layout keeps its entities in the ENTITIES section (flagged as paper
+ * space); the others live in *Paper_Space# blocks.
+ */
+function findLayoutPlans(allEntities, blocks, layerProfile) {
+    const layouts = [{ name: 'Layout 1', entities: allEntities.filter(entity => entity.inPaperSpace) }];
+    Object.keys(blocks)
+        .filter(name => /^\*paper_space\d+$/i.test(name))
+        .sort((a, b) => Number(a.match(/\d+$/)[0]) - Number(b.match(/\d+$/)[0]))
+        .forEach(name => layouts.push({ name: `Layout ${layouts.length + 1}`, entities: blocks[name].entities || [] }));
+
+    const isWallLinework = (entity) => ['LINE', 'LWPOLYLINE', 'POLYLINE'].includes(entity.type) &&
+        resolveLayerCategory(entity.layer || '0', layerProfile) === 'walls';
+
+    return layouts
+        .filter(layout => layout.entities.filter(isWallLinework).length >= LAYOUT_PLAN_MIN_WALLS)
+        .map(layout => ({ ...layout, extents: measureExtents(layout.entities) }));
+}
+
+// ============================================================================
+// CAD Editor Entities
+// ============================================================================
+
+// TEXT group 72 justification; aligned (3) and fit (5) text runs from its start point
+const TEXT_HALIGN = { 1: 'center', 2: 'right', 4: 'center' };
+
+/**
+ * CAD editor entities (plan meters, see cadEditing.js) for one DXF entity.
+ * Arcs and circles stay analytic while the block transform keeps them round;
+ * polylines, ellipses, splines and distorted curves become polylines.
+ * @param {Object} entity - dxf-parser entity in block-local coordinates
+ * @param {Object} context - { transform, toPlan, unit (plan meters per local unit), tolerance }
+ * @returns {Array} Entities without id or layer; MTEXT gives one TEXT per line,
+ *   a HATCH one per filled region
+ */
+function toEditorEntities(entity, { transform, toPlan, unit, tolerance }) {
+    if (entity.type === 'HATCH') return editorHatches(entity, transform, toPlan, tolerance);
+    if (entity.type === 'ARC' || entity.type === 'CIRCLE') {
+        const curve = editorCurve(entity, transform, toPlan, unit);
+        if (curve) return [curve];
+    }
+    if (entity.type === 'TEXT' || entity.type === 'MTEXT') return editorTexts(entity, transform, toPlan, unit);
+
+    const geometry = getEntityPath(entity, tolerance);
+    if (!geometry || geometry.points.length < 2) return [];
+    const points = geometry.points.map(toPlan);
+    if (entity.type === 'LINE') return [{ type: 'LINE', points }];
+    return [{ type: 'POLYLINE', points: geometry.closed ? [...points, { ...points[0] }] : points }];
+}
+
+function editorCurve(entity, transform, toPlan, unit) {
+    if (!entity.center || !entity.radius || !isConformal(transform)) return null;
+    const local = (p) => mirrorOCS([p], entity.extrusionDirectionZ)[0];
+    const center = toPlan(local(entity.center));
+    const radius = entity.radius * unit;
+    if (entity.type === 'CIRCLE') return { type: 'CIRCLE', x: center.x, y: center.y, radius };
+
+    const angleAt = (angle) => {
+        const p = toPlan(local({
+            x: entity.center.x + entity.radius * Math.cos(angle),
+            y: entity.center.y + entity.radius * Math.sin(angle),
+        }));
+        return Math.atan2(p.y - center.y, p.x - center.x);
+    };
+    const start = angleAt(entity.startAngle);
+    const end = angleAt(entity.endAngle);
+    // A mirror turns the counter-clockwise sweep around
+    const reversed = isMirrored(transform) !== (entity.extrusionDirectionZ ?? 1) < 0;
+    return { type: 'ARC', x: center.x, y: center.y, radius, startAngle: reversed ? end : start, endAngle: reversed ? start : end };
+}
+
+/**
+ * TEXT as one editor TEXT, MTEXT as one per line, placed by their
+ * justification so the text covers the same spot as in the drawing
+ */
+function editorTexts(entity, transform, toPlan, unit) {
+    const isMText = entity.type === 'MTEXT';
+    const lines = cleanDrawingText(entity.text);
+    if (lines.length === 0) return [];
+
+    const rawHeight = isMText ? entity.height : entity.textHeight;
+    const height = (rawHeight || 0) * unit || undefined;
+    const localAngle = isMText && entity.directionVector
+        ? Math.atan2(entity.directionVector.y, entity.directionVector.x)
+        : ((entity.rotation || 0) * Math.PI) / 180;
+    const direction = applyTransform([...transform.slice(0, 4), 0, 0], { x: Math.cos(localAngle), y: Math.sin(localAngle) });
+    const rotation = Math.atan2(direction.y, direction.x);
+    const normal = { x: -Math.sin(rotation), y: Math.cos(rotation) };
+    const h = height || 0;
+
+    let anchor, align, rise;
+    if (isMText) {
+        // Attachment 1-9: top/middle/bottom rows of left/center/right
+        const attachment = Math.min(9, Math.max(1, entity.attachmentPoint || 1)) - 1;
+        const pitch = h * MTEXT_LINE_SPACING;
+        const block = (lines.length - 1) * pitch;
+        anchor = entity.position;
+        align = ['left', 'center', 'right'][attachment % 3];
+        rise = [-h / 2, block / 2, block + h / 2][Math.floor(attachment / 3)];
+    } else {
+        const justified = (entity.halign && entity.halign !== 3 && entity.halign !== 5) || entity.valign;
+        anchor = justified && entity.endPoint ? entity.endPoint : entity.startPoint;
+        align = TEXT_HALIGN[entity.halign] || 'left';
+        rise = entity.valign === 3 ? -h / 2 : entity.valign === 2 || entity.halign === 4 ? 0 : h / 2;
+    }
+    if (!anchor) return [];
+
+    const origin = toPlan(anchor);
+    const texts = isMText ? lines : [lines.join(' ')];
+    return texts.map((text, i) => {
+        const offset = rise - i * h * MTEXT_LINE_SPACING;
+        return {
+            type: 'TEXT',
+            x: origin.x + normal.x * offset,
+            y: origin.y + normal.y * offset,
+            text,
+            ...(height ? { height } : {}),
+            rotation,
+            align,
+        };
+    });
+}
+
+// ============================================================================
+// Hatches
+// ============================================================================
+
+/**
+ * dxf-parser handler for HATCH, which the parser skips by default. Keeps the
+ * pattern, the solid flag and the boundary loops - polyline loops as bulged
+ * vertices, edge loops as lines, arcs, ellipses and spline control points.
+ * Seed points, pattern definition lines and gradients are not needed.
+ */
+class HatchHandler {
+    ForEntityName = 'HATCH';
+
+    parseEntity(scanner, curr) {
+        const entity = { type: curr.value, patternName: '', solid: false, angle: 0, scale: 1, loops: [] };
+        let stage = 'header'; // header, loops, pattern, seeds
+        let loop = null;
+        let edge = null;
+        let point = null; // vertex or edge point awaiting its Y
+
+        curr = scanner.next();
+        while (!scanner.isEOF() && curr.code !== 0) {
+            const { code, value } = curr;
+            if (code === 75) {
+                stage = 'pattern';
+            } else if (stage === 'loops' && code === 92) {
+                loop = { polyline: (value & 2) !== 0, vertices: [], edges: [] };
+                entity.loops.push(loop);
+            } else if (stage === 'loops' && loop) {
+                if (loop.polyline) {
+                    if (code === 10) loop.vertices.push(point = { x: value, y: 0 });
+                    else if (code === 20 && point) point.y = value;
+                    else if (code === 42 && point) point.bulge = value;
+                } else if (code === 72) {
+                    edge = { type: value, points: [] };
+                    loop.edges.push(edge);
+                } else if (edge && (code === 10 || code === 11)) {
+                    edge.points.push(point = { x: value, y: 0 });
+                } else if (edge && (code === 20 || code === 21) && point) {
+                    point.y = value;
+                } else if (edge && edge.type !== 4 && code === 40) {
+                    edge.radius = value; // axis ratio for an ellipse
+                } else if (edge && code === 50) {
+                    edge.startAngle = value;
+                } else if (edge && code === 51) {
+                    edge.endAngle = value;
+                } else if (edge && code === 73) {
+                    edge.ccw = value !== 0;
+                }
+            } else if (code === 2 && stage === 'header') {
+                entity.patternName = value;
+            } else if (code === 70 && stage === 'header') {
+                entity.solid = value === 1;
+            } else if (code === 91) {
+                stage = 'loops';
+            } else if (code === 52 && stage === 'pattern') {
+                entity.angle = value;
+            } else if (code === 41 && stage === 'pattern') {
+                entity.scale = value;
+            } else if (code === 98) {
+                stage = 'seeds';
+            } else if (stage === 'header' || code >= 1000) {
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+            }
+            curr = scanner.next();
+        }
+        return entity;
+    }
+}
+
+/**
+ * Block-local points of one hatch boundary loop, as an open ring
+ */
+function hatchLoopPoints(loop, tolerance) {
+    if (loop.polyline) return loop.vertices.length >= 3 ? tessellateBulgePolyline(loop.vertices, true, tolerance) : [];
 
-    // Rotation angle in radians
-    const angle = -Math.atan2(endY - startY, endX - startX); // Negative Y for 2D->3D coord flip if needed, but Three.js coordinate system standard is Z up or Y up.
-    // In our app, Y is UP in 3D, X/Z is the plane.
+    const radians = (degrees) => ((degrees || 0) * Math.PI) / 180;
+    const points = [];
+    loop.edges.forEach(edge => {
+        const [first, second] = edge.points;
+        if (!first) return;
+        if (edge.type === 1) {
+            points.push(first);
+        } else if (edge.type === 2 || edge.type === 3) {
+            // Clockwise edges store their angles mirrored: trace the
+            // counter-clockwise twin and walk it backwards
+            const ccw = edge.ccw !== false;
+            const start = radians(ccw ? edge.startAngle : -edge.endAngle);
+            let end = radians(ccw ? edge.endAngle : -edge.startAngle);
+            if (end <= start) end += Math.PI * 2;
+            const curve = edge.type === 2
+                ? tessellateArc(first, edge.radius || 0, start, end - start, tolerance)
+                : second && tessellateEllipse({ center: first, majorAxisEndPoint: second, axisRatio: edge.radius || 1, startAngle: start, endAngle: end }, tolerance)?.points;
+            if (curve) points.push(...(ccw ? curve : [...curve].reverse()).slice(0, -1));
+        } else if (edge.type === 4) {
+            points.push(...edge.points.slice(0, -1));
+        }
+    });
+    return points;
+}
 
+/**
+ * Editor hatches for a DXF HATCH: loops nested an even number of times are
+ * filled boundaries, each odd one an island of the boundary around it
+ */
+function editorHatches(entity, transform, toPlan, tolerance) {
+    const rings = entity.loops
+        .map(loop => hatchLoopPoints(loop, tolerance).map(toPlan))
+        .filter(ring => ring.length >= 3)
+        .map(ring => ({ ring, area: Math.abs(calculatePolygonArea(ring)) }));
+    const depth = (candidate) => rings.filter(other => other !== candidate && other.area > candidate.area &&
+        pointInPolygon(candidate.ring[0], other.ring)).length;
+    rings.forEach(candidate => { candidate.depth = depth(candidate); });
+
+    const close = (ring) => [...ring, { ...ring[0] }];
+    const pattern = entity.solid ? 'SOLID' : patternFromDxf(entity.patternName);
+    const angle = ((entity.angle || 0) * Math.PI) / 180 + Math.atan2(transform[1], transform[0]);
+    return rings
+        .filter(outer => outer.depth % 2 === 0)
+        .map(outer => {
+            const holes = rings.filter(hole => hole.depth === outer.depth + 1 && pointInPolygon(hole.ring[0], outer.ring));
+            return {
+                type: 'HATCH',
+                points: close(outer.ring),
+                ...(holes.length > 0 ? { holes: holes.map(hole => close(hole.ring)) } : {}),
+                pattern,
+                scale: 1,
+                angle,
+            };
+        });
+}
+
+/**
+ * Whether an INSERT is a hatch this app exported (see dxfWriter.js)
+ */
+function isHatchInsert(entity) {
+    const data = entity.extendedData;
+    return data?.applicationName === DXF_APP_ID && data.customStrings?.[0] === 'HATCH';
+}
+
+/**
+ * Editor hatch rebuilt from our extended data
+ * @param {Array} strings - The 1000 strings written by dxfWriter.js
+ * @param {Function} toPlan - Drawing-unit point to plan meters
+ */
+function hatchFromData(strings, toPlan) {
+    const fields = {};
+    const rings = [];
+    strings.slice(1).forEach(value => {
+        if (value === 'LOOP') {
+            rings.push([]);
+        } else if (rings.length > 0) {
+            const [x, y] = value.split(',').map(Number);
+            if (Number.isFinite(x) && Number.isFinite(y)) rings[rings.length - 1].push(toPlan({ x, y }));
+        } else {
+            const at = value.indexOf('=');
+            if (at > 0) fields[value.slice(0, at)] = value.slice(at + 1);
+        }
+    });
+    const [outer, ...holes] = rings.filter(ring => ring.length >= 4);
+    if (!outer) return [];
+    return [{
+        type: 'HATCH',
+        points: outer,
+        ...(holes.length > 0 ? { holes } : {}),
+        pattern: patternFromDxf(fields.PATTERN),
+        scale: parseFloat(fields.SCALE) > 0 ? parseFloat(fields.SCALE) : 1,
+        angle: ((parseFloat(fields.ANGLE) || 0) * Math.PI) / 180,
+        ...(fields.FITOUT ? { fitoutCode: fields.FITOUT } : {}),
+    }];
+}
+
+/**
+ * Entity color as CSS hex, or null when it follows its layer or block
+ */
+function entityColor(entity) {
+    if (entity.colorIndex === 0 || entity.colorIndex === 256) return null;
+    if (Number.isInteger(entity.color)) return `#${entity.color.toString(16).padStart(6, '0')}`.toUpperCase();
+    return aciToHex(entity.colorIndex);
+}
+
+function layerColor(layer) {
+    if (!layer) return null;
+    if (Number.isInteger(layer.color)) return `#${layer.color.toString(16).padStart(6, '0')}`.toUpperCase();
+    return aciToHex(Math.abs(layer.colorIndex));
+}
+
+/**
+ * Hand each level the editor entities inside its plan, moved by the same
+ * offset that stacked the level onto the common origin
+ */
+function splitDrawing(drawing, levels) {
+    if (levels.length < 2) return;
+    const boxes = levels.map(level => {
+        const { contentMin, contentMax } = level.floorPlan.bounds;
+        return {
+            minX: contentMin.x - level.offset.x, minY: contentMin.y - level.offset.y,
+            maxX: contentMax.x - level.offset.x, maxY: contentMax.y - level.offset.y,
+        };
+    });
+    const gap = (box, p) => Math.hypot(Math.max(box.minX - p.x, 0, p.x - box.maxX), Math.max(box.minY - p.y, 0, p.y - box.maxY));
+    const shares = levels.map(() => []);
+
+    drawing.entities.forEach(entity => {
+        const box = entityBounds(entity);
+        if (!box) return;
+        const center = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+        const nearest = boxes.reduce((best, b, i) => (gap(b, center) < gap(boxes[best], center) ? i : best), 0);
+        const { offset } = levels[nearest];
+        shares[nearest].push(moveEntity(entity, offset.x, offset.y));
+    });
+
+    levels.forEach((level, i) => {
+        const used = new Set(shares[i].map(e => e.layer));
+        level.drawing = {
+            ...drawing,
+            entities: shares[i],
+            layers: drawing.layers.filter(layer => used.has(layer.name) || layer.name === '0'),
+        };
+    });
+}
+
+/**
+ * Whether a transform keeps circles round (uniform scale, any rotation or mirror)
+ */
+function isConformal(m) {
+    const sx = Math.hypot(m[0], m[1]);
+    const sy = Math.hypot(m[2], m[3]);
+    return Math.abs(sx - sy) <= 1e-6 * sx && Math.abs(m[0] * m[2] + m[1] * m[3]) <= 1e-6 * sx * sy;
+}
+
+// ============================================================================
+// Block Transform Helpers
+// ============================================================================
+
+/**
+ * Compose two transforms: the result applies `inner` first, then `outer`.
+ */
+function multiplyTransforms(outer, inner) {
+    const [a1, b1, c1, d1, e1, f1] = outer;
+    const [a2, b2, c2, d2, e2, f2] = inner;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1,
+    ];
+}
+
+function applyTransform(m, p) {
     return {
-        id: `wall-${id}`,
-        position: { x: (startX + endX) / 2, y: 1.5, z: (startY + endY) / 2 },
-        dimensions: {
-            width: length,
-            height: 3,
-            depth: 0.15,
-        },
-        rotation: angle,
-        layer,
+        x: m[0] * p.x + m[2] * p.y + m[4],
+        y: m[1] * p.x + m[3] * p.y + m[5],
+    };
+}
+
+function translation(x, y) {
+    return [1, 0, 0, 1, x, y];
+}
+
+function rotation(radians) {
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return [cos, sin, -sin, cos, 0, 0];
+}
+
+function scaling(sx, sy) {
+    return [sx, 0, 0, sy, 0, 0];
+}
+
+/**
+ * Build the block-to-parent transform of one INSERT instance:
+ * T(position) · R(rotation) · T(array offset) · S(xScale, yScale) · T(-basePoint)
+ * MINSERT spacing is measured in the rotated but unscaled insert frame, and an
+ * extrusion direction of (0, 0, -1) mirrors the whole OCS about the Y axis.
+ */
+function getInsertTransform(insert, block, column = 0, row = 0) {
+    const position = insert.position || { x: 0, y: 0 };
+    const basePoint = block.position || { x: 0, y: 0 };
+    const sx = insert.xScale ?? 1;
+    const sy = insert.yScale ?? 1;
+    const angle = ((insert.rotation ?? 0) * Math.PI) / 180;
+
+    let m = translation(position.x ?? 0, position.y ?? 0);
+    m = multiplyTransforms(m, rotation(angle));
+    m = multiplyTransforms(m, translation(column * (insert.columnSpacing || 0), row * (insert.rowSpacing || 0)));
+    m = multiplyTransforms(m, scaling(sx, sy));
+    m = multiplyTransforms(m, translation(-(basePoint.x ?? 0), -(basePoint.y ?? 0)));
+
+    if ((insert.extrusionDirection?.z ?? 1) < 0) {
+        m = multiplyTransforms(scaling(-1, 1), m);
+    }
+    return m;
+}
+
+/**
+ * World rotation (degrees) of a transform's local X axis
+ */
+function getTransformRotation(m) {
+    return (Math.atan2(m[1], m[0]) * 180) / Math.PI;
+}
+
+function isMirrored(m) {
+    return m[0] * m[3] - m[1] * m[2] < 0;
+}
+
+/**
+ * Representative point of an entity (insertion point, center or first vertex)
+ */
+function getEntityAnchor(entity) {
+    return entity.position || entity.center || entity.startPoint || entity.vertices?.[0] || { x: entity.x, y: entity.y };
+}
+
+// ============================================================================
+// Curve Tessellation
+// ============================================================================
+
+/**
+ * Convert a DXF entity to a block-local point path.
+ * Returns { points, closed, area } where `area` is the exact enclosed area in
+ * drawing units (bulges and analytic curves included), or null if unsupported.
+ */
+function getEntityPath(entity, tolerance) {
+    switch (entity.type) {
+        case 'LINE': {
+            const start = entity.vertices?.[0] ?? { x: entity.x, y: entity.y };
+            const end = entity.vertices?.[1] ?? { x: entity.x2, y: entity.y2 };
+            return { points: [start, end], closed: false, area: 0 };
+        }
+        case 'LWPOLYLINE':
+        case 'POLYLINE': {
+            const vertices = entity.vertices || [];
+            if (vertices.length < 2) return null;
+            const closed = !!entity.shape;
+            return {
+                points: tessellateBulgePolyline(vertices, closed, tolerance),
+                closed,
+                area: calculatePolygonArea(vertices),
+            };
+        }
+        case 'ARC': {
+            if (!entity.center || !entity.radius) return null;
+            let sweep = entity.endAngle - entity.startAngle;
+            if (sweep <= 0) sweep += Math.PI * 2;
+            const points = tessellateArc(entity.center, entity.radius, entity.startAngle, sweep, tolerance);
+            return { points: mirrorOCS(points, entity.extrusionDirectionZ), closed: false, area: 0 };
+        }
+        case 'CIRCLE': {
+            if (!entity.center || !entity.radius) return null;
+            const points = tessellateArc(entity.center, entity.radius, 0, Math.PI * 2, tolerance);
+            points.pop(); // closing vertex duplicates the first one
+            return { points: mirrorOCS(points, entity.extrusionDirectionZ), closed: true, area: Math.PI * entity.radius ** 2 };
+        }
+        case 'ELLIPSE':
+            return tessellateEllipse(entity, tolerance);
+        case 'SPLINE':
+            return tessellateSpline(entity, tolerance);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Arcs with a -Z extrusion are defined in a mirrored object coordinate system
+ */
+function mirrorOCS(points, extrusionZ) {
+    if (extrusionZ === undefined || extrusionZ >= 0) return points;
+    return points.map(p => ({ x: -p.x, y: p.y }));
+}
+
+/**
+ * Sample a circular arc so no chord deviates more than `tolerance` from it
+ */
+function tessellateArc(center, radius, startAngle, sweep, tolerance) {
+    const maxStep = tolerance < radius ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+    const segments = Math.min(512, Math.max(1, Math.ceil(Math.abs(sweep) / maxStep)));
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + (sweep * i) / segments;
+        points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+    }
+    return points;
+}
+
+/**
+ * Expand polyline bulges (tan of a quarter of the included angle) into arc points
+ */
+function tessellateBulgePolyline(vertices, closed, tolerance) {
+    const points = [];
+    const segmentCount = closed ? vertices.length : vertices.length - 1;
+
+    for (let i = 0; i < segmentCount; i++) {
+        const start = vertices[i];
+        const end = vertices[(i + 1) % vertices.length];
+        points.push({ x: start.x, y: start.y });
+
+        const arc = bulgeToArc(start, end, start.bulge);
+        if (!arc) continue;
+        const arcPoints = tessellateArc(arc.center, arc.radius, arc.startAngle, arc.sweep, tolerance);
+        // Skip the endpoints, they are the polyline vertices themselves
+        points.push(...arcPoints.slice(1, -1));
+    }
+
+    if (!closed) {
+        const last = vertices[vertices.length - 1];
+        points.push({ x: last.x, y: last.y });
+    }
+    return points;
+}
+
+function bulgeToArc(start, end, bulge) {
+    if (!bulge) return null;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const chord = Math.sqrt(dx * dx + dy * dy);
+    if (chord < 1e-9) return null;
+
+    const sweep = 4 * Math.atan(bulge);
+    const radius = (chord * (1 + bulge * bulge)) / (4 * Math.abs(bulge));
+    // Signed distance from chord midpoint to center along the chord's left normal
+    const offset = (chord * (1 - bulge * bulge)) / (4 * bulge);
+    const center = {
+        x: (start.x + end.x) / 2 - (dy / chord) * offset,
+        y: (start.y + end.y) / 2 + (dx / chord) * offset,
+    };
+
+    return {
+        center,
+        radius,
+        startAngle: Math.atan2(start.y - center.y, start.x - center.x),
+        sweep,
+    };
+}
+
+/**
+ * Recursively subdivide a parametric curve until every chord is within tolerance
+ */
+function sampleCurve(evaluate, t0, t1, tolerance, minSegments = 8) {
+    const points = [evaluate(t0)];
+
+    const subdivide = (ta, tb, pa, pb, depth) => {
+        const tm = (ta + tb) / 2;
+        const pm = evaluate(tm);
+        const deviation = Math.hypot(pm.x - (pa.x + pb.x) / 2, pm.y - (pa.y + pb.y) / 2);
+        if (depth < 10 && deviation > tolerance) {
+            subdivide(ta, tm, pa, pm, depth + 1);
+            subdivide(tm, tb, pm, pb, depth + 1);
+        } else {
+            points.push(pb);
+        }
+    };
+
+    for (let i = 0; i < minSegments; i++) {
+        const ta = t0 + ((t1 - t0) * i) / minSegments;
+        const tb = t0 + ((t1 - t0) * (i + 1)) / minSegments;
+        subdivide(ta, tb, points[points.length - 1], evaluate(tb), 0);
+    }
+    return points;
+}
+
+function tessellateEllipse(entity, tolerance) {
+    const { center, majorAxisEndPoint: major, axisRatio = 1 } = entity;
+    if (!center || !major) return null;
+
+    const start = entity.startAngle ?? 0;
+    let end = entity.endAngle ?? Math.PI * 2;
+    if (end <= start) end += Math.PI * 2;
+    const closed = Math.abs(end - start - Math.PI * 2) < 1e-6;
+
+    // Minor axis is the major axis rotated 90° and scaled by the axis ratio
+    const minor = { x: -major.y * axisRatio, y: major.x * axisRatio };
+    const evaluate = (t) => ({
+        x: center.x + major.x * Math.cos(t) + minor.x * Math.sin(t),
+        y: center.y + major.y * Math.cos(t) + minor.y * Math.sin(t),
+    });
+
+    const points = sampleCurve(evaluate, start, end, tolerance, 16);
+    if (closed) points.pop();
+
+    const majorLength = Math.hypot(major.x, major.y);
+    return {
+        points,
+        closed,
+        area: closed ? Math.PI * majorLength * majorLength * axisRatio : calculatePolygonArea(points),
     };
 }
 
+function tessellateSpline(entity, tolerance) {
+    const controlPoints = entity.controlPoints || [];
+    const knots = entity.knotValues || [];
+    const degree = entity.degreeOfSplineCurve || 3;
+    const closed = !!(entity.closed || entity.periodic);
+
+    let points;
+    if (controlPoints.length > degree && knots.length === controlPoints.length + degree + 1) {
+        const evaluate = (t) => evaluateBSpline(t, degree, controlPoints, knots);
+        points = sampleCurve(evaluate, knots[degree], knots[controlPoints.length], tolerance, controlPoints.length * 2);
+    } else if (entity.fitPoints?.length >= 2) {
+        points = entity.fitPoints.map(p => ({ x: p.x, y: p.y }));
+    } else if (controlPoints.length >= 2) {
+        points = controlPoints.map(p => ({ x: p.x, y: p.y }));
+    } else {
+        return null;
+    }
+
+    return { points, closed, area: closed ? calculatePolygonArea(points) : 0 };
+}
+
+/**
+ * De Boor evaluation of a non-rational B-spline at parameter t
+ */
+function evaluateBSpline(t, degree, controlPoints, knots) {
+    const n = controlPoints.length;
+    let span = degree;
+    while (span < n - 1 && t >= knots[span + 1]) span++;
+
+    const d = [];
+    for (let j = 0; j <= degree; j++) {
+        const p = controlPoints[j + span - degree];
+        d.push({ x: p.x, y: p.y });
+    }
+
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = j + span - degree;
+            const denom = knots[j + 1 + span - r] - knots[i];
+            const alpha = denom === 0 ? 0 : (t - knots[i]) / denom;
+            d[j] = {
+                x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+            };
+        }
+    }
+    return d[degree];
+}
+
+/**
+ * Polygon area (shoelace) including the circular segments added or removed
+ * by vertex bulges. A positive bulge sweeps counter-clockwise, i.e. to the
+ * right of its chord, which is outward on a counter-clockwise ring.
+ */
 function calculatePolygonArea(vertices) {
     let area = 0, n = vertices.length;
     for (let i = 0; i < n; i++) {
@@ -309,7 +1199,25 @@ function calculatePolygonArea(vertices) {
         area += vertices[i].x * vertices[j].y;
         area -= vertices[j].x * vertices[i].y;
     }
-    return Math.abs(area / 2);
+    area /= 2;
+
+    for (let i = 0; i < n; i++) {
+        const arc = bulgeToArc(vertices[i], vertices[(i + 1) % n], vertices[i].bulge);
+        if (!arc) continue;
+        const theta = Math.abs(arc.sweep);
+        area += Math.sign(arc.sweep) * (arc.radius * arc.radius / 2) * (theta - Math.sin(theta));
+    }
+    return Math.abs(area);
+}
+
+/**
+ * A wall-graph face duplicates an explicit room polyline when it sits inside
+ * it and covers roughly the same area
+ */
+function isSameSpace(room, face) {
+    if (!room.vertices || room.vertices.length < 3) return false;
+    const ratio = face.area / room.area;
+    return ratio > 0.75 && ratio < 1.33 && pointInPolygon(polygonCentroid(face.vertices), room.vertices);
 }
 
 function determineRoomType(area, layer) {
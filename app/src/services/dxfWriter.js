@@ -0,0 +1,717 @@
+/**
+ * Design & Build - DXF Writer
+ * Serialises the project's plan (rooms, walls, openings, furniture, MEP and
+ * CAD editor linework) as an ASCII DXF that AutoCAD and our own importer read.
+ * Output is AutoCAD R12 (AC1009): no handles or object section, so the file
+ * stays small and opens in every CAD package.
+ *
+ * R12 has no HATCH entity, so a hatch is written as an insert of an anonymous
+ * block holding its pattern lines (or solid trapezoids for a fill). Extended
+ * data on the insert carries the boundary, pattern and fit-out code, which
+ * our importer reads back into an editable hatch.
+ */
+
+import { polygonCentroid } from '../utils/geometry.js';
+import { isAnnotation, resolveAnnotations, annotationGeometry, dimensionText, styleFormat } from './cadAnnotations.js';
+import { isHatch, isSolidHatch, hatchRings, hatchLines, hatchTrapezoids } from './cadHatches.js';
+import { DIM_UNITS } from '../config/dimensionStyles.js';
+import { LINETYPES } from '../config/lineStyles.js';
+
+export const DXF_EXPORT_DEFAULTS = {
+    units: 'mm',              // 'mm' or 'm' - drawing units written to $INSUNITS
+    textHeight: 0.25,         // m - room labels
+    attributeHeight: 0.1,     // m - furniture attributes
+    mepRadius: 0.15,          // m - service point marker
+};
+
+const UNITS = {
+    mm: { factor: 1000, insUnits: 4 },
+    m: { factor: 1, insUnits: 6 },
+};
+
+// Layers the writer uses on top of the project's cadLayers
+const EXTRA_LAYERS = [
+    { name: 'A-ZONE', color: '#3B82F6' },
+    { name: 'A-GLAZ', color: '#38BDF8' },
+];
+
+// Plan footprints (width x depth, m) matching the 3D furniture models
+const FURNITURE_FOOTPRINTS = [
+    { pattern: /^LF0[12]/i, size: [1.6, 0.8] },
+    { pattern: /^LF(07|08|19)/i, size: [0.6, 0.6] },
+    { pattern: /^LF20/i, size: [3.6, 1.4] },
+    { pattern: /^LF1[78]/i, size: [1.2, 0.45] },
+];
+
+const MEP_TAGS = { ELECTRICAL: 'E', HVAC: 'M', PLUMBING: 'P', FIRE_SAFETY: 'F' };
+
+// Registered application name on our extended data
+export const DXF_APP_ID = 'DESIGN_BUILD';
+
+// Group 62 value for block geometry that takes the insert's color
+const BYBLOCK = 0;
+
+// DIMENSION group 70 types; angular dimensions are the three-point kind
+const DIMENSION_TYPES = { linear: 0, aligned: 1, diameter: 3, radial: 4, angular: 5 };
+
+// TEXT group 72 horizontal justification
+const TEXT_ALIGN = { left: 0, center: 1, middle: 1, right: 2 };
+
+// AutoCAD Color Index: the standard colors, the full-hue ring and the grays
+const ACI_COLORS = [
+    [7, 255, 255, 255], [1, 255, 0, 0], [2, 255, 255, 0], [3, 0, 255, 0], [4, 0, 255, 255],
+    [5, 0, 0, 255], [6, 255, 0, 255], [8, 128, 128, 128], [9, 192, 192, 192],
+    ...Array.from({ length: 24 }, (_, k) => [10 + k * 10, ...hueToRgb(k * 15)]),
+    [250, 51, 51, 51], [251, 80, 80, 80], [252, 105, 105, 105], [253, 130, 130, 130], [254, 190, 190, 190],
+];
+
+/**
+ * Nearest AutoCAD Color Index for a CSS hex color
+ * @param {string} hex - '#RRGGBB' or '#RGB'
+ * @returns {number} ACI 1-255 (7 when the color cannot be read)
+ */
+export function hexToAci(hex = '') {
+    let value = hex.replace('#', '');
+    if (value.length === 3) value = value.split('').map(c => c + c).join('');
+    if (!/^[0-9a-f]{6}$/i.test(value)) return 7;
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+
+    let best = ACI_COLORS[0];
+    let bestDistance = Infinity;
+    ACI_COLORS.forEach(entry => {
+        const d = (entry[1] - r) ** 2 + (entry[2] - g) ** 2 + (entry[3] - b) ** 2;
+        if (d < bestDistance) {
+            best = entry;
+            bestDistance = d;
+        }
+    });
+    return best[0];
+}
+
+/**
+ * CSS hex color of an AutoCAD Color Index; the tinted steps of the hue ring
+ * read as their full hue
+ * @param {number} index - ACI 1-255
+ * @returns {string|null} '#RRGGBB', or null for BYBLOCK (0), BYLAYER (256) and unknown values
+ */
+export function aciToHex(index) {
+    if (!Number.isInteger(index) || index < 1 || index > 255) return null;
+    const key = index >= 10 && index < 250 ? index - (index % 10) : index;
+    const entry = ACI_COLORS.find(([aci]) => aci === key) || ACI_COLORS[0];
+    return `#${entry.slice(1).map(c => c.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+/**
+ * Write the project plan as DXF.
+ * Plan coordinates (meters, x/y as in detectedRooms and wall start/end) are
+ * scaled to the requested drawing units. Walls become solid outlines broken at
+ * their openings, doors get a leaf and swing, furniture is inserted as one
+ * named block per BOQ code carrying the code as an attribute. Editor
+ * dimensions become DIMENSION entities drawn by anonymous blocks; text,
+ * leaders and room tags are written as plain TEXT, lines and solids.
+ *
+ * @param {Object} project - { cadLayers, cadEntities, cadDimStyles, rooms, walls, furniture, mepHotspots, catalogue }
+ *   `catalogue` maps BOQ codes to { name, rate } for attribute values
+ * @param {Object} options - Overrides for DXF_EXPORT_DEFAULTS
+ * @returns {string} DXF file content
+ */
+export function writeProjectDXF(project, options = {}) {
+    const config = { ...DXF_EXPORT_DEFAULTS, ...options };
+    const units = UNITS[config.units] || UNITS.mm;
+    const {
+        cadLayers = [], cadEntities = [], cadDimStyles = [], rooms = [], walls = [],
+        furniture = [], mepHotspots = [], catalogue = {},
+    } = project;
+
+    const out = new DxfStream(units.factor);
+    const layers = new Map();
+    [...cadLayers, ...EXTRA_LAYERS].forEach(layer => {
+        if (!layers.has(layer.name)) layers.set(layer.name, layer);
+    });
+    const addLayer = (name) => {
+        if (!layers.has(name)) layers.set(name, { name, color: '#FFFFFF', visible: true });
+        return name;
+    };
+
+    // Entities
+    const entities = new DxfStream(units.factor);
+
+    rooms.forEach(room => writeRoom(entities, room, addLayer('A-ZONE'), config));
+    // An imported drawing in the editor already carries its wall linework
+    if (!cadEntities.some(entity => /^dxf-/.test(entity.id || ''))) {
+        walls.forEach(wall => writeWall(entities, wall, addLayer));
+    }
+
+    const blocks = new Map();
+    furniture.forEach(item => {
+        const code = item.itemCode || 'ITEM';
+        const name = blockName(code);
+        if (!blocks.has(name)) blocks.set(name, { name, code, size: furnitureFootprint(code) });
+        writeFurniture(entities, item, name, addLayer('A-FURN'), catalogue[code], config);
+    });
+
+    mepHotspots.forEach(mep => {
+        const layer = addLayer('A-MEP');
+        const p = { x: mep.location?.x ?? 0, y: mep.location?.z ?? 0 };
+        entities.circle(layer, p, config.mepRadius);
+        entities.text(layer, p, config.mepRadius, MEP_TAGS[mep.type] || 'S', { align: 'middle' });
+    });
+
+    // Rooms and walls are written from the model above; the editor's copies of
+    // them would only duplicate that linework
+    const dimensions = [];
+    const hatches = [];
+    const dimStyles = new Map(cadDimStyles.map(style => [symbolName(style.name), style]));
+    resolveAnnotations(cadEntities)
+        .filter(entity => !/^(init-|wall-line-)/.test(entity.id || ''))
+        .forEach(entity => {
+            const layer = addLayer(entity.layer || '0');
+            if (isHatch(entity)) {
+                const block = `*X${hatches.length + 1}`;
+                hatches.push({ block, entity });
+                writeHatchInsert(entities, entity, block, layer, entityColor(entity, layer, layers));
+                return;
+            }
+            if (entity.type !== 'DIMENSION') {
+                writeCadEntity(entities, entity, layer, layers);
+                return;
+            }
+            const style = symbolName(entity.style || 'STANDARD');
+            if (!dimStyles.has(style)) dimStyles.set(style, entity.format);
+            const block = `*D${dimensions.length + 1}`;
+            dimensions.push({ block, entity });
+            writeDimension(entities, entity, block, style, layer, entityColor(entity, layer, layers));
+        });
+    if (!dimStyles.has('STANDARD')) dimStyles.set('STANDARD', styleFormat());
+
+    // Header
+    const extents = entities.extents();
+    out.section('HEADER');
+    out.pair(9, '$ACADVER').pair(1, 'AC1009');
+    out.pair(9, '$INSBASE').point(10, { x: 0, y: 0 });
+    out.pair(9, '$EXTMIN').point(10, extents.min);
+    out.pair(9, '$EXTMAX').point(10, extents.max);
+    out.pair(9, '$INSUNITS').pair(70, units.insUnits);
+    out.endSection();
+
+    // Tables
+    out.section('TABLES');
+    // Dash lengths in drawing units; R12 has no lineweights, so those stay in the editor
+    out.pair(0, 'TABLE').pair(2, 'LTYPE').pair(70, Object.keys(LINETYPES).length);
+    Object.entries(LINETYPES).forEach(([name, { description, pattern }]) => {
+        out.pair(0, 'LTYPE').pair(2, name.toUpperCase()).pair(70, 0).pair(3, description)
+            .pair(72, 65).pair(73, pattern.length)
+            .length(40, pattern.reduce((sum, dash) => sum + Math.abs(dash), 0));
+        pattern.forEach(dash => out.length(49, dash));
+    });
+    out.pair(0, 'ENDTAB');
+
+    out.pair(0, 'TABLE').pair(2, 'LAYER').pair(70, layers.size);
+    layers.forEach(layer => {
+        const color = hexToAci(layer.color);
+        out.pair(0, 'LAYER').pair(2, layer.name).pair(70, (layer.frozen ? 1 : 0) | (layer.locked ? 4 : 0))
+            .pair(62, layer.visible === false ? -color : color).pair(6, linetypeName(layer.linetype) || 'CONTINUOUS');
+    });
+    out.pair(0, 'ENDTAB');
+
+    out.pair(0, 'TABLE').pair(2, 'APPID').pair(70, 2);
+    ['ACAD', DXF_APP_ID].forEach(name => out.pair(0, 'APPID').pair(2, name).pair(70, 0));
+    out.pair(0, 'ENDTAB');
+
+    out.pair(0, 'TABLE').pair(2, 'STYLE').pair(70, 1);
+    out.pair(0, 'STYLE').pair(2, 'STANDARD').pair(70, 0).number(40, 0).number(41, 1)
+        .number(50, 0).pair(71, 0).number(42, 2.5).pair(3, 'txt').pair(4, '');
+    out.pair(0, 'ENDTAB');
+
+    // Sizes in drawing units; DIMLFAC turns them into the style's measuring units
+    out.pair(0, 'TABLE').pair(2, 'DIMSTYLE').pair(70, dimStyles.size);
+    dimStyles.forEach((style, name) => {
+        const format = styleFormat(style);
+        out.pair(0, 'DIMSTYLE').pair(2, name).pair(70, 0)
+            .number(40, 1).length(41, format.arrowSize).length(42, format.extOffset).length(44, format.extBeyond)
+            .length(140, format.textHeight)
+            .number(144, (DIM_UNITS[format.units]?.factor || 1) / units.factor)
+            .length(147, format.textGap);
+    });
+    out.pair(0, 'ENDTAB');
+    out.endSection();
+
+    // Blocks - geometry on layer 0 so inserts take the A-FURN layer
+    out.section('BLOCKS');
+    blocks.forEach(block => {
+        const [w, d] = block.size;
+        out.pair(0, 'BLOCK').pair(8, '0').pair(2, block.name).pair(70, 2)
+            .point(10, { x: 0, y: 0 }).pair(3, block.name);
+        out.polyline('0', [
+            { x: -w / 2, y: -d / 2 }, { x: w / 2, y: -d / 2 },
+            { x: w / 2, y: d / 2 }, { x: -w / 2, y: d / 2 },
+        ], true);
+        out.line('0', { x: -w / 2, y: -d / 2 }, { x: w / 2, y: d / 2 });
+        ATTRIBUTE_TAGS.forEach((attribute, i) => {
+            out.pair(0, 'ATTDEF').pair(8, '0')
+                .point(10, { x: -w / 2, y: -d / 2 - (i + 1) * config.attributeHeight * 1.5 })
+                .length(40, config.attributeHeight)
+                .pair(1, attribute.tag === 'BOQ_CODE' ? block.code : '')
+                .pair(3, attribute.prompt).pair(2, attribute.tag).pair(70, 1);
+        });
+        out.pair(0, 'ENDBLK').pair(8, '0');
+    });
+    // Dimension pictures, on layer 0 so they take the dimension's layer
+    dimensions.forEach(({ block, entity }) => {
+        out.pair(0, 'BLOCK').pair(8, '0').pair(2, block).pair(70, 1)
+            .point(10, { x: 0, y: 0 }).pair(3, block);
+        writeAnnotation(out, entity, '0');
+        out.pair(0, 'ENDBLK').pair(8, '0');
+    });
+    // Hatch pictures, colored by block so they take the insert's color
+    hatches.forEach(({ block, entity }) => {
+        out.pair(0, 'BLOCK').pair(8, '0').pair(2, block).pair(70, 1)
+            .point(10, { x: 0, y: 0 }).pair(3, block);
+        writeHatchPicture(out, entity);
+        out.pair(0, 'ENDBLK').pair(8, '0');
+    });
+    out.endSection();
+
+    out.section('ENTITIES');
+    out.append(entities);
+    out.endSection();
+    out.pair(0, 'EOF');
+
+    return out.toString();
+}
+
+const ATTRIBUTE_TAGS = [
+    { tag: 'BOQ_CODE', prompt: 'BOQ code' },
+    { tag: 'DESCRIPTION', prompt: 'Description' },
+    { tag: 'RATE', prompt: 'Unit rate' },
+    { tag: 'ROOM', prompt: 'Room' },
+];
+
+function writeRoom(out, room, layer, config) {
+    const vertices = room.vertices?.length >= 3 ? room.vertices : boundsRing(room.bounds);
+    if (!vertices) return;
+    out.polyline(layer, vertices, true);
+    (room.holes || []).forEach(hole => out.polyline(layer, hole, true));
+
+    const lines = [room.label, room.roomNumber].filter(Boolean);
+    if (lines.length === 0) return;
+    const center = room.vertices?.length >= 3
+        ? polygonCentroid(room.vertices)
+        : { x: room.bounds.x + room.bounds.width / 2, y: room.bounds.y + room.bounds.height / 2 };
+    lines.forEach((line, i) => out.text(layer, {
+        x: center.x,
+        y: center.y - i * config.textHeight * 1.6,
+    }, config.textHeight * (i === 0 ? 1 : 0.8), line, { align: 'middle' }));
+}
+
+/**
+ * Wall outline as solid pieces between its openings, with door leaves and
+ * swings on A-DOOR and glazing lines on A-GLAZ
+ */
+function writeWall(out, wall, addLayer) {
+    const axis = wallAxis(wall);
+    if (!axis) return;
+    const { start, dir, length, thickness } = axis;
+    const normal = { x: -dir.y, y: dir.x };
+    const at = (t, s) => ({
+        x: start.x + dir.x * t + normal.x * s,
+        y: start.y + dir.y * t + normal.y * s,
+    });
+    const half = thickness / 2;
+
+    const openings = (wall.openings || [])
+        .filter(o => o.width > 0)
+        .sort((a, b) => a.offset - b.offset);
+
+    let cursor = 0;
+    const pieces = [];
+    openings.forEach(o => {
+        const from = Math.max(o.offset, cursor);
+        if (from > cursor) pieces.push([cursor, from]);
+        cursor = Math.max(cursor, Math.min(o.offset + o.width, length));
+    });
+    if (cursor < length) pieces.push([cursor, length]);
+
+    const wallLayer = addLayer(wall.layer && /wall/i.test(wall.layer) ? wall.layer : 'A-WALL');
+    pieces.forEach(([t0, t1]) => {
+        if (t1 - t0 < 1e-4) return;
+        out.polyline(wallLayer, [at(t0, -half), at(t1, -half), at(t1, half), at(t0, half)], true);
+    });
+
+    openings.forEach(o => {
+        const t0 = o.offset;
+        const t1 = Math.min(o.offset + o.width, length);
+        if (o.kind === 'door') {
+            const layer = addLayer('A-DOOR');
+            const hinge = at(t0, half);
+            const angle = Math.atan2(dir.y, dir.x) * 180 / Math.PI;
+            out.line(layer, hinge, at(t0, half + (t1 - t0)));
+            out.arc(layer, hinge, t1 - t0, angle, angle + 90);
+        } else if (o.kind === 'window') {
+            const layer = addLayer('A-GLAZ');
+            out.polyline(layer, [at(t0, -half), at(t1, -half), at(t1, half), at(t0, half)], true);
+            out.line(layer, at(t0, 0), at(t1, 0));
+        }
+    });
+}
+
+/**
+ * Centerline of a wall in plan: detected walls carry start/end, generated
+ * walls only a box (position, dimensions, rotation)
+ */
+function wallAxis(wall) {
+    if (wall.start && wall.end) {
+        const dx = wall.end.x - wall.start.x;
+        const dy = wall.end.y - wall.start.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 1e-6) return null;
+        return {
+            start: wall.start,
+            dir: { x: dx / length, y: dy / length },
+            length,
+            thickness: wall.thickness ?? wall.dimensions?.depth ?? 0.2,
+        };
+    }
+
+    const { width = 0, depth = 0 } = wall.dimensions || {};
+    const alongX = width >= depth;
+    const length = alongX ? width : depth;
+    if (!wall.position || length < 1e-6) return null;
+    // Scene rotation turns about Y, which runs clockwise in plan
+    const angle = -(wall.rotation || 0) + (alongX ? 0 : Math.PI / 2);
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    return {
+        start: { x: wall.position.x - dir.x * length / 2, y: wall.position.z - dir.y * length / 2 },
+        dir,
+        length,
+        thickness: alongX ? depth : width,
+    };
+}
+
+function writeFurniture(out, item, name, layer, entry = {}, config) {
+    const position = { x: item.position?.x ?? 0, y: item.position?.z ?? 0 };
+    const turn = typeof item.rotation === 'number' ? item.rotation : item.rotation?.y || 0;
+    const rotation = -turn * 180 / Math.PI;
+    const [w, d] = furnitureFootprint(item.itemCode);
+    const rate = item.rate ?? entry.rate;
+    const values = {
+        BOQ_CODE: item.itemCode || '',
+        DESCRIPTION: item.itemName || item.name || entry.name || '',
+        RATE: rate !== undefined && rate !== null ? Number(rate).toFixed(3) : '',
+        ROOM: item.roomName || '',
+    };
+
+    out.pair(0, 'INSERT').pair(8, layer).pair(66, 1).pair(2, name)
+        .point(10, position).number(41, 1).number(42, 1).number(43, 1).number(50, rotation);
+
+    // Attribute positions follow the block's ATTDEFs through the insert rotation
+    const cos = Math.cos(rotation * Math.PI / 180);
+    const sin = Math.sin(rotation * Math.PI / 180);
+    ATTRIBUTE_TAGS.forEach((attribute, i) => {
+        const local = { x: -w / 2, y: -d / 2 - (i + 1) * config.attributeHeight * 1.5 };
+        out.pair(0, 'ATTRIB').pair(8, layer)
+            .point(10, {
+                x: position.x + local.x * cos - local.y * sin,
+                y: position.y + local.x * sin + local.y * cos,
+            })
+            .length(40, config.attributeHeight)
+            .pair(1, values[attribute.tag]).pair(2, attribute.tag).pair(70, 1)
+            .number(50, rotation);
+    });
+    out.pair(0, 'SEQEND').pair(8, layer);
+}
+
+// ACI for an entity colored apart from its layer, otherwise null (BYLAYER)
+function entityColor(entity, layer, layers) {
+    const layerColor = layers.get(layer)?.color;
+    return entity.color && entity.color.toLowerCase() !== layerColor?.toLowerCase()
+        ? hexToAci(entity.color)
+        : null;
+}
+
+/**
+ * DXF name of an editor linetype, or null for ByLayer and unknown names
+ */
+function linetypeName(linetype) {
+    return linetype && LINETYPES[linetype] ? linetype.toUpperCase() : null;
+}
+
+function writeCadEntity(out, entity, layer, layers) {
+    const color = { color: entityColor(entity, layer, layers), linetype: linetypeName(entity.linetype) };
+    const points = entity.points || [];
+
+    if (isAnnotation(entity)) {
+        writeAnnotation(out, entity, layer, color);
+        return;
+    }
+
+    if (entity.type === 'LINE' && points.length >= 2) {
+        out.line(layer, points[0], points[1], color);
+    } else if (entity.type === 'POLYLINE' && points.length >= 2) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const closed = points.length > 2 && Math.hypot(first.x - last.x, first.y - last.y) < 1e-6;
+        out.polyline(layer, closed ? points.slice(0, -1) : points, closed, color);
+    } else if (entity.type === 'RECT' && points.length >= 2) {
+        const [a, b] = points;
+        out.polyline(layer, [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }], true, color);
+    } else if (entity.type === 'CIRCLE' && entity.radius > 0) {
+        out.circle(layer, { x: entity.x, y: entity.y }, entity.radius, color);
+    } else if (entity.type === 'ARC' && entity.radius > 0) {
+        out.arc(layer, { x: entity.x, y: entity.y }, entity.radius, entity.startAngle * 180 / Math.PI, entity.endAngle * 180 / Math.PI, color);
+    }
+}
+
+/**
+ * Annotation exploded to lines, arcs, filled arrowheads and TEXT
+ */
+function writeAnnotation(out, entity, layer, color) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    lines.forEach(([a, b]) => out.line(layer, a, b, color));
+    arcs.forEach(arc => out.arc(layer, arc.center, arc.radius, arc.start * 180 / Math.PI, arc.end * 180 / Math.PI, color));
+    arrows.forEach(corners => out.solid(layer, corners, color));
+    texts.forEach(text => out.text(layer, text.position, text.height, text.value, {
+        align: text.align,
+        rotation: text.rotation * 180 / Math.PI,
+        color,
+    }));
+}
+
+/**
+ * DIMENSION entity pointing at its picture block. Definition points follow
+ * the R12 layout for each type, so AutoCAD can regenerate the dimension.
+ */
+function writeDimension(out, entity, block, style, layer, color) {
+    const [first, second, third] = entity.points;
+    const textPoint = annotationGeometry(entity).texts[0]?.position || entity.location;
+    const { location, kind } = entity;
+
+    out.entity('DIMENSION', layer, color).pair(2, block).pair(3, style);
+    if (kind === 'radial' || kind === 'diameter') {
+        // Radial points run from the center towards where the dimension was placed
+        const radius = Math.hypot(second.x - first.x, second.y - first.y);
+        const angle = Math.atan2(location.y - first.y, location.x - first.x);
+        const onCurve = (a) => ({ x: first.x + radius * Math.cos(a), y: first.y + radius * Math.sin(a) });
+        out.point(10, kind === 'radial' ? first : onCurve(angle + Math.PI)).point(11, textPoint)
+            .pair(70, DIMENSION_TYPES[kind]).pair(1, dimensionText(entity))
+            .point(15, onCurve(angle));
+    } else if (kind === 'angular') {
+        out.point(10, location).point(11, textPoint)
+            .pair(70, DIMENSION_TYPES.angular).pair(1, dimensionText(entity))
+            .point(13, second).point(14, third).point(15, first);
+    } else {
+        out.point(10, location).point(11, textPoint)
+            .pair(70, DIMENSION_TYPES[kind] ?? 0).pair(1, dimensionText(entity))
+            .point(13, first).point(14, second);
+        if (kind === 'linear') out.number(50, (entity.rotation || 0) * 180 / Math.PI);
+    }
+}
+
+/**
+ * Hatch insert with the extended data that rebuilds it on import:
+ * "HATCH", PATTERN=, SCALE=, ANGLE= (degrees), FITOUT=, then each ring as
+ * "LOOP" followed by one "x,y" string per vertex in drawing units
+ */
+function writeHatchInsert(out, entity, block, layer, color) {
+    const coordinate = (value) => formatNumber(value * out.factor);
+    const data = [
+        'HATCH',
+        `PATTERN=${entity.pattern}`,
+        `SCALE=${formatNumber(entity.scale || 1)}`,
+        `ANGLE=${formatNumber(((entity.angle || 0) * 180) / Math.PI)}`,
+        ...(entity.fitoutCode ? [`FITOUT=${entity.fitoutCode}`] : []),
+        ...hatchRings(entity).flatMap(ring => ['LOOP', ...ring.map(p => `${coordinate(p.x)},${coordinate(p.y)}`)]),
+    ];
+    out.insert(layer, block, color).xdata(DXF_APP_ID, data);
+}
+
+/**
+ * Pattern lines of a hatch, or trapezoids filling it when it is solid or
+ * too dense to write line by line
+ */
+function writeHatchPicture(out, entity) {
+    const lines = isSolidHatch(entity) ? null : hatchLines(entity);
+    if (lines) lines.forEach(([a, b]) => out.line('0', a, b, BYBLOCK));
+    else hatchTrapezoids(entity).forEach(corners => out.solid('0', corners, BYBLOCK));
+}
+
+function boundsRing(bounds) {
+    if (!bounds) return null;
+    return [
+        { x: bounds.x, y: bounds.y },
+        { x: bounds.x + bounds.width, y: bounds.y },
+        { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+        { x: bounds.x, y: bounds.y + bounds.height },
+    ];
+}
+
+function furnitureFootprint(code = '') {
+    return FURNITURE_FOOTPRINTS.find(entry => entry.pattern.test(code))?.size || [1, 1];
+}
+
+/**
+ * Block name for a BOQ code - DXF symbol names allow letters, digits, $ - _
+ */
+function blockName(code) {
+    return `FURN_${symbolName(code)}`;
+}
+
+function symbolName(name) {
+    return String(name).toUpperCase().replace(/[^A-Z0-9$_-]/g, '_');
+}
+
+function hueToRgb(hue) {
+    const channel = (offset) => {
+        const h = ((hue + offset) % 360 + 360) % 360;
+        if (h < 60) return 255;
+        if (h < 120) return Math.round(255 * (120 - h) / 60);
+        if (h < 240) return 0;
+        if (h < 300) return Math.round(255 * (h - 240) / 60);
+        return 255;
+    };
+    return [channel(0), channel(-120), channel(120)];
+}
+
+/**
+ * Group code / value pairs. Coordinates and lengths given in meters are
+ * scaled to drawing units; extents are tracked for the header.
+ */
+class DxfStream {
+    constructor(factor) {
+        this.factor = factor;
+        this.lines = [];
+        this.min = { x: Infinity, y: Infinity };
+        this.max = { x: -Infinity, y: -Infinity };
+    }
+
+    pair(code, value) {
+        this.lines.push(String(code), encodeValue(value));
+        return this;
+    }
+
+    number(code, value) {
+        return this.pair(code, formatNumber(value));
+    }
+
+    length(code, value) {
+        return this.number(code, value * this.factor);
+    }
+
+    point(code, p) {
+        const x = (p.x ?? 0) * this.factor;
+        const y = (p.y ?? 0) * this.factor;
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            this.min = { x: Math.min(this.min.x, x), y: Math.min(this.min.y, y) };
+            this.max = { x: Math.max(this.max.x, x), y: Math.max(this.max.y, y) };
+        }
+        this.lines.push(String(code), formatNumber(x), String(code + 10), formatNumber(y), String(code + 20), '0.0');
+        return this;
+    }
+
+    // `color` is an ACI, or a { color, linetype } pen for entities styled apart from their layer
+    entity(type, layer, color) {
+        const pen = color !== null && typeof color === 'object' ? color : { color };
+        this.pair(0, type).pair(8, layer);
+        if (pen.linetype) this.pair(6, pen.linetype);
+        if (pen.color !== null && pen.color !== undefined) this.pair(62, pen.color);
+        return this;
+    }
+
+    line(layer, a, b, color) {
+        return this.entity('LINE', layer, color).point(10, a).point(11, b);
+    }
+
+    polyline(layer, points, closed, color) {
+        this.entity('POLYLINE', layer, color).pair(66, 1);
+        // The header's own point is a dummy elevation and never part of the extents
+        this.lines.push('10', '0.0', '20', '0.0', '30', '0.0');
+        this.pair(70, closed ? 1 : 0);
+        points.forEach(p => this.pair(0, 'VERTEX').pair(8, layer).point(10, p));
+        return this.pair(0, 'SEQEND').pair(8, layer);
+    }
+
+    circle(layer, center, radius, color) {
+        return this.entity('CIRCLE', layer, color).point(10, center).length(40, radius);
+    }
+
+    arc(layer, center, radius, startAngle, endAngle, color) {
+        return this.entity('ARC', layer, color).point(10, center).length(40, radius)
+            .number(50, startAngle).number(51, endAngle);
+    }
+
+    // Filled triangle, or quadrilateral given in R12 corner order (the third
+    // and fourth corners swapped against the outline); a triangle repeats its third
+    solid(layer, [a, b, c, d = c], color) {
+        return this.entity('SOLID', layer, color).point(10, a).point(11, b).point(12, c).point(13, d);
+    }
+
+    // Insert at the origin; like a polyline header, its point stays out of the extents
+    insert(layer, block, color) {
+        this.entity('INSERT', layer, color).pair(2, block);
+        this.lines.push('10', '0.0', '20', '0.0', '30', '0.0');
+        return this;
+    }
+
+    // Extended data of one application, as 1000 strings
+    xdata(app, strings) {
+        this.pair(1001, app);
+        strings.forEach(value => this.pair(1000, value));
+        return this;
+    }
+
+    text(layer, position, height, value, { align, rotation, color } = {}) {
+        this.entity('TEXT', layer, color).point(10, position).length(40, height).pair(1, value);
+        if (rotation) this.number(50, rotation);
+        // Aligned text is placed by its second alignment point, vertically centered
+        if (align in TEXT_ALIGN) this.pair(72, TEXT_ALIGN[align]).pair(73, 2).point(11, position);
+        return this;
+    }
+
+    append(other) {
+        this.lines.push(...other.lines);
+        return this;
+    }
+
+    section(name) {
+        return this.pair(0, 'SECTION').pair(2, name);
+    }
+
+    endSection() {
+        return this.pair(0, 'ENDSEC');
+    }
+
+    extents() {
+        if (this.min.x === Infinity) return { min: { x: 0, y: 0 }, max: { x: 0, y: 0 } };
+        return {
+            min: { x: this.min.x / this.factor, y: this.min.y / this.factor },
+            max: { x: this.max.x / this.factor, y: this.max.y / this.factor },
+        };
+    }
+
+    toString() {
+        return `${this.lines.join('\r\n')}\r\n`;
+    }
+}
+
+function formatNumber(value) {
+    if (!Number.isFinite(value)) return '0.0';
+    const rounded = Math.round(value * 1e6) / 1e6;
+    return Number.isInteger(rounded) ? `${rounded}.0` : String(rounded);
+}
+
+/**
+ * Single-line ASCII value; other characters use the \U+XXXX escape
+ */
+function encodeValue(value) {
+    return String(value ?? '')
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/[^\x20-\x7E]/g, c => `\\U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+export default {
+    DXF_APP_ID,
+    writeProjectDXF,
+    hexToAci,
+    aciToHex,
+    DXF_EXPORT_DEFAULTS,
+};
@@ -8,6 +8,11 @@ import PptxGenJS from 'pptxgenjs';
 import ExcelJS from 'exceljs';
 import { saveAs } from 'file-saver';
 import { useBOQStore, useProjectStore, useSurveyorStore, useUIStore } from '../store';
+import { priceItems, itemSection, rateCatalogue } from './rateLibrary';
+import { computeTaxes, currencyDecimals, formatAmount, formatMoney, taxLabel } from './pricing';
+import { writeProjectDXF } from './dxfWriter';
+import { writePlanPDF } from './pdfWriter';
+import { TAKEOFF_ELEMENTS } from './quantityTakeoff';
 
 // ============================================================================
 // Brand Colors & Styling
@@ -59,6 +64,31 @@ const isValidBase64Image = (data) => {
     return data.startsWith('data:image/');
 };
 
+/**
+ * BOQ lines to export - the placed items, or the generated BOQ when nothing
+ * is placed - priced from the rate library, in the project currency
+ */
+async function pricedBOQItems(nanoBananaData) {
+    const boqStore = useBOQStore.getState();
+    const items = boqStore.selectedItems.length > 0
+        ? boqStore.selectedItems
+        : (nanoBananaData.boqItems || []);
+    const priced = priceItems(await boqStore.getRateLibrary(), items);
+    boqStore.reportUnknownCodes(priced.unknownCodes);
+    return priced.items.map(item => ({
+        ...item,
+        rate: boqStore.convert(item.rate || 0, item.currency),
+        currency: boqStore.project.currency,
+    }));
+}
+
+// Excel number format for amounts in a currency: #,##0.000 "OMR"
+const currencyNumFmt = (currency, withCode = true) => {
+    const decimals = currencyDecimals(currency);
+    const number = decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+    return withCode ? `${number} "${currency}"` : number;
+};
+
 // ============================================================================
 // Generate Complete 10-Slide PPTX
 // ============================================================================
@@ -73,9 +103,7 @@ export async function generateCompletePPTX() {
             boqItems: [],
             cameraPresets: []
         };
-        const selectedItems = useBOQStore.getState().selectedItems.length > 0
-            ? useBOQStore.getState().selectedItems
-            : (nanoBananaData.boqItems || []);
+        const selectedItems = await pricedBOQItems(nanoBananaData);
         const detectedRooms = useProjectStore.getState().rooms3D.length > 0
             ? useProjectStore.getState().rooms3D
             : (useProjectStore.getState().detectedRooms || []);
@@ -580,8 +608,8 @@ export async function generateCompletePPTX() {
             { text: 'Description', options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary } },
             { text: 'UOM', options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary } },
             { text: 'Qty', options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary, align: 'center' } },
-            { text: 'Rate', options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary, align: 'right' } },
-            { text: 'Amount', options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary, align: 'right' } },
+            { text: `Rate (${project.currency})`, options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary, align: 'right' } },
+            { text: `Amount (${project.currency})`, options: { bold: true, fill: { color: '1E293B' }, color: BRAND_COLORS.primary, align: 'right' } },
         ];
 
         const boqRows = selectedItems.slice(0, 8).map(item => [
@@ -589,8 +617,8 @@ export async function generateCompletePPTX() {
             { text: sanitize(item.name || item.description || 'Item') },
             { text: sanitize(item.unit || 'Nos.') },
             { text: sanitize(String(item.quantity || 1)), options: { align: 'center' } },
-            { text: sanitize((item.rate || 0).toFixed(2)), options: { align: 'right' } },
-            { text: sanitize(((item.rate || 0) * (item.quantity || 1)).toFixed(2)), options: { align: 'right' } },
+            { text: sanitize(formatAmount(item.rate || 0, project.currency)), options: { align: 'right' } },
+            { text: sanitize(formatAmount((item.rate || 0) * (item.quantity || 1), project.currency)), options: { align: 'right' } },
         ]);
 
         slide9.addTable([boqHeader, ...boqRows], {
@@ -629,7 +657,7 @@ export async function generateCompletePPTX() {
                 color: BRAND_COLORS.text,
             });
 
-            slide10.addText(`${sanitize((item.value || 0).toFixed(3))} OMR`, {
+            slide10.addText(sanitize(formatMoney(item.value, surveyor.currency)), {
                 x: 6, y: 1.5 + (i * 0.6), w: 2, h: 0.4,
                 fontSize: 14, fontFace: FONTS.mono,
                 color: BRAND_COLORS.text, align: 'right',
@@ -649,23 +677,27 @@ export async function generateCompletePPTX() {
             color: BRAND_COLORS.text,
         });
 
-        slide10.addText(`${(surveyor.totalCost || 0).toFixed(3)} OMR`, {
+        slide10.addText(formatMoney(surveyor.totalCost, surveyor.currency), {
             x: 6, y: 4.2, w: 2, h: 0.4,
             fontSize: 14, fontFace: FONTS.mono,
             color: BRAND_COLORS.text, align: 'right',
         });
 
-        // VAT
-        slide10.addText('VAT (5%)', {
-            x: 2, y: 4.7, w: 4, h: 0.4,
-            fontSize: 14, fontFace: FONTS.primary,
-            color: BRAND_COLORS.warning,
-        });
+        // Taxes, one line per rule; more than two share the space
+        const taxes = surveyor.taxes || [];
+        const taxRowH = Math.min(0.5, 1 / Math.max(taxes.length, 1));
+        taxes.forEach((tax, i) => {
+            slide10.addText(sanitize(taxLabel(tax)), {
+                x: 2, y: 4.7 + (i * taxRowH), w: 4, h: taxRowH,
+                fontSize: taxes.length > 2 ? 10 : 14, fontFace: FONTS.primary,
+                color: BRAND_COLORS.warning,
+            });
 
-        slide10.addText(`${((surveyor.totalCost || 0) * 0.05).toFixed(3)} OMR`, {
-            x: 6, y: 4.7, w: 2, h: 0.4,
-            fontSize: 14, fontFace: FONTS.mono,
-            color: BRAND_COLORS.warning, align: 'right',
+            slide10.addText(formatMoney(tax.amount, surveyor.currency), {
+                x: 6, y: 4.7 + (i * taxRowH), w: 2, h: taxRowH,
+                fontSize: taxes.length > 2 ? 10 : 14, fontFace: FONTS.mono,
+                color: BRAND_COLORS.warning, align: 'right',
+            });
         });
 
         // Grand Total Box
@@ -681,7 +713,7 @@ export async function generateCompletePPTX() {
             color: BRAND_COLORS.success, valign: 'middle',
         });
 
-        slide10.addText(`${(surveyor.grandTotal || 0).toFixed(3)} OMR`, {
+        slide10.addText(formatMoney(surveyor.grandTotal, surveyor.currency), {
             x: 5, y: 5.4, w: 2.8, h: 0.6,
             fontSize: 22, fontFace: FONTS.mono, bold: true,
             color: BRAND_COLORS.success, align: 'right', valign: 'middle',
@@ -707,9 +739,7 @@ export async function generateCompletePPTX() {
 export async function exportBOQToExcel() {
     const project = useBOQStore.getState().project;
     const nanoBananaData = useProjectStore.getState().nanoBananaData || {};
-    const selectedItems = useBOQStore.getState().selectedItems.length > 0
-        ? useBOQStore.getState().selectedItems
-        : (nanoBananaData.boqItems || []);
+    const selectedItems = await pricedBOQItems(nanoBananaData);
     const detectedRooms = useProjectStore.getState().rooms3D.length > 0
         ? useProjectStore.getState().rooms3D
         : (useProjectStore.getState().detectedRooms || []);
@@ -766,7 +796,7 @@ export async function exportBOQToExcel() {
         const valCell = summarySheet.getCell(`B${row}`);
         valCell.value = value;
         if (isCurrency) {
-            valCell.numFmt = '#,##0.000 "OMR"';
+            valCell.numFmt = currencyNumFmt(surveyor.currency);
             valCell.font = { bold: true };
         }
     };
@@ -784,8 +814,22 @@ export async function exportBOQToExcel() {
     addDataRow(currentRow++, "Total BOQ Items", selectedItems.length);
     addDataRow(currentRow++, "Floor Area", (surveyor.floorArea || 0), true);
     summarySheet.getCell(`B${currentRow - 1}`).numFmt = '#,##0.00 "m²"';
-    addDataRow(currentRow++, "Wall Area", (surveyor.wallArea || 0), true);
+    addDataRow(currentRow++, "Wall Finishes", (surveyor.wallArea || 0), true);
+    summarySheet.getCell(`B${currentRow - 1}`).numFmt = '#,##0.00 "m²"';
+    addDataRow(currentRow++, "Ceiling Area", (surveyor.ceilingArea || 0), true);
     summarySheet.getCell(`B${currentRow - 1}`).numFmt = '#,##0.00 "m²"';
+    addDataRow(currentRow++, "Skirting", (surveyor.skirtingLength || 0), true);
+    summarySheet.getCell(`B${currentRow - 1}`).numFmt = '#,##0.00 "m"';
+
+    if (surveyor.levelBreakdown?.length > 1) {
+        currentRow++;
+        addSectionHeader(currentRow++, "Levels");
+        surveyor.levelBreakdown.forEach(level => {
+            addDataRow(currentRow++, `${level.name} (+${level.elevation.toFixed(2)} m)`,
+                `${level.floorArea.toFixed(2)} m² floor, ${level.wallArea.toFixed(2)} m² wall, ${level.mepCount} MEP points`);
+            addDataRow(currentRow++, `${level.name} Subtotal`, level.totalCost, true);
+        });
+    }
 
     currentRow++;
     addSectionHeader(currentRow++, "Financial Breakdown");
@@ -793,6 +837,7 @@ export async function exportBOQToExcel() {
     addDataRow(currentRow++, "Labor Cost (35%)", (surveyor.laborCost || 0), true);
     addDataRow(currentRow++, "MEP Systems", (surveyor.mepCost || 0), true);
     addDataRow(currentRow++, "Furniture & Equipment", (surveyor.furnitureCost || 0), true);
+    (surveyor.taxes || []).forEach(tax => addDataRow(currentRow++, taxLabel(tax), tax.amount, true));
 
     currentRow++;
     const totalRow = summarySheet.getRow(currentRow);
@@ -804,7 +849,7 @@ export async function exportBOQToExcel() {
 
     const totalValCell = summarySheet.getCell(`B${currentRow}`);
     totalValCell.value = (surveyor.grandTotal || 0);
-    totalValCell.numFmt = '#,##0.000 "OMR"';
+    totalValCell.numFmt = currencyNumFmt(surveyor.currency);
     totalValCell.font = { size: 16, bold: true, color: { argb: 'FF10B981' } };
     totalValCell.alignment = { vertical: 'middle', horizontal: 'right' };
 
@@ -822,8 +867,8 @@ export async function exportBOQToExcel() {
         { header: 'Category', key: 'cat', width: 20 },
         { header: 'Unit', key: 'unit', width: 12 },
         { header: 'Qty', key: 'qty', width: 10 },
-        { header: 'Rate (OMR)', key: 'rate', width: 18 },
-        { header: 'Total (OMR)', key: 'total', width: 22 },
+        { header: `Rate (${project.currency})`, key: 'rate', width: 18 },
+        { header: `Total (${project.currency})`, key: 'total', width: 22 },
     ];
 
     // Style Headers
@@ -861,8 +906,8 @@ export async function exportBOQToExcel() {
 
         // Apply alignment and number formats
         row.getCell(4).alignment = { wrapText: true, vertical: 'top' }; // Description wrap
-        row.getCell(8).numFmt = '#,##0.000';
-        row.getCell(9).numFmt = '#,##0.000';
+        row.getCell(8).numFmt = currencyNumFmt(project.currency, false);
+        row.getCell(9).numFmt = currencyNumFmt(project.currency, false);
         row.getCell(9).font = { bold: true };
 
         // Zebra stripes
@@ -881,19 +926,90 @@ export async function exportBOQToExcel() {
 
     const subtotalRow = boqSheet.addRow(['', '', '', '', '', '', 'SUBTOTAL', '', subtotal]);
     subtotalRow.font = { bold: true };
-    subtotalRow.getCell(9).numFmt = '#,##0.000';
+    subtotalRow.getCell(9).numFmt = currencyNumFmt(project.currency, false);
     subtotalRow.getCell(7).value = totalQty;
 
-    const vatRow = boqSheet.addRow(['', '', '', '', '', '', 'VAT (5%)', '', subtotal * 0.05]);
-    vatRow.font = { bold: true, color: { argb: 'FFF59E0B' } };
-    vatRow.getCell(9).numFmt = '#,##0.000';
+    const library = useBOQStore.getState().rateLibrary;
+    const taxes = computeTaxes(selectedItems.map(item => ({
+        section: itemSection(item, library),
+        amount: (item.rate || 0) * (item.quantity || 1),
+    })), project.taxRules);
+    taxes.forEach(tax => {
+        const taxRow = boqSheet.addRow(['', '', '', '', '', '', taxLabel(tax), '', tax.amount]);
+        taxRow.font = { bold: true, color: { argb: 'FFF59E0B' } };
+        taxRow.getCell(9).numFmt = currencyNumFmt(project.currency, false);
+    });
 
-    const grandTotalRow = boqSheet.addRow(['', '', '', '', '', '', 'GRAND TOTAL', '', subtotal * 1.05]);
+    const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+    const grandTotalRow = boqSheet.addRow(['', '', '', '', '', '', 'GRAND TOTAL', '', subtotal + taxTotal]);
     grandTotalRow.height = 25;
     grandTotalRow.font = { bold: true, size: 12, color: { argb: 'FF10B981' } };
-    grandTotalRow.getCell(9).numFmt = '#,##0.000';
+    grandTotalRow.getCell(9).numFmt = currencyNumFmt(project.currency, false);
     grandTotalRow.getCell(9).border = { top: { style: 'thin' }, bottom: { style: 'double' } };
 
+    // ========================================================================
+    // 📐 Quantity Takeoff Worksheet
+    // ========================================================================
+    if (surveyor.takeoffLines?.length > 0) {
+        const qtoSheet = workbook.addWorksheet('Quantity Takeoff');
+        const multiLevel = surveyor.takeoffRooms.some(room => room.level);
+        const styleHeader = (row) => {
+            row.height = 25;
+            row.eachCell((cell) => {
+                cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: primaryColor } };
+                cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+            });
+        };
+
+        qtoSheet.columns = [
+            { width: 12 }, { width: 28 }, { width: 28 }, { width: 14 }, { width: 8 },
+            { width: 24 }, { width: 14 }, { width: 10 }, { width: 80 },
+        ];
+
+        // Rooms
+        styleHeader(qtoSheet.addRow(['Room', 'Name', 'Type', 'Floor m²', 'Doors', 'Finishes', 'Walls m²', 'Skirting m', 'Ceiling']));
+        surveyor.takeoffRooms.forEach(room => {
+            const row = qtoSheet.addRow([
+                room.id,
+                multiLevel ? `${room.level} - ${room.name}` : room.name,
+                room.type || '-',
+                room.floorArea,
+                room.doorCount,
+                `${room.finishes.floor} / ${room.finishes.wall}`,
+                room.wallArea,
+                room.skirtingLength,
+                room.ceilingHeight
+                    ? `${room.finishes.ceiling}, ${room.ceilingArea.toFixed(2)} m² at ${room.ceilingHeight.toFixed(2)} m`
+                    : room.finishes.ceiling,
+            ]);
+            [4, 7, 8].forEach(col => { row.getCell(col).numFmt = '#,##0.00'; });
+        });
+
+        // Lines, each with the geometry it was measured from
+        qtoSheet.addRow([]);
+        styleHeader(qtoSheet.addRow(['Line', 'Element', 'Type', 'Quantity', 'Unit', 'Room', 'Wall', 'Face', 'Measured From']));
+        surveyor.takeoffLines.forEach((line, i) => {
+            const row = qtoSheet.addRow([
+                line.id,
+                TAKEOFF_ELEMENTS[line.element]?.label || line.element,
+                line.code ? `${line.code} ${line.type}` : line.type,
+                line.quantity,
+                line.unit,
+                multiLevel && line.level ? `${line.level} - ${line.room || '-'}` : line.room || '-',
+                line.wallId || '-',
+                line.face || '-',
+                line.basis,
+            ]);
+            row.getCell(4).numFmt = line.unit === 'No.' ? '0' : '#,##0.000';
+            if (i % 2 === 1) {
+                row.eachCell((cell) => {
+                    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF1F5F9' } };
+                });
+            }
+        });
+    }
+
     // ========================================================================
     // Export
     // ========================================================================
@@ -1021,9 +1137,101 @@ export async function exportMoodboardPDF() {
     return { success: true, fileName };
 }
 
+// ============================================================================
+// CAD Export (DXF)
+// ============================================================================
+
+const LOCAL_BRIDGE_URL = 'http://localhost:5001';
+
+/**
+ * Export the active level's plan as a DXF for the drafters.
+ * The file is downloaded and, when the local bridge is running, also saved to
+ * its conversions folder.
+ * @param {Object} options - dxfWriter options, e.g. { units: 'm' }
+ */
+export async function exportProjectDXF(options = {}) {
+    const state = useProjectStore.getState();
+    const project = useBOQStore.getState().project;
+
+    if (!state.detectedRooms.length && !state.walls3D.length && !state.cadEntities.length) {
+        throw new Error('No plan to export. Analyze a floor plan or draw in the CAD editor first.');
+    }
+
+    const level = state.levels.find(l => l.id === state.activeLevelId);
+    const boqStore = useBOQStore.getState();
+    const library = await boqStore.getRateLibrary();
+
+    // Rate attributes are written in the project currency
+    const catalogue = Object.fromEntries(Object.entries(rateCatalogue(library))
+        .map(([code, entry]) => [code, { ...entry, rate: boqStore.convert(entry.rate, library.currency) }]));
+    const furniture = state.placedFurniture.map(item => (item.rate === undefined || item.rate === null
+        ? item
+        : { ...item, rate: boqStore.convert(item.rate, item.currency || library.currency) }));
+
+    const content = writeProjectDXF({
+        cadLayers: state.cadLayers,
+        cadEntities: state.cadEntities,
+        cadDimStyles: state.cadDimStyles,
+        rooms: state.detectedRooms,
+        walls: state.walls3D,
+        furniture,
+        mepHotspots: state.mepHotspots,
+        catalogue,
+    }, options);
+
+    const baseName = [project.name || 'Project', state.levels.length > 1 ? level?.name : null]
+        .filter(Boolean).join('_').replace(/[^\w-]+/g, '_');
+    const fileName = `${baseName}_${new Date().toISOString().split('T')[0]}.dxf`;
+    saveAs(new Blob([content], { type: 'application/dxf' }), fileName);
+
+    let savedToBridge = false;
+    try {
+        const response = await fetch(`${LOCAL_BRIDGE_URL}/api/save-dxf`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: fileName, content: btoa(content) }),
+        });
+        savedToBridge = response.ok;
+    } catch (error) {
+        console.warn('[Export] DXF not saved to local bridge (Bridge might not be running):', error.message);
+    }
+
+    return { success: true, fileName, savedToBridge };
+}
+
+/**
+ * Plot the CAD editor drawing, with its dimensions and room tags, to a PDF sheet
+ * @param {Object} options - pdfWriter options, e.g. { paper: 'A1', scale: 50 }
+ */
+export async function exportTechnicalPDF(options = {}) {
+    const state = useProjectStore.getState();
+    const project = useBOQStore.getState().project;
+
+    if (!state.cadEntities.length) {
+        throw new Error('No drawing to plot. Analyze a floor plan or draw in the CAD editor first.');
+    }
+
+    const level = state.levels.find(l => l.id === state.activeLevelId);
+    const { content, scale, paper } = writePlanPDF({
+        cadLayers: state.cadLayers,
+        cadEntities: state.cadEntities,
+        title: project.name || 'Project',
+        subtitle: [state.levels.length > 1 ? level?.name : null, 'Floor Plan'].filter(Boolean).join(' - '),
+    }, options);
+
+    const baseName = [project.name || 'Project', state.levels.length > 1 ? level?.name : null]
+        .filter(Boolean).join('_').replace(/[^\w-]+/g, '_');
+    const fileName = `${baseName}_Plan_${new Date().toISOString().split('T')[0]}.pdf`;
+    saveAs(new Blob([content], { type: 'application/pdf' }), fileName);
+
+    return { success: true, fileName, scale, paper };
+}
+
 export default {
     generateCompletePPTX,
     exportBOQToExcel,
     exportRendersGallery,
-    exportMoodboardPDF
+    exportMoodboardPDF,
+    exportProjectDXF,
+    exportTechnicalPDF
 };
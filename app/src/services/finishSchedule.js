@@ -0,0 +1,144 @@
+/**
+ * Design & Build - Finishes Schedule
+ * Floor, wall, ceiling and skirting finishes per room, and per wall face
+ * within a room, picked from the rate library's fit-out codes. The quantity
+ * takeoff measures each surface under its finish; coded finishes become
+ * fit-out BOQ lines at the measured quantity and are drawn in the 3D view
+ * in their material_textures colour.
+ *
+ * A level's schedule: { [roomId]: { floor?, wall?, ceiling?, skirting?, faces?: { [faceKey]: code } } }
+ */
+
+import { resolveItem } from './rateLibrary.js';
+import { roomFinishes, roomContains } from './quantityTakeoff.js';
+import { openRing, polygonCentroid } from '../utils/geometry.js';
+
+// Surfaces a finish is scheduled for; `categories` are the library's fit-out
+// categories offered first, `unit` the unit the surface is measured in
+export const FINISH_SURFACES = {
+    floor: { label: 'Floor', element: 'floor', categories: ['Floor Finishes'], unit: 'm2' },
+    wall: { label: 'Walls', element: 'wall-face', categories: ['Wall Finishes'], unit: 'm2' },
+    ceiling: { label: 'Ceiling', element: 'ceiling', categories: ['Ceiling'], unit: 'm2' },
+    skirting: { label: 'Skirting', element: 'skirting', categories: ['Skirting'], unit: 'm' },
+};
+
+const unitKey = (unit) => String(unit || '').toLowerCase().replace('²', '2').trim();
+
+/**
+ * Fit-out codes a surface can take: those measured in its unit, the
+ * surface's own categories first
+ * @returns {Object} { suggested: [], other: [] } library items
+ */
+export function finishOptions(library, surface) {
+    const spec = FINISH_SURFACES[surface];
+    const items = (library?.items || [])
+        .filter(item => item.section === 'fitout' && unitKey(item.unit) === spec.unit);
+    return {
+        suggested: items.filter(item => spec.categories.includes(item.category)),
+        other: items.filter(item => !spec.categories.includes(item.category)),
+    };
+}
+
+/**
+ * Render material of a finish code from the library's material_textures
+ * @param {Object} materials - material_textures: { group: { code: { name, color, roughness, metalness, opacity? } } }
+ * @returns {Object|null}
+ */
+export function finishMaterial(materials, code) {
+    if (!code) return null;
+    for (const group of Object.values(materials || {})) {
+        if (group?.[code]) return group[code];
+    }
+    return null;
+}
+
+/**
+ * Display name of a scheduled finish: the library name of a code, or the description as is
+ */
+export function finishName(library, value) {
+    return resolveItem(library, value)?.name || value;
+}
+
+/**
+ * Schedule with one surface of a room set, or cleared with an empty value
+ */
+export function assignRoomFinish(schedule = {}, roomId, surface, value) {
+    const rest = Object.fromEntries(Object.entries(schedule[roomId] || {}).filter(([k]) => k !== surface));
+    return { ...schedule, [roomId]: value ? { ...rest, [surface]: value } : rest };
+}
+
+/**
+ * Schedule with one wall face of a room set, or back to the room's wall finish
+ */
+export function assignFaceFinish(schedule = {}, roomId, key, value) {
+    const entry = schedule[roomId] || {};
+    const faces = Object.fromEntries(Object.entries(entry.faces || {}).filter(([k]) => k !== key));
+    return { ...schedule, [roomId]: { ...entry, faces: value ? { ...faces, [key]: value } : faces } };
+}
+
+/**
+ * Whether a fit-out hatch lies in a room whose floor is measured under the
+ * hatch's own library code. The floor is then priced as a finish, not as the hatch.
+ * @param {Object} hatch - HATCH entity
+ * @param {Array} rooms - Analysed rooms of the hatch's level
+ * @param {Object} schedule - Finishes schedule of the level
+ * @param {Object} library - Rate library both codes resolve in
+ */
+export function isScheduledHatch(hatch, rooms = [], schedule = {}, library = null) {
+    const outline = openRing(hatch.points || []);
+    const code = resolveItem(library, hatch.fitoutCode)?.code;
+    if (!code || outline.length < 3) return false;
+    const centre = polygonCentroid(outline);
+    const room = rooms.find(r => roomContains(r, centre));
+    if (!room) return false;
+    const floor = resolveItem(library, roomFinishes(room, schedule[room.id]).floor);
+    return floor?.section === 'fitout' && floor.code === code;
+}
+
+/**
+ * Fit-out BOQ items for the coded finishes of a takeoff: one item per code
+ * and level, its quantity the measured total
+ * @param {Array} lines - Takeoff lines
+ * @param {Object} library - Rate library the codes are priced from
+ * @param {string|null} levelId - Level of lines that carry none
+ * @returns {Array} BOQ items with `source: 'finish'`
+ */
+export function finishItems(lines, library, levelId = null) {
+    const totals = new Map();
+    lines.filter(line => line.code).forEach(line => {
+        const lineLevel = line.levelId ?? levelId;
+        const key = `${lineLevel ?? 'plan'}-${line.code}`;
+        const total = totals.get(key) || { code: line.code, levelId: lineLevel, quantity: 0, rooms: new Set() };
+        total.quantity += line.quantity;
+        if (line.room) total.rooms.add(line.room);
+        totals.set(key, total);
+    });
+
+    return [...totals.entries()].map(([key, total]) => {
+        const item = resolveItem(library, total.code);
+        return {
+            id: `finish-${key}`,
+            itemCode: total.code,
+            name: item?.name || total.code,
+            description: `Measured in ${[...total.rooms].join(', ')}`,
+            category: item?.category,
+            rate: item?.rate || 0,
+            currency: library?.currency,
+            quantity: Math.round(total.quantity * 100) / 100,
+            unit: item?.unit,
+            source: 'finish',
+            levelId: total.levelId,
+        };
+    });
+}
+
+export default {
+    FINISH_SURFACES,
+    finishOptions,
+    finishMaterial,
+    finishName,
+    assignRoomFinish,
+    assignFaceFinish,
+    isScheduledHatch,
+    finishItems,
+};
@@ -4,7 +4,10 @@
  * Analyzes uploaded sketches, PDFs, and images to extract room data
  */
 
-import { isGeminiConfigured, getGeminiEndpoint, GEMINI_CONFIG, ROOM_TYPES, FURNITURE_LIBRARY } from '../config/api.js';
+import { isGeminiConfigured, getGeminiEndpoint, GEMINI_CONFIG, ROOM_TYPES } from '../config/api.js';
+import { priceLine } from './rateLibrary.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+import { pointInPolygon, distancePointToSegment, polygonCentroid, openRing } from '../utils/geometry.js';
 
 /**
  * Convert file to base64 for API upload
@@ -359,10 +362,15 @@ async function enhancedHeuristicAnalysis(file) {
 
 /**
  * Calculate auto-furnishing based on detected rooms
+ * @param {Array} rooms
+ * @param {Object} library - Rate library the furniture codes are priced from
+ * @returns {Object} { furnishingPlan, boqItems, summary, unknownCodes } - amounts
+ *   in the library's currency; taxes are applied by the BOQ
  */
-export function calculateAutoFurnishing(rooms) {
+export function calculateAutoFurnishing(rooms, library) {
     const furnishingPlan = [];
     const boqItems = [];
+    const unknownCodes = new Set();
 
     rooms.forEach(room => {
         const roomConfig = ROOM_TYPES[room.type];
@@ -379,9 +387,6 @@ export function calculateAutoFurnishing(rooms) {
         const defaultFurniture = roomConfig.defaultFurniture || [];
 
         defaultFurniture.forEach(code => {
-            const furniture = FURNITURE_LIBRARY[code];
-            if (!furniture) return;
-
             let quantity = 1;
 
             // Special quantity calculations
@@ -392,15 +397,18 @@ export function calculateAutoFurnishing(rooms) {
                 quantity = Math.min(12, Math.ceil(room.area / 4));
             }
 
+            const line = priceLine(library, code, quantity, { unit: 'Nos.' });
+            if (line.unknown) unknownCodes.add(code);
+
             const item = {
                 roomId: room.id,
                 roomName: room.label,
-                code,
-                name: furniture.name,
+                code: line.code,
+                name: line.name,
                 quantity,
-                uom: 'Nos.',
-                rate: furniture.rate,
-                amount: quantity * furniture.rate,
+                uom: line.unit,
+                rate: line.rate,
+                amount: line.amount,
             };
 
             boqItems.push(item);
@@ -417,16 +425,50 @@ export function calculateAutoFurnishing(rooms) {
         boqItems,
         summary: {
             subtotal,
-            vat: subtotal * 0.05,
-            total: subtotal * 1.05,
+            currency: library?.currency || BASE_CURRENCY,
             itemCount: boqItems.length,
             roomCount: furnishingPlan.length,
         },
+        unknownCodes: [...unknownCodes],
     };
 }
 
+// Clearance (meters) kept between placed furniture and a room's walls
+const FURNITURE_CLEARANCE = 0.5;
+const SLOT_STEP = 0.5;
+
+/**
+ * Free spots of a polygon room: a grid over its floor, clear of its walls
+ * and holes. Returns a test for one point and the spot nearest any point.
+ */
+function roomFloorSlots(room) {
+    const outline = openRing(room.vertices);
+    const holes = (room.holes || []).map(hole => openRing(hole));
+    const edges = [outline, ...holes].flatMap(ring => ring.map((a, i) => [a, ring[(i + 1) % ring.length]]));
+
+    const isFree = (p) => pointInPolygon(p, outline) &&
+        !holes.some(hole => pointInPolygon(p, hole)) &&
+        edges.every(([a, b]) => distancePointToSegment(p, a, b) >= FURNITURE_CLEARANCE);
+
+    const { bounds } = room;
+    const slots = [];
+    for (let x = bounds.x + FURNITURE_CLEARANCE; x <= bounds.x + bounds.width; x += SLOT_STEP) {
+        for (let y = bounds.y + FURNITURE_CLEARANCE; y <= bounds.y + bounds.height; y += SLOT_STEP) {
+            if (isFree({ x, y })) slots.push({ x, y });
+        }
+    }
+
+    const nearest = (p) => slots.reduce((best, slot) => (
+        !best || Math.hypot(slot.x - p.x, slot.y - p.y) < Math.hypot(best.x - p.x, best.y - p.y) ? slot : best
+    ), null) || polygonCentroid(outline);
+
+    return { isFree, nearest };
+}
+
 /**
- * Generate 3D furniture placements for the scene
+ * Generate 3D furniture placements for the scene. Rooms with an outline
+ * keep their furniture inside it; a spot that falls outside (e.g. in the
+ * notch of an L-shaped room) moves to the nearest free one.
  */
 export function generate3DPlacements(furnishingPlan, rooms) {
     const placements = [];
@@ -437,8 +479,9 @@ export function generate3DPlacements(furnishingPlan, rooms) {
         if (!room) return;
 
         const bounds = room.bounds;
+        const floor = room.vertices?.length >= 3 ? roomFloorSlots(room) : null;
 
-        roomPlan.items.forEach((item, itemIndex) => {
+        roomPlan.items.forEach((item) => {
             for (let i = 0; i < item.quantity; i++) {
                 // Calculate grid position within room
                 const gridX = i % 4;
@@ -448,17 +491,19 @@ export function generate3DPlacements(furnishingPlan, rooms) {
                 const offsetX = bounds.x + 2 + gridX * spacing;
                 const offsetZ = bounds.y + 2 + gridZ * spacing;
 
+                let spot = {
+                    x: Math.min(offsetX, bounds.x + bounds.width - 1),
+                    y: Math.min(offsetZ, bounds.y + bounds.height - 1),
+                };
+                if (floor && !floor.isFree(spot)) spot = floor.nearest(spot);
+
                 placements.push({
                     id: `furniture-${placementIndex++}`,
                     itemCode: item.code,
                     itemName: item.name,
                     roomId: room.id,
                     roomName: room.label,
-                    position: {
-                        x: Math.min(offsetX, bounds.x + bounds.width - 1),
-                        y: 0,
-                        z: Math.min(offsetZ, bounds.y + bounds.height - 1),
-                    },
+                    position: { x: spot.x, y: 0, z: spot.y },
                     rotation: { x: 0, y: 0, z: 0 },
                     scale: { x: 1, y: 1, z: 1 },
                 });
@@ -0,0 +1,264 @@
+/**
+ * Design & Build - Building Level Detection
+ * Splits one drawing into building levels when it holds several floor plans
+ * side by side (or one per paper-space layout), names them from their title
+ * text and moves them onto a common origin so they stack in 3D.
+ */
+
+import { cleanDrawingText } from './roomLabels.js';
+
+export const LEVEL_DETECTION_DEFAULTS = {
+    regionGap: 4,             // m - clear space that separates two plans
+    minShare: 0.2,            // plan extent relative to the largest plan to count as a level
+    minWalls: 6,              // walls a plan needs to count as a level
+};
+
+const LEVEL_TEXT_PATTERN = /\b(?:basement|cellar|lower\s+ground|ground|mezzanine|roof|podium|(?:\d+(?:st|nd|rd|th)|first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)\s+(?:floor|level|storey)|(?:floor|level|storey|lvl)\s*-?\d+|GF)\b/i;
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+/**
+ * Storey index a level name refers to: basement -1, ground 0, first 1 ...
+ * @param {string} name - e.g. "Ground Floor", "LEVEL 03", "B2", "2nd Floor Plan"
+ * @returns {number|null} Index, or null when the name says nothing about height
+ */
+export function floorIndexFromName(name = '') {
+    const text = name.toLowerCase();
+    let match;
+
+    if ((match = text.match(/\bb(\d{1,2})\b/)) || (match = text.match(/\bbasement\s*(\d{1,2})\b/))) return -Number(match[1]);
+    if (/\b(?:basement|cellar|lower\s+ground)\b/.test(text)) return -1;
+    if (/\bground\b|\bgf\b/.test(text)) return 0;
+    if (/\bmezzanine\b/.test(text)) return 0.5;
+    if ((match = text.match(/\b(\d{1,3})(?:st|nd|rd|th)\b/))) return Number(match[1]);
+    const ordinal = ORDINALS.findIndex(word => new RegExp(`\\b${word}\\b`).test(text));
+    if (ordinal >= 0) return ordinal + 1;
+    if (/\bff\b/.test(text)) return 1;
+    if ((match = text.match(/\b(?:floor|level|storey|lvl)\s*(-?\d{1,3})\b/)) || (match = text.match(/\bl(\d{1,2})\b/))) return Number(match[1]);
+    if (/\broof\b/.test(text)) return 100;
+    return null;
+}
+
+/**
+ * Group a drawing's plan contents into levels.
+ * Walls and rooms are clustered into plan regions separated by clear space;
+ * regions too small to be a floor plan (details, keys, stray linework) join
+ * the nearest real plan. Services, blocks and text go to the region that
+ * holds them. Every level is translated so its plan corner lines up with the
+ * first level's.
+ *
+ * @param {Object} plan - { rooms, walls, mepHotspots, blockInserts, texts } in meters
+ * @param {Object} options - Overrides for LEVEL_DETECTION_DEFAULTS, plus `frames`:
+ *   [{ name, min, max }] areas (paper-space layouts) whose name a plan inside takes
+ * @returns {Array} Levels ordered bottom to top, or [] when the drawing holds one plan
+ */
+export function splitPlanRegions(plan, options = {}) {
+    const config = { ...LEVEL_DETECTION_DEFAULTS, ...options };
+    const { rooms = [], walls = [], mepHotspots = [], blockInserts = [], texts = [] } = plan;
+
+    const seeds = [
+        ...walls.map(wall => ({ item: wall, box: segmentBox(wall.start, wall.end), wall: true })),
+        ...rooms.map(room => ({ item: room, box: rectBox(room.bounds) })),
+    ].filter(seed => seed.box);
+    if (seeds.length === 0) return [];
+
+    const clusters = clusterBoxes(seeds, config.regionGap);
+    const largest = Math.max(...clusters.map(c => boxArea(c.box)));
+    const regions = clusters.filter(c =>
+        c.members.filter(m => m.wall).length >= config.minWalls &&
+        boxArea(c.box) >= config.minShare * largest);
+    if (regions.length < 2) return [];
+
+    // Small clusters are part of the nearest plan
+    clusters.filter(c => !regions.includes(c)).forEach(cluster => {
+        const host = nearestRegion(regions, boxCenter(cluster.box));
+        host.members.push(...cluster.members);
+    });
+    regions.forEach(region => {
+        region.box = region.members.reduce((box, m) => unionBox(box, m.box), null);
+        region.rooms = region.members.filter(m => !m.wall).map(m => m.item);
+        region.walls = region.members.filter(m => m.wall).map(m => m.item);
+        region.mepHotspots = [];
+        region.blockInserts = [];
+        region.texts = [];
+    });
+
+    mepHotspots.forEach(mep => nearestRegion(regions, { x: mep.location.x, y: mep.location.z }).mepHotspots.push(mep));
+    blockInserts.forEach(block => nearestRegion(regions, { x: block.position.x, y: block.position.z }).blockInserts.push(block));
+    texts.forEach(text => {
+        const region = nearestRegion(regions, text.position);
+        // Titles sit just outside the plan; text far away belongs to the sheet
+        if (boxDistance(region.box, text.position) <= config.regionGap * 2) region.texts.push(text);
+    });
+
+    regions.forEach(region => {
+        region.name = levelTitle(region) ||
+            (config.frames || []).find(frame => containsPoint(frame, boxCenter(region.box)))?.name ||
+            null;
+        region.floorIndex = region.name ? floorIndexFromName(region.name) : null;
+    });
+
+    // Named storeys sort by height; otherwise keep the sheet's reading order
+    const ordered = regions.every(r => r.floorIndex !== null)
+        ? [...regions].sort((a, b) => a.floorIndex - b.floorIndex)
+        : [...regions].sort((a, b) => a.box.minX - b.box.minX || b.box.maxY - a.box.maxY);
+
+    const origin = { x: ordered[0].box.minX, y: ordered[0].box.minY };
+    return ordered.map((region, index) => buildLevel(region, index, {
+        x: origin.x - region.box.minX,
+        y: origin.y - region.box.minY,
+    }));
+}
+
+/**
+ * Union-find over padded bounding boxes, swept along X
+ */
+function clusterBoxes(seeds, gap) {
+    const parent = seeds.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    const order = seeds.map((_, i) => i).sort((a, b) => seeds[a].box.minX - seeds[b].box.minX);
+    const active = [];
+    order.forEach(i => {
+        const box = seeds[i].box;
+        for (let k = active.length - 1; k >= 0; k--) {
+            const other = seeds[active[k]].box;
+            if (other.maxX + gap < box.minX) {
+                active.splice(k, 1);
+                continue;
+            }
+            if (box.minY <= other.maxY + gap && other.minY <= box.maxY + gap) {
+                parent[find(i)] = find(active[k]);
+            }
+        }
+        active.push(i);
+    });
+
+    const groups = new Map();
+    seeds.forEach((seed, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, { members: [], box: null });
+        const group = groups.get(root);
+        group.members.push(seed);
+        group.box = unionBox(group.box, seed.box);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Level name from the tallest storey-like text on or beside the plan,
+ * e.g. "GROUND FLOOR PLAN" -> "Ground Floor"
+ */
+function levelTitle(region) {
+    // Storey titles label the sheet, so text inside a room never names the level
+    const title = region.texts
+        .filter(text => !region.rooms.some(room => containsPoint(
+            { min: room.bounds, max: { x: room.bounds.x + room.bounds.width, y: room.bounds.y + room.bounds.height } },
+            text.position)))
+        .flatMap(text => cleanDrawingText(text.text).map(line => ({ line, height: text.height || 0 })))
+        .filter(({ line }) => LEVEL_TEXT_PATTERN.test(line) && line.length <= 40)
+        .sort((a, b) => b.height - a.height)[0];
+    if (!title) return null;
+
+    const name = title.line
+        .replace(/[\s\-–:]*(?:general\s+arrangement|layout|plan)\s*$/i, '')
+        .trim();
+    return name === name.toUpperCase()
+        ? name.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase())
+        : name;
+}
+
+function buildLevel(region, index, shift) {
+    const move = (p) => ({ ...p, x: p.x + shift.x, y: p.y + shift.y });
+    const move3D = (p) => ({ ...p, x: p.x + shift.x, z: p.z + shift.y });
+
+    const rooms = region.rooms.map(room => ({
+        ...room,
+        bounds: { ...room.bounds, x: room.bounds.x + shift.x, y: room.bounds.y + shift.y },
+        vertices: room.vertices?.map(move),
+        holes: room.holes?.map(hole => hole.map(move)),
+    }));
+    const walls = region.walls.map(wall => ({
+        ...wall,
+        position: move3D(wall.position),
+        start: move(wall.start),
+        end: move(wall.end),
+    }));
+
+    const box = {
+        minX: region.box.minX + shift.x, minY: region.box.minY + shift.y,
+        maxX: region.box.maxX + shift.x, maxY: region.box.maxY + shift.y,
+    };
+    const width = box.maxX - box.minX;
+    const height = box.maxY - box.minY;
+    const roomArea = rooms.reduce((sum, r) => sum + r.area, 0);
+
+    return {
+        id: `level-${index}`,
+        name: region.name,
+        floorIndex: region.floorIndex,
+        offset: shift,
+        floorPlan: {
+            totalArea: roomArea || width * height,
+            bounds: {
+                width,
+                height,
+                contentMin: { x: box.minX, y: box.minY },
+                contentMax: { x: box.maxX, y: box.maxY },
+                center: { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 },
+            },
+            scale: 1,
+        },
+        rooms,
+        walls,
+        mepHotspots: region.mepHotspots.map(mep => ({ ...mep, location: move3D(mep.location) })),
+        blockInserts: region.blockInserts.map(block => ({ ...block, position: move3D(block.position) })),
+    };
+}
+
+function nearestRegion(regions, point) {
+    return regions.reduce((best, region) =>
+        boxDistance(region.box, point) < boxDistance(best.box, point) ? region : best);
+}
+
+function segmentBox(a, b) {
+    if (!a || !b) return null;
+    return { minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) };
+}
+
+function rectBox(bounds) {
+    if (!bounds) return null;
+    return { minX: bounds.x, minY: bounds.y, maxX: bounds.x + bounds.width, maxY: bounds.y + bounds.height };
+}
+
+function unionBox(a, b) {
+    if (!a) return { ...b };
+    return {
+        minX: Math.min(a.minX, b.minX), minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX), maxY: Math.max(a.maxY, b.maxY),
+    };
+}
+
+function boxArea(box) {
+    return Math.max(box.maxX - box.minX, 0.01) * Math.max(box.maxY - box.minY, 0.01);
+}
+
+function boxCenter(box) {
+    return { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+}
+
+function boxDistance(box, p) {
+    const dx = Math.max(box.minX - p.x, 0, p.x - box.maxX);
+    const dy = Math.max(box.minY - p.y, 0, p.y - box.maxY);
+    return Math.hypot(dx, dy);
+}
+
+function containsPoint(frame, p) {
+    return p.x >= frame.min.x && p.x <= frame.max.x && p.y >= frame.min.y && p.y <= frame.max.y;
+}
+
+export default {
+    splitPlanRegions,
+    floorIndexFromName,
+    LEVEL_DETECTION_DEFAULTS,
+};
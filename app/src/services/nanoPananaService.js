@@ -12,6 +12,8 @@
  * - Automatic retry with exponential backoff for rate limiting
  */
 
+import { BASE_CURRENCY } from '../config/currencies.js';
+
 // Nano Panana Pro API Configuration
 const NANO_PANANA_CONFIG = {
     apiKey: import.meta.env.VITE_NANO_PANANA_API_KEY || '',
@@ -915,7 +917,7 @@ Be highly technical and specific.`;
                             description: { type: "STRING" },
                             quantity: { type: "NUMBER" },
                             unit: { type: "STRING" },
-                            estimatedRate: { type: "NUMBER" }
+                            estimatedRate: { type: "NUMBER", description: `Estimated unit rate in ${BASE_CURRENCY}` }
                         },
                         required: ["category", "name", "quantity", "unit"]
                     }
@@ -1000,7 +1002,7 @@ Be highly technical and specific.`;
                 const name = (item.name || '').toLowerCase();
                 const desc = (item.description || '').toLowerCase();
                 return !blacklist.some(term => name.includes(term) || desc.includes(term));
-            });
+            }).map(item => ({ ...item, currency: BASE_CURRENCY }));
         }
 
         return result;
@@ -1034,6 +1036,7 @@ Identify ALL visible materials, finishes, and furniture items. For each item pro
 3. Finish type (polished, matte, brushed, etc.)
 4. Estimated quantity based on visible area
 5. Unit of measurement (m², m, nos., etc.)
+6. Estimated unit rate in ${BASE_CURRENCY}
 
 Return a structured JSON list of BOQ items.`;
 
@@ -1052,7 +1055,7 @@ Return a structured JSON list of BOQ items.`;
                             finish: { type: "STRING", description: "Finish type" },
                             quantity: { type: "NUMBER", description: "Estimated quantity" },
                             unit: { type: "STRING", description: "Unit of measurement" },
-                            estimatedRate: { type: "NUMBER", description: "Estimated unit rate in USD" }
+                            estimatedRate: { type: "NUMBER", description: `Estimated unit rate in ${BASE_CURRENCY}` }
                         },
                         required: ["category", "name", "quantity", "unit"]
                     }
@@ -1101,6 +1104,7 @@ Return a structured JSON list of BOQ items.`;
         const data = await response.json();
         const textResponse = data.candidates?.[0]?.content?.parts?.[0]?.text;
         const boqData = safeJsonParse(textResponse, { items: [], materials: [] });
+        boqData.items = (boqData.items || []).map(item => ({ ...item, currency: BASE_CURRENCY }));
 
         console.log('[Nano Banana Pro] ✅ BOQ extracted:', boqData.items?.length || 0, 'items');
 
@@ -0,0 +1,244 @@
+/**
+ * Design & Build - Door & Window Opening Detection
+ * Turns door/window blocks, door swing arcs, glazing linework and gaps between
+ * collinear wall runs into openings hosted on centerline walls.
+ */
+
+import { distance, segmentIntersection } from '../utils/geometry.js';
+
+export const OPENING_DETECTION_DEFAULTS = {
+    minGap: 0.6,              // m - narrower breaks are junctions, not openings
+    maxGap: 3.0,              // m - wider breaks are left open
+    alignTolerance: 0.05,     // m - centerline offset for two runs to count as one wall
+    maxAngle: 2,              // degrees between collinear runs
+    bandTolerance: 0.1,       // m - added to half the wall thickness when matching geometry
+    minWidth: 0.3,            // m
+    door: { height: 2.1, sill: 0 },
+    window: { height: 1.2, sill: 0.9 },
+    opening: { height: 2.1, sill: 0 },
+};
+
+const DOOR_NAME_PATTERN = /door|\bdr[-_ ]?\d/i;
+const WINDOW_NAME_PATTERN = /window|glaz|\bwin\b|\bwin[-_ ]?\d|\bwdw/i;
+
+/**
+ * Classify a block or layer as a door or window, or null for anything else
+ * @param {string} blockName - Block name ('' for loose geometry)
+ * @param {string|null} layerCategory - Layer profile category (see config/layerProfiles.js)
+ * @returns {'door'|'window'|null}
+ */
+export function classifyOpening(blockName = '', layerCategory = null) {
+    if (DOOR_NAME_PATTERN.test(blockName)) return 'door';
+    if (WINDOW_NAME_PATTERN.test(blockName)) return 'window';
+    if (layerCategory === 'doors') return 'door';
+    if (layerCategory === 'glazing') return 'window';
+    return null;
+}
+
+/**
+ * Host openings on walls.
+ * Collinear runs separated by a door-sized gap are joined into one wall with a
+ * plain opening over the gap; door/window candidates are then matched to the
+ * wall whose thickness band holds their geometry and upgrade or add openings.
+ *
+ * @param {Array<{start, end, thickness, layer}>} walls - Centerline walls in meters
+ * @param {Array<{kind, points, source, blockName}>} candidates - Door/window geometry in meters
+ * @param {Object} options - Overrides for OPENING_DETECTION_DEFAULTS
+ * @returns {Array} Walls with an `openings` array of { kind, offset, width, height, sill, source, blockName }
+ */
+export function attachOpenings(walls, candidates = [], options = {}) {
+    const config = {
+        ...OPENING_DETECTION_DEFAULTS,
+        ...options,
+        door: { ...OPENING_DETECTION_DEFAULTS.door, ...options.door },
+        window: { ...OPENING_DETECTION_DEFAULTS.window, ...options.window },
+        opening: { ...OPENING_DETECTION_DEFAULTS.opening, ...options.opening },
+    };
+
+    const hosts = joinAcrossGaps(walls, config);
+
+    candidates.forEach(candidate => {
+        let best = null;
+        hosts.forEach(wall => {
+            const span = measureSpan(wall, candidate.points, config);
+            if (span && (!best || span.width > best.span.width)) best = { wall, span };
+        });
+        if (!best || best.span.width < config.minWidth) return;
+
+        addOpening(best.wall, {
+            kind: candidate.kind,
+            offset: best.span.t0,
+            width: best.span.width,
+            source: candidate.source,
+            blockName: candidate.blockName,
+        }, config);
+    });
+
+    return hosts.map(wall => ({
+        ...wall,
+        openings: wall.openings
+            .sort((a, b) => a.offset - b.offset)
+            .map(opening => ({
+                ...opening,
+                offset: round(opening.offset),
+                width: round(opening.width),
+                ...config[opening.kind],
+            })),
+    }));
+}
+
+/**
+ * Merge runs that lie on the same centerline and are separated by a gap in the
+ * door range, provided no other wall passes through the gap. Overlapping or
+ * touching runs are left as they are.
+ */
+function joinAcrossGaps(walls, config) {
+    const cosLimit = Math.cos((config.maxAngle * Math.PI) / 180);
+    const runs = walls.map(wall => ({ ...wall, openings: [...(wall.openings || [])] }));
+    const used = new Set();
+    const result = [];
+
+    runs.forEach((run, index) => {
+        if (used.has(index)) return;
+        used.add(index);
+
+        const length = distance(run.start, run.end);
+        if (length === 0) {
+            result.push(run);
+            return;
+        }
+        const dir = { x: (run.end.x - run.start.x) / length, y: (run.end.y - run.start.y) / length };
+        const along = (p) => (p.x - run.start.x) * dir.x + (p.y - run.start.y) * dir.y;
+        const across = (p) => (p.x - run.start.x) * -dir.y + (p.y - run.start.y) * dir.x;
+
+        // Collect every run on the same line as intervals along it
+        const intervals = [{ t0: 0, t1: length, wall: run }];
+        runs.forEach((other, j) => {
+            if (used.has(j)) return;
+            const otherLength = distance(other.start, other.end);
+            if (otherLength === 0) return;
+            const dot = ((other.end.x - other.start.x) * dir.x + (other.end.y - other.start.y) * dir.y) / otherLength;
+            if (Math.abs(dot) < cosLimit) return;
+            if (Math.abs(across(other.start)) > config.alignTolerance || Math.abs(across(other.end)) > config.alignTolerance) return;
+            if (Math.abs(other.thickness - run.thickness) > config.alignTolerance) return;
+            const a = along(other.start), b = along(other.end);
+            intervals.push({ t0: Math.min(a, b), t1: Math.max(a, b), wall: other, index: j });
+        });
+        if (intervals.length === 1) {
+            result.push(run);
+            return;
+        }
+        intervals.sort((p, q) => p.t0 - q.t0);
+
+        // Walk the line, chaining intervals while the breaks between them are openings
+        const point = (t) => ({ x: run.start.x + dir.x * t, y: run.start.y + dir.y * t });
+        let chain = [intervals[0]];
+        const flush = () => {
+            const t0 = chain[0].t0;
+            const t1 = chain[chain.length - 1].t1;
+            const openings = [];
+            chain.forEach((interval, k) => {
+                // Carry over openings already hosted on the run, re-measured from the new start
+                const reversed = along(interval.wall.start) > along(interval.wall.end);
+                interval.wall.openings.forEach(o => openings.push({
+                    ...o,
+                    offset: reversed ? interval.t1 - o.offset - o.width - t0 : interval.t0 + o.offset - t0,
+                }));
+                if (k > 0) {
+                    const gapStart = chain[k - 1].t1;
+                    openings.push({ kind: 'opening', offset: gapStart - t0, width: interval.t0 - gapStart, source: 'gap' });
+                }
+                if (interval.index !== undefined) used.add(interval.index);
+            });
+            result.push({ ...chain[0].wall, start: point(t0), end: point(t1), openings });
+        };
+
+        for (let k = 1; k < intervals.length; k++) {
+            const previous = chain[chain.length - 1];
+            const next = intervals[k];
+            const gap = next.t0 - previous.t1;
+
+            // Walls butting into the jambs are fine; anything crossing the gap itself is not
+            const inset = Math.min(config.bandTolerance, gap / 4);
+            const isOpening = gap >= config.minGap && gap <= config.maxGap &&
+                !runs.some(w => w !== previous.wall && w !== next.wall &&
+                    crossesGap(w, point(previous.t1 + inset), point(next.t0 - inset)));
+
+            if (isOpening) {
+                chain.push(next);
+            } else {
+                flush();
+                chain = [next];
+            }
+        }
+        flush();
+    });
+
+    return result;
+}
+
+function crossesGap(wall, a, b) {
+    return segmentIntersection(wall.start, wall.end, a, b, 1e-6) !== null;
+}
+
+/**
+ * Extent along `wall` of the candidate points that fall inside its thickness
+ * band, or null when none do
+ */
+function measureSpan(wall, points, config) {
+    const length = distance(wall.start, wall.end);
+    if (length === 0 || !points?.length) return null;
+    const dir = { x: (wall.end.x - wall.start.x) / length, y: (wall.end.y - wall.start.y) / length };
+    const band = (wall.thickness || 0) / 2 + config.bandTolerance;
+
+    let t0 = Infinity, t1 = -Infinity;
+    points.forEach(p => {
+        const t = (p.x - wall.start.x) * dir.x + (p.y - wall.start.y) * dir.y;
+        const s = (p.x - wall.start.x) * -dir.y + (p.y - wall.start.y) * dir.x;
+        if (Math.abs(s) > band || t < -config.bandTolerance || t > length + config.bandTolerance) return;
+        t0 = Math.min(t0, t);
+        t1 = Math.max(t1, t);
+    });
+    if (t0 === Infinity) return null;
+
+    t0 = Math.max(0, t0);
+    t1 = Math.min(length, t1);
+    return t1 > t0 ? { t0, width: t1 - t0 } : null;
+}
+
+/**
+ * Add an opening, merging it into any opening it mostly overlaps. Named doors
+ * and windows take precedence over bare gaps.
+ */
+function addOpening(wall, opening, config) {
+    const overlapping = wall.openings.find(existing => {
+        const overlap = Math.min(existing.offset + existing.width, opening.offset + opening.width) -
+            Math.max(existing.offset, opening.offset);
+        return overlap > 0.5 * Math.min(existing.width, opening.width);
+    });
+
+    if (!overlapping) {
+        if (opening.width >= config.minWidth) wall.openings.push(opening);
+        return;
+    }
+
+    const start = Math.min(overlapping.offset, opening.offset);
+    const end = Math.max(overlapping.offset + overlapping.width, opening.offset + opening.width);
+    overlapping.offset = start;
+    overlapping.width = end - start;
+    if (overlapping.kind === 'opening' || (overlapping.kind === 'window' && opening.kind === 'door')) {
+        overlapping.kind = opening.kind;
+        overlapping.source = opening.source;
+        overlapping.blockName = opening.blockName;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export default {
+    attachOpenings,
+    classifyOpening,
+    OPENING_DETECTION_DEFAULTS,
+};
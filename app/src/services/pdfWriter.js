@@ -0,0 +1,347 @@
+/**
+ * Design & Build - PDF Plan Writer
+ * Plots the CAD editor drawing - hatches, linework, text, dimensions and room
+ * tags - as a vector PDF sheet at a standard architectural scale, with a title strip.
+ * The PDF is written by hand (one page, Helvetica, no embedded fonts), so
+ * no PDF library is needed and the lines stay sharp at any zoom.
+ * The sheet reads as the editor shows the plan: plan y runs down the page.
+ */
+
+import { isAnnotation, resolveAnnotations, annotationGeometry } from './cadAnnotations.js';
+import { entityBounds, entityPath, entityCurve, arcSweep } from './cadEditing.js';
+import { LINETYPES } from '../config/lineStyles.js';
+import { isLayerShown } from './cadLayers.js';
+import { isHatch, isSolidHatch, hatchRings, hatchLines } from './cadHatches.js';
+
+export const PDF_EXPORT_DEFAULTS = {
+    paper: 'A3',
+    orientation: 'landscape',
+    scale: null,              // 1:n - null picks the largest standard scale that fits
+    margin: 10,               // mm
+    lineWidth: 0.25,          // mm - geometry without a lineweight of its own or its layer's
+    annotationLineWidth: 0.18, // mm - dimensions and leaders
+    hatchLineWidth: 0.13,     // mm - hatch pattern lines
+    hatchScreen: 0.7,         // share of white mixed into solid fills, so linework over them stays readable
+};
+
+// Portrait width x height, mm
+export const PAPER_SIZES = {
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    A1: [594, 841],
+};
+
+export const PLOT_SCALES = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 5000];
+
+const PT_PER_MM = 72 / 25.4;
+const TITLE_STRIP = 14;       // mm
+const CHAR_WIDTH = 0.55;      // Helvetica average advance over font size
+const BASELINE_DROP = 0.35;   // font sizes from the middle of a line down to its baseline
+
+/**
+ * Plot a drawing to PDF
+ * @param {Object} drawing - { cadLayers, cadEntities, title, subtitle }
+ * @param {Object} options - Overrides for PDF_EXPORT_DEFAULTS
+ * @returns {Object} { content: string (bytes as Latin-1), scale: n of 1:n, paper }
+ */
+export function writePlanPDF(drawing, options = {}) {
+    const config = { ...PDF_EXPORT_DEFAULTS, ...options };
+    const { cadLayers = [], cadEntities = [], title = 'Untitled', subtitle = '' } = drawing;
+    const [short, long] = PAPER_SIZES[config.paper] || PAPER_SIZES.A3;
+    const [pageW, pageH] = config.orientation === 'portrait' ? [short, long] : [long, short];
+
+    // Hatches plot first so the linework lies over them
+    const layers = new Map(cadLayers.map(layer => [layer.name, layer]));
+    const visible = resolveAnnotations(cadEntities)
+        .filter(entity => isLayerShown(layers.get(entity.layer)));
+    const entities = [...visible.filter(isHatch), ...visible.filter(entity => !isHatch(entity))];
+
+    // Drawing area inside the frame, above the title strip
+    const area = {
+        x: config.margin,
+        y: config.margin + TITLE_STRIP,
+        width: pageW - config.margin * 2,
+        height: pageH - config.margin * 2 - TITLE_STRIP,
+    };
+    const box = entities.map(entityBounds).filter(Boolean).reduce((b, e) => ({
+        minX: Math.min(b.minX, e.minX), minY: Math.min(b.minY, e.minY),
+        maxX: Math.max(b.maxX, e.maxX), maxY: Math.max(b.maxY, e.maxY),
+    }), { minX: 0, minY: 0, maxX: 0, maxY: 0 });
+    const spanX = Math.max(box.maxX - box.minX, 1e-3);
+    const spanY = Math.max(box.maxY - box.minY, 1e-3);
+    const scale = config.scale || fitScale(spanX, spanY, area.width, area.height);
+
+    // Plan meters to page points, centered in the drawing area
+    const k = 1000 / scale * PT_PER_MM;
+    const cx = (area.x + area.width / 2) * PT_PER_MM;
+    const cy = (area.y + area.height / 2) * PT_PER_MM;
+    const midX = (box.minX + box.maxX) / 2;
+    const midY = (box.minY + box.maxY) / 2;
+    const toPage = (p) => ({ x: cx + (p.x - midX) * k, y: cy - (p.y - midY) * k });
+
+    const page = new PdfContent();
+    page.clip(area.x * PT_PER_MM, area.y * PT_PER_MM, area.width * PT_PER_MM, area.height * PT_PER_MM);
+    entities.forEach(entity => {
+        const layer = layers.get(entity.layer);
+        const color = plotColor(entity.color || layer?.color);
+        const linetype = LINETYPES[entity.linetype || layer?.linetype];
+        page.dash((linetype?.pattern || []).map(length => Math.abs(length) * k));
+        if (isHatch(entity)) {
+            page.dash([]).lineWidth(config.hatchLineWidth * PT_PER_MM);
+            plotHatch(page, entity, toPage, color, config.hatchScreen);
+        } else if (isAnnotation(entity)) {
+            page.lineWidth(config.annotationLineWidth * PT_PER_MM);
+            plotAnnotation(page, entity, toPage, k, color);
+        } else {
+            page.lineWidth((entity.lineweight ?? layer?.lineweight ?? config.lineWidth) * PT_PER_MM);
+            plotGeometry(page, entity, toPage, color);
+        }
+    });
+    page.dash([]);
+    page.unclip();
+
+    // Frame and title strip
+    const m = config.margin * PT_PER_MM;
+    const strip = (config.margin + TITLE_STRIP) * PT_PER_MM;
+    page.lineWidth(0.5 * PT_PER_MM).stroke([0, 0, 0]);
+    page.rect(m, m, (pageW - config.margin * 2) * PT_PER_MM, (pageH - config.margin * 2) * PT_PER_MM);
+    page.line({ x: m, y: strip }, { x: pageW * PT_PER_MM - m, y: strip });
+    const row = (config.margin + TITLE_STRIP / 2) * PT_PER_MM;
+    page.text({ x: m + 4 * PT_PER_MM, y: row + 2 * PT_PER_MM }, 11, title, 0, 'left', [0, 0, 0]);
+    if (subtitle) page.text({ x: m + 4 * PT_PER_MM, y: row - 3 * PT_PER_MM }, 8, subtitle, 0, 'left', [0, 0, 0]);
+    page.text(
+        { x: pageW * PT_PER_MM - m - 4 * PT_PER_MM, y: row },
+        9,
+        `Scale 1:${scale} @ ${config.paper}  |  ${new Date().toISOString().split('T')[0]}`,
+        0, 'right', [0, 0, 0]
+    );
+
+    return {
+        content: buildDocument(page.toString(), pageW * PT_PER_MM, pageH * PT_PER_MM),
+        scale,
+        paper: config.paper,
+    };
+}
+
+/**
+ * Largest standard scale (smallest 1:n) at which the plan fits the area
+ */
+function fitScale(spanX, spanY, width, height) {
+    const needed = Math.max(spanX * 1000 / width, spanY * 1000 / height);
+    return PLOT_SCALES.find(n => n >= needed) || Math.ceil(needed / 1000) * 1000;
+}
+
+/**
+ * RGB (0-1) to plot a CSS color in: light colors that read on the dark
+ * editor background plot black on white paper
+ */
+function plotColor(hex = '') {
+    let value = hex.replace('#', '');
+    if (value.length === 3) value = value.split('').map(c => c + c).join('');
+    if (!/^[0-9a-f]{6}$/i.test(value)) return [0, 0, 0];
+    const rgb = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16) / 255);
+    const luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    return luminance > 0.75 ? [0, 0, 0] : rgb;
+}
+
+function plotGeometry(page, entity, toPage, color) {
+    page.stroke(color);
+    const curve = entityCurve(entity);
+    if (curve) {
+        const sweep = curve.full ? Math.PI * 2 : arcSweep(curve);
+        page.curve(arcBeziers(curve.center, curve.radius, curve.full ? 0 : curve.start, sweep).map(p => p.map(toPage)));
+        return;
+    }
+    const path = entityPath(entity);
+    if (path?.length >= 2) page.polyline(path.map(toPage));
+}
+
+/**
+ * Pattern lines of a hatch, or a screened fill for solid hatches and
+ * patterns too dense to draw line by line
+ */
+function plotHatch(page, entity, toPage, color, screen) {
+    const lines = hatchLines(entity);
+    if (lines && lines.length > 0) {
+        page.stroke(color);
+        lines.forEach(([a, b]) => page.line(toPage(a), toPage(b)));
+    } else if (lines === null || isSolidHatch(entity)) {
+        page.fillRings(hatchRings(entity).map(ring => ring.map(toPage)), color.map(c => c + (1 - c) * screen));
+    }
+}
+
+function plotAnnotation(page, entity, toPage, k, color) {
+    const { lines, arcs, arrows, texts } = annotationGeometry(entity);
+    page.stroke(color);
+    lines.forEach(([a, b]) => page.line(toPage(a), toPage(b)));
+    arcs.forEach(arc => {
+        const sweep = ((arc.end - arc.start) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+        page.curve(arcBeziers(arc.center, arc.radius, arc.start, sweep).map(p => p.map(toPage)));
+    });
+    arrows.forEach(corners => page.fillPolygon(corners.map(toPage), color));
+    // Page y runs up, so plan angles turn the other way
+    texts.forEach(text => page.text(toPage(text.position), text.height * k, text.value, -text.rotation, text.align, color));
+}
+
+/**
+ * Cubic Bezier pieces (at most a quarter turn each) for a counter-clockwise
+ * plan arc
+ * @returns {Array} [[p0, c1, c2, p3]]
+ */
+function arcBeziers(center, radius, start, sweep) {
+    const count = Math.max(1, Math.ceil(sweep / (Math.PI / 2) - 1e-9));
+    const step = sweep / count;
+    const handle = 4 / 3 * Math.tan(step / 4) * radius;
+    const at = (a) => ({ x: center.x + radius * Math.cos(a), y: center.y + radius * Math.sin(a) });
+    return Array.from({ length: count }, (_, i) => {
+        const a0 = start + step * i;
+        const a1 = a0 + step;
+        const p0 = at(a0);
+        const p3 = at(a1);
+        return [
+            p0,
+            { x: p0.x - handle * Math.sin(a0), y: p0.y + handle * Math.cos(a0) },
+            { x: p3.x + handle * Math.sin(a1), y: p3.y - handle * Math.cos(a1) },
+            p3,
+        ];
+    });
+}
+
+/**
+ * Page content stream operators; coordinates in points
+ */
+class PdfContent {
+    constructor() {
+        this.ops = [];
+    }
+
+    op(text) {
+        this.ops.push(text);
+        return this;
+    }
+
+    lineWidth(width) {
+        return this.op(`${num(width)} w`);
+    }
+
+    stroke(rgb) {
+        return this.op(`${rgb.map(num).join(' ')} RG`);
+    }
+
+    // Dash and gap lengths in points; an empty array draws solid
+    dash(lengths) {
+        return this.op(`[${lengths.map(num).join(' ')}] 0 d`);
+    }
+
+    clip(x, y, width, height) {
+        return this.op(`q ${num(x)} ${num(y)} ${num(width)} ${num(height)} re W n 1 J 1 j`);
+    }
+
+    unclip() {
+        return this.op('Q');
+    }
+
+    line(a, b) {
+        return this.op(`${num(a.x)} ${num(a.y)} m ${num(b.x)} ${num(b.y)} l S`);
+    }
+
+    polyline(points) {
+        const [first, ...rest] = points;
+        return this.op(`${num(first.x)} ${num(first.y)} m ${rest.map(p => `${num(p.x)} ${num(p.y)} l`).join(' ')} S`);
+    }
+
+    rect(x, y, width, height) {
+        return this.op(`${num(x)} ${num(y)} ${num(width)} ${num(height)} re S`);
+    }
+
+    curve(pieces) {
+        if (pieces.length === 0) return this;
+        const [start] = pieces[0];
+        const segments = pieces.map(([, c1, c2, end]) =>
+            `${num(c1.x)} ${num(c1.y)} ${num(c2.x)} ${num(c2.y)} ${num(end.x)} ${num(end.y)} c`);
+        return this.op(`${num(start.x)} ${num(start.y)} m ${segments.join(' ')} S`);
+    }
+
+    fillPolygon(points, rgb) {
+        const [first, ...rest] = points;
+        return this.op(`${rgb.map(num).join(' ')} rg ${num(first.x)} ${num(first.y)} m ${rest.map(p => `${num(p.x)} ${num(p.y)} l`).join(' ')} h f`);
+    }
+
+    // Rings filled even-odd, so islands stay open
+    fillRings(rings, rgb) {
+        const paths = rings.map(([first, ...rest]) => `${num(first.x)} ${num(first.y)} m ${rest.map(p => `${num(p.x)} ${num(p.y)} l`).join(' ')} h`);
+        return this.op(`${rgb.map(num).join(' ')} rg ${paths.join(' ')} f*`);
+    }
+
+    /**
+     * Single-line text, vertically centered on `position`
+     * @param {number} angle - Radians counter-clockwise on the page
+     * @param {string} align - 'left' | 'center' | 'right'
+     */
+    text(position, size, value, angle, align, rgb) {
+        if (!value || !(size > 0)) return this;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const width = String(value).length * size * CHAR_WIDTH;
+        const shift = align === 'right' ? width : align === 'center' ? width / 2 : 0;
+        const x = position.x - cos * shift + sin * size * BASELINE_DROP;
+        const y = position.y - sin * shift - cos * size * BASELINE_DROP;
+        return this.op(`BT ${rgb.map(num).join(' ')} rg /F1 ${num(size)} Tf ${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} ${num(x)} ${num(y)} Tm (${pdfString(value)}) Tj ET`);
+    }
+
+    toString() {
+        return this.ops.join('\n');
+    }
+}
+
+/**
+ * One-page PDF around a content stream, with the cross-reference table
+ */
+function buildDocument(content, width, height) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+function num(value) {
+    if (!Number.isFinite(value)) return '0';
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Literal string in WinAnsi: Latin-1 characters (², °, Ø) as octal escapes,
+ * anything outside it as ?
+ */
+function pdfString(value) {
+    return String(value)
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/[\\()]/g, c => `\\${c}`)
+        .replace(/[^\x20-\x7E]/g, c => {
+            const code = c.charCodeAt(0);
+            return code >= 0xA0 && code <= 0xFF ? `\\${code.toString(8).padStart(3, '0')}` : '?';
+        });
+}
+
+export default {
+    writePlanPDF,
+    PDF_EXPORT_DEFAULTS,
+    PAPER_SIZES,
+    PLOT_SCALES,
+};
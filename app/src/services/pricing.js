@@ -0,0 +1,78 @@
+/**
+ * Design & Build - Pricing
+ * Currency conversion, money formatting and tax rules for BOQ totals.
+ * Amounts carry the currency they were priced in and are converted to the
+ * project currency only when they are added up or shown.
+ */
+
+import { BASE_CURRENCY, CURRENCIES } from '../config/currencies.js';
+
+/**
+ * Amount in another currency
+ * @param {number} amount
+ * @param {string} from - Currency the amount is in
+ * @param {string} to - Currency wanted
+ * @param {Object} exchangeRates - Base-currency value of one unit, per currency
+ * @returns {number} the amount unchanged when either rate is missing
+ */
+export function convertAmount(amount, from = BASE_CURRENCY, to = BASE_CURRENCY, exchangeRates = {}) {
+    if (!amount || from === to) return amount || 0;
+    const fromRate = from === BASE_CURRENCY ? 1 : exchangeRates[from];
+    const toRate = to === BASE_CURRENCY ? 1 : exchangeRates[to];
+    if (!(fromRate > 0) || !(toRate > 0)) return amount;
+    return (amount * fromRate) / toRate;
+}
+
+export function currencyDecimals(currency) {
+    return CURRENCIES[currency]?.decimals ?? 2;
+}
+
+/**
+ * Amount to the currency's decimals, without the code: "1,250.500"
+ */
+export function formatAmount(amount, currency = BASE_CURRENCY) {
+    const decimals = currencyDecimals(currency);
+    return (amount || 0).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Amount with its currency code: "1,250.500 OMR"
+ */
+export function formatMoney(amount, currency = BASE_CURRENCY) {
+    return `${formatAmount(amount, currency)} ${currency}`;
+}
+
+/**
+ * Taxes on priced BOQ lines
+ * @param {Array} lines - [{ amount, section }] in one currency
+ * @param {Array} rules - Tax rules, applied in order
+ * @returns {Array} [{ id, name, rate, scope, compound, base, amount }]
+ */
+export function computeTaxes(lines, rules = []) {
+    const taxes = [];
+    rules.forEach(rule => {
+        if (!(rule.rate > 0)) return;
+        const inScope = lines.filter(line => rule.scope === 'all' || !rule.scope || line.section === rule.scope);
+        const subtotal = inScope.reduce((sum, line) => sum + line.amount, 0);
+        const before = rule.compound ? taxes.reduce((sum, tax) => sum + tax.amount, 0) : 0;
+        const base = subtotal + before;
+        taxes.push({ ...rule, base, amount: base * rule.rate });
+    });
+    return taxes;
+}
+
+/**
+ * Tax rule label: "VAT (5%)"
+ */
+export function taxLabel(rule) {
+    return `${rule.name} (${+(rule.rate * 100).toFixed(2)}%)`;
+}
+
+export default {
+    convertAmount,
+    currencyDecimals,
+    formatAmount,
+    formatMoney,
+    computeTaxes,
+    taxLabel,
+};
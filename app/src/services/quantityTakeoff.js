@@ -0,0 +1,584 @@
+/**
+ * Design & Build - Quantity Takeoff
+ * Measures one plan into per-room and per-element quantities:
+ * - net wall finish areas on each face of every wall
+ * - skirting
+ * - ceilings by type and flooring by finish
+ * - doors and windows
+ * - partitions by type
+ * - MEP points
+ * Every line names the wall, face, room or point it was measured from, and
+ * the totals are the sums of the lines. Finishes come from the finishes
+ * schedule, then the room type; a finish that is a fit-out code in the rate
+ * library is measured under that code (see services/finishSchedule).
+ */
+
+import { ROOM_TYPES } from '../config/api.js';
+import { OPENING_DETECTION_DEFAULTS } from './openingDetection.js';
+import { resolveItem } from './rateLibrary.js';
+import { polygonArea, polygonPerimeter, pointInPolygon, openRing, segmentIntersection, projectPointOnSegment, distance, distancePointToSegment } from '../utils/geometry.js';
+
+export const TAKEOFF_DEFAULTS = {
+    storeyHeight: 3,          // m - walls are built to it when they carry no height of their own
+    ceilingHeight: 2.7,       // m - finished ceiling; wall finishes and their openings stop here
+    faceOffset: 0.05,         // m - beyond a wall face when looking for the room it faces
+    sharedEdgeTolerance: 0.3, // m - room outlines up to a wall's thickness apart share a partition
+    minFaceLength: 0.05,      // m - shorter face pieces are corners, not faces
+};
+
+// Finishes of rooms whose type names none (see ROOM_TYPES in config/api.js)
+export const DEFAULT_FINISHES = {
+    floor: 'Carpet tile',
+    wall: 'Paint',
+    ceiling: 'Gypsum board',
+    skirting: 'Timber skirting',
+};
+
+// A ceiling left out: no ceiling area, walls finished to their full height
+export const NO_CEILING = 'Exposed soffit';
+
+// No skirting, e.g. under wall tiling
+export const NO_SKIRTING = 'None';
+
+// Takeoff elements, as lines are tagged and the schedules are grouped
+export const TAKEOFF_ELEMENTS = {
+    floor: { label: 'Flooring', unit: 'm²' },
+    ceiling: { label: 'Ceilings', unit: 'm²' },
+    'wall-face': { label: 'Wall finishes', unit: 'm²' },
+    skirting: { label: 'Skirting', unit: 'm' },
+    opening: { label: 'Doors & windows', unit: 'No.' },
+    partition: { label: 'Partitions', unit: 'm²' },
+    mep: { label: 'MEP points', unit: 'No.' },
+};
+
+const EXTERNAL_FINISH = 'External face';
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const fmt = (value) => value.toFixed(2);
+const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+/**
+ * Finishes of a room: those scheduled for it, then its type's, then the defaults
+ * @param {Object} room
+ * @param {Object} scheduled - The room's finishes schedule entry, { floor?, wall?, ceiling?, skirting? }
+ * @returns {Object} { floor, wall, ceiling, skirting }
+ */
+export function roomFinishes(room, scheduled = {}) {
+    const assigned = Object.fromEntries(Object.keys(DEFAULT_FINISHES)
+        .filter(surface => scheduled[surface])
+        .map(surface => [surface, scheduled[surface]]));
+    return { ...DEFAULT_FINISHES, ...ROOM_TYPES[room?.type]?.finishes, ...assigned };
+}
+
+/**
+ * Key a wall face is scheduled under within its room: the wall and side, or
+ * the outline edge for rooms measured without walls
+ */
+export function faceKey(wallId, face) {
+    return wallId ? `${wallId}:${face}` : face;
+}
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+// Outline (and holes) of a room: its polygon, or its bounding box
+function roomOutline(room) {
+    const b = room.bounds || { x: 0, y: 0, width: 0, height: 0 };
+    const polygon = room.vertices?.length >= 3;
+    const outline = polygon ? openRing(room.vertices) : [
+        { x: b.x, y: b.y },
+        { x: b.x + b.width, y: b.y },
+        { x: b.x + b.width, y: b.y + b.height },
+        { x: b.x, y: b.y + b.height },
+    ];
+    return { outline, holes: polygon ? (room.holes || []).map(hole => openRing(hole)) : [], polygon };
+}
+
+function roomShape(room, schedule) {
+    const b = room.bounds || { x: 0, y: 0, width: 0, height: 0 };
+    const { outline, holes, polygon } = roomOutline(room);
+    const floorArea = room.area || Math.max(0, polygonArea(outline) - holes.reduce((sum, hole) => sum + polygonArea(hole), 0));
+    return {
+        room,
+        id: room.id,
+        name: room.label || room.name || room.id,
+        outline,
+        holes,
+        floorArea,
+        perimeter: polygonPerimeter(outline),
+        basis: polygon
+            ? `${room.label || room.id} outline, ${outline.length} vertices`
+            : `${room.label || room.id} bounding box ${fmt(b.width)} × ${fmt(b.height)} m`,
+        finishes: roomFinishes(room, schedule[room.id]),
+        faceFinishes: schedule[room.id]?.faces || {},
+    };
+}
+
+function shapeContains(shape, p) {
+    return pointInPolygon(p, shape.outline) && !shape.holes.some(hole => pointInPolygon(p, hole));
+}
+
+/**
+ * Whether a point lies on a room's floor, as the takeoff measures the room
+ */
+export function roomContains(room, p) {
+    return shapeContains(roomOutline(room), p);
+}
+
+/**
+ * Centerline of a wall. Detected walls carry their end points; walls known
+ * only as a 3D box are read from its position, size and rotation.
+ * @returns {Object} { start, end, length, thickness }
+ */
+function wallLine(wall) {
+    const { width = 0, depth = 0 } = wall.dimensions || {};
+    if (wall.start && wall.end) {
+        return { start: wall.start, end: wall.end, length: distance(wall.start, wall.end), thickness: wall.thickness ?? depth };
+    }
+    const alongX = width >= depth;
+    const length = alongX ? width : depth;
+    const angle = -(wall.rotation || 0) + (alongX ? 0 : Math.PI / 2);
+    const half = { x: Math.cos(angle) * length / 2, y: Math.sin(angle) * length / 2 };
+    const center = { x: wall.position?.x ?? 0, y: wall.position?.z ?? 0 };
+    return {
+        start: { x: center.x - half.x, y: center.y - half.y },
+        end: { x: center.x + half.x, y: center.y + half.y },
+        length,
+        thickness: wall.thickness ?? (alongX ? depth : width),
+    };
+}
+
+// Footprint of a wall, as a shape faces can be clipped against
+function wallBody({ start, end, length, thickness }) {
+    const half = length > 0 ? thickness / 2 / length : 0;
+    const n = { x: -(end.y - start.y) * half, y: (end.x - start.x) * half };
+    return {
+        outline: [
+            { x: start.x + n.x, y: start.y + n.y },
+            { x: end.x + n.x, y: end.y + n.y },
+            { x: end.x - n.x, y: end.y - n.y },
+            { x: start.x - n.x, y: start.y - n.y },
+        ],
+        holes: [],
+    };
+}
+
+/**
+ * Parameter ranges [t0, t1] of segment ab that lie inside a room
+ */
+function insideIntervals(a, b, shape) {
+    const ts = [0, 1];
+    [shape.outline, ...shape.holes].forEach(ring => ring.forEach((p, i) => {
+        const hit = segmentIntersection(a, b, p, ring[(i + 1) % ring.length]);
+        if (hit) ts.push(hit.t);
+    }));
+    ts.sort((x, y) => x - y);
+
+    const intervals = [];
+    for (let i = 0; i < ts.length - 1; i++) {
+        const [t0, t1] = [ts[i], ts[i + 1]];
+        if (t1 - t0 < 1e-9 || !shapeContains(shape, lerp(a, b, (t0 + t1) / 2))) continue;
+        const last = intervals[intervals.length - 1];
+        if (last && t0 - last[1] < 1e-9) last[1] = t1;
+        else intervals.push([t0, t1]);
+    }
+    return intervals;
+}
+
+// Ranges of [start, length] no piece covers
+function uncovered(pieces, length, start = 0) {
+    const gaps = [];
+    let cursor = start;
+    [...pieces].sort((a, b) => a.from - b.from).forEach(piece => {
+        if (piece.from > cursor) gaps.push({ from: cursor, to: piece.from });
+        cursor = Math.max(cursor, piece.to);
+    });
+    if (cursor < length) gaps.push({ from: cursor, to: length });
+    return gaps;
+}
+
+// Parts of a piece that no cut covers, keeping the piece's other fields
+function cutPiece(piece, cuts) {
+    return uncovered(cuts.filter(cut => cut.to > piece.from && cut.from < piece.to), piece.to, piece.from)
+        .filter(gap => gap.to > gap.from)
+        .map(gap => ({ ...piece, ...gap }));
+}
+
+// Width of an opening within [from, to] along its wall
+const overlapWidth = (opening, from, to) =>
+    Math.max(0, Math.min(to, opening.offset + opening.width) - Math.max(from, opening.offset));
+
+function openingSize(opening) {
+    const defaults = OPENING_DETECTION_DEFAULTS[opening.kind] || OPENING_DETECTION_DEFAULTS.opening;
+    return { height: opening.height ?? defaults.height, sill: opening.sill ?? defaults.sill };
+}
+
+const openingName = (opening) => opening.id || `${opening.kind} at ${fmt(opening.offset)} m`;
+
+// ============================================================================
+// Takeoff
+// ============================================================================
+
+/**
+ * Quantity takeoff of one plan
+ * @param {Object} analysis - { rooms, walls, mepHotspots } as analysed
+ * @param {Object} options - Overrides for TAKEOFF_DEFAULTS; `storeyHeight` is the level's,
+ *   `finishes` the plan's finishes schedule and `library` the rate library finish codes resolve in
+ * @returns {Object} { rooms, lines, totals, uncoded, flooring, ceilings, wallFinishes, partitions, wallsByThickness }
+ *   `lines` are [{ id, element, type, code, quantity, unit, roomId, room, wallId, face, basis }]
+ */
+export function takeoff(analysis, options = {}) {
+    const config = { ...TAKEOFF_DEFAULTS, ...options };
+    const shapes = (analysis?.rooms || []).map(room => roomShape(room, options.finishes || {}));
+    const walls = (analysis?.walls || []).filter(Boolean).map((wall, i) => ({ wall, id: wall.id || `wall-${i}`, ...wallLine(wall) }));
+    const bodies = walls.map(wallBody);
+    const lines = [];
+    const roomTally = new Map(shapes.map(shape => [shape.id, { wallArea: 0, skirting: 0, openings: new Set(), faces: 0 }]));
+
+    const addLine = (line) => lines.push({ id: `qto-${lines.length + 1}`, code: null, roomId: null, room: null, wallId: null, face: null, ...line, quantity: round3(line.quantity) });
+
+    // A finish that is a fit-out code is measured under the code and named from the library
+    const finish = (value) => {
+        const item = resolveItem(options.library, value);
+        return item?.section === 'fitout' ? { type: item.name, code: item.code } : { type: value, code: null };
+    };
+
+    // Wall finishes stop at the ceiling, or run full height where there is none
+    const finishHeight = (shape, wallHeight) => (shape && shape.finishes.ceiling !== NO_CEILING
+        ? Math.min(config.ceilingHeight, wallHeight)
+        : wallHeight);
+
+    // One face piece of a wall, in a room or outside every room
+    const measureFace = ({ shape, wallId, face, from, to, height, openings, where }) => {
+        const h = finishHeight(shape, height);
+        let deducted = 0;
+        const deductions = [];
+        openings.forEach(opening => {
+            const width = overlapWidth(opening, from, to);
+            if (width <= 0) return;
+            const { height: openingHeight, sill } = openingSize(opening);
+            const cut = width * Math.max(0, Math.min(sill + openingHeight, h) - sill);
+            if (cut <= 0) return;
+            deducted += cut;
+            deductions.push(`${openingName(opening)} ${fmt(width)} × ${fmt(Math.min(sill + openingHeight, h) - sill)} m`);
+            if (shape) roomTally.get(shape.id).openings.add(opening);
+        });
+        const net = Math.max(0, (to - from) * h - deducted);
+        const key = faceKey(wallId, face);
+        addLine({
+            element: 'wall-face',
+            ...(shape ? finish(shape.faceFinishes[key] || shape.finishes.wall) : { type: EXTERNAL_FINISH }),
+            quantity: net,
+            unit: 'm²',
+            roomId: shape?.id ?? null,
+            room: shape?.name ?? null,
+            wallId,
+            face,
+            faceKey: shape ? key : null,
+            from: round3(from),
+            to: round3(to),
+            height: round3(h),
+            basis: `${where} ${fmt(from)}–${fmt(to)} m × ${fmt(h)} m${deductions.length ? `, less ${deductions.join(', ')}` : ''}`,
+        });
+        if (!shape) return;
+
+        const tally = roomTally.get(shape.id);
+        tally.wallArea += net;
+        tally.faces++;
+        if (shape.finishes.skirting === NO_SKIRTING) return;
+        const doorWidth = openings
+            .filter(opening => openingSize(opening).sill <= 0)
+            .reduce((sum, opening) => sum + overlapWidth(opening, from, to), 0);
+        const length = Math.max(0, to - from - doorWidth);
+        tally.skirting += length;
+        addLine({
+            element: 'skirting',
+            ...finish(shape.finishes.skirting),
+            quantity: length,
+            unit: 'm',
+            roomId: shape.id,
+            room: shape.name,
+            wallId,
+            face,
+            basis: `${where} ${fmt(to - from)} m${doorWidth > 0 ? ` less ${fmt(doorWidth)} m of door openings` : ''}`,
+        });
+    };
+
+    // Walls: both faces, against the rooms each one faces
+    walls.forEach(({ wall, id: wallId, start, end, length, thickness }, i) => {
+        if (length < config.minFaceLength) return;
+        const height = options.storeyHeight ?? wall.dimensions?.height ?? config.storeyHeight;
+        const openings = (wall.openings || []).filter(opening => opening.width > 0);
+        const dir = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+
+        // At an end that meets another wall the faces run on to that wall's faces:
+        // the outer face of a corner is longer than the centerline
+        const joined = (p) => Math.max(0, ...walls
+            .filter((other, j) => j !== i && distancePointToSegment(p, other.start, other.end) <= other.thickness / 2 + 1e-6)
+            .map(other => other.thickness / 2));
+        const [before, after] = [joined(start), joined(end)];
+        const span = length + before + after;
+        const range = ([t0, t1]) => ({ from: t0 * span - before, to: t1 * span - before });
+
+        const sides = [['left', 1], ['right', -1]].map(([face, sign]) => {
+            const reach = thickness / 2 + config.faceOffset;
+            const normal = { x: -dir.y * sign * reach, y: dir.x * sign * reach };
+            const a = { x: start.x + normal.x - dir.x * before, y: start.y + normal.y - dir.y * before };
+            const b = { x: end.x + normal.x + dir.x * after, y: end.y + normal.y + dir.y * after };
+            // Where the face runs into another wall there is nothing to finish
+            const junctions = bodies.flatMap((body, j) => (j === i ? [] : insideIntervals(a, b, body).map(range)));
+            // Room pieces stop at the faces of the walls they meet
+            const pieces = shapes.flatMap(shape => insideIntervals(a, b, shape)
+                .flatMap(interval => cutPiece({ shape, ...range(interval) }, junctions)))
+                .filter(piece => piece.to - piece.from >= config.minFaceLength);
+            const outside = uncovered([...pieces, ...junctions], length + after, -before)
+                .filter(gap => gap.to - gap.from >= config.minFaceLength);
+            [...pieces, ...outside].forEach(piece => measureFace({
+                ...piece, wallId, face, height, openings, where: `${wallId} ${face} face`,
+            }));
+            return { face, pieces, external: pieces.length === 0 };
+        });
+
+        // The wall itself: external when one side faces no room
+        const external = sides.some(side => side.external);
+        const openingArea = openings.reduce((sum, opening) => {
+            const { height: openingHeight, sill } = openingSize(opening);
+            return sum + opening.width * Math.max(0, Math.min(sill + openingHeight, height) - sill);
+        }, 0);
+        const area = Math.max(0, length * height - openingArea);
+        const thicknessMm = Math.round(thickness * 1000);
+        addLine({
+            element: 'partition',
+            type: `${external ? 'External wall' : 'Partition'} ${thicknessMm} mm`,
+            quantity: area,
+            unit: 'm²',
+            wallId,
+            thickness: round3(thickness),
+            length: round3(length),
+            volume: round3(area * thickness),
+            basis: `${wallId} ${fmt(length)} m × ${fmt(height)} m × ${thicknessMm} mm${openingArea > 0 ? `, less ${fmt(openingArea)} m² of openings` : ''}`,
+        });
+
+        openings.forEach(opening => {
+            const { height: openingHeight, sill } = openingSize(opening);
+            const middle = lerp(start, end, (opening.offset + opening.width / 2) / length);
+            const served = shapes.filter(shape => sides.some(side => side.pieces.some(piece =>
+                piece.shape === shape && piece.from <= opening.offset + opening.width / 2 && piece.to >= opening.offset + opening.width / 2)));
+            addLine({
+                element: 'opening',
+                type: opening.kind === 'door' ? 'Door' : opening.kind === 'window' ? 'Window' : 'Opening',
+                kind: opening.kind,
+                quantity: 1,
+                unit: 'No.',
+                roomId: served[0]?.id ?? null,
+                room: served.map(shape => shape.name).join(' / ') || null,
+                wallId,
+                area: round3(opening.width * openingHeight),
+                basis: `${openingName(opening)} on ${wallId} at ${fmt(opening.offset)} m (${fmt(middle.x)}, ${fmt(middle.y)}), ${fmt(opening.width)} × ${fmt(openingHeight)} m${sill > 0 ? `, sill ${fmt(sill)} m` : ''}`,
+            });
+        });
+    });
+
+    // Rooms no wall faces - plans without wall geometry - are measured along their outline
+    shapes.filter(shape => roomTally.get(shape.id).faces === 0).forEach(shape => {
+        shape.outline.forEach((p, i) => {
+            const q = shape.outline[(i + 1) % shape.outline.length];
+            const length = distance(p, q);
+            if (length < config.minFaceLength) return;
+            measureFace({
+                shape, wallId: null, face: `edge-${i + 1}`, from: 0, to: length, openings: [],
+                height: options.storeyHeight ?? config.storeyHeight,
+                where: `${shape.name} outline edge ${i + 1}`,
+            });
+        });
+    });
+    if (walls.length === 0) outlinePartitions(shapes, config).forEach(addLine);
+
+    // Floors, ceilings and MEP points, room by room
+    shapes.forEach(shape => {
+        addLine({
+            element: 'floor', ...finish(shape.finishes.floor), quantity: shape.floorArea, unit: 'm²',
+            roomId: shape.id, room: shape.name, basis: shape.basis,
+        });
+        if (shape.finishes.ceiling !== NO_CEILING) {
+            addLine({
+                element: 'ceiling', ...finish(shape.finishes.ceiling), quantity: shape.floorArea, unit: 'm²',
+                roomId: shape.id, room: shape.name, basis: `${shape.basis}, ceiling at ${fmt(config.ceilingHeight)} m`,
+            });
+        }
+    });
+
+    (analysis?.mepHotspots || []).forEach((hotspot, i) => {
+        const p = { x: hotspot.location?.x ?? hotspot.position?.x ?? 0, y: hotspot.location?.z ?? hotspot.position?.z ?? 0 };
+        const shape = shapes.find(s => shapeContains(s, p));
+        addLine({
+            element: 'mep', type: hotspot.type || 'MEP point', quantity: 1, unit: 'No.',
+            roomId: shape?.id ?? null, room: shape?.name ?? null,
+            basis: `${hotspot.id || `mep-${i}`} at (${fmt(p.x)}, ${fmt(p.y)})${hotspot.layer ? ` on ${hotspot.layer}` : ''}`,
+        });
+    });
+
+    const rooms = shapes.map(shape => roomSummary(shape, lines, roomTally.get(shape.id), config));
+    return { rooms, lines, ...summarize(lines) };
+}
+
+/**
+ * Partitions traced from room outlines when the plan has no walls: an edge two
+ * rooms share is one partition, an edge only one room has is external
+ */
+function outlinePartitions(shapes, config) {
+    const edges = shapes.flatMap(shape => shape.outline.map((p, i) => ({ shape, index: i, a: p, b: shape.outline[(i + 1) % shape.outline.length] })));
+    let internal = 0;
+    let external = 0;
+    edges.forEach(edge => {
+        const length = distance(edge.a, edge.b);
+        if (length < config.minFaceLength) return;
+        const shared = edges
+            .filter(other => other.shape !== edge.shape)
+            .map(other => sharedRange(edge, other, length, config.sharedEdgeTolerance))
+            .filter(Boolean);
+        const sharedLength = uncovered(shared, length).reduce((rest, gap) => rest - (gap.to - gap.from), length);
+        internal += sharedLength / 2;
+        external += length - sharedLength;
+    });
+    const height = config.storeyHeight;
+    return [['Partition', internal], ['External wall', external]]
+        .filter(([, length]) => length >= config.minFaceLength)
+        .map(([kind, length]) => ({
+            element: 'partition',
+            type: `${kind} (from room outlines)`,
+            quantity: length * height,
+            unit: 'm²',
+            thickness: null,
+            length: round3(length),
+            volume: null,
+            basis: `${fmt(length)} m of ${kind === 'Partition' ? 'shared' : 'unshared'} room outline edges × ${fmt(height)} m`,
+        }));
+}
+
+// Range of edge a-b another room's edge runs along, if any
+function sharedRange(edge, other, length, tolerance) {
+    const dx = (edge.b.x - edge.a.x) / length;
+    const dy = (edge.b.y - edge.a.y) / length;
+    const offLine = (p) => Math.abs((p.x - edge.a.x) * dy - (p.y - edge.a.y) * dx);
+    if (offLine(other.a) > tolerance || offLine(other.b) > tolerance) return null;
+    const t0 = projectPointOnSegment(other.a, edge.a, edge.b).t * length;
+    const t1 = projectPointOnSegment(other.b, edge.a, edge.b).t * length;
+    const range = { from: Math.min(t0, t1), to: Math.max(t0, t1) };
+    return range.to - range.from > 0 ? range : null;
+}
+
+function roomSummary(shape, lines, tally, config) {
+    const own = lines.filter(line => line.roomId === shape.id);
+    const sum = (element) => round3(own.filter(line => line.element === element).reduce((total, line) => total + line.quantity, 0));
+    const openings = [...tally.openings];
+    return {
+        id: shape.id,
+        name: shape.name,
+        type: shape.room.type || null,
+        finishes: shape.finishes,
+        floorArea: round3(shape.floorArea),
+        perimeter: round3(shape.perimeter),
+        ceilingArea: sum('ceiling'),
+        ceilingHeight: shape.finishes.ceiling === NO_CEILING ? null : config.ceilingHeight,
+        wallArea: round3(tally.wallArea),
+        skirtingLength: round3(tally.skirting),
+        doorCount: openings.filter(opening => opening.kind === 'door').length,
+        windowCount: openings.filter(opening => opening.kind === 'window').length,
+        mepCount: own.filter(line => line.element === 'mep').length,
+    };
+}
+
+// Lines summed by type: [{ type, code, quantity, unit, ...extra sums }]
+function groupLines(lines, element, extras = []) {
+    const groups = new Map();
+    lines.filter(line => line.element === element).forEach(line => {
+        const groupKey = line.code || line.type;
+        const group = groups.get(groupKey) || { type: line.type, code: line.code || null, quantity: 0, unit: line.unit, ...Object.fromEntries(extras.map(key => [key, 0])) };
+        group.quantity += line.quantity;
+        extras.forEach(key => { group[key] += line[key] || 0; });
+        groups.set(groupKey, group);
+    });
+    return [...groups.values()].map(group => ({
+        ...group,
+        quantity: round3(group.quantity),
+        ...Object.fromEntries(extras.map(key => [key, round3(group[key])])),
+    }));
+}
+
+/**
+ * Totals and schedules of a set of takeoff lines
+ */
+export function summarize(lines) {
+    const sum = (filter, field = 'quantity') => round3(lines.filter(filter).reduce((total, line) => total + (line[field] || 0), 0));
+    const partitionLines = lines.filter(line => line.element === 'partition');
+
+    const wallsByThickness = {};
+    partitionLines.filter(line => line.thickness !== null).forEach(line => {
+        const key = line.thickness.toFixed(2);
+        if (!wallsByThickness[key]) wallsByThickness[key] = { thickness: line.thickness, length: 0, area: 0 };
+        wallsByThickness[key].length += line.length;
+        wallsByThickness[key].area += line.quantity;
+    });
+
+    return {
+        totals: {
+            floorArea: sum(line => line.element === 'floor'),
+            ceilingArea: sum(line => line.element === 'ceiling'),
+            wallArea: sum(line => line.element === 'wall-face' && line.roomId !== null),
+            externalWallArea: sum(line => line.element === 'wall-face' && line.roomId === null),
+            skirtingLength: sum(line => line.element === 'skirting'),
+            wallLength: sum(line => line.element === 'partition', 'length'),
+            wallVolume: sum(line => line.element === 'partition', 'volume'),
+            openingArea: sum(line => line.element === 'opening', 'area'),
+            doorCount: lines.filter(line => line.element === 'opening' && line.kind === 'door').length,
+            windowCount: lines.filter(line => line.element === 'opening' && line.kind === 'window').length,
+            mepCount: lines.filter(line => line.element === 'mep').length,
+        },
+        // Finish areas without a fit-out code, priced at the surveyor's unit rates
+        uncoded: {
+            floorArea: sum(line => line.element === 'floor' && !line.code),
+            ceilingArea: sum(line => line.element === 'ceiling' && !line.code),
+            wallArea: sum(line => line.element === 'wall-face' && line.roomId !== null && !line.code),
+        },
+        flooring: groupLines(lines, 'floor'),
+        ceilings: groupLines(lines, 'ceiling'),
+        wallFinishes: groupLines(lines.filter(line => line.roomId !== null), 'wall-face'),
+        partitions: groupLines(lines, 'partition', ['length', 'volume']),
+        wallsByThickness: Object.values(wallsByThickness).map(group => ({
+            thickness: group.thickness,
+            length: round3(group.length),
+            area: round3(group.area),
+        })),
+    };
+}
+
+/**
+ * One takeoff of several levels: rooms and lines tagged with their level
+ * @param {Array} parts - [{ levelId, levelName, ...takeoff }]
+ */
+export function mergeTakeoffs(parts) {
+    const rooms = parts.flatMap(part => part.rooms.map(room => ({ ...room, levelId: part.levelId, level: part.levelName })));
+    const lines = parts.flatMap(part => part.lines.map(line => ({
+        ...line,
+        id: `${part.levelId}-${line.id}`,
+        levelId: part.levelId,
+        level: part.levelName,
+    })));
+    return { rooms, lines, ...summarize(lines) };
+}
+
+export default {
+    TAKEOFF_DEFAULTS,
+    DEFAULT_FINISHES,
+    NO_CEILING,
+    NO_SKIRTING,
+    TAKEOFF_ELEMENTS,
+    roomFinishes,
+    faceKey,
+    roomContains,
+    takeoff,
+    summarize,
+    mergeTakeoffs,
+};
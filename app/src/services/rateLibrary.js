@@ -0,0 +1,146 @@
+/**
+ * Design & Build - Rate Library
+ * The one place BOQ item codes resolve to names, units and rates. Built from
+ * boq_library.json or an imported workbook of the same shape; auto-furnishing,
+ * quantity take-off and every export price through it, so a code carries the
+ * same rate everywhere. Codes the library does not know are reported rather
+ * than priced with a guess. Rates are in the library's own currency.
+ */
+
+import { BASE_CURRENCY } from '../config/currencies.js';
+
+/**
+ * Lookup key of an item code: codes match regardless of case and padding
+ */
+export function codeKey(code) {
+    return String(code ?? '').trim().toUpperCase();
+}
+
+/**
+ * Rate library from BOQ library data
+ * @param {Object} data - { metadata?, furniture: [], fitout: [] } as in boq_library.json
+ * @param {string} source - Where the rates came from, shown with warnings
+ * @returns {Object} { source, currency, version, items, index }
+ */
+export function createRateLibrary(data = {}, source = 'boq_library.json') {
+    const items = [
+        ...(data.furniture || []).map(item => ({ ...item, section: 'furniture' })),
+        ...(data.fitout || []).map(item => ({ ...item, section: 'fitout' })),
+    ].filter(item => codeKey(item.code));
+
+    // The first entry of a code wins, as it does in the workbook
+    const index = new Map();
+    items.forEach(item => {
+        const key = codeKey(item.code);
+        if (!index.has(key)) index.set(key, item);
+    });
+
+    return {
+        source,
+        currency: data.metadata?.currency || BASE_CURRENCY,
+        version: data.metadata?.version || null,
+        items,
+        index,
+    };
+}
+
+/**
+ * Library entry for a code
+ * @returns {Object|null}
+ */
+export function resolveItem(library, code) {
+    return library?.index.get(codeKey(code)) || null;
+}
+
+/**
+ * Unit rate of a code, or null when the library does not know it
+ */
+export function resolveRate(library, code) {
+    const item = resolveItem(library, code);
+    return Number.isFinite(item?.rate) ? item.rate : null;
+}
+
+/**
+ * BOQ line for a code, named and priced from the library. An unknown code
+ * keeps the caller's name and unit, is priced at 0 and flagged `unknown`.
+ * @param {Object} library
+ * @param {string} code
+ * @param {number} quantity
+ * @param {Object} fallback - { name, unit } used when the code is unknown
+ * @returns {Object} { code, name, description, category, unit, rate, amount, currency, unknown? }
+ */
+export function priceLine(library, code, quantity, fallback = {}) {
+    const item = resolveItem(library, code);
+    const rate = Number.isFinite(item?.rate) ? item.rate : 0;
+    return {
+        code: item?.code || code,
+        name: item?.name || fallback.name || code,
+        description: item?.description || fallback.description,
+        category: item?.category || fallback.category,
+        unit: item?.unit || fallback.unit,
+        rate,
+        amount: quantity * rate,
+        currency: library?.currency || BASE_CURRENCY,
+        ...(item ? {} : { unknown: true }),
+    };
+}
+
+/**
+ * Placed or imported BOQ items re-priced from the library, in its currency;
+ * items without a known code keep their own rate
+ * @param {Array} items - { itemCode | code, rate, ... }
+ * @returns {Object} { items, unknownCodes }
+ */
+export function priceItems(library, items = []) {
+    const unknownCodes = new Set();
+    const priced = items.map(item => {
+        const code = item.itemCode || item.code;
+        const rate = resolveRate(library, code);
+        if (rate === null) {
+            if (code) unknownCodes.add(code);
+            return item;
+        }
+        return { ...item, rate, currency: library.currency };
+    });
+    return { items: priced, unknownCodes: [...unknownCodes] };
+}
+
+/**
+ * BOQ section of a placed or generated item, for tax rules limited to one.
+ * Hatched areas are fit-out; other items take their library entry's section.
+ * @returns {string|null} 'furniture', 'fitout' or null when the code is unknown
+ */
+export function itemSection(item, library) {
+    if (item.source === 'hatch') return 'fitout';
+    return resolveItem(library, item.itemCode || item.code)?.section || null;
+}
+
+/**
+ * Codes mapped to { name, rate, unit }, for writers that look items up by code
+ */
+export function rateCatalogue(library) {
+    return Object.fromEntries((library?.items || []).map(item => [
+        item.code, { name: item.name, rate: item.rate, unit: item.unit },
+    ]));
+}
+
+/**
+ * Warning text for codes missing from the library: they are priced at 0, or
+ * at the rate they came with
+ */
+export function unknownCodeWarning(codes, library) {
+    const list = codes.slice(0, 5).join(', ') + (codes.length > 5 ? ` and ${codes.length - 5} more` : '');
+    return `${codes.length === 1 ? 'Item code' : 'Item codes'} ${list} not found in ${library?.source || 'the rate library'} - check the rates before issuing the BOQ`;
+}
+
+export default {
+    codeKey,
+    createRateLibrary,
+    resolveItem,
+    resolveRate,
+    priceLine,
+    priceItems,
+    itemSection,
+    rateCatalogue,
+    unknownCodeWarning,
+};
@@ -0,0 +1,337 @@
+/**
+ * Design & Build - Wall Network Room Detection
+ * Finds enclosed spaces in loose wall linework by building a planar graph:
+ * endpoints are snapped, segments split at intersections, door gaps bridged,
+ * and the minimal faces of the graph become rooms.
+ */
+
+import {
+    signedPolygonArea,
+    polygonPerimeter,
+    pointInPolygon,
+    projectPointOnSegment,
+    segmentIntersection,
+    distance,
+} from '../utils/geometry.js';
+
+export const ROOM_DETECTION_DEFAULTS = {
+    snapTolerance: 0.05,     // m - endpoints closer than this are merged
+    doorGapTolerance: 1.2,   // m - widest opening bridged as a closed wall
+    minGap: 0.5,             // m - narrower gaps are wall thicknesses, not doors
+    jambMaxLength: 0.4,      // m - short cap lines closing a wall end
+    minArea: 4,              // m²
+    maxArea: 2000,           // m²
+    minWidth: 0.8,           // m - rejects the slivers between double wall lines
+    maxSegments: 20000,
+};
+
+const GRID_CELL = 2; // m
+
+/**
+ * Detect rooms from wall segments.
+ * @param {Array<{a: {x, y}, b: {x, y}}>} segments - Wall lines in meters
+ * @param {Object} options - Overrides for ROOM_DETECTION_DEFAULTS
+ * @returns {Array<{vertices, area, perimeter, holes}>} Faces sorted by area (desc)
+ */
+export function detectRoomsFromSegments(segments, options = {}) {
+    const config = { ...ROOM_DETECTION_DEFAULTS, ...options };
+    if (!segments.length || segments.length > config.maxSegments) return [];
+
+    const graph = buildPlanarGraph(segments, config);
+    bridgeDoorGaps(graph, config);
+    pruneDanglingEdges(graph);
+
+    return extractRooms(graph, config).sort((a, b) => b.area - a.area);
+}
+
+// ============================================================================
+// Graph Construction
+// ============================================================================
+
+function cellKey(cx, cy) {
+    return `${cx},${cy}`;
+}
+
+function createNodeIndex(tolerance) {
+    const nodes = [];
+    const grid = new Map();
+    const size = Math.max(tolerance * 4, 0.5);
+
+    const find = (p) => {
+        const cx = Math.floor(p.x / size);
+        const cy = Math.floor(p.y / size);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cy - 1; j <= cy + 1; j++) {
+                const bucket = grid.get(cellKey(i, j));
+                if (!bucket) continue;
+                for (const id of bucket) {
+                    if (distance(nodes[id], p) <= tolerance) return id;
+                }
+            }
+        }
+        return -1;
+    };
+
+    const getOrCreate = (p) => {
+        const existing = find(p);
+        if (existing !== -1) return existing;
+        const id = nodes.length;
+        nodes.push({ x: p.x, y: p.y });
+        const key = cellKey(Math.floor(p.x / size), Math.floor(p.y / size));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(id);
+        return id;
+    };
+
+    return { nodes, find, getOrCreate };
+}
+
+/**
+ * Snap endpoints, split every segment at crossings and T-junctions, and
+ * return an undirected graph { nodes, adjacency: Map<id, Set<id>>, virtualEdges }
+ */
+function buildPlanarGraph(segments, config) {
+    const index = createNodeIndex(config.snapTolerance);
+    const segs = segments
+        .filter(s => distance(s.a, s.b) > config.snapTolerance)
+        .map(s => ({
+            a: index.nodes[index.getOrCreate(s.a)],
+            b: index.nodes[index.getOrCreate(s.b)],
+            splits: [],
+        }));
+
+    // Spatial hash of segment bounding boxes
+    const grid = new Map();
+    segs.forEach((s, i) => {
+        const x0 = Math.floor(Math.min(s.a.x, s.b.x) / GRID_CELL), x1 = Math.floor(Math.max(s.a.x, s.b.x) / GRID_CELL);
+        const y0 = Math.floor(Math.min(s.a.y, s.b.y) / GRID_CELL), y1 = Math.floor(Math.max(s.a.y, s.b.y) / GRID_CELL);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cellKey(cx, cy);
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(i);
+            }
+        }
+    });
+
+    // Crossings between segment pairs sharing a cell
+    const tested = new Set();
+    grid.forEach(bucket => {
+        for (let m = 0; m < bucket.length; m++) {
+            for (let n = m + 1; n < bucket.length; n++) {
+                const i = bucket[m], j = bucket[n];
+                const pairKey = i < j ? `${i}:${j}` : `${j}:${i}`;
+                if (tested.has(pairKey)) continue;
+                tested.add(pairKey);
+
+                const hit = segmentIntersection(segs[i].a, segs[i].b, segs[j].a, segs[j].b);
+                if (!hit) continue;
+                segs[i].splits.push(hit.point);
+                segs[j].splits.push(hit.point);
+            }
+        }
+    });
+
+    // T-junctions: snapped endpoints lying on another segment's interior
+    index.nodes.slice().forEach(node => {
+        const cx = Math.floor(node.x / GRID_CELL), cy = Math.floor(node.y / GRID_CELL);
+        const candidates = new Set();
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cy - 1; j <= cy + 1; j++) {
+                (grid.get(cellKey(i, j)) || []).forEach(id => candidates.add(id));
+            }
+        }
+        candidates.forEach(id => {
+            const s = segs[id];
+            if (s.a === node || s.b === node) return;
+            const { t, point } = projectPointOnSegment(node, s.a, s.b);
+            if (t > 0 && t < 1 && distance(point, node) <= config.snapTolerance) {
+                s.splits.push(node);
+            }
+        });
+    });
+
+    // Emit split sub-edges
+    const adjacency = new Map();
+    const addEdge = (u, v) => {
+        if (u === v) return;
+        if (!adjacency.has(u)) adjacency.set(u, new Set());
+        if (!adjacency.has(v)) adjacency.set(v, new Set());
+        adjacency.get(u).add(v);
+        adjacency.get(v).add(u);
+    };
+
+    segs.forEach(s => {
+        const dx = s.b.x - s.a.x, dy = s.b.y - s.a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const ids = [s.a, ...s.splits, s.b]
+            .map(p => ({ p, t: ((p.x - s.a.x) * dx + (p.y - s.a.y) * dy) / lengthSq }))
+            .sort((p, q) => p.t - q.t)
+            .map(({ p }) => index.getOrCreate(p));
+        for (let k = 0; k < ids.length - 1; k++) addEdge(ids[k], ids[k + 1]);
+    });
+
+    return { nodes: index.nodes, adjacency, virtualEdges: [] };
+}
+
+/**
+ * Bridge door openings. Candidate wall ends are dangling nodes and jamb corners
+ * (a short cap line meeting a long wall line). Two ends are joined when each
+ * continues the other's wall direction and they are mutual nearest partners.
+ */
+function bridgeDoorGaps(graph, config) {
+    const { nodes, adjacency } = graph;
+    const ends = [];
+
+    adjacency.forEach((neighbors, id) => {
+        const incident = [...neighbors].map(n => ({ n, length: distance(nodes[id], nodes[n]) }));
+        let wall = null;
+        if (incident.length === 1) {
+            wall = incident[0];
+        } else if (incident.length === 2) {
+            const [short, long] = incident[0].length < incident[1].length ? incident : [incident[1], incident[0]];
+            if (short.length <= config.jambMaxLength && long.length > config.jambMaxLength) wall = long;
+        }
+        if (!wall) return;
+
+        // Outward direction: from the wall's far node through this end
+        const dx = nodes[id].x - nodes[wall.n].x;
+        const dy = nodes[id].y - nodes[wall.n].y;
+        ends.push({ id, dir: { x: dx / wall.length, y: dy / wall.length } });
+    });
+
+    const bestPartner = (end) => {
+        let best = null;
+        let bestDist = Infinity;
+        ends.forEach(other => {
+            if (other.id === end.id || adjacency.get(end.id)?.has(other.id)) return;
+            const gap = distance(nodes[end.id], nodes[other.id]);
+            if (gap < config.minGap || gap > config.doorGapTolerance || gap >= bestDist) return;
+
+            const ux = (nodes[other.id].x - nodes[end.id].x) / gap;
+            const uy = (nodes[other.id].y - nodes[end.id].y) / gap;
+            const continues = ux * end.dir.x + uy * end.dir.y > 0.95;
+            const facing = end.dir.x * other.dir.x + end.dir.y * other.dir.y < -0.95;
+            if (continues && facing) {
+                best = other;
+                bestDist = gap;
+            }
+        });
+        return best;
+    };
+
+    const bridged = new Set();
+    ends.forEach(end => {
+        if (bridged.has(end.id)) return;
+        const partner = bestPartner(end);
+        if (!partner || bridged.has(partner.id) || bestPartner(partner)?.id !== end.id) return;
+
+        adjacency.get(end.id).add(partner.id);
+        adjacency.get(partner.id).add(end.id);
+        graph.virtualEdges.push([end.id, partner.id]);
+        bridged.add(end.id);
+        bridged.add(partner.id);
+    });
+}
+
+function pruneDanglingEdges(graph) {
+    const { adjacency } = graph;
+    const queue = [...adjacency.keys()].filter(id => adjacency.get(id).size <= 1);
+    while (queue.length) {
+        const id = queue.pop();
+        const neighbors = adjacency.get(id);
+        if (!neighbors) continue;
+        neighbors.forEach(n => {
+            const other = adjacency.get(n);
+            other.delete(id);
+            if (other.size === 1) queue.push(n);
+        });
+        adjacency.delete(id);
+    }
+}
+
+// ============================================================================
+// Face Extraction
+// ============================================================================
+
+/**
+ * Walk every directed edge keeping the face on its left. Bounded faces come
+ * out counter-clockwise (positive area); each component's outer boundary
+ * comes out clockwise.
+ */
+function traceFaces(graph) {
+    const { nodes, adjacency } = graph;
+    const sorted = new Map();
+    adjacency.forEach((neighbors, id) => {
+        const origin = nodes[id];
+        sorted.set(id, [...neighbors].sort((p, q) =>
+            Math.atan2(nodes[p].y - origin.y, nodes[p].x - origin.x) -
+            Math.atan2(nodes[q].y - origin.y, nodes[q].x - origin.x)));
+    });
+
+    const visited = new Set();
+    const faces = [];
+
+    sorted.forEach((neighbors, start) => {
+        neighbors.forEach(first => {
+            if (visited.has(`${start}>${first}`)) return;
+            const ring = [];
+            let u = start, v = first;
+            for (let guard = 0; guard < 100000; guard++) {
+                visited.add(`${u}>${v}`);
+                ring.push(u);
+                const around = sorted.get(v);
+                const back = around.indexOf(u);
+                const w = around[(back - 1 + around.length) % around.length];
+                u = v; v = w;
+                if (u === start && v === first) break;
+            }
+            faces.push(ring);
+        });
+    });
+
+    return faces;
+}
+
+function extractRooms(graph, config) {
+    const { nodes } = graph;
+    const faces = traceFaces(graph).map(ring => {
+        const vertices = ring.map(id => ({ x: nodes[id].x, y: nodes[id].y }));
+        return { ring, vertices, signedArea: signedPolygonArea(vertices) };
+    });
+
+    // Clockwise rings are component outlines; they become holes of the
+    // bounded faces that surround them (e.g. a free-standing core)
+    const outlines = faces.filter(f => f.signedArea < 0);
+    const bounded = faces.filter(f => f.signedArea > 0);
+
+    return bounded
+        .map(face => {
+            const holes = outlines.filter(o =>
+                -o.signedArea < face.signedArea &&
+                !o.ring.some(id => face.ring.includes(id)) &&
+                pointInPolygon(o.vertices[0], face.vertices) &&
+                // Only direct holes: not nested in another hole of this face
+                !outlines.some(other => other !== o && -other.signedArea > -o.signedArea &&
+                    -other.signedArea < face.signedArea && pointInPolygon(other.vertices[0], face.vertices) &&
+                    pointInPolygon(o.vertices[0], other.vertices))
+            );
+
+            const area = face.signedArea + holes.reduce((sum, h) => sum + h.signedArea, 0);
+            const perimeter = polygonPerimeter(face.vertices) + holes.reduce((sum, h) => sum + polygonPerimeter(h.vertices), 0);
+            return {
+                vertices: face.vertices,
+                holes: holes.map(h => h.vertices.slice().reverse()),
+                area,
+                perimeter,
+            };
+        })
+        .filter(room => room.area >= config.minArea && room.area <= config.maxArea)
+        // Mean width of the face; wall cavities are only as wide as the wall
+        .filter(room => (2 * room.area) / room.perimeter >= config.minWidth);
+}
+
+export default {
+    detectRoomsFromSegments,
+    ROOM_DETECTION_DEFAULTS,
+};
@@ -0,0 +1,133 @@
+/**
+ * Design & Build - Room Label Reading
+ * Names, numbers and classifies detected rooms from the TEXT/MTEXT placed
+ * inside them on the drawing.
+ */
+
+import { ROOM_TYPES } from '../config/api.js';
+import { pointInPolygon } from '../utils/geometry.js';
+
+// "101", "G-01", "1.02", "B1-105", "R12A"
+const ROOM_NUMBER_PATTERN = /^(?:[A-Z]{1,2}\d?[-.]?)?\d{1,4}[A-Z]?$/i;
+
+// Area, level and height annotations that sit inside rooms but never name them
+const ANNOTATION_PATTERN = /\d\s*(?:m²|m2|sqm|sq\.?\s?m|sf|sq\.?\s?ft)\b|\b(?:ffl|ffe|sfl|c\.?h\.?|ceiling|level|lvl|area)\s*[:=+-]?\s*[\d.]/i;
+
+/**
+ * Strip MTEXT inline formatting codes down to plain text lines
+ * @param {string} text - Raw TEXT/MTEXT string
+ * @returns {string[]} Non-empty lines
+ */
+export function cleanDrawingText(text = '') {
+    return text
+        .replace(/\\P/g, '\n')
+        .replace(/\\[ACcFfHhQTWp][^;\\]*;/g, '')
+        .replace(/\\S([^;]*)[#^/]([^;]*);/g, '$1/$2')
+        .replace(/\\[LlOoKkNn]/g, '')
+        .replace(/\\~/g, ' ')
+        .replace(/\\([\\{}])/g, '$1')
+        .replace(/[{}]/g, '')
+        .replace(/%%[cC]/g, 'Ø')
+        .replace(/%%[dD]/g, '°')
+        .replace(/%%[pP]/g, '±')
+        .replace(/%%[uUoO]/g, '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Room type for a piece of text, matched against the ROOM_TYPES keywords.
+ * The longest matching keyword wins so "manager office" beats "manager".
+ * @param {string} text
+ * @returns {string|null} ROOM_TYPES key
+ */
+export function classifyRoomText(text = '') {
+    let best = null;
+    let bestLength = 0;
+    for (const [type, config] of Object.entries(ROOM_TYPES)) {
+        config.keywords.forEach(keyword => {
+            const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (keyword.length > bestLength && new RegExp(`\\b${escaped}(?:e?s)?\\b`, 'i').test(text)) {
+                best = type;
+                bestLength = keyword.length;
+            }
+        });
+    }
+    return best;
+}
+
+/**
+ * Attach drawing text to the rooms that contain it.
+ * Each text goes to the smallest room holding its insertion point; within a
+ * room the tallest wording becomes the name and a number-like token the room
+ * number. Rooms are labelled in place.
+ *
+ * @param {Array} rooms - Rooms with `vertices` (and optional `holes`) in meters
+ * @param {Array<{text, position, height}>} texts - Drawing text in meters
+ * @returns {number} Number of rooms that received a label
+ */
+export function assignRoomLabels(rooms, texts) {
+    const found = new Map();
+
+    texts.forEach(entry => {
+        const host = rooms
+            .filter(room => room.vertices?.length >= 3 &&
+                pointInPolygon(entry.position, room.vertices) &&
+                !(room.holes || []).some(hole => pointInPolygon(entry.position, hole)))
+            .sort((a, b) => a.area - b.area)[0];
+        if (!host) return;
+        if (!found.has(host)) found.set(host, []);
+        found.get(host).push(entry);
+    });
+
+    let labelled = 0;
+    found.forEach((entries, room) => {
+        const names = [];
+        let number = null;
+
+        [...entries].sort((a, b) => (b.height || 0) - (a.height || 0)).forEach(entry => {
+            cleanDrawingText(entry.text).forEach(line => {
+                if (ANNOTATION_PATTERN.test(line)) return;
+                if (ROOM_NUMBER_PATTERN.test(line)) {
+                    number = number || line;
+                    return;
+                }
+                // "101 MEETING ROOM" / "MEETING ROOM 101"
+                const match = line.match(/^(\S+)\s+(.+)$/) || [];
+                const trailing = line.match(/^(.+)\s+(\S+)$/) || [];
+                if (ROOM_NUMBER_PATTERN.test(match[1] || '') && /[a-z]/i.test(match[2])) {
+                    number = number || match[1];
+                    names.push(match[2]);
+                } else if (ROOM_NUMBER_PATTERN.test(trailing[2] || '') && /\d/.test(trailing[2]) && /[a-z]/i.test(trailing[1])) {
+                    number = number || trailing[2];
+                    names.push(trailing[1]);
+                } else if (/[a-z]/i.test(line)) {
+                    names.push(line);
+                }
+            });
+        });
+
+        const name = names[0] || null;
+        if (!name && !number) return;
+
+        room.label = name || `Room ${number}`;
+        room.roomNumber = number;
+        room.labelSource = 'DXF-TEXT';
+        labelled++;
+
+        const type = classifyRoomText(names.join(' '));
+        if (type) {
+            room.type = type;
+            room.typeSource = 'DXF-TEXT';
+        }
+    });
+
+    return labelled;
+}
+
+export default {
+    assignRoomLabels,
+    classifyRoomText,
+    cleanDrawingText,
+};
@@ -0,0 +1,233 @@
+/**
+ * Design & Build - Double-Line Wall Recognition
+ * Collapses pairs of parallel wall lines into single walls with a measured
+ * centerline and thickness. Unpaired lines pass through as single-line walls.
+ */
+
+import { distance } from '../utils/geometry.js';
+
+export const WALL_DETECTION_DEFAULTS = {
+    minThickness: 0.05,       // m
+    maxThickness: 0.6,        // m
+    maxAngle: 2,              // degrees between the two faces
+    minOverlap: 0.5,          // share of the shorter line that must face its partner
+    minLength: 0.2,           // m - shorter lines are jambs and caps, left as-is
+    defaultThickness: 0.15,   // m - thickness given to single-line walls
+};
+
+const GRID_CELL = 2; // m
+
+// Height the plan cannot tell us
+const DEFAULT_WALL_HEIGHT = 3; // m
+
+/**
+ * Pair parallel wall faces.
+ * @param {Array<{a, b, layer}>} segments - Wall lines in meters
+ * @param {Object} options - Overrides for WALL_DETECTION_DEFAULTS
+ * @returns {Array<{start, end, thickness, layer, doubleLine}>}
+ */
+export function mergeDoubleLineWalls(segments, options = {}) {
+    const config = { ...WALL_DETECTION_DEFAULTS, ...options };
+    const cosLimit = Math.cos((config.maxAngle * Math.PI) / 180);
+
+    const lines = segments.map((s, index) => {
+        const length = distance(s.a, s.b);
+        return {
+            ...s,
+            index,
+            length,
+            dir: length > 0 ? { x: (s.b.x - s.a.x) / length, y: (s.b.y - s.a.y) / length } : { x: 1, y: 0 },
+        };
+    });
+
+    // Spatial hash, cells padded by the widest wall so both faces share a cell
+    const grid = new Map();
+    lines.forEach(line => {
+        if (line.length < config.minLength) return;
+        const pad = config.maxThickness;
+        const x0 = Math.floor((Math.min(line.a.x, line.b.x) - pad) / GRID_CELL);
+        const x1 = Math.floor((Math.max(line.a.x, line.b.x) + pad) / GRID_CELL);
+        const y0 = Math.floor((Math.min(line.a.y, line.b.y) - pad) / GRID_CELL);
+        const y1 = Math.floor((Math.max(line.a.y, line.b.y) + pad) / GRID_CELL);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = `${cx},${cy}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(line.index);
+            }
+        }
+    });
+
+    // Best facing partner of every line
+    const best = new Map();
+    const consider = (line, other) => {
+        const match = measurePair(line, other, config, cosLimit);
+        if (!match) return;
+        const current = best.get(line.index);
+        if (!current || match.thickness < current.thickness ||
+            (match.thickness === current.thickness && match.overlap > current.overlap)) {
+            best.set(line.index, { ...match, partner: other.index });
+        }
+    };
+
+    const tested = new Set();
+    grid.forEach(bucket => {
+        for (let m = 0; m < bucket.length; m++) {
+            for (let n = m + 1; n < bucket.length; n++) {
+                const i = bucket[m], j = bucket[n];
+                const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+                if (tested.has(key)) continue;
+                tested.add(key);
+                consider(lines[i], lines[j]);
+                consider(lines[j], lines[i]);
+            }
+        }
+    });
+
+    // Shorter faces attach to their best longer partner. A long face can host
+    // several short ones, e.g. an outer wall face against an inner face that
+    // is broken up by partitions.
+    const hosts = new Map();
+    const isGuest = new Set();
+    [...lines].sort((p, q) => p.length - q.length || p.index - q.index).forEach(line => {
+        const match = best.get(line.index);
+        if (!match || hosts.has(line.index)) return;
+        const partner = lines[match.partner];
+        if (isGuest.has(partner.index)) return;
+        if (partner.length < line.length || (partner.length === line.length && partner.index > line.index)) return;
+
+        if (!hosts.has(partner.index)) hosts.set(partner.index, []);
+        hosts.get(partner.index).push(line);
+        isGuest.add(line.index);
+    });
+
+    const walls = [];
+    hosts.forEach((guests, hostIndex) => walls.push(...collapseFaces(lines[hostIndex], guests, config)));
+
+    lines.forEach(line => {
+        if (hosts.has(line.index) || isGuest.has(line.index) || line.length === 0) return;
+        walls.push({
+            start: line.a,
+            end: line.b,
+            thickness: config.defaultThickness,
+            layer: line.layer,
+            doubleLine: false,
+        });
+    });
+
+    return walls;
+}
+
+/**
+ * Geometry of two candidate faces measured in `line`'s frame, or null if they
+ * are not parallel, too far apart, or do not face each other enough.
+ */
+function measurePair(line, other, config, cosLimit) {
+    if (line.length < config.minLength || other.length < config.minLength) return null;
+    if (Math.abs(line.dir.x * other.dir.x + line.dir.y * other.dir.y) < cosLimit) return null;
+
+    const normal = { x: -line.dir.y, y: line.dir.x };
+    const offsetA = (other.a.x - line.a.x) * normal.x + (other.a.y - line.a.y) * normal.y;
+    const offsetB = (other.b.x - line.a.x) * normal.x + (other.b.y - line.a.y) * normal.y;
+    const offset = (offsetA + offsetB) / 2;
+    const thickness = Math.abs(offset);
+    if (thickness < config.minThickness || thickness > config.maxThickness) return null;
+
+    const tA = (other.a.x - line.a.x) * line.dir.x + (other.a.y - line.a.y) * line.dir.y;
+    const tB = (other.b.x - line.a.x) * line.dir.x + (other.b.y - line.a.y) * line.dir.y;
+    const overlap = Math.min(line.length, Math.max(tA, tB)) - Math.max(0, Math.min(tA, tB));
+    if (overlap < config.minOverlap * Math.min(line.length, other.length)) return null;
+
+    return { thickness, offset, overlap };
+}
+
+/**
+ * Centerline walls over each span the host shares with a guest face, plus the
+ * host's uncovered stretches (longer than a wall thickness) as single-line walls
+ */
+function collapseFaces(host, guests, config) {
+    const normal = { x: -host.dir.y, y: host.dir.x };
+    const project = (p) => (p.x - host.a.x) * host.dir.x + (p.y - host.a.y) * host.dir.y;
+    const side = (p) => (p.x - host.a.x) * normal.x + (p.y - host.a.y) * normal.y;
+    const along = (t, shift = 0) => ({
+        x: host.a.x + host.dir.x * t + normal.x * shift,
+        y: host.a.y + host.dir.y * t + normal.y * shift,
+    });
+
+    const spans = guests
+        .map(guest => {
+            const offset = (side(guest.a) + side(guest.b)) / 2;
+            return {
+                t0: Math.max(0, Math.min(project(guest.a), project(guest.b))),
+                t1: Math.min(host.length, Math.max(project(guest.a), project(guest.b))),
+                offset,
+                thickness: Math.abs(offset),
+            };
+        })
+        .filter(span => span.t1 > span.t0)
+        .sort((p, q) => p.t0 - q.t0);
+
+    const walls = spans.map(span => ({
+        start: along(span.t0, span.offset / 2),
+        end: along(span.t1, span.offset / 2),
+        thickness: span.thickness,
+        layer: host.layer,
+        doubleLine: true,
+    }));
+
+    // Stretches shorter than a wall thickness are corner returns or junctions
+    let cursor = 0;
+    [...spans, { t0: host.length, t1: host.length, thickness: 0 }].forEach(span => {
+        const minimum = Math.max((span.thickness || config.defaultThickness) * 2, config.minLength);
+        if (span.t0 - cursor > minimum) {
+            walls.push({
+                start: along(cursor),
+                end: along(span.t0),
+                thickness: config.defaultThickness,
+                layer: host.layer,
+                doubleLine: false,
+            });
+        }
+        cursor = Math.max(cursor, span.t1);
+    });
+
+    return walls;
+}
+
+/**
+ * 3D wall box for a centerline wall, as the 3D view and the BOQ read walls
+ * @param {Object} wall - { start, end, layer, thickness, doubleLine, openings } in meters
+ * @param {string} id - Suffix of the wall id
+ * @returns {Object|null} null for walls shorter than 5 cm
+ */
+export function createWallObject({ start, end, layer, thickness = WALL_DETECTION_DEFAULTS.defaultThickness, doubleLine = false, openings = [] }, id) {
+    const length = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+    if (length < 0.05) return null;
+
+    // Rotation angle in radians
+    const angle = -Math.atan2(end.y - start.y, end.x - start.x); // Negative Y for 2D->3D coord flip if needed, but Three.js coordinate system standard is Z up or Y up.
+    // In our app, Y is UP in 3D, X/Z is the plane.
+
+    return {
+        id: `wall-${id}`,
+        position: { x: (start.x + end.x) / 2, y: DEFAULT_WALL_HEIGHT / 2, z: (start.y + end.y) / 2 },
+        dimensions: {
+            width: length,
+            height: DEFAULT_WALL_HEIGHT,
+            depth: thickness,
+        },
+        rotation: angle,
+        start: { x: start.x, y: start.y },
+        end: { x: end.x, y: end.y },
+        thickness: Math.round(thickness * 1000) / 1000,
+        doubleLine,
+        openings: openings.map((o, i) => ({ ...o, id: `wall-${id}-opening-${i}` })),
+        layer,
+    };
+}
+
+export default {
+    mergeDoubleLineWalls,
+    createWallObject,
+    WALL_DETECTION_DEFAULTS,
+};
@@ -6,11 +6,62 @@
 
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
+import { BUILT_IN_LAYER_PROFILES } from '../config/layerProfiles';
+import { BUILT_IN_DIM_STYLES } from '../config/dimensionStyles';
+import { DEFAULT_SNAP_SETTINGS } from '../services/cadSnaps';
+import { isAnnotation, styleFormat, releaseReferences } from '../services/cadAnnotations';
+import { fitoutAreas } from '../services/cadHatches';
+import { createRateLibrary, resolveItem, resolveRate, priceItems, itemSection, unknownCodeWarning } from '../services/rateLibrary';
+import { mergeRows, compareVersions, nextVersion } from '../services/boqImport';
+import { convertAmount, computeTaxes } from '../services/pricing';
+import { BASE_CURRENCY, DEFAULT_EXCHANGE_RATES, DEFAULT_TAX_RULES } from '../config/currencies';
+import { openRing } from '../utils/geometry';
+import { takeoff, mergeTakeoffs, TAKEOFF_DEFAULTS } from '../services/quantityTakeoff';
+import { assignRoomFinish, assignFaceFinish, isScheduledHatch, finishItems } from '../services/finishSchedule';
+import {
+    DEFAULT_LAYER, isLayerEditable, layerNameError, nextLayerName, captureLayerState, applyLayerState,
+} from '../services/cadLayers';
 
 // ============================================================================
 // BOQ Library Store
 // ============================================================================
 
+// Built-in rate library; its items are filled from boq_library.json once fetched
+const BUILT_IN_RATE_LIBRARY = {
+    id: 'standard',
+    name: 'Standard BOQ Library',
+    region: 'Oman',
+    currency: BASE_CURRENCY,
+    builtIn: true,
+    versions: [],
+    activeVersion: null,
+};
+
+let shippedLibraryData = null; // boq_library.json once fetched
+
+const emptyLibraryData = (library) => ({ metadata: { currency: library.currency }, furniture: [], fitout: [] });
+
+/**
+ * Bring persisted BOQ state up to date. Version 0 kept one list of library
+ * versions and a single VAT rate.
+ */
+function migrateBOQState(persisted, version) {
+    if (version >= 1 || !persisted) return persisted;
+    const { libraryVersions = [], activeLibraryVersion = null, project = {}, ...rest } = persisted;
+    const { vatRate, ...projectFields } = project;
+    return {
+        ...rest,
+        rateLibraries: [{ ...BUILT_IN_RATE_LIBRARY, versions: libraryVersions, activeVersion: activeLibraryVersion }],
+        project: {
+            ...projectFields,
+            currency: projectFields.currency || BASE_CURRENCY,
+            rateLibraryId: BUILT_IN_RATE_LIBRARY.id,
+            exchangeRates: { ...DEFAULT_EXCHANGE_RATES },
+            taxRules: vatRate === undefined ? DEFAULT_TAX_RULES : [{ ...DEFAULT_TAX_RULES[0], rate: vatRate }],
+        },
+    };
+}
+
 export const useBOQStore = create(
     devtools(
         persist(
@@ -21,16 +72,28 @@ export const useBOQStore = create(
                 materials: {},
                 spatialZones: [],
 
-                // Selected Items (items placed in scene)
+                // Rate library every code is priced through, and the codes it did not know
+                rateLibrary: null,
+                libraryData: null, // The library as loaded: { metadata, furniture, fitout }
+                unknownCodes: [],
+
+                // Named rate libraries, e.g. per supplier or region. Each keeps its
+                // imported versions, newest last: [{ version, source, importedAt, summary, data }];
+                // `activeVersion: null` is the library before any import.
+                rateLibraries: [BUILT_IN_RATE_LIBRARY],
+
+                // Selected Items (items placed in scene); `rate` is in the item's `currency`
                 selectedItems: [],
 
-                // Current Project
+                // Current Project: totals are shown in `currency`, priced through `rateLibraryId`
                 project: {
                     name: 'New Project',
                     client: 'Design & Build',
                     date: new Date().toISOString().split('T')[0],
-                    currency: 'OMR',
-                    vatRate: 0.05,
+                    currency: BASE_CURRENCY,
+                    rateLibraryId: BUILT_IN_RATE_LIBRARY.id,
+                    exchangeRates: { ...DEFAULT_EXCHANGE_RATES },
+                    taxRules: DEFAULT_TAX_RULES,
                 },
 
                 // Loading State
@@ -42,36 +105,153 @@ export const useBOQStore = create(
                     set({ isLoading: true, error: null });
                     try {
                         const response = await fetch('/boq_library.json');
-                        const data = await response.json();
+                        shippedLibraryData = await response.json();
                         set({
-                            furniture: data.furniture || [],
-                            fitout: data.fitout || [],
-                            materials: data.material_textures || {},
-                            spatialZones: data.spatial_zones || [],
+                            materials: shippedLibraryData.material_textures || {},
+                            spatialZones: shippedLibraryData.spatial_zones || [],
                             isLoading: false,
                         });
+                        get().activateRateLibrary();
                     } catch (error) {
                         set({ error: error.message, isLoading: false });
                     }
                 },
 
-                addItemToScene: (item, quantity = 1, position = { x: 0, y: 0, z: 0 }) => {
+                // Price through the project's rate library at its active version, in the library's currency
+                activateRateLibrary: () => {
+                    const library = get().getActiveLibrary();
+                    const entry = library.versions.find(v => v.version === library.activeVersion);
+                    const inCurrency = (data) => ({ ...data, metadata: { ...data.metadata, currency: library.currency } });
+                    if (entry) get().setRateLibrary(inCurrency(entry.data), `${library.name} v${entry.version}`);
+                    else if (!library.builtIn) get().setRateLibrary(emptyLibraryData(library), library.name);
+                    else if (shippedLibraryData) get().setRateLibrary(inCurrency(shippedLibraryData), 'boq_library.json');
+                    else return get().loadBOQLibrary();
+                },
+
+                // Replace the rate library; placed items take the new rates
+                setRateLibrary: (data, source) => {
+                    const rateLibrary = createRateLibrary(data, source);
+                    set(state => ({
+                        rateLibrary,
+                        libraryData: data,
+                        furniture: data.furniture || [],
+                        fitout: data.fitout || [],
+                        unknownCodes: [],
+                        selectedItems: priceItems(rateLibrary, state.selectedItems).items,
+                    }));
+                    syncHatchItems();
+                    useSurveyorStore.getState().recalculate();
+                },
+
+                getActiveLibrary: () => {
+                    const libraries = get().rateLibraries;
+                    return libraries.find(l => l.id === get().project.rateLibraryId) || libraries[0];
+                },
+
+                selectRateLibrary: (id) => {
+                    set(state => ({ project: { ...state.project, rateLibraryId: id } }));
+                    get().activateRateLibrary();
+                },
+
+                // New, empty library for a supplier or region; it becomes the project's
+                addRateLibrary: ({ name, region = '', currency = BASE_CURRENCY }) => {
+                    const id = `library-${Date.now()}`;
+                    set(state => ({
+                        rateLibraries: [...state.rateLibraries, { id, name, region, currency, versions: [], activeVersion: null }],
+                    }));
+                    get().selectRateLibrary(id);
+                    return id;
+                },
+
+                // Renames apply as they are; other changes re-price an active library
+                updateRateLibrary: (id, updates) => {
+                    set(state => ({
+                        rateLibraries: state.rateLibraries.map(l => (l.id === id ? { ...l, ...updates } : l)),
+                    }));
+                    const repriced = Object.keys(updates).some(key => key !== 'name' && key !== 'region');
+                    if (repriced && id === get().getActiveLibrary().id) return get().activateRateLibrary();
+                },
+
+                deleteRateLibrary: (id) => {
+                    const library = get().rateLibraries.find(l => l.id === id);
+                    if (!library || library.builtIn) return;
+                    const wasActive = library.id === get().getActiveLibrary().id;
+                    set(state => ({ rateLibraries: state.rateLibraries.filter(l => l.id !== id) }));
+                    if (wasActive) get().selectRateLibrary(BUILT_IN_RATE_LIBRARY.id);
+                },
+
+                // Merge validated spreadsheet rows into the active library as a new version
+                importLibraryRows: (rows, { fileName, section } = {}) => {
+                    const library = get().getActiveLibrary();
+                    const newest = [get().libraryData?.metadata?.version, ...library.versions.map(v => v.version)]
+                        .reduce((a, b) => (compareVersions(a, b) >= 0 ? a : b));
+                    const first = !library.builtIn && library.versions.length === 0;
+                    const { data, summary } = mergeRows(get().libraryData || emptyLibraryData(library), rows, {
+                        source: fileName, section, version: first ? '1.0.0' : nextVersion(newest),
+                    });
+                    const entry = {
+                        version: data.metadata.version,
+                        source: fileName,
+                        importedAt: new Date().toISOString(),
+                        summary,
+                        data,
+                    };
+                    get().updateRateLibrary(library.id, {
+                        versions: [...library.versions, entry].slice(-LIBRARY_VERSION_LIMIT),
+                        activeVersion: entry.version,
+                    });
+                    return entry;
+                },
+
+                // Switch the active library to an imported version, or to its state before imports with null
+                restoreLibraryVersion: async (version) => {
+                    const library = get().getActiveLibrary();
+                    const entry = library.versions.find(v => v.version === version);
+                    await get().updateRateLibrary(library.id, { activeVersion: entry ? entry.version : null });
+                },
+
+                // The rate library, loading boq_library.json first if it has not been
+                getRateLibrary: async () => {
+                    if (!get().rateLibrary) await get().loadBOQLibrary();
+                    return get().rateLibrary;
+                },
+
+                // Warn once about each code the rate library does not know
+                reportUnknownCodes: (codes = []) => {
+                    const known = new Set(get().unknownCodes);
+                    const fresh = [...new Set(codes)].filter(code => code && !known.has(code));
+                    if (fresh.length === 0) return;
+                    set(state => ({ unknownCodes: [...state.unknownCodes, ...fresh] }));
+                    queueUnknownCodeWarning(fresh);
+                },
+
+                // Items are tagged with the building level they belong to (the active one by default)
+                // Known codes take their rate from the rate library; others keep the item's own
+                addItemToScene: (item, quantity = 1, position = { x: 0, y: 0, z: 0 }, levelId = useProjectStore.getState().activeLevelId) => {
+                    const library = get().rateLibrary;
+                    const entry = resolveItem(library, item.code);
+                    if (library && !entry) get().reportUnknownCodes([item.code]);
+                    const currency = entry ? library.currency : item.currency || BASE_CURRENCY;
                     const newItem = {
                         id: `placed-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                        itemCode: item.code,
-                        name: item.name || item.item,
+                        itemCode: entry?.code || item.code,
+                        name: item.name || item.item || entry?.name,
                         description: item.description,
                         category: item.category,
-                        rate: item.rate,
+                        rate: resolveRate(library, item.code) ?? item.rate,
+                        currency,
                         quantity: quantity,
-                        unit: item.unit || item.uom,
+                        unit: item.unit || item.uom || entry?.unit,
                         position: position,
                         rotation: { x: 0, y: 0, z: 0 },
+                        levelId: levelId ?? null,
                         placedAt: new Date().toISOString(),
                     };
+                    const before = get().selectedItems;
                     set(state => ({
                         selectedItems: [...state.selectedItems, newItem],
                     }));
+                    recordSceneChange(`Place ${newItem.name || newItem.itemCode}`, before, get().selectedItems);
 
                     // Trigger Surveyor update
                     useSurveyorStore.getState().recalculate();
@@ -80,31 +260,53 @@ export const useBOQStore = create(
                 },
 
                 removeItemFromScene: (itemId) => {
+                    const before = get().selectedItems;
+                    const item = before.find(i => i.id === itemId);
+                    if (!item) return;
                     set(state => ({
                         selectedItems: state.selectedItems.filter(item => item.id !== itemId),
                     }));
+                    recordSceneChange(`Remove ${item.name || item.itemCode}`, before, get().selectedItems);
                     useSurveyorStore.getState().recalculate();
                 },
 
                 updateItemQuantity: (itemId, quantity) => {
+                    const before = get().selectedItems;
+                    const item = before.find(i => i.id === itemId);
+                    if (!item || item.quantity === quantity) return;
                     set(state => ({
                         selectedItems: state.selectedItems.map(item =>
                             item.id === itemId ? { ...item, quantity } : item
                         ),
                     }));
+                    recordSceneChange(`Quantity of ${item.name || item.itemCode}: ${item.quantity} → ${quantity}`, before, get().selectedItems);
                     useSurveyorStore.getState().recalculate();
                 },
 
+                // A moved item keeps its position in the 3D view instead of the default layout
                 updateItemPosition: (itemId, position) => {
+                    const before = get().selectedItems;
+                    const item = before.find(i => i.id === itemId);
+                    if (!item) return;
                     set(state => ({
                         selectedItems: state.selectedItems.map(item =>
-                            item.id === itemId ? { ...item, position } : item
+                            item.id === itemId ? { ...item, position, moved: true } : item
                         ),
                     }));
+                    recordSceneChange(`Move ${item.name || item.itemCode}`, before, get().selectedItems);
                 },
 
-                clearScene: () => {
-                    set({ selectedItems: [] });
+                // Clear every item, or only the items of one building level
+                clearScene: (levelId) => {
+                    const before = get().selectedItems;
+                    set(state => ({
+                        selectedItems: levelId === undefined
+                            ? []
+                            : state.selectedItems.filter(item => item.levelId !== levelId),
+                    }));
+                    if (get().selectedItems.length !== before.length) {
+                        recordSceneChange('Clear scene', before, get().selectedItems);
+                    }
                     useSurveyorStore.getState().recalculate();
                 },
 
@@ -114,27 +316,59 @@ export const useBOQStore = create(
                     }));
                 },
 
-                // Computed getters
-                getSubtotal: () => {
-                    const items = get().selectedItems;
-                    return items.reduce((total, item) => total + (item.rate * item.quantity), 0);
+                // Currency, exchange rates and tax rules change every total
+                updatePricing: (updates) => {
+                    get().updateProject(updates);
+                    useSurveyorStore.getState().recalculate();
+                },
+
+                setExchangeRate: (currency, rate) => {
+                    get().updatePricing({ exchangeRates: { ...get().project.exchangeRates, [currency]: rate } });
+                },
+
+                // Amount in the project currency
+                convert: (amount, currency = BASE_CURRENCY) => {
+                    const { currency: projectCurrency, exchangeRates } = get().project;
+                    return convertAmount(amount, currency, projectCurrency, exchangeRates);
+                },
+
+                // Computed getters, in the project currency
+                getLines: (levelId) => {
+                    const items = levelId === undefined
+                        ? get().selectedItems
+                        : get().selectedItems.filter(item => item.levelId === levelId);
+                    return items.map(item => ({
+                        item,
+                        section: itemSection(item, get().rateLibrary),
+                        amount: get().convert((item.rate || 0) * item.quantity, item.currency),
+                    }));
                 },
 
-                getVAT: () => {
-                    const subtotal = get().getSubtotal();
-                    const vatRate = get().project.vatRate;
-                    return subtotal * vatRate;
+                getSubtotal: (levelId) => {
+                    return get().getLines(levelId).reduce((total, line) => total + line.amount, 0);
                 },
 
-                getTotal: () => {
-                    return get().getSubtotal() + get().getVAT();
+                // [{ id, name, rate, scope, base, amount }] per tax rule
+                getTaxes: (levelId) => {
+                    return computeTaxes(get().getLines(levelId), get().project.taxRules);
+                },
+
+                getTaxTotal: (levelId) => {
+                    return get().getTaxes(levelId).reduce((total, tax) => total + tax.amount, 0);
+                },
+
+                getTotal: (levelId) => {
+                    return get().getSubtotal(levelId) + get().getTaxTotal(levelId);
                 },
             }),
             {
                 name: 'ai-architect-boq',
+                version: 1,
+                migrate: migrateBOQState,
                 partialize: (state) => ({
                     selectedItems: state.selectedItems,
                     project: state.project,
+                    rateLibraries: state.rateLibraries,
                 }),
             }
         ),
@@ -142,6 +376,266 @@ export const useBOQStore = create(
     )
 );
 
+// ============================================================================
+// Undo / Redo History Store
+// ============================================================================
+
+const HISTORY_LIMIT = 100;
+
+let pendingBatch = null; // Commands being grouped into one undo step
+let replaying = false;   // True while a command is being undone or redone
+
+/**
+ * One linear undo stack for drafting and scene edits.
+ * Store actions record a command after applying their change:
+ * { label, scope: 'cad' | 'scene', undo(), redo() }
+ */
+export const useHistoryStore = create(
+    devtools(
+        (set, get) => ({
+            past: [],   // Applied commands, oldest first
+            future: [], // Undone commands, next redo last
+
+            record: (command) => {
+                if (replaying) return;
+                if (pendingBatch) {
+                    pendingBatch.commands.push(command);
+                    return;
+                }
+                const entry = {
+                    ...command,
+                    id: `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                    timestamp: new Date().toISOString(),
+                };
+                set(state => ({ past: [...state.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+            },
+
+            // Run several store actions as a single undo step
+            batch: (label, fn) => {
+                if (pendingBatch) return fn();
+                pendingBatch = { label, commands: [] };
+                try {
+                    return fn();
+                } finally {
+                    const { commands } = pendingBatch;
+                    pendingBatch = null;
+                    if (commands.length === 1) {
+                        get().record({ ...commands[0], label });
+                    } else if (commands.length > 1) {
+                        get().record({
+                            label,
+                            scope: commands[0].scope,
+                            undo: () => [...commands].reverse().forEach(command => command.undo()),
+                            redo: () => commands.forEach(command => command.redo()),
+                        });
+                    }
+                }
+            },
+
+            undo: () => {
+                const command = get().past[get().past.length - 1];
+                if (!command) return;
+                replaying = true;
+                try {
+                    command.undo();
+                } finally {
+                    replaying = false;
+                }
+                set(state => ({ past: state.past.slice(0, -1), future: [...state.future, command] }));
+            },
+
+            redo: () => {
+                const command = get().future[get().future.length - 1];
+                if (!command) return;
+                replaying = true;
+                try {
+                    command.redo();
+                } finally {
+                    replaying = false;
+                }
+                set(state => ({ past: [...state.past, command], future: state.future.slice(0, -1) }));
+            },
+
+            // Undo or redo until `count` commands remain applied
+            jumpTo: (count) => {
+                while (get().past.length > count) get().undo();
+                while (get().past.length < count && get().future.length) get().redo();
+            },
+
+            clear: () => set({ past: [], future: [] }),
+        }),
+        { name: 'HistoryStore' }
+    )
+);
+
+/**
+ * Record a change to the BOQ scene as before/after snapshots of the placed items
+ */
+function recordSceneChange(label, before, after) {
+    const apply = (items) => {
+        useBOQStore.setState({ selectedItems: priceItems(useBOQStore.getState().rateLibrary, items).items });
+        syncHatchItems();
+        useSurveyorStore.getState().recalculate();
+    };
+    useHistoryStore.getState().record({ label, scope: 'scene', undo: () => apply(before), redo: () => apply(after) });
+}
+
+// Imported library versions kept for restoring, oldest dropped first
+const LIBRARY_VERSION_LIMIT = 10;
+
+let pendingUnknownCodes = null; // Codes waiting to be warned about together
+
+/**
+ * Warn about unknown codes in one notification per task, so a batch of
+ * placements raises a single warning
+ */
+function queueUnknownCodeWarning(codes) {
+    if (pendingUnknownCodes) {
+        pendingUnknownCodes.push(...codes);
+        return;
+    }
+    pendingUnknownCodes = [...codes];
+    queueMicrotask(() => {
+        const batch = pendingUnknownCodes;
+        pendingUnknownCodes = null;
+        useUIStore.getState().addNotification({
+            type: 'warning',
+            title: 'Unknown item codes',
+            message: unknownCodeWarning(batch, useBOQStore.getState().rateLibrary),
+        });
+    });
+}
+
+/**
+ * Bring the BOQ's hatched-area items in line with the drawing: one item per
+ * fit-out code and level, its quantity the hatched m². They follow the CAD
+ * edits, so they are not recorded as scene changes of their own. A hatch over
+ * a room floor the finishes schedule measures under the same code is left to
+ * the finish item.
+ */
+function syncHatchItems() {
+    const project = useProjectStore.getState();
+    const boq = useBOQStore.getState();
+    if (!boq.rateLibrary) return;
+    const levels = project.levels.length > 0
+        ? project.getLevels()
+        : [{ id: project.activeLevelId, cadEntities: project.cadEntities, analysisResult: project.analysisResult, finishSchedule: project.finishSchedule }];
+
+    const unknown = [];
+    const hatchItems = levels.flatMap(level => {
+        const hatches = (level.cadEntities || [])
+            .filter(entity => !isScheduledHatch(entity, level.analysisResult?.rooms, level.finishSchedule || {}, boq.rateLibrary));
+        return fitoutAreas(hatches).map(({ code, area }) => {
+            const item = resolveItem(boq.rateLibrary, code);
+            if (!item) unknown.push(code);
+            return {
+                id: `hatch-${level.id ?? 'plan'}-${code}`,
+                itemCode: code,
+                name: item?.name || code,
+                description: item?.description,
+                category: item?.category,
+                rate: item?.rate || 0,
+                currency: boq.rateLibrary.currency,
+                quantity: Math.round(area * 100) / 100,
+                unit: item?.unit || 'm2',
+                source: 'hatch',
+                levelId: level.id ?? null,
+            };
+        });
+    });
+    boq.reportUnknownCodes(unknown);
+
+    const current = boq.selectedItems.filter(item => item.source === 'hatch');
+    if (JSON.stringify(current) === JSON.stringify(hatchItems)) return;
+    useBOQStore.setState({ selectedItems: [...boq.selectedItems.filter(item => item.source !== 'hatch'), ...hatchItems] });
+    useSurveyorStore.getState().recalculate();
+}
+
+/**
+ * Bring the BOQ's finish items in line with the latest takeoff. Like hatched
+ * areas they follow the plan, so they are not recorded as scene changes.
+ */
+function syncFinishItems(items) {
+    const boq = useBOQStore.getState();
+    const current = boq.selectedItems.filter(item => item.source === 'finish');
+    if (JSON.stringify(current) === JSON.stringify(items)) return;
+    useBOQStore.setState({ selectedItems: [...boq.selectedItems.filter(item => item.source !== 'finish'), ...items] });
+}
+
+// BOQ lines the surveyor counts as furniture: all but the measured finishes
+// and hatched areas, which it costs as materials
+const isFurnishingLine = (line) => line.item.source !== 'finish' && line.item.source !== 'hatch';
+
+/**
+ * Replace, insert or drop CAD entities by id. A restored entity goes back to
+ * the index it was removed from.
+ * @param {Array} entities
+ * @param {Array<{id, entity, index}>} changes - `entity: null` removes
+ */
+function patchCadEntities(entities, changes) {
+    const next = [...entities];
+    changes.forEach(({ id, entity, index }) => {
+        const at = next.findIndex(e => e.id === id);
+        if (!entity) {
+            if (at >= 0) next.splice(at, 1);
+        } else if (at >= 0) {
+            next[at] = entity;
+        } else {
+            next.splice(Math.min(index ?? next.length, next.length), 0, entity);
+        }
+    });
+    return next;
+}
+
+/**
+ * Record a CAD entity change on the active level. Undoing it later switches
+ * back to that level first.
+ */
+function recordCadChange(label, before, after) {
+    const levelId = useProjectStore.getState().activeLevelId;
+    const apply = (changes) => {
+        const project = useProjectStore.getState();
+        if (levelId && project.activeLevelId !== levelId) project.setActiveLevel(levelId);
+        useProjectStore.setState(state => {
+            const cadEntities = patchCadEntities(state.cadEntities, changes);
+            const ids = new Set(cadEntities.map(e => e.id));
+            return { cadEntities, cadSelection: state.cadSelection.filter(id => ids.has(id)) };
+        });
+    };
+    useHistoryStore.getState().record({
+        label,
+        scope: 'cad',
+        undo: () => apply([...before].reverse()),
+        redo: () => apply(after),
+    });
+}
+
+/**
+ * Layer table fields, plus every level's entities when a change relayers them
+ */
+function layerSnapshot(state, withEntities = false) {
+    const snapshot = {
+        cadLayers: state.cadLayers,
+        activeCadLayer: state.activeCadLayer,
+        cadLayerStates: state.cadLayerStates,
+    };
+    return withEntities ? { ...snapshot, cadEntities: state.cadEntities, levels: state.levels } : snapshot;
+}
+
+/**
+ * Record a layer table change as before/after snapshots. Undoing it later
+ * switches back to the level that was active first.
+ */
+function recordLayerChange(label, before, after) {
+    const levelId = useProjectStore.getState().activeLevelId;
+    const apply = (snapshot) => {
+        const project = useProjectStore.getState();
+        if (levelId && project.activeLevelId !== levelId) project.setActiveLevel(levelId);
+        useProjectStore.setState(snapshot);
+    };
+    useHistoryStore.getState().record({ label, scope: 'cad', undo: () => apply(before), redo: () => apply(after) });
+}
+
 // ============================================================================
 // UI Store
 // ============================================================================
@@ -323,6 +817,16 @@ export const useLightingStore = create(
 // Project Workflow Store
 // ============================================================================
 
+// Project fields that describe one building level. The active level lives in
+// these top-level fields; the other levels keep their copy in `levels`.
+const LEVEL_FIELDS = [
+    'analysisResult', 'detectedRooms', 'mepHotspots', 'floorPlanBounds', 'totalArea', 'healthCheck',
+    'furnishingPlan', 'placedFurniture', 'rooms3D', 'walls3D', 'cadEntities', 'boqSummary', 'sceneData3D',
+    'finishSchedule',
+];
+
+const DEFAULT_STOREY_HEIGHT = 3; // m, floor to floor
+
 export const useProjectStore = create(
     devtools(
         persist(
@@ -356,6 +860,14 @@ export const useProjectStore = create(
                 rooms3D: [],
                 walls3D: [],
 
+                // Finishes schedule of the level (see services/finishSchedule)
+                finishSchedule: {},
+
+                // Building Levels - { id, name, elevation, height, fileName, ...LEVEL_FIELDS }
+                levels: [],
+                activeLevelId: null,
+                levelDisplay: 'single', // 'single' or 'stacked'
+
                 // Nano Panana Pro 3D Scene Data (archisketch-3d compatible)
                 sceneData3D: null, // { walls, furniture, floorColor, wallColor }
 
@@ -376,13 +888,20 @@ export const useProjectStore = create(
                 // CAD Drafting (Live Editor)
                 cadEntities: [], // Array of { type, points, layer, color, id }
                 cadLayers: [
-                    { name: '0', color: '#FFFFFF', visible: true, locked: false },
-                    { name: 'A-WALL', color: '#6B7280', visible: true, locked: false },
-                    { name: 'A-DOOR', color: '#10B981', visible: true, locked: false },
-                    { name: 'A-FURN', color: '#EC4899', visible: true, locked: false },
-                    { name: 'A-MEP', color: '#F59E0B', visible: true, locked: false },
+                    { name: '0', color: '#FFFFFF', visible: true, frozen: false, locked: false },
+                    { name: 'A-WALL', color: '#6B7280', visible: true, frozen: false, locked: false },
+                    { name: 'A-DOOR', color: '#10B981', visible: true, frozen: false, locked: false },
+                    { name: 'A-FURN', color: '#EC4899', visible: true, frozen: false, locked: false },
+                    { name: 'A-MEP', color: '#F59E0B', visible: true, frozen: false, locked: false },
+                    { name: 'A-ANNO', color: '#22D3EE', visible: true, frozen: false, locked: false },
                 ],
                 activeCadLayer: '0',
+                cadLayerStates: [], // Saved layer states: { name, layers } (see services/cadLayers.js)
+                cadSelection: [], // Ids of the selected cadEntities
+                cadUnits: 'm', // Drawing units typed coordinates are read in (DRAWING_UNITS key)
+                cadSnap: DEFAULT_SNAP_SETTINGS, // Object snap modes, ortho, polar tracking and grid snap
+                cadDimStyles: BUILT_IN_DIM_STYLES, // Dimension styles; annotations copy theirs into `format`
+                activeDimStyle: BUILT_IN_DIM_STYLES[0].name,
 
                 // BOQ Summary
                 boqSummary: null,
@@ -409,11 +928,15 @@ export const useProjectStore = create(
                 // Clear Nano Panana Renders
                 clearNanoPananaRenders: () => set({ nanoPananaRenders: [] }),
 
-                startSketchAnalysis: async (file) => {
-                    set({
-                        workflowPhase: 'analyzing',
-                        sketchFile: file,
-                    });
+                // `append` adds the file as further levels instead of replacing the project
+                startSketchAnalysis: async (file, { append = false, levelName, elevation } = {}) => {
+                    // Adding a floor leaves the current levels on screen while the file is read
+                    if (!append) {
+                        set({
+                            workflowPhase: 'analyzing',
+                            sketchFile: file,
+                        });
+                    }
 
                     if (file.type.startsWith('image/')) {
                         const reader = new FileReader();
@@ -437,16 +960,26 @@ export const useProjectStore = create(
                             // Use real DXF parser for .dxf files
                             console.log('[Project] Using DXF converter for:', file.name);
                             const { parseDXFFile } = await import('../services/dxfConverter.js');
-                            result = await parseDXFFile(file);
+                            result = await parseDXFFile(file, {
+                                layerProfile: useLayerProfileStore.getState().getActiveProfile(),
+                            });
                         } else if (isDWG) {
-                            // DWG files need conversion - use Vision AI on rasterized version
-                            console.log('[Project] DWG detected - using Vision AI analysis');
-                            const { analyzeFloorPlanWithVision } = await import('../services/geminiVision.js');
-                            result = await analyzeFloorPlanWithVision(file);
-                            result.cadMetadata = {
-                                format: 'Binary DWG',
-                                note: 'For full DWG support, export as DXF from AutoCAD',
-                            };
+                            // Read the DWG in the browser; Vision AI only if the local reader can't open it
+                            console.log('[Project] Using local DWG reader for:', file.name);
+                            const { parseDWGFile } = await import('../services/dxfConverter.js');
+                            try {
+                                result = await parseDWGFile(file, {
+                                    layerProfile: useLayerProfileStore.getState().getActiveProfile(),
+                                });
+                            } catch (dwgError) {
+                                console.warn('[Project] Local DWG read failed, using Vision AI analysis:', dwgError.message);
+                                const { analyzeFloorPlanWithVision } = await import('../services/geminiVision.js');
+                                result = await analyzeFloorPlanWithVision(file);
+                                result.cadMetadata = {
+                                    format: 'Binary DWG',
+                                    note: `Local DWG read failed (${dwgError.message}). For full support, export as DXF from AutoCAD`,
+                                };
+                            }
                         } else if (isImage || isPDF) {
                             // Try Nano Panana Pro for COMPLETE visualization (3D + Render)
                             console.log('[Project] Trying Nano Panana Pro Complete Visualization for:', file.name);
@@ -538,146 +1071,178 @@ export const useProjectStore = create(
                         }
 
                         if (result.success) {
-                            // 1. Initial State Update (Transition to 'detected')
-                            set({
-                                analysisResult: result,
-                                detectedRooms: result.rooms || [],
-                                mepHotspots: result.mepHotspots || [],
-                                floorPlanBounds: result.floorPlan?.bounds || { width: 30, height: 30, center: { x: 15, y: 15 } },
-                                totalArea: result.floorPlan?.totalArea || 900,
-                                healthCheck: result.healthCheck || { score: 85, issues: [], recommendations: [] },
-                                workflowPhase: 'detected',
-                                // Store Nano Panana Pro 3D scene data if available
-                                sceneData3D: sceneData3D,
+                            // A drawing holding several floor plans becomes several levels
+                            const parts = result.levels?.length > 1
+                                ? result.levels.map(({ name, ...level }) => ({ name, result: { ...result, ...level, levels: undefined } }))
+                                : [{ name: levelName, elevation, result }];
+
+                            await get().addLevelsFromAnalysis(parts, {
+                                append,
+                                fileName: file.name,
+                                sceneData3D,
+                                populateCad: isDXF || isDWG || isPDF || isImage,
                             });
 
-                            // 2. Populate CAD Editor (2D Drafting)
-                            if (isDXF || isDWG || isPDF || isImage) {
-                                const entities = [];
-                                (result.rooms || []).forEach(r => {
-                                    if (!r.bounds && !r.vertices) return;
-
-                                    const roomVertices = r.vertices || [
-                                        { x: r.bounds?.x || 0, y: r.bounds?.y || 0 },
-                                        { x: (r.bounds?.x || 0) + (r.bounds?.width || 0), y: r.bounds?.y || 0 },
-                                        { x: (r.bounds?.x || 0) + (r.bounds?.width || 0), y: (r.bounds?.y || 0) + (r.bounds?.height || 0) },
-                                        { x: r.bounds?.x || 0, y: (r.bounds?.y || 0) + (r.bounds?.height || 0) },
-                                        { x: r.bounds?.x || 0, y: r.bounds?.y || 0 }
-                                    ];
-
-                                    entities.push({
-                                        id: `init-${r.id}`,
-                                        type: 'POLYLINE',
-                                        points: roomVertices,
-                                        layer: r.layer || 'A-ZONE',
-                                        color: '#3B82F6'
-                                    });
-                                });
+                            return result;
+                        }
+                    } catch (error) {
+                        console.error('[Project] Analysis failed:', error);
+                        if (!append) set({ workflowPhase: 'upload' });
+                        return { success: false, error: error.message };
+                    }
+                },
 
-                                // Add significant walls as lines if available from result
-                                if (result.walls) {
-                                    result.walls.filter(w => w !== null).forEach((w, i) => {
-                                        // Use the larger dimension as the visual line length
-                                        const wallLen = Math.max(w.dimensions?.width || 0, w.dimensions?.depth || 0);
-
-                                        if (wallLen > 0.5) {
-                                            const wX = w.position?.x || 0;
-                                            const wZ = w.position?.z || 0;
-                                            const rot = w.rotation || 0;
-
-                                            // Calculate start and end points based on rotation
-                                            const halfLen = wallLen / 2;
-                                            const dx = Math.cos(rot) * halfLen;
-                                            const dz = Math.sin(rot) * halfLen;
-
-                                            entities.push({
-                                                id: `wall-line-${i}`,
-                                                type: 'LINE',
-                                                points: [
-                                                    { x: wX - dx, y: wZ - dz },
-                                                    { x: wX + dx, y: wZ + dz }
-                                                ],
-                                                layer: w.layer || 'A-WALL',
-                                                color: '#6B7280'
-                                            });
-                                        }
-                                    });
-                                }
-                                set({ cadEntities: entities });
-                            }
+                /**
+                 * Build levels from analysis results and make the first new one active.
+                 * @param {Array<{name, elevation, result}>} parts - One analysis result per level
+                 * @param {Object} options - { append, fileName, sceneData3D, populateCad }
+                 */
+                addLevelsFromAnalysis: async (parts, { append = false, fileName = null, sceneData3D = null, populateCad = true } = {}) => {
+                    const boqStore = useBOQStore.getState();
+                    const existing = append ? get().getLevels() : [];
+                    if (!append) boqStore.clearScene();
+
+                    const added = [];
+                    let activeFurnishing = null;
+                    for (const part of parts) {
+                        const below = added[added.length - 1] || existing[existing.length - 1];
+                        const { state, furnishing } = await buildLevelState(part.result, { sceneData3D, populateCad });
+                        const level = {
+                            id: `level-${Date.now()}-${existing.length + added.length}`,
+                            name: part.name || defaultLevelName([...existing, ...added]),
+                            elevation: part.elevation ?? (below ? below.elevation + below.height : 0),
+                            height: DEFAULT_STOREY_HEIGHT,
+                            fileName,
+                            ...state,
+                        };
+
+                        // Add items to BOQ
+                        furnishing.boqItems.forEach(item => {
+                            boqStore.addItemToScene({
+                                code: item.code,
+                                name: item.name,
+                                description: `Auto-placed in ${item.roomName}`,
+                                category: item.code.startsWith('LF') ? 'Furniture' : 'Fit-Out',
+                                rate: item.rate,
+                                unit: item.uom,
+                            }, item.quantity, { x: 0, y: 0, z: 0 }, level.id);
+                        });
 
-                            // Import furnishing functions
-                            const { calculateAutoFurnishing, generate3DPlacements } = await import('../services/geminiVision.js');
+                        if (!activeFurnishing) activeFurnishing = furnishing;
+                        added.push(level);
+                    }
 
-                            const furnishing = calculateAutoFurnishing(result.rooms);
-                            const placements = generate3DPlacements(furnishing.furnishingPlan, result.rooms);
+                    const active = added[0];
+                    set(state => ({
+                        ...pickLevelFields(active),
+                        cadLayers: mergeCadLayers(state.cadLayers, parts.flatMap(part => part.result.drawing?.layers || [])),
+                        levels: [...existing, ...added],
+                        activeLevelId: active.id,
+                        cadSelection: [],
+                        workflowPhase: 'ready',
+                    }));
 
-                            set({
-                                furnishingPlan: furnishing.furnishingPlan,
-                                boqSummary: furnishing.summary,
-                                placedFurniture: placements,
-                                workflowPhase: 'furnishing',
-                            });
+                    // A new analysis starts a fresh undo history
+                    useHistoryStore.getState().clear();
 
-                            // Add items to BOQ
-                            const boqStore = useBOQStore.getState();
-                            boqStore.clearScene();
-                            furnishing.boqItems.forEach(item => {
-                                boqStore.addItemToScene({
-                                    code: item.code,
-                                    name: item.name,
-                                    description: `Auto-placed in ${item.roomName}`,
-                                    category: item.code.startsWith('LF') ? 'Furniture' : 'Fit-Out',
-                                    rate: item.rate,
-                                    unit: item.uom,
-                                }, item.quantity, { x: 0, y: 0, z: 0 });
-                            });
+                    // Trigger Surveyor calculation
+                    useSurveyorStore.getState().calculateFromProject(active.analysisResult, activeFurnishing);
+                },
 
-                            // 4. Generate 3D Scene
-                            const rooms3D_final = result.rooms.map(room => ({
-                                id: room.id,
-                                type: room.type,
-                                label: room.label,
-                                position: {
-                                    x: room.bounds.x + room.bounds.width / 2,
-                                    y: 0,
-                                    z: room.bounds.y + room.bounds.height / 2,
-                                },
-                                dimensions: {
-                                    width: room.bounds.width,
-                                    height: 3,
-                                    depth: room.bounds.height,
-                                },
-                                bounds: room.bounds,
-                            }));
-
-                            // Use detected walls if available, otherwise heuristic
-                            const walls3D_final = result.walls
-                                ? result.walls.filter(w => w !== null).map((w, i) => ({
-                                    id: w.id || `wall-${i}`,
-                                    layer: w.layer || 'A-WALL',
-                                    position: w.position || { x: 0, y: 1.5, z: 0 },
-                                    dimensions: w.dimensions || { width: 0.2, height: 3, depth: 0.2 },
-                                    rotation: w.rotation || 0
-                                }))
-                                : generateWalls(result.rooms, result.floorPlan.bounds);
-
-                            set({
-                                rooms3D: rooms3D_final,
-                                walls3D: walls3D_final,
-                                workflowPhase: 'ready',
-                            });
+                // Levels with the active level's live data folded back in
+                getLevels: () => {
+                    const state = get();
+                    return state.levels.map(level =>
+                        level.id === state.activeLevelId ? { ...level, ...pickLevelFields(state) } : level);
+                },
 
-                            // 5. Trigger Surveyor calculation
-                            useSurveyorStore.getState().calculateFromProject(result, furnishing);
+                // Spatial zones from the BOQ library that sit on a level (matched by floor name)
+                getLevelZones: (levelId) => {
+                    const level = get().levels.find(l => l.id === levelId);
+                    if (!level) return [];
+                    return useBOQStore.getState().spatialZones
+                        .filter(zone => zone.floor?.toLowerCase() === level.name.toLowerCase());
+                },
 
-                            return result;
-                        }
-                    } catch (error) {
-                        console.error('[Project] Analysis failed:', error);
-                        set({ workflowPhase: 'upload' });
-                        return { success: false, error: error.message };
+                setActiveLevel: (levelId) => {
+                    const { activeLevelId } = get();
+                    if (levelId === activeLevelId) return;
+                    const levels = get().getLevels();
+                    const target = levels.find(l => l.id === levelId);
+                    if (!target) return;
+
+                    set({ ...pickLevelFields(target), levels, activeLevelId: levelId, cadSelection: [] });
+                    useSurveyorStore.getState().recalculate();
+                },
+
+                updateLevel: (levelId, updates) => {
+                    set(state => ({
+                        levels: state.levels.map(l => l.id === levelId ? { ...l, ...updates } : l),
+                    }));
+                    useSurveyorStore.getState().recalculate();
+                },
+
+                // The last remaining level cannot be removed; reset the workflow instead
+                removeLevel: (levelId) => {
+                    const levels = get().getLevels();
+                    if (levels.length <= 1) return;
+                    const index = levels.findIndex(l => l.id === levelId);
+                    if (index < 0) return;
+
+                    const remaining = levels.filter(l => l.id !== levelId);
+                    if (levelId === get().activeLevelId) {
+                        const next = remaining[Math.min(index, remaining.length - 1)];
+                        set({ ...pickLevelFields(next), levels: remaining, activeLevelId: next.id, cadSelection: [] });
+                    } else {
+                        set({ levels: remaining });
+                    }
+                    useBOQStore.getState().clearScene(levelId);
+                    // Recorded edits may point at the removed level
+                    useHistoryStore.getState().clear();
+                },
+
+                setLevelDisplay: (mode) => set({ levelDisplay: mode }),
+
+                // Finishes schedule edits; `levelId` defaults to the active level
+                updateFinishSchedule: (update, levelId = get().activeLevelId) => {
+                    if (levelId === get().activeLevelId) {
+                        set(state => ({ finishSchedule: update(state.finishSchedule || {}) }));
+                    } else {
+                        set(state => ({
+                            levels: state.levels.map(l => l.id === levelId ? { ...l, finishSchedule: update(l.finishSchedule || {}) } : l),
+                        }));
                     }
+                    useSurveyorStore.getState().recalculate();
+                },
+
+                // An empty value goes back to the room type's finish
+                setRoomFinish: (roomId, surface, value, levelId) => {
+                    get().updateFinishSchedule(schedule => assignRoomFinish(schedule, roomId, surface, value), levelId);
+                },
+
+                // An empty value goes back to the room's wall finish
+                setFaceFinish: (roomId, faceKey, value, levelId) => {
+                    get().updateFinishSchedule(schedule => assignFaceFinish(schedule, roomId, faceKey, value), levelId);
+                },
+
+                // Move a piece of the furniture layout; undoing it switches back to its level
+                moveFurniture: (itemId, position) => {
+                    const item = get().placedFurniture.find(i => i.id === itemId);
+                    if (!item) return;
+                    const levelId = get().activeLevelId;
+                    const apply = (to) => {
+                        if (levelId && get().activeLevelId !== levelId) get().setActiveLevel(levelId);
+                        set(state => ({
+                            placedFurniture: state.placedFurniture.map(i => i.id === itemId ? { ...i, position: to } : i),
+                        }));
+                    };
+                    apply(position);
+                    useHistoryStore.getState().record({
+                        label: `Move ${item.itemName || item.itemCode}`,
+                        scope: 'scene',
+                        undo: () => apply(item.position),
+                        redo: () => apply(position),
+                    });
                 },
 
                 resetWorkflow: () => {
@@ -692,35 +1257,266 @@ export const useProjectStore = create(
                         placedFurniture: [],
                         rooms3D: [],
                         walls3D: [],
+                        finishSchedule: {},
                         cadEntities: [],
+                        cadSelection: [],
                         sceneData3D: null,
                         boqSummary: null,
                         healthCheck: { score: 0, issues: [], recommendations: [] },
+                        levels: [],
+                        activeLevelId: null,
                     });
                     useBOQStore.getState().clearScene();
+                    useHistoryStore.getState().clear();
                     useSurveyorStore.getState().reset();
                 },
 
                 // CAD Actions
-                addCadEntity: (entity) => set(state => ({
-                    cadEntities: [...state.cadEntities, { ...entity, id: `entity-${Date.now()}` }]
-                })),
+                // Entity and layer edits are recorded in useHistoryStore
+                addCadEntity: (entity) => {
+                    const id = `entity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                    const added = { ...entity, id };
+                    set(state => ({
+                        cadEntities: [...state.cadEntities, added]
+                    }));
+                    recordCadChange(`Add ${added.type}`, [{ id, entity: null }], [{ id, entity: added }]);
+                    return id;
+                },
 
-                removeCadEntity: (id) => set(state => ({
-                    cadEntities: state.cadEntities.filter(e => e.id !== id)
-                })),
+                // Dimensions and tags on the erased geometry keep their last
+                // measurement and stop following it
+                removeCadEntity: (id) => {
+                    const { cadEntities } = get();
+                    const index = cadEntities.findIndex(e => e.id === id);
+                    if (index < 0) return;
+                    const removed = cadEntities[index];
+                    const released = releaseReferences(cadEntities, id);
+                    const previous = released.map(entity => cadEntities.find(e => e.id === entity.id));
+                    set(state => ({
+                        cadEntities: patchCadEntities(state.cadEntities, [
+                            ...released.map(entity => ({ id: entity.id, entity })),
+                            { id, entity: null },
+                        ]),
+                        cadSelection: state.cadSelection.filter(selected => selected !== id),
+                    }));
+                    recordCadChange(`Erase ${removed.type}`, [
+                        { id, entity: removed, index },
+                        ...previous.map(entity => ({ id: entity.id, entity })),
+                    ], [
+                        ...released.map(entity => ({ id: entity.id, entity })),
+                        { id, entity: null },
+                    ]);
+                },
 
-                updateCadEntity: (id, updates) => set(state => ({
-                    cadEntities: state.cadEntities.map(e => e.id === id ? { ...e, ...updates } : e)
-                })),
+                updateCadEntity: (id, updates) => {
+                    const previous = get().cadEntities.find(e => e.id === id);
+                    if (!previous) return;
+                    const updated = { ...previous, ...updates };
+                    set(state => ({
+                        cadEntities: state.cadEntities.map(e => e.id === id ? updated : e)
+                    }));
+                    recordCadChange(`Edit ${updated.type}`, [{ id, entity: previous }], [{ id, entity: updated }]);
+                },
 
                 setCadEntities: (entities) => set({ cadEntities: entities }),
 
-                toggleCadLayer: (layerName) => set(state => ({
-                    cadLayers: state.cadLayers.map(l => l.name === layerName ? { ...l, visible: !l.visible } : l)
-                })),
+                setCadSelection: (ids) => set({ cadSelection: ids }),
 
-                setActiveCadLayer: (layerName) => set({ activeCadLayer: layerName }),
+                toggleCadLayer: (layerName) => {
+                    const before = get().cadLayers;
+                    const layer = before.find(l => l.name === layerName);
+                    set(state => ({
+                        cadLayers: state.cadLayers.map(l => l.name === layerName ? { ...l, visible: !l.visible } : l)
+                    }));
+                    const after = get().cadLayers;
+                    useHistoryStore.getState().record({
+                        label: `${layer?.visible ? 'Hide' : 'Show'} layer ${layerName}`,
+                        scope: 'cad',
+                        undo: () => set({ cadLayers: before }),
+                        redo: () => set({ cadLayers: after }),
+                    });
+                },
+
+                // A frozen layer cannot be the current one
+                setActiveCadLayer: (layerName) => {
+                    if (get().cadLayers.find(l => l.name === layerName)?.frozen) return false;
+                    set({ activeCadLayer: layerName });
+                    return true;
+                },
+
+                // Returns the new layer's name, or null when the name is taken or invalid
+                addCadLayer: (layer = {}) => {
+                    const { cadLayers } = get();
+                    const name = layer.name?.trim() || nextLayerName(cadLayers);
+                    if (layerNameError(name, cadLayers)) return null;
+
+                    const before = layerSnapshot(get());
+                    set(state => ({
+                        cadLayers: [...state.cadLayers, { color: '#FFFFFF', visible: true, frozen: false, locked: false, ...layer, name }],
+                    }));
+                    recordLayerChange(`New layer ${name}`, before, layerSnapshot(get()));
+                    return name;
+                },
+
+                // Color, linetype, lineweight, on/off, freeze and lock. Objects on a
+                // layer that is hidden or locked drop out of the selection.
+                updateCadLayer: (layerName, updates) => {
+                    if (updates.frozen && layerName === get().activeCadLayer) return false;
+
+                    const before = layerSnapshot(get());
+                    set(state => {
+                        const cadLayers = state.cadLayers.map(l => l.name === layerName ? { ...l, ...updates } : l);
+                        const layer = cadLayers.find(l => l.name === layerName);
+                        const dropped = new Set(state.cadEntities.filter(e => e.layer === layerName).map(e => e.id));
+                        return {
+                            cadLayers,
+                            cadSelection: isLayerEditable(layer) ? state.cadSelection : state.cadSelection.filter(id => !dropped.has(id)),
+                        };
+                    });
+                    recordLayerChange(`Edit layer ${layerName}`, before, layerSnapshot(get()));
+                    return true;
+                },
+
+                // Moves the layer's objects on every level and its entries in saved layer states
+                renameCadLayer: (layerName, newName) => {
+                    const name = newName.trim();
+                    if (layerName === DEFAULT_LAYER || layerNameError(name, get().cadLayers, layerName)) return false;
+                    if (name === layerName) return true;
+
+                    const before = layerSnapshot(get(), true);
+                    const relayer = (entities) => entities.map(e => e.layer === layerName ? { ...e, layer: name } : e);
+                    set(state => ({
+                        cadLayers: state.cadLayers.map(l => l.name === layerName ? { ...l, name } : l),
+                        activeCadLayer: state.activeCadLayer === layerName ? name : state.activeCadLayer,
+                        cadLayerStates: state.cadLayerStates.map(saved => ({
+                            ...saved,
+                            layers: Object.fromEntries(Object.entries(saved.layers).map(([key, value]) => [key === layerName ? name : key, value])),
+                        })),
+                        cadEntities: relayer(state.cadEntities),
+                        levels: state.levels.map(level => level.cadEntities ? { ...level, cadEntities: relayer(level.cadEntities) } : level),
+                    }));
+                    recordLayerChange(`Rename layer ${layerName} to ${name}`, before, layerSnapshot(get(), true));
+                    return true;
+                },
+
+                // Moves every object on `layerName` (all levels) to `target`, then removes the layer
+                mergeCadLayer: (layerName, target) => {
+                    const { cadLayers } = get();
+                    if (layerName === DEFAULT_LAYER || layerName === target || !cadLayers.some(l => l.name === target)) return false;
+
+                    const before = layerSnapshot(get(), true);
+                    const relayer = (entities) => entities.map(e => e.layer === layerName ? { ...e, layer: target } : e);
+                    set(state => ({
+                        cadLayers: state.cadLayers.filter(l => l.name !== layerName),
+                        activeCadLayer: state.activeCadLayer === layerName ? target : state.activeCadLayer,
+                        cadLayerStates: state.cadLayerStates.map(saved => ({
+                            ...saved,
+                            layers: Object.fromEntries(Object.entries(saved.layers).filter(([key]) => key !== layerName)),
+                        })),
+                        cadEntities: relayer(state.cadEntities),
+                        levels: state.levels.map(level => level.cadEntities ? { ...level, cadEntities: relayer(level.cadEntities) } : level),
+                    }));
+                    recordLayerChange(`Merge layer ${layerName} into ${target}`, before, layerSnapshot(get(), true));
+                    return true;
+                },
+
+                // Layer 0, the current layer and layers holding objects on any level stay
+                canDeleteCadLayer: (layerName) => {
+                    const state = get();
+                    if (layerName === DEFAULT_LAYER || layerName === state.activeCadLayer) return false;
+                    const onLayer = (entities = []) => entities.some(e => e.layer === layerName);
+                    return !onLayer(state.cadEntities) && !state.levels.some(level => onLayer(level.cadEntities));
+                },
+
+                deleteCadLayer: (layerName) => {
+                    if (!get().canDeleteCadLayer(layerName)) return false;
+                    const before = layerSnapshot(get());
+                    set(state => ({ cadLayers: state.cadLayers.filter(l => l.name !== layerName) }));
+                    recordLayerChange(`Delete layer ${layerName}`, before, layerSnapshot(get()));
+                    return true;
+                },
+
+                // Layer states: saving under an existing name replaces it
+                saveCadLayerState: (name) => {
+                    const before = layerSnapshot(get());
+                    const saved = { name, layers: captureLayerState(get().cadLayers) };
+                    set(state => ({
+                        cadLayerStates: state.cadLayerStates.some(s => s.name === name)
+                            ? state.cadLayerStates.map(s => s.name === name ? saved : s)
+                            : [...state.cadLayerStates, saved],
+                    }));
+                    recordLayerChange(`Save layer state ${name}`, before, layerSnapshot(get()));
+                },
+
+                restoreCadLayerState: (name) => {
+                    const saved = get().cadLayerStates.find(s => s.name === name);
+                    if (!saved) return;
+                    const before = layerSnapshot(get());
+                    set(state => {
+                        const cadLayers = applyLayerState(state.cadLayers, saved.layers, state.activeCadLayer);
+                        const editable = new Set(cadLayers.filter(isLayerEditable).map(l => l.name));
+                        const layerOf = new Map(state.cadEntities.map(e => [e.id, e.layer]));
+                        return {
+                            cadLayers,
+                            cadSelection: state.cadSelection.filter(id => {
+                                const layer = layerOf.get(id);
+                                return editable.has(layer) || !cadLayers.some(l => l.name === layer);
+                            }),
+                        };
+                    });
+                    recordLayerChange(`Restore layer state ${name}`, before, layerSnapshot(get()));
+                },
+
+                deleteCadLayerState: (name) => {
+                    const before = layerSnapshot(get());
+                    set(state => ({ cadLayerStates: state.cadLayerStates.filter(s => s.name !== name) }));
+                    recordLayerChange(`Delete layer state ${name}`, before, layerSnapshot(get()));
+                },
+
+                setCadUnits: (units) => set({ cadUnits: units }),
+
+                setActiveDimStyle: (name) => set({ activeDimStyle: name }),
+
+                // Add or change a dimension style; annotations drawn in it take the new values
+                saveCadDimStyle: (style) => {
+                    const { cadDimStyles, cadEntities } = get();
+                    const exists = cadDimStyles.some(s => s.name === style.name);
+                    const styles = exists
+                        ? cadDimStyles.map(s => s.name === style.name ? { ...s, ...style } : s)
+                        : [...cadDimStyles, { ...style, builtIn: false }];
+                    const format = styleFormat(styles.find(s => s.name === style.name));
+                    const previous = cadEntities.filter(e => isAnnotation(e) && e.type !== 'TEXT' && e.style === style.name);
+                    const restyled = previous.map(e => ({ ...e, format }));
+
+                    useHistoryStore.getState().batch(`${exists ? 'Edit' : 'New'} dimension style ${style.name}`, () => {
+                        set(state => ({
+                            cadDimStyles: styles,
+                            cadEntities: patchCadEntities(state.cadEntities, restyled.map(entity => ({ id: entity.id, entity }))),
+                        }));
+                        useHistoryStore.getState().record({
+                            label: `Dimension style ${style.name}`,
+                            scope: 'cad',
+                            undo: () => set({ cadDimStyles }),
+                            redo: () => set({ cadDimStyles: styles }),
+                        });
+                        if (restyled.length) {
+                            recordCadChange(`Restyle ${restyled.length} annotations`,
+                                previous.map(entity => ({ id: entity.id, entity })),
+                                restyled.map(entity => ({ id: entity.id, entity })));
+                        }
+                    });
+                },
+
+                // Ortho and polar tracking exclude each other, as in AutoCAD
+                setCadSnap: (updates) => set((state) => ({
+                    cadSnap: {
+                        ...state.cadSnap,
+                        ...updates,
+                        modes: { ...state.cadSnap.modes, ...updates.modes },
+                        ...(updates.ortho ? { polar: false } : {}),
+                        ...(updates.polar ? { ortho: false } : {}),
+                    },
+                })),
 
                 syncCADToProject: async () => {
                     const { cadEntities, analysisResult } = get();
@@ -728,84 +1524,21 @@ export const useProjectStore = create(
 
                     console.log('[Project] Syncing CAD entities to 3D model...');
 
-                    const rooms = [];
-                    const walls = [];
-
-                    cadEntities.forEach(ent => {
-                        if (ent.type === 'POLYLINE' || ent.type === 'RECT') {
-                            // Convert to room
-                            let pts = ent.points;
-                            if (ent.type === 'RECT' && pts.length >= 2) {
-                                // Expand Rect to 4 points
-                                const p1 = pts[0];
-                                const p2 = pts[1];
-                                pts = [
-                                    { x: p1.x, y: p1.y },
-                                    { x: p2.x, y: p1.y },
-                                    { x: p2.x, y: p2.y },
-                                    { x: p1.x, y: p2.y },
-                                    { x: p1.x, y: p1.y }
-                                ];
-                            }
-
-                            const minX = Math.min(...pts.map(p => p.x));
-                            const maxX = Math.max(...pts.map(p => p.x));
-                            const minY = Math.min(...pts.map(p => p.y));
-                            const maxY = Math.max(...pts.map(p => p.y));
-                            const width = Math.abs(maxX - minX);
-                            const height = Math.abs(maxY - minY);
-                            const area = width * height;
-
-                            rooms.push({
-                                id: ent.id,
-                                type: ent.label || 'OPEN_WORKSPACE',
-                                label: ent.name || `Room ${ent.id.split('-')[1] || ''}`,
-                                area: Math.round(area * 100) / 100,
-                                bounds: { x: minX, y: minY, width, height },
-                                vertices: pts,
-                                layer: ent.layer,
-                                confidence: 1.0,
-                                source: 'CAD-MANUAL'
-                            });
-                        } else if (ent.type === 'LINE' && ent.points?.length >= 2) {
-                            const p1 = ent.points[0];
-                            const p2 = ent.points[1];
-                            const length = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
-                            const angle = -Math.atan2(p2.y - p1.y, p2.x - p1.x);
-
-                            walls.push({
-                                id: ent.id,
-                                position: { x: (p1.x + p2.x) / 2, y: 1.5, z: (p1.y + p2.y) / 2 },
-                                dimensions: { width: length, height: 3, depth: 0.15 },
-                                rotation: angle,
-                                layer: ent.layer || 'A-WALL'
-                            });
-                        }
+                    // Layer roles follow the active mapping profile, as on import
+                    const { planFromCadEntities } = await import('../services/cadSync.js');
+                    const { rooms, walls, openings } = planFromCadEntities(cadEntities, {
+                        layerProfile: useLayerProfileStore.getState().getActiveProfile(),
                     });
 
                     // Build 3D structures
-                    const rooms3D = rooms.map(r => ({
-                        id: r.id,
-                        type: r.type,
-                        label: r.label,
-                        position: { x: r.bounds.x + r.bounds.width / 2, y: 0, z: r.bounds.y + r.bounds.height / 2 },
-                        dimensions: { width: r.bounds.width, height: 3, depth: r.bounds.height },
-                        bounds: r.bounds
-                    }));
-
-                    const walls3D = walls.map(w => ({
-                        ...w,
-                        id: w.id,
-                        position: w.position,
-                        dimensions: w.dimensions,
-                        rotation: w.rotation
-                    }));
+                    const rooms3D = rooms.map(toRoom3D);
 
                     // Update store
                     const syncResult = {
                         ...analysisResult,
                         rooms,
                         walls,
+                        openings,
                         floorPlan: {
                             ...analysisResult?.floorPlan,
                             totalArea: rooms.reduce((s, r) => s + r.area, 0)
@@ -815,14 +1548,16 @@ export const useProjectStore = create(
                     set({
                         detectedRooms: rooms,
                         rooms3D,
-                        walls3D,
+                        walls3D: walls,
                         analysisResult: syncResult,
                         workflowPhase: 'ready'
                     });
 
                     // Recalculate BOQ and Surveyor
                     const { calculateAutoFurnishing, generate3DPlacements } = await import('../services/geminiVision.js');
-                    const furnishing = calculateAutoFurnishing(rooms);
+                    const boqStore = useBOQStore.getState();
+                    const furnishing = calculateAutoFurnishing(rooms, await boqStore.getRateLibrary());
+                    boqStore.reportUnknownCodes(furnishing.unknownCodes);
                     const placements = generate3DPlacements(furnishing.furnishingPlan, rooms);
 
                     set({
@@ -849,6 +1584,71 @@ export const useProjectStore = create(
     )
 );
 
+// ============================================================================
+// CAD Layer Mapping Profiles Store
+// ============================================================================
+
+export const useLayerProfileStore = create(
+    devtools(
+        persist(
+            (set, get) => ({
+                customProfiles: [],
+                activeProfileId: BUILT_IN_LAYER_PROFILES[0].id,
+
+                getProfiles: () => [...BUILT_IN_LAYER_PROFILES, ...get().customProfiles],
+
+                getActiveProfile: () => {
+                    return get().getProfiles().find(p => p.id === get().activeProfileId) || BUILT_IN_LAYER_PROFILES[0];
+                },
+
+                setActiveProfile: (id) => set({ activeProfileId: id }),
+
+                // Built-in profiles are read-only; saving one stores an editable copy
+                saveProfile: (profile) => {
+                    const isCustom = get().customProfiles.some(p => p.id === profile.id);
+                    const saved = isCustom
+                        ? { ...profile, builtIn: false }
+                        : { ...profile, id: `layer-profile-${Date.now()}`, builtIn: false };
+
+                    set((state) => ({
+                        customProfiles: isCustom
+                            ? state.customProfiles.map(p => p.id === saved.id ? saved : p)
+                            : [...state.customProfiles, saved],
+                        activeProfileId: saved.id,
+                    }));
+                    return saved.id;
+                },
+
+                duplicateProfile: (id) => {
+                    const source = get().getProfiles().find(p => p.id === id);
+                    if (!source) return null;
+                    return get().saveProfile({
+                        ...source,
+                        id: null,
+                        name: `${source.name} (copy)`,
+                        patterns: Object.fromEntries(Object.entries(source.patterns).map(([k, v]) => [k, [...v]])),
+                    });
+                },
+
+                deleteProfile: (id) => {
+                    set((state) => ({
+                        customProfiles: state.customProfiles.filter(p => p.id !== id),
+                        activeProfileId: state.activeProfileId === id ? BUILT_IN_LAYER_PROFILES[0].id : state.activeProfileId,
+                    }));
+                },
+            }),
+            {
+                name: 'ai-architect-layer-profiles',
+                partialize: (state) => ({
+                    customProfiles: state.customProfiles,
+                    activeProfileId: state.activeProfileId,
+                }),
+            }
+        ),
+        { name: 'LayerProfileStore' }
+    )
+);
+
 // ============================================================================
 // Surveyor AI Store (Real-Time QTO)
 // ============================================================================
@@ -856,15 +1656,37 @@ export const useProjectStore = create(
 export const useSurveyorStore = create(
     devtools(
         (set, get) => ({
-            // Quantity Takeoff Data
-            wallArea: 0, // Total wall area minus openings (m²)
+            // Quantity Takeoff Data (see services/quantityTakeoff)
+            wallArea: 0, // Net wall finish area, room faces only, to the ceiling (m²)
+            externalWallArea: 0, // Net area of wall faces outside every room (m²)
+            wallLength: 0, // Total wall run (m)
+            wallVolume: 0, // Net wall area x thickness (m³)
+            wallsByThickness: [], // [{ thickness, length, area }]
+            openingArea: 0, // Measured door/window/gap area, one face (m²)
             floorArea: 0, // Total floor area (m²)
-            ceilingArea: 0, // Total ceiling area (m²)
+            ceilingArea: 0, // Ceiling area, rooms left open to the soffit excluded (m²)
+            skirtingLength: 0, // Skirting run, less door openings (m)
+            ceilingHeight: TAKEOFF_DEFAULTS.ceilingHeight, // m - wall finishes stop here
+
+            // Schedules: [{ type, quantity, unit }], partitions also { length, volume }
+            flooring: [],
+            ceilings: [],
+            wallFinishes: [],
+            partitions: [],
+
+            // Per-room quantities and the lines every quantity was measured from
+            takeoffRooms: [], // [{ id, name, type, finishes, floorArea, perimeter, wallArea, skirtingLength, ceilingArea, ceilingHeight, doorCount, windowCount, mepCount }]
+            takeoffLines: [], // [{ id, element, type, quantity, unit, roomId, room, wallId, face, basis }]
 
             // Itemized Counts
             furnitureCount: 0,
             mepCount: 0,
             fixtureCount: 0,
+            doorCount: 0,
+            windowCount: 0,
+
+            // Per-level QTO when the project has several levels
+            levelBreakdown: [], // [{ levelId, name, elevation, floorArea, wallArea, openingArea, doorCount, windowCount, mepCount, furnitureCost, totalCost }]
 
             // Cost Breakdown
             materialCost: 0,
@@ -872,18 +1694,23 @@ export const useSurveyorStore = create(
             mepCost: 0,
             furnitureCost: 0,
 
-            // Unit Rates (Editable)
+            // Unit Rates (Editable), in unitRatesCurrency
             unitRates: {
-                wallPaint: 3.5, // OMR per m²
-                flooring: 25.0, // OMR per m²
-                ceiling: 18.0, // OMR per m²
-                electrical: 45.0, // OMR per point
-                plumbing: 85.0, // OMR per fixture
-                hvac: 120.0, // OMR per ton
+                wallPaint: 3.5, // per m²
+                flooring: 25.0, // per m²
+                ceiling: 18.0, // per m²
+                electrical: 45.0, // per point
+                plumbing: 85.0, // per fixture
+                hvac: 120.0, // per ton
             },
+            unitRatesCurrency: BASE_CURRENCY,
+
+            // Currency the costs are in: the project's when they were last calculated
+            currency: BASE_CURRENCY,
 
             // Totals
             totalCost: 0,
+            taxes: [], // [{ id, name, rate, scope, base, amount }] per project tax rule, on totalCost
             contingency: 0.10, // 10%
             grandTotal: 0,
 
@@ -893,56 +1720,125 @@ export const useSurveyorStore = create(
 
             // Actions
             calculateFromProject: (analysis, furnishing) => {
-                const rooms = analysis.rooms || [];
-
-                let wallArea = 0;
-                let floorArea = 0;
-                const wallHeight = 3; // meters
-
-                rooms.forEach(room => {
-                    const area = room.area || (room.bounds.width * room.bounds.height);
-                    floorArea += area;
-
-                    // Calculate perimeter for walls
-                    const perimeter = 2 * (room.bounds.width + room.bounds.height);
-                    wallArea += perimeter * wallHeight;
-
-                    // Subtract 15% for openings (doors, windows)
-                    wallArea *= 0.85;
+                // Buildings with several levels are measured level by level and summed
+                const project = useProjectStore.getState();
+                const boqStore = useBOQStore.getState();
+                const levels = project.levels.length > 1 ? project.levels : [];
+                const ceilingHeight = get().ceilingHeight;
+                const library = boqStore.rateLibrary;
+                const levelMeasures = levels.map(level => {
+                    const active = level.id === project.activeLevelId;
+                    return {
+                        levelId: level.id,
+                        levelName: level.name,
+                        level,
+                        ...takeoff(active ? analysis : level.analysisResult, {
+                            storeyHeight: level.height,
+                            ceilingHeight,
+                            finishes: active ? project.finishSchedule : level.finishSchedule,
+                            library,
+                        }),
+                    };
                 });
-
-                const unitRates = get().unitRates;
+                const activeLevel = project.levels.find(level => level.id === project.activeLevelId);
+                const measured = levels.length > 0
+                    ? mergeTakeoffs(levelMeasures)
+                    : takeoff(analysis, { storeyHeight: activeLevel?.height, ceilingHeight, finishes: project.finishSchedule, library });
+
+                // Coded finishes go into the BOQ at their measured quantities and are
+                // costed as materials; the furniture figures leave them out
+                const finishes = library ? finishItems(measured.lines, library, project.activeLevelId) : [];
+                if (library) syncFinishItems(finishes);
+                const finishCost = (levelId) => useBOQStore.getState().getLines(levelId)
+                    .filter(line => !isFurnishingLine(line))
+                    .reduce((total, line) => total + line.amount, 0);
+                const furnishingLines = (levelId) => useBOQStore.getState().getLines(levelId).filter(isFurnishingLine);
+
+                const unitRates = Object.fromEntries(Object.entries(get().unitRates)
+                    .map(([key, rate]) => [key, boqStore.convert(rate, get().unitRatesCurrency)]));
                 const styleModifier = get().styleModifier;
 
-                const materialCost = (
-                    wallArea * unitRates.wallPaint +
-                    floorArea * unitRates.flooring +
-                    floorArea * unitRates.ceiling
-                ) * styleModifier;
-
-                const mepPoints = analysis.mepHotspots?.length || 10;
-                const mepCost = mepPoints * unitRates.electrical;
+                // Finishes without a code are priced at the unit rates
+                const price = (m, finishes, furnitureCost) => {
+                    const materialCost = (
+                        m.uncoded.wallArea * unitRates.wallPaint +
+                        m.uncoded.floorArea * unitRates.flooring +
+                        m.uncoded.ceilingArea * unitRates.ceiling
+                    ) * styleModifier + finishes;
+                    const mepCost = m.totals.mepCount * unitRates.electrical;
+                    const laborCost = (materialCost + mepCost) * 0.35; // 35% labor
+                    return { materialCost, mepCost, laborCost, totalCost: materialCost + laborCost + mepCost + furnitureCost };
+                };
 
-                const furnitureCost = furnishing?.summary?.subtotal || 0;
+                const mepPoints = measured.totals.mepCount;
 
-                const laborCost = (materialCost + mepCost) * 0.35; // 35% labor
+                const furnitureCost = levels.length > 0
+                    ? furnishingLines().reduce((total, line) => total + line.amount, 0)
+                    : boqStore.convert(furnishing?.summary?.subtotal || 0, furnishing?.summary?.currency);
 
-                const totalCost = materialCost + laborCost + mepCost + furnitureCost;
+                const { materialCost, mepCost, laborCost, totalCost } = price(measured, finishCost(), furnitureCost);
                 const contingency = get().contingency;
                 const grandTotal = totalCost * (1 + contingency);
 
+                // Construction work is taxed as fit-out, the furniture line by line
+                const furnitureLines = levels.length > 0
+                    ? furnishingLines()
+                    : (furnishing?.boqItems || []).filter(item => isFurnishingLine({ item })).map(item => ({
+                        section: itemSection(item, boqStore.rateLibrary),
+                        amount: boqStore.convert(item.amount ?? (item.rate || 0) * (item.quantity || 1), item.currency || furnishing.summary?.currency),
+                    }));
+                const taxes = computeTaxes(
+                    [...furnitureLines, { section: 'fitout', amount: materialCost + mepCost + laborCost }],
+                    boqStore.project.taxRules,
+                );
+
+                const round2 = (value) => Math.round(value * 100) / 100;
+
                 set({
-                    wallArea: Math.round(wallArea * 100) / 100,
-                    floorArea: Math.round(floorArea * 100) / 100,
-                    ceilingArea: Math.round(floorArea * 100) / 100,
-                    furnitureCount: furnishing?.boqItems?.length || 0,
+                    currency: boqStore.project.currency,
+                    wallArea: round2(measured.totals.wallArea),
+                    externalWallArea: round2(measured.totals.externalWallArea),
+                    wallLength: round2(measured.totals.wallLength),
+                    wallVolume: measured.totals.wallVolume,
+                    wallsByThickness: measured.wallsByThickness,
+                    openingArea: round2(measured.totals.openingArea),
+                    doorCount: measured.totals.doorCount,
+                    windowCount: measured.totals.windowCount,
+                    floorArea: round2(measured.totals.floorArea),
+                    ceilingArea: round2(measured.totals.ceilingArea),
+                    skirtingLength: round2(measured.totals.skirtingLength),
+                    flooring: measured.flooring,
+                    ceilings: measured.ceilings,
+                    wallFinishes: measured.wallFinishes,
+                    partitions: measured.partitions,
+                    takeoffRooms: measured.rooms,
+                    takeoffLines: measured.lines,
+                    furnitureCount: levels.length > 0 ? furnishingLines().length : furnishing?.boqItems?.length || 0,
                     mepCount: mepPoints,
-                    materialCost: Math.round(materialCost * 100) / 100,
-                    laborCost: Math.round(laborCost * 100) / 100,
-                    mepCost: Math.round(mepCost * 100) / 100,
-                    furnitureCost: Math.round(furnitureCost * 100) / 100,
-                    totalCost: Math.round(totalCost * 100) / 100,
-                    grandTotal: Math.round(grandTotal * 100) / 100,
+                    materialCost: round2(materialCost),
+                    laborCost: round2(laborCost),
+                    mepCost: round2(mepCost),
+                    furnitureCost: round2(furnitureCost),
+                    totalCost: round2(totalCost),
+                    taxes: taxes.map(tax => ({ ...tax, base: round2(tax.base), amount: round2(tax.amount) })),
+                    grandTotal: round2(grandTotal),
+                    levelBreakdown: levelMeasures.map(({ level, totals: m, uncoded }) => {
+                        const levelFurniture = furnishingLines(level.id).reduce((total, line) => total + line.amount, 0);
+                        const cost = price({ totals: m, uncoded }, finishCost(level.id), levelFurniture);
+                        return {
+                            levelId: level.id,
+                            name: level.name,
+                            elevation: level.elevation,
+                            floorArea: round2(m.floorArea),
+                            wallArea: round2(m.wallArea),
+                            openingArea: round2(m.openingArea),
+                            doorCount: m.doorCount,
+                            windowCount: m.windowCount,
+                            mepCount: m.mepCount,
+                            furnitureCost: round2(levelFurniture),
+                            totalCost: round2(cost.totalCost),
+                        };
+                    }),
                 });
             },
 
@@ -951,11 +1847,12 @@ export const useSurveyorStore = create(
                 const projectStore = useProjectStore.getState();
 
                 if (projectStore.analysisResult) {
+                    const lines = boqStore.getLines().filter(isFurnishingLine);
                     get().calculateFromProject(
                         projectStore.analysisResult,
                         {
-                            summary: { subtotal: boqStore.getSubtotal() },
-                            boqItems: boqStore.selectedItems,
+                            summary: { subtotal: lines.reduce((total, line) => total + line.amount, 0), currency: boqStore.project.currency },
+                            boqItems: lines.map(line => line.item),
                         }
                     );
                 }
@@ -986,11 +1883,30 @@ export const useSurveyorStore = create(
                 get().recalculate();
             },
 
+            setCeilingHeight: (value) => {
+                set({ ceilingHeight: value });
+                get().recalculate();
+            },
+
             reset: () => {
                 set({
                     wallArea: 0,
+                    externalWallArea: 0,
+                    wallLength: 0,
+                    wallVolume: 0,
+                    wallsByThickness: [],
+                    openingArea: 0,
+                    doorCount: 0,
+                    windowCount: 0,
                     floorArea: 0,
                     ceilingArea: 0,
+                    skirtingLength: 0,
+                    flooring: [],
+                    ceilings: [],
+                    wallFinishes: [],
+                    partitions: [],
+                    takeoffRooms: [],
+                    takeoffLines: [],
                     furnitureCount: 0,
                     mepCount: 0,
                     materialCost: 0,
@@ -998,7 +1914,9 @@ export const useSurveyorStore = create(
                     mepCost: 0,
                     furnitureCost: 0,
                     totalCost: 0,
+                    taxes: [],
                     grandTotal: 0,
+                    levelBreakdown: [],
                 });
             },
         }),
@@ -1145,6 +2063,172 @@ export const useChatStore = create(
 );
 
 // Helper Functions
+
+/**
+ * Room as the 3D viewport draws it: its box extent, plus the plan outline
+ * (and any holes) when the room is a polygon rather than a rectangle
+ */
+function toRoom3D(room) {
+    return {
+        id: room.id,
+        type: room.type,
+        label: room.label,
+        position: {
+            x: room.bounds.x + room.bounds.width / 2,
+            y: 0,
+            z: room.bounds.y + room.bounds.height / 2,
+        },
+        dimensions: {
+            width: room.bounds.width,
+            height: 3,
+            depth: room.bounds.height,
+        },
+        bounds: room.bounds,
+        area: room.area,
+        vertices: room.vertices?.length >= 3 ? openRing(room.vertices) : undefined,
+        holes: room.holes,
+    };
+}
+
+function pickLevelFields(source) {
+    return Object.fromEntries(LEVEL_FIELDS.map(field => [field, source[field]]));
+}
+
+/**
+ * Default name for the next level: the next floor named in the BOQ library's
+ * spatial zones that is not taken yet, then "Level N"
+ */
+function defaultLevelName(levels) {
+    const taken = new Set(levels.map(l => l.name.toLowerCase()));
+    const floors = [...new Set(useBOQStore.getState().spatialZones.map(zone => zone.floor).filter(Boolean))];
+    return floors.find(floor => !taken.has(floor.toLowerCase())) || `Level ${levels.length}`;
+}
+
+/**
+ * Layers of an imported drawing added to the editor's layer list; layers the
+ * editor already has keep their color and state
+ */
+function mergeCadLayers(layers, imported) {
+    const merged = [...layers];
+    imported.forEach(layer => {
+        if (!merged.some(l => l.name === layer.name)) merged.push(layer);
+    });
+    return merged;
+}
+
+/**
+ * Project state of one level built from an analysis result: CAD entities,
+ * auto-furnishing and the 3D scene
+ */
+async function buildLevelState(result, { sceneData3D = null, populateCad = true } = {}) {
+    // The imported linework lives in cadEntities, not in the analysis result
+    const { drawing, ...analysis } = result;
+
+    // 1. Detected plan
+    const state = {
+        analysisResult: analysis,
+        detectedRooms: result.rooms || [],
+        mepHotspots: result.mepHotspots || [],
+        floorPlanBounds: result.floorPlan?.bounds || { width: 30, height: 30, center: { x: 15, y: 15 } },
+        totalArea: result.floorPlan?.totalArea || 900,
+        healthCheck: result.healthCheck || { score: 85, issues: [], recommendations: [] },
+        // Store Nano Panana Pro 3D scene data if available
+        sceneData3D: sceneData3D,
+        cadEntities: [],
+        finishSchedule: {},
+    };
+
+    // 2. Populate CAD Editor (2D Drafting)
+    // DXF/DWG imports bring their own entities; room outlines are only added
+    // for rooms traced from the wall network, and walls are not redrawn
+    if (populateCad) {
+        const imported = drawing?.entities || [];
+        const entities = [...imported];
+        (result.rooms || []).forEach(r => {
+            if (!r.bounds && !r.vertices) return;
+            if (imported.length && r.source !== 'DXF-WALL-GRAPH') return;
+
+            const roomVertices = r.vertices || [
+                { x: r.bounds?.x || 0, y: r.bounds?.y || 0 },
+                { x: (r.bounds?.x || 0) + (r.bounds?.width || 0), y: r.bounds?.y || 0 },
+                { x: (r.bounds?.x || 0) + (r.bounds?.width || 0), y: (r.bounds?.y || 0) + (r.bounds?.height || 0) },
+                { x: r.bounds?.x || 0, y: (r.bounds?.y || 0) + (r.bounds?.height || 0) },
+                { x: r.bounds?.x || 0, y: r.bounds?.y || 0 }
+            ];
+
+            entities.push({
+                id: `init-${r.id}`,
+                type: 'POLYLINE',
+                points: roomVertices,
+                layer: r.layer || 'A-ZONE',
+                color: '#3B82F6'
+            });
+        });
+
+        // Add significant walls as lines if available from result
+        if (result.walls && !imported.length) {
+            result.walls.filter(w => w !== null).forEach((w, i) => {
+                // Use the larger dimension as the visual line length
+                const wallLen = Math.max(w.dimensions?.width || 0, w.dimensions?.depth || 0);
+
+                if (wallLen > 0.5) {
+                    const wX = w.position?.x || 0;
+                    const wZ = w.position?.z || 0;
+                    const rot = w.rotation || 0;
+
+                    // Calculate start and end points based on rotation
+                    const halfLen = wallLen / 2;
+                    const dx = Math.cos(rot) * halfLen;
+                    const dz = Math.sin(rot) * halfLen;
+
+                    entities.push({
+                        id: `wall-line-${i}`,
+                        type: 'LINE',
+                        points: [
+                            { x: wX - dx, y: wZ - dz },
+                            { x: wX + dx, y: wZ + dz }
+                        ],
+                        layer: w.layer || 'A-WALL',
+                        color: '#6B7280'
+                    });
+                }
+            });
+        }
+        state.cadEntities = entities;
+    }
+
+    // 3. Auto-furnishing
+    const { calculateAutoFurnishing, generate3DPlacements } = await import('../services/geminiVision.js');
+
+    const boqStore = useBOQStore.getState();
+    const furnishing = calculateAutoFurnishing(result.rooms, await boqStore.getRateLibrary());
+    boqStore.reportUnknownCodes(furnishing.unknownCodes);
+    state.furnishingPlan = furnishing.furnishingPlan;
+    state.boqSummary = furnishing.summary;
+    state.placedFurniture = generate3DPlacements(furnishing.furnishingPlan, result.rooms);
+
+    // 4. Generate 3D Scene
+    state.rooms3D = result.rooms.map(toRoom3D);
+
+    // Use detected walls if available, otherwise heuristic
+    state.walls3D = result.walls
+        ? result.walls.filter(w => w !== null).map((w, i) => ({
+            id: w.id || `wall-${i}`,
+            layer: w.layer || 'A-WALL',
+            position: w.position || { x: 0, y: 1.5, z: 0 },
+            dimensions: w.dimensions || { width: 0.2, height: 3, depth: 0.2 },
+            rotation: w.rotation || 0,
+            start: w.start,
+            end: w.end,
+            thickness: w.thickness ?? w.dimensions?.depth ?? 0.2,
+            doubleLine: !!w.doubleLine,
+            openings: w.openings || [],
+        }))
+        : generateWalls(result.rooms, result.floorPlan.bounds);
+
+    return { state, furnishing };
+}
+
 function generateWalls(rooms, bounds) {
     const walls = [];
     const wallHeight = 3;
@@ -1177,3 +2261,9 @@ function generateWalls(rooms, bounds) {
 
     return walls;
 }
+
+// Hatched areas follow the drawing into the BOQ, on every level
+useProjectStore.subscribe((state, prev) => {
+    if (state.cadEntities !== prev.cadEntities || state.levels !== prev.levels ||
+        state.analysisResult !== prev.analysisResult || state.finishSchedule !== prev.finishSchedule) syncHatchItems();
+});
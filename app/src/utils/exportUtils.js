@@ -5,6 +5,9 @@
 
 import pptxgen from 'pptxgenjs';
 import { saveAs } from 'file-saver';
+import { computeTaxes, convertAmount, formatAmount, formatMoney, taxLabel } from '../services/pricing';
+import { itemSection } from '../services/rateLibrary';
+import { BASE_CURRENCY, DEFAULT_TAX_RULES } from '../config/currencies';
 
 // ============================================================================
 // Color Constants
@@ -29,6 +32,7 @@ const COLORS = {
 
 export async function generatePPTX(projectData, boqSummary, renderImages = []) {
     const pptx = new pptxgen();
+    const currency = projectData.currency || BASE_CURRENCY;
 
     // Presentation Properties
     pptx.author = 'Design & Build';
@@ -249,7 +253,7 @@ export async function generatePPTX(projectData, boqSummary, renderImages = []) {
     const tableHeader = [
         { text: 'Category', options: { fill: { color: COLORS.primary }, color: COLORS.text, bold: true, align: 'center' } },
         { text: 'Items', options: { fill: { color: COLORS.primary }, color: COLORS.text, bold: true, align: 'center' } },
-        { text: 'Subtotal (OMR)', options: { fill: { color: COLORS.primary }, color: COLORS.text, bold: true, align: 'center' } },
+        { text: `Subtotal (${currency})`, options: { fill: { color: COLORS.primary }, color: COLORS.text, bold: true, align: 'center' } },
     ];
 
     const tableRows = [tableHeader];
@@ -259,7 +263,7 @@ export async function generatePPTX(projectData, boqSummary, renderImages = []) {
             tableRows.push([
                 { text: category, options: { fill: { color: COLORS.surface }, color: COLORS.text } },
                 { text: String(data.count), options: { fill: { color: COLORS.surface }, color: COLORS.text, align: 'center' } },
-                { text: data.subtotal.toFixed(3), options: { fill: { color: COLORS.surface }, color: COLORS.success, align: 'right' } },
+                { text: formatAmount(data.subtotal, currency), options: { fill: { color: COLORS.surface }, color: COLORS.success, align: 'right' } },
             ]);
         });
     } else {
@@ -324,8 +328,8 @@ export async function generatePPTX(projectData, boqSummary, renderImages = []) {
     });
 
     const subtotal = Object.values(boqSummary || {}).reduce((sum, cat) => sum + (cat.subtotal || 0), 0);
-    const vat = subtotal * 0.05;
-    const total = subtotal + vat;
+    const taxes = computeTaxes([{ amount: subtotal, section: 'furniture' }], projectData.taxRules || DEFAULT_TAX_RULES);
+    const total = subtotal + taxes.reduce((sum, tax) => sum + tax.amount, 0);
 
     // Summary Box
     slide10.addShape(pptx.shapes.RECTANGLE, {
@@ -335,20 +339,23 @@ export async function generatePPTX(projectData, boqSummary, renderImages = []) {
     });
 
     slide10.addText('Furniture Subtotal:', { x: 2.5, y: 2.3, w: 3, fontSize: 14, color: COLORS.textMuted });
-    slide10.addText(`${subtotal.toFixed(3)} OMR`, { x: 5.5, y: 2.3, w: 2, fontSize: 14, color: COLORS.text, align: 'right' });
+    slide10.addText(formatMoney(subtotal, currency), { x: 5.5, y: 2.3, w: 2, fontSize: 14, color: COLORS.text, align: 'right' });
 
     slide10.addText('Fit-Out Subtotal:', { x: 2.5, y: 2.8, w: 3, fontSize: 14, color: COLORS.textMuted });
-    slide10.addText('- OMR', { x: 5.5, y: 2.8, w: 2, fontSize: 14, color: COLORS.text, align: 'right' });
+    slide10.addText(`- ${currency}`, { x: 5.5, y: 2.8, w: 2, fontSize: 14, color: COLORS.text, align: 'right' });
 
     slide10.addShape(pptx.shapes.LINE, { x: 2.5, y: 3.4, w: 5, line: { color: COLORS.primary, width: 1 } });
 
-    slide10.addText('VAT (5%):', { x: 2.5, y: 3.6, w: 3, fontSize: 14, color: COLORS.warning });
-    slide10.addText(`${vat.toFixed(3)} OMR`, { x: 5.5, y: 3.6, w: 2, fontSize: 14, color: COLORS.warning, align: 'right' });
+    taxes.forEach((tax, i) => {
+        const y = 3.6 + i * (0.5 / taxes.length);
+        slide10.addText(`${taxLabel(tax)}:`, { x: 2.5, y, w: 3, fontSize: taxes.length > 1 ? 11 : 14, color: COLORS.warning });
+        slide10.addText(formatMoney(tax.amount, currency), { x: 5.5, y, w: 2, fontSize: taxes.length > 1 ? 11 : 14, color: COLORS.warning, align: 'right' });
+    });
 
     slide10.addShape(pptx.shapes.LINE, { x: 2.5, y: 4.2, w: 5, line: { color: COLORS.primary, width: 2 } });
 
     slide10.addText('GRAND TOTAL:', { x: 2.5, y: 4.5, w: 3, fontSize: 18, bold: true, color: COLORS.success });
-    slide10.addText(`${total.toFixed(3)} OMR`, { x: 5.5, y: 4.5, w: 2, fontSize: 18, bold: true, color: COLORS.success, align: 'right' });
+    slide10.addText(formatMoney(total, currency), { x: 5.5, y: 4.5, w: 2, fontSize: 18, bold: true, color: COLORS.success, align: 'right' });
 
     // Contact Footer
     slide10.addText('For inquiries: Design & Build | info@dandb.com', {
@@ -371,16 +378,23 @@ export async function generatePPTX(projectData, boqSummary, renderImages = []) {
 // Export BOQ to JSON
 // ============================================================================
 
-export function exportBOQToJSON(selectedItems, project) {
+export function exportBOQToJSON(selectedItems, project, rateLibrary = null) {
+    const lines = selectedItems.map(item => ({
+        section: itemSection(item, rateLibrary),
+        amount: convertAmount(item.rate * item.quantity, item.currency, project.currency, project.exchangeRates),
+    }));
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const taxes = computeTaxes(lines, project.taxRules);
     const data = {
         project: project,
         exportDate: new Date().toISOString(),
         items: selectedItems,
         summary: {
             totalItems: selectedItems.length,
-            subtotal: selectedItems.reduce((sum, item) => sum + (item.rate * item.quantity), 0),
-            vat: selectedItems.reduce((sum, item) => sum + (item.rate * item.quantity), 0) * project.vatRate,
-            total: selectedItems.reduce((sum, item) => sum + (item.rate * item.quantity), 0) * (1 + project.vatRate),
+            currency: project.currency,
+            subtotal,
+            taxes: taxes.map(tax => ({ name: tax.name, rate: tax.rate, amount: tax.amount })),
+            total: subtotal + taxes.reduce((sum, tax) => sum + tax.amount, 0),
         },
     };
 
@@ -0,0 +1,138 @@
+/**
+ * Design & Build - 2D Geometry Utilities
+ * Plan-space polygon and segment math shared by the CAD worker, editor and stores
+ * Points are plain { x, y } objects in meters
+ */
+
+// ============================================================================
+// Polygons
+// ============================================================================
+
+/**
+ * Signed shoelace area - positive for counter-clockwise rings
+ */
+export function signedPolygonArea(points) {
+    let area = 0;
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        area += points[i].x * points[j].y - points[j].x * points[i].y;
+    }
+    return area / 2;
+}
+
+export function polygonArea(points) {
+    return Math.abs(signedPolygonArea(points));
+}
+
+export function polygonPerimeter(points, closed = true) {
+    let length = 0;
+    const n = points.length;
+    const count = closed ? n : n - 1;
+    for (let i = 0; i < count; i++) {
+        const j = (i + 1) % n;
+        length += Math.hypot(points[j].x - points[i].x, points[j].y - points[i].y);
+    }
+    return length;
+}
+
+export function polygonBounds(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Area-weighted centroid, falling back to the vertex average for degenerate rings
+ */
+export function polygonCentroid(points) {
+    const area = signedPolygonArea(points);
+    if (Math.abs(area) < 1e-9) {
+        const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+
+    let cx = 0, cy = 0;
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        const cross = points[i].x * points[j].y - points[j].x * points[i].y;
+        cx += (points[i].x + points[j].x) * cross;
+        cy += (points[i].y + points[j].y) * cross;
+    }
+    return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+/**
+ * Even-odd ray casting test
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Drop a duplicated closing vertex so rings are stored open
+ */
+export function openRing(points, tolerance = 1e-6) {
+    if (points.length > 1) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (Math.abs(first.x - last.x) < tolerance && Math.abs(first.y - last.y) < tolerance) {
+            return points.slice(0, -1);
+        }
+    }
+    return points;
+}
+
+// ============================================================================
+// Segments
+// ============================================================================
+
+export function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Closest point on segment ab to p, with its parameter t in [0, 1]
+ */
+export function projectPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return { t, point: { x: a.x + dx * t, y: a.y + dy * t } };
+}
+
+export function distancePointToSegment(p, a, b) {
+    return distance(p, projectPointOnSegment(p, a, b).point);
+}
+
+/**
+ * Intersection of segments ab and cd.
+ * Returns { point, t, u } with t/u the parameters along each segment, or null
+ * when the segments are parallel or do not meet within the given tolerance.
+ */
+export function segmentIntersection(a, b, c, d, tolerance = 0) {
+    const rx = b.x - a.x, ry = b.y - a.y;
+    const sx = d.x - c.x, sy = d.y - c.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-12) return null;
+
+    const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+    const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+    if (t < -tolerance || t > 1 + tolerance || u < -tolerance || u > 1 + tolerance) return null;
+
+    return { point: { x: a.x + rx * t, y: a.y + ry * t }, t, u };
+}
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The CAD worker lazy-loads the DWG reader, which needs code-split ES workers
+  worker: { format: 'es' },
+  // Keep the reader's WebAssembly next to its module in dev
+  optimizeDeps: { exclude: ['@mlightcad/libredwg-web'] },
 })